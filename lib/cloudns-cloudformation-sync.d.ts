@@ -1 +1,25 @@
+import { SyncTarget } from './config';
+import { DesiredRecord, InvalidExport } from './records';
+import { DesiredRecordConflict, PlanEntry, StackScope } from './sync';
+export * from './config';
+export * from './dns-provider';
+export * from './cloudns-provider';
+export * from './memory-provider';
+export * from './records';
+export * from './sync';
+export * from './zone-resolver';
+export interface TargetExports {
+    desiredRecords: DesiredRecord[];
+    stackScopes: StackScope[];
+    invalidExports: InvalidExport[];
+    conflicts: DesiredRecordConflict[];
+}
+export declare function createTargetProvider(target: SyncTarget): Promise<import("./dns-provider").DnsProvider>;
+export declare function readTargetExports(target: SyncTarget): Promise<TargetExports>;
+export interface TargetPlan {
+    target: SyncTarget;
+    plan: PlanEntry[];
+    error?: string;
+}
+export declare function formatPlanJson(targetPlans: TargetPlan[]): string;
 export declare function main(): Promise<void>;
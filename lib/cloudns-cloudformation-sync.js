@@ -10,29 +10,13 @@ var __createBinding = (this && this.__createBinding) || (Object.create ? (functi
     if (k2 === undefined) k2 = k;
     o[k2] = m[k];
 }));
-var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
-    Object.defineProperty(o, "default", { enumerable: true, value: v });
-}) : function(o, v) {
-    o["default"] = v;
-});
-var __importStar = (this && this.__importStar) || (function () {
-    var ownKeys = function(o) {
-        ownKeys = Object.getOwnPropertyNames || function (o) {
-            var ar = [];
-            for (var k in o) if (Object.prototype.hasOwnProperty.call(o, k)) ar[ar.length] = k;
-            return ar;
-        };
-        return ownKeys(o);
-    };
-    return function (mod) {
-        if (mod && mod.__esModule) return mod;
-        var result = {};
-        if (mod != null) for (var k = ownKeys(mod), i = 0; i < k.length; i++) if (k[i] !== "default") __createBinding(result, mod, k[i]);
-        __setModuleDefault(result, mod);
-        return result;
-    };
-})();
+var __exportStar = (this && this.__exportStar) || function(m, exports) {
+    for (var p in m) if (p !== "default" && !Object.prototype.hasOwnProperty.call(exports, p)) __createBinding(exports, m, p);
+};
 Object.defineProperty(exports, "__esModule", { value: true });
+exports.createTargetProvider = createTargetProvider;
+exports.readTargetExports = readTargetExports;
+exports.formatPlanJson = formatPlanJson;
 exports.main = main;
 /**
  * Read AWS CloudFormation Exports and autogenerate ClouDNS records based on their names and values.
@@ -50,166 +34,235 @@ exports.main = main;
  * The above example will generate the following record in the ClouDNS zone example.org:
  * myhost.example.org CNAME xxxxxxxxxxxxxx.cloudfront.net
  *
+ * The zone is the longest zone name in the ClouDNS account that matches the end of the record name.
+ *
  * Other resource types are also allowed (A, AAAA, ALIAS, etc).
  *
- * Command line usage: AWS_PROFILE=xxx ts-node cloudns-cloudformation-sync.ts <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]
+ * Several values for the same host and type can be given as a comma-separated list in the export value by adding
+ * the -list option to the type (ClouDNS:A-list:www:example:org), with double quotes around values that contain commas.
+ * Without -list the export value is used as-is. Several exports can also target the same host and type
+ * by adding a suffix to the type (ClouDNS:TXT-google:example:org, ClouDNS:TXT-spf:example:org).
+ * All existing records of the host and type are reconciled against the full list of values.
+ *
+ * The type can also carry a per-record TTL (ClouDNS:MX-ttl3600:example:org). MX, SRV and CAA values use the
+ * zone file syntax: "<priority> <host>", "<priority> <weight> <port> <target>" and "<flag> <tag> <value>".
+ * A host part starting with a hyphen is an underscore, since export names cannot contain underscores
+ * (ClouDNS:SRV:-sip:-tcp:example:org = _sip._tcp.example.org).
  *
- * AWS_PROFILE=xxx - Specify your AWS profile in ~/.aws/credentials as an environment variable
- * <cloudns-username> - ClouDNS API sub-auth-user
- * <cloudns-password-parameter-name> - SSM Parameter with the encrypted ClouDNS API password
- * [ttl] - Optional TTL for generated records (defaults to 300)
- * [stackName...] - Optional CloudFormation stack name(s) to limit the exports to scan (defaults to all stacks)
+ * Command line usage: AWS_PROFILE=xxx ts-node cloudns-cloudformation-sync.ts [options] --username <cloudns-username> --password-parameter <cloudns-password-parameter-name>
+ *
+ * --username <username> - ClouDNS API sub-auth-user
+ * --password-parameter <name> - SSM Parameter with the encrypted ClouDNS API password
+ * --ttl <ttl> - Optional TTL for generated records (defaults to 300)
+ * --stack <stackName> - Optional CloudFormation stack name(s) to limit the records to sync (defaults to all stacks)
+ * --region <region> - Optional AWS region(s) to read the exports from (the first one is also used for SSM)
+ * --role-arn <arn> - Optional IAM role(s) to assume for reading exports in other accounts
+ * --profile <profile> - Optional AWS profile
+ * --config <file> - JSON or YAML config file describing one or more sync targets
+ * --dry-run - Only print the planned creates and updates (old vs new TTL and value) without changing ClouDNS
+ * --json - With --dry-run, print the plan as JSON to stdout (other output goes to stderr)
+ * --prune - Mark synced records as owned by this tool and delete owned records whose export has disappeared
+ * --concurrency <n> - Optional number of record sets to sync at the same time (defaults to 4)
+ *
+ * Failed ClouDNS calls are retried when the failure is transient. Records that still fail, and record sets or
+ * targets that could not be planned (for instance a missing zone or an invalid export), are reported in the
+ * summary at the end of the run while the rest is synced, and the exit code is non-zero.
+ *
+ * The old positional form <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]] is also supported.
  */
 const client_ssm_1 = require("@aws-sdk/client-ssm");
 const client_cloudformation_1 = require("@aws-sdk/client-cloudformation");
-const querystring = __importStar(require("querystring"));
+const client_sts_1 = require("@aws-sdk/client-sts");
+const credential_providers_1 = require("@aws-sdk/credential-providers");
+const cloudns_provider_1 = require("./cloudns-provider");
+const config_1 = require("./config");
+const records_1 = require("./records");
+const sync_1 = require("./sync");
+__exportStar(require("./config"), exports);
+__exportStar(require("./dns-provider"), exports);
+__exportStar(require("./cloudns-provider"), exports);
+__exportStar(require("./memory-provider"), exports);
+__exportStar(require("./records"), exports);
+__exportStar(require("./sync"), exports);
+__exportStar(require("./zone-resolver"), exports);
 // Load ~/.aws/config
 process.env.AWS_SDK_LOAD_CONFIG = '1';
-async function cloudnsRestCall(cloudnsUsername, cloudnsPassword, method, relativeUrl, queryOptions) {
-    let fullUrl = 'https://api.cloudns.net' +
-        relativeUrl +
-        '?' +
-        querystring.stringify(Object.assign({
-            'sub-auth-user': cloudnsUsername,
-            'auth-password': cloudnsPassword,
-        }, queryOptions || {}));
-    // console.log('Note: Calling', fullUrl)
-    const response = await fetch(fullUrl, {
-        method: method,
-        headers: {
-            'Content-Type': 'application/json',
-            Accept: 'application/json',
-        },
-    });
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error('HTTP Error', response.status, response.statusText, errorText);
-        throw new Error(errorText);
+function getExportSourceName(exportSource) {
+    return (exportSource.region || 'default region') + (exportSource.roleArn ? ' ' + exportSource.roleArn : '');
+}
+async function getExportSourceScope(cloudFormation, exportSource) {
+    const { profile, roleArn } = exportSource;
+    const region = await cloudFormation.config.region();
+    if (roleArn) {
+        // arn:aws:iam::<account>:role/<name>
+        return { region, accountId: roleArn.split(':')[4] };
     }
-    const parsedResponse = await response.json();
-    return parsedResponse;
+    const sts = new client_sts_1.STSClient({ region, profile });
+    const identity = await sts.send(new client_sts_1.GetCallerIdentityCommand({}));
+    return { region, accountId: identity.Account || '' };
 }
-async function autoDetectCloudnsHostAndZone(cloudnsUsername, cloudnsPassword, name, zoneCache) {
-    const nameParts = name.split('.');
-    // Zone and host name for xxx.tld
-    const hostName1 = nameParts.slice(0, nameParts.length - 2).join('.');
-    const zoneName1 = nameParts.slice(nameParts.length - 2).join('.');
-    // Zone and host name for xxx.subtld.tld
-    const hostName2 = nameParts.slice(0, nameParts.length - 3).join('.');
-    const zoneName2 = nameParts.slice(nameParts.length - 3).join('.');
-    // Check which zone exists
-    const zoneResponse1 = zoneCache[zoneName1] ||
-        (await cloudnsRestCall(cloudnsUsername, cloudnsPassword, 'GET', '/dns/get-zone-info.json', {
-            'domain-name': zoneName1,
-        }));
-    zoneCache[zoneName1] = zoneResponse1;
-    const zoneResponse2 = zoneCache[zoneName2] ||
-        (await cloudnsRestCall(cloudnsUsername, cloudnsPassword, 'GET', '/dns/get-zone-info.json', {
-            'domain-name': zoneName2,
+async function listDesiredRecords(ttlValue, exportSource, prune) {
+    var _a;
+    const { region, profile, roleArn } = exportSource;
+    const desiredRecords = [];
+    const invalidExports = [];
+    const cloudFormation = new client_cloudformation_1.CloudFormationClient({
+        region: region,
+        profile: profile,
+        // Read exports from another account by assuming a role there
+        credentials: roleArn
+            ? (0, credential_providers_1.fromTemporaryCredentials)({
+                params: { RoleArn: roleArn, RoleSessionName: 'cloudns-cloudformation-sync' },
+                clientConfig: { region, profile },
+            })
+            : undefined,
+    });
+    let nextToken;
+    do {
+        const response = await cloudFormation.send(new client_cloudformation_1.ListExportsCommand({
+            NextToken: nextToken,
         }));
-    zoneCache[zoneName2] = zoneResponse2;
-    // console.log('Note: Response for host', hostName1, 'in zone', zoneName1, ':', zoneResponse1)
-    // console.log('Note: Response for host', hostName2, 'in zone', zoneName2, ':', zoneResponse2)
-    const zoneName = zoneResponse1.status === '1' ? zoneName1 : zoneResponse2.status === '1' ? zoneName2 : '';
-    const hostName = zoneResponse1.status === '1' ? hostName1 : zoneResponse2.status === '1' ? hostName2 : '';
-    if (!zoneName) {
-        // Neither zone exists
-        throw new Error('Zone Not Found: ' + name);
+        for (const exportObj of response.Exports || []) {
+            // All stacks are read, so record sets shared with stacks outside the stack filter are reconciled against their values too
+            const stackId = exportObj.ExportingStackId || '';
+            if ((_a = exportObj.Name) === null || _a === void 0 ? void 0 : _a.match(/^ClouDNS:/)) {
+                const source = getExportSourceName(exportSource);
+                try {
+                    desiredRecords.push(...(0, records_1.parseExport)(exportObj.Name, exportObj.Value || '', ttlValue, stackId, source));
+                }
+                catch (err) {
+                    // One invalid export only fails its own records
+                    invalidExports.push({ exportName: exportObj.Name, stackId, source, error: err.message });
+                }
+            }
+        }
+        nextToken = response.NextToken;
+    } while (nextToken);
+    // Only prune needs the account, so other runs skip the STS call
+    const stackScope = prune ? await getExportSourceScope(cloudFormation, exportSource) : undefined;
+    return { desiredRecords, invalidExports, stackScope };
+}
+async function createTargetProvider(target) {
+    var _a;
+    const { username, passwordParameter, passwordRegion, regions, profile } = target;
+    const ssm = new client_ssm_1.SSMClient({ region: passwordRegion || regions[0], profile });
+    const response = await ssm.send(new client_ssm_1.GetParameterCommand({
+        Name: passwordParameter,
+        WithDecryption: true,
+    }));
+    return (0, cloudns_provider_1.createCloudnsProvider)(username, ((_a = response.Parameter) === null || _a === void 0 ? void 0 : _a.Value) || '');
+}
+async function readTargetExports(target) {
+    const { regions, roleArns, profile, ttl, prune, concurrency } = target;
+    // Read the exports of every region, both with the current credentials and each assumed role
+    const exportSources = [];
+    for (const region of regions.length ? regions : [undefined]) {
+        for (const roleArn of [undefined, ...roleArns]) {
+            exportSources.push({ region, profile, roleArn });
+        }
     }
+    const sourceExports = await (0, sync_1.mapConcurrently)(exportSources, concurrency, (exportSource) => listDesiredRecords(ttl, exportSource, prune));
+    const { desiredRecords, conflicts } = (0, sync_1.mergeDesiredRecords)(sourceExports.map((sourceExport) => sourceExport.desiredRecords));
     return {
-        hostName: hostName,
-        zoneName: zoneName,
+        desiredRecords,
+        conflicts,
+        stackScopes: prune ? sourceExports.map((sourceExport) => sourceExport.stackScope) : [],
+        invalidExports: [].concat(...sourceExports.map((sourceExport) => sourceExport.invalidExports)),
     };
 }
-async function createOrUpdateCloudnsResource(cloudnsUsername, cloudnsPassword, name, type, value, ttlValue, zoneCache) {
-    const { zoneName, hostName } = await autoDetectCloudnsHostAndZone(cloudnsUsername, cloudnsPassword, name, zoneCache);
-    // Does the record exist?
-    const recordsResponse = await cloudnsRestCall(cloudnsUsername, cloudnsPassword, 'GET', '/dns/records.json', {
-        'domain-name': zoneName,
-        host: hostName,
-        type: type,
+async function planSyncTarget(target) {
+    const provider = await createTargetProvider(target);
+    const { desiredRecords, stackScopes, invalidExports, conflicts } = await readTargetExports(target);
+    const plan = await (0, sync_1.planSync)(provider, desiredRecords, target.stackNames, target.prune, {
+        concurrency: target.concurrency,
+        stackScopes,
+        invalidExports,
+        conflicts,
     });
-    const existingRecord = Object.values(recordsResponse)[0];
-    if ((existingRecord === null || existingRecord === void 0 ? void 0 : existingRecord.host) === hostName && (existingRecord === null || existingRecord === void 0 ? void 0 : existingRecord.type) === type && (existingRecord === null || existingRecord === void 0 ? void 0 : existingRecord.ttl) === ttlValue && (existingRecord === null || existingRecord === void 0 ? void 0 : existingRecord.record) === value) {
-        // Record exists already - no change
-        console.log('OK', name, type, ttlValue, value, 'ZONE', zoneName, 'HOST', hostName);
-    }
-    else if (existingRecord === null || existingRecord === void 0 ? void 0 : existingRecord.id) {
-        // Update record
-        console.log('UPDATE', name, type, ttlValue, value, 'ZONE', zoneName, 'HOST', hostName);
-        const result = await cloudnsRestCall(cloudnsUsername, cloudnsPassword, 'POST', '/dns/mod-record.json', {
-            'domain-name': zoneName,
-            'record-id': existingRecord === null || existingRecord === void 0 ? void 0 : existingRecord.id,
-            host: hostName,
-            'record-type': type,
-            record: value,
-            ttl: ttlValue,
-        });
-        if (result.status === 'Failed') {
-            throw new Error('Modify record failed: ' + (result.statusMessage || result.statusDescription));
-        }
-    }
-    else {
-        // Create record
-        console.log('CREATE', name, type, ttlValue, value, 'ZONE', zoneName, 'HOST', hostName);
-        const result = await cloudnsRestCall(cloudnsUsername, cloudnsPassword, 'POST', '/dns/add-record.json', {
-            'domain-name': zoneName,
-            host: hostName,
-            'record-type': type,
-            record: value,
-            ttl: ttlValue,
-        });
-        if (result.status === 'Failed') {
-            throw new Error('Add record failed: ' + (result.statusMessage || result.statusDescription));
-        }
-    }
+    return { provider, plan };
+}
+function formatPlanJson(targetPlans) {
+    // Targets are listed once, and each change refers to its target by index
+    const summary = (0, sync_1.summarizePlan)([].concat(...targetPlans.map((targetPlan) => targetPlan.plan)));
+    summary.failed += targetPlans.filter((targetPlan) => targetPlan.error).length;
+    const targets = targetPlans.map(({ target, error }) => ({
+        username: target.username,
+        regions: target.regions,
+        roleArns: target.roleArns,
+        profile: target.profile,
+        error: error,
+    }));
+    const changes = [].concat(...targetPlans.map((targetPlan, index) => targetPlan.plan.map((planEntry) => ({ target: index, ...planEntry }))));
+    return JSON.stringify({ dryRun: true, summary, targets, changes }, null, 2);
 }
 async function main() {
-    var _a, _b, _c;
-    console.log('ClouDNS CloudFormation Sync by Kenneth Falck <kennu@clouden.net> (C) Clouden Oy 2020-2024');
-    const cloudnsUsername = process.argv[2];
-    const cloudnsPasswordParameter = process.argv[3];
-    const ttlValue = process.argv[4] || '300';
-    const stackNames = process.argv.slice(5);
-    if (!cloudnsUsername) {
-        console.error('Usage: cloudns-cloudformation-sync <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]');
+    let commandLine;
+    try {
+        commandLine = (0, config_1.parseCommandLine)(process.argv.slice(2));
+    }
+    catch (err) {
+        console.error(err.message);
+        console.error(config_1.usage);
         process.exit(1);
     }
-    if (!cloudnsPasswordParameter) {
-        console.error('Usage: cloudns-cloudformation-sync <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]');
+    const { help, dryRun, jsonOutput, targets } = commandLine;
+    if (help) {
+        console.log(config_1.usage);
+        return;
+    }
+    // With --json, stdout is reserved for the machine-readable plan
+    const log = jsonOutput ? console.error : console.log;
+    log('ClouDNS CloudFormation Sync by Kenneth Falck <kennu@clouden.net> (C) Clouden Oy 2020-2024');
+    if (jsonOutput && !dryRun) {
+        console.error('The --json option can only be used with --dry-run');
+        console.error(config_1.usage);
         process.exit(1);
     }
-    const ssm = new client_ssm_1.SSMClient({});
-    const zoneCache = {};
-    const response = await ssm.send(new client_ssm_1.GetParameterCommand({
-        Name: cloudnsPasswordParameter,
-        WithDecryption: true,
-    }));
-    const cloudnsPassword = ((_a = response.Parameter) === null || _a === void 0 ? void 0 : _a.Value) || '';
-    const cloudFormation = new client_cloudformation_1.CloudFormationClient({});
-    let nextToken;
-    do {
-        const response = await cloudFormation.send(new client_cloudformation_1.ListExportsCommand({
-            NextToken: nextToken,
-        }));
-        for (const exportObj of response.Exports || []) {
-            if (stackNames.length && !stackNames.includes(exportObj.ExportingStackId || '')) {
-                // Check if the name part of the ID matches arn:aws:cloudformation:eu-west-1:<xxx>:stack/<name>/<xxx>
-                const m = (_b = exportObj.ExportingStackId) === null || _b === void 0 ? void 0 : _b.match(/^arn:[^:]+:cloudformation:[^:]+:[^:]+:stack\/([^\/]+)\//);
-                if (!m || !stackNames.includes(m[1])) {
-                    // Stack ID name part didn't match given stackName, so skip it
-                    continue;
-                }
-            }
-            if ((_c = exportObj.Name) === null || _c === void 0 ? void 0 : _c.match(/^ClouDNS:/)) {
-                const nameParts = exportObj.Name.split(':');
-                const resourceType = nameParts[1];
-                const resourceName = nameParts.slice(2).join('.');
-                const resourceValue = exportObj.Value;
-                await createOrUpdateCloudnsResource(cloudnsUsername, cloudnsPassword, resourceName, resourceType, resourceValue, ttlValue, zoneCache);
+    const targetPlans = [];
+    const result = { create: 0, update: 0, noop: 0, delete: 0, failed: 0, failures: [] };
+    for (const target of targets) {
+        if (targets.length > 1) {
+            log('TARGET', target.username, 'REGION', target.regions.join(',') || '(default)', 'PROFILE', target.profile || '(default)');
+        }
+        let provider;
+        let targetPlan;
+        try {
+            ;
+            ({ provider, plan: targetPlan } = await planSyncTarget(target));
+        }
+        catch (err) {
+            // A target that cannot be read or planned fails on its own, the other targets are still synced
+            console.error('FAILED TARGET', target.username, 'REGION', target.regions.join(',') || '(default)', err.message);
+            targetPlans.push({ target, plan: [], error: err.message });
+            result.failed++;
+            continue;
+        }
+        targetPlans.push({ target, plan: targetPlan });
+        if (dryRun) {
+            // Only show the plan, don't make any changes to ClouDNS
+            if (!jsonOutput) {
+                (0, sync_1.printPlan)(targetPlan);
             }
+            result.failed += (0, sync_1.summarizePlan)(targetPlan).failed;
+            continue;
         }
-        nextToken = response.NextToken;
-    } while (nextToken);
+        // Failed records don't stop the sync, they are counted in the summary instead
+        const targetResult = await (0, sync_1.applyPlan)(provider, targetPlan, { concurrency: target.concurrency });
+        result.create += targetResult.create;
+        result.update += targetResult.update;
+        result.noop += targetResult.noop;
+        result.delete += targetResult.delete;
+        result.failed += targetResult.failed;
+        result.failures.push(...targetResult.failures);
+    }
+    if (dryRun && jsonOutput) {
+        console.log(formatPlanJson(targetPlans));
+    }
+    if (!dryRun) {
+        (0, sync_1.printApplyResult)(result);
+    }
+    if (result.failed) {
+        process.exit(1);
+    }
 }
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY2xvdWRucy1jbG91ZGZvcm1hdGlvbi1zeW5jLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vc3JjL2Nsb3VkbnMtY2xvdWRmb3JtYXRpb24tc3luYy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQThKQSxvQkFxREM7QUFuTkQ7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7R0F5Qkc7QUFDSCxvREFBb0U7QUFDcEUsMEVBQTRHO0FBQzVHLHlEQUEwQztBQUUxQyxxQkFBcUI7QUFDckIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsR0FBRyxHQUFHLENBQUE7QUFJckMsS0FBSyxVQUFVLGVBQWUsQ0FBQyxlQUF1QixFQUFFLGVBQXVCLEVBQUUsTUFBYyxFQUFFLFdBQW1CLEVBQUUsWUFBaUI7SUFDckksSUFBSSxPQUFPLEdBQ1QseUJBQXlCO1FBQ3pCLFdBQVc7UUFDWCxHQUFHO1FBQ0gsV0FBVyxDQUFDLFNBQVMsQ0FDbkIsTUFBTSxDQUFDLE1BQU0sQ0FDWDtZQUNFLGVBQWUsRUFBRSxlQUFlO1lBQ2hDLGVBQWUsRUFBRSxlQUFlO1NBQ2pDLEVBQ0QsWUFBWSxJQUFJLEVBQUUsQ0FDbkIsQ0FDRixDQUFBO0lBRUgsd0NBQXdDO0lBRXhDLE1BQU0sUUFBUSxHQUFHLE1BQU0sS0FBSyxDQUFDLE9BQU8sRUFBRTtRQUNwQyxNQUFNLEVBQUUsTUFBTTtRQUNkLE9BQU8sRUFBRTtZQUNQLGNBQWMsRUFBRSxrQkFBa0I7WUFDbEMsTUFBTSxFQUFFLGtCQUFrQjtTQUMzQjtLQUNGLENBQUMsQ0FBQTtJQUNGLElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRSxFQUFFLENBQUM7UUFDakIsTUFBTSxTQUFTLEdBQUcsTUFBTSxRQUFRLENBQUMsSUFBSSxFQUFFLENBQUE7UUFDdkMsT0FBTyxDQUFDLEtBQUssQ0FBQyxZQUFZLEVBQUUsUUFBUSxDQUFDLE1BQU0sRUFBRSxRQUFRLENBQUMsVUFBVSxFQUFFLFNBQVMsQ0FBQyxDQUFBO1FBQzVFLE1BQU0sSUFBSSxLQUFLLENBQUMsU0FBUyxDQUFDLENBQUE7SUFDNUIsQ0FBQztJQUNELE1BQU0sY0FBYyxHQUE0QixNQUFNLFFBQVEsQ0FBQyxJQUFJLEVBQUUsQ0FBQTtJQUNyRSxPQUFPLGNBQWMsQ0FBQTtBQUN2QixDQUFDO0FBRUQsS0FBSyxVQUFVLDRCQUE0QixDQUFDLGVBQXVCLEVBQUUsZUFBdUIsRUFBRSxJQUFZLEVBQUUsU0FBYztJQUN4SCxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFBO0lBRWpDLGlDQUFpQztJQUNqQyxNQUFNLFNBQVMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQTtJQUNwRSxNQUFNLFNBQVMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFBO0lBRWpFLHdDQUF3QztJQUN4QyxNQUFNLFNBQVMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQTtJQUNwRSxNQUFNLFNBQVMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFBO0lBRWpFLDBCQUEwQjtJQUMxQixNQUFNLGFBQWEsR0FDakIsU0FBUyxDQUFDLFNBQVMsQ0FBQztRQUNwQixDQUFDLE1BQU0sZUFBZSxDQUFDLGVBQWUsRUFBRSxlQUFlLEVBQUUsS0FBSyxFQUFFLHlCQUF5QixFQUFFO1lBQ3pGLGFBQWEsRUFBRSxTQUFTO1NBQ3pCLENBQUMsQ0FBQyxDQUFBO0lBQ0wsU0FBUyxDQUFDLFNBQVMsQ0FBQyxHQUFHLGFBQWEsQ0FBQTtJQUNwQyxNQUFNLGFBQWEsR0FDakIsU0FBUyxDQUFDLFNBQVMsQ0FBQztRQUNwQixDQUFDLE1BQU0sZUFBZSxDQUFDLGVBQWUsRUFBRSxlQUFlLEVBQUUsS0FBSyxFQUFFLHlCQUF5QixFQUFFO1lBQ3pGLGFBQWEsRUFBRSxTQUFTO1NBQ3pCLENBQUMsQ0FBQyxDQUFBO0lBQ0wsU0FBUyxDQUFDLFNBQVMsQ0FBQyxHQUFHLGFBQWEsQ0FBQTtJQUVwQyw4RkFBOEY7SUFDOUYsOEZBQThGO0lBRTlGLE1BQU0sUUFBUSxHQUFHLGFBQWEsQ0FBQyxNQUFNLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxNQUFNLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQTtJQUN6RyxNQUFNLFFBQVEsR0FBRyxhQUFhLENBQUMsTUFBTSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsTUFBTSxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUE7SUFDekcsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQ2Qsc0JBQXNCO1FBQ3RCLE1BQU0sSUFBSSxLQUFLLENBQUMsa0JBQWtCLEdBQUcsSUFBSSxDQUFDLENBQUE7SUFDNUMsQ0FBQztJQUNELE9BQU87UUFDTCxRQUFRLEVBQUUsUUFBUTtRQUNsQixRQUFRLEVBQUUsUUFBUTtLQUNuQixDQUFBO0FBQ0gsQ0FBQztBQUVELEtBQUssVUFBVSw2QkFBNkIsQ0FDMUMsZUFBdUIsRUFDdkIsZUFBdUIsRUFDdkIsSUFBWSxFQUNaLElBQVksRUFDWixLQUFhLEVBQ2IsUUFBZ0IsRUFDaEIsU0FBYztJQUVkLE1BQU0sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLEdBQUcsTUFBTSw0QkFBNEIsQ0FBQyxlQUFlLEVBQUUsZUFBZSxFQUFFLElBQUksRUFBRSxTQUFTLENBQUMsQ0FBQTtJQUNwSCx5QkFBeUI7SUFDekIsTUFBTSxlQUFlLEdBQUcsTUFBTSxlQUFlLENBQUMsZUFBZSxFQUFFLGVBQWUsRUFBRSxLQUFLLEVBQUUsbUJBQW1CLEVBQUU7UUFDMUcsYUFBYSxFQUFFLFFBQVE7UUFDdkIsSUFBSSxFQUFFLFFBQVE7UUFDZCxJQUFJLEVBQUUsSUFBSTtLQUNYLENBQUMsQ0FBQTtJQUNGLE1BQU0sY0FBYyxHQUFRLE1BQU0sQ0FBQyxNQUFNLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUE7SUFDN0QsSUFBSSxDQUFBLGNBQWMsYUFBZCxjQUFjLHVCQUFkLGNBQWMsQ0FBRSxJQUFJLE1BQUssUUFBUSxJQUFJLENBQUEsY0FBYyxhQUFkLGNBQWMsdUJBQWQsY0FBYyxDQUFFLElBQUksTUFBSyxJQUFJLElBQUksQ0FBQSxjQUFjLGFBQWQsY0FBYyx1QkFBZCxjQUFjLENBQUUsR0FBRyxNQUFLLFFBQVEsSUFBSSxDQUFBLGNBQWMsYUFBZCxjQUFjLHVCQUFkLGNBQWMsQ0FBRSxNQUFNLE1BQUssS0FBSyxFQUFFLENBQUM7UUFDL0ksb0NBQW9DO1FBQ3BDLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQTtJQUNwRixDQUFDO1NBQU0sSUFBSSxjQUFjLGFBQWQsY0FBYyx1QkFBZCxjQUFjLENBQUUsRUFBRSxFQUFFLENBQUM7UUFDOUIsZ0JBQWdCO1FBQ2hCLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQTtRQUN0RixNQUFNLE1BQU0sR0FBRyxNQUFNLGVBQWUsQ0FBQyxlQUFlLEVBQUUsZUFBZSxFQUFFLE1BQU0sRUFBRSxzQkFBc0IsRUFBRTtZQUNyRyxhQUFhLEVBQUUsUUFBUTtZQUN2QixXQUFXLEVBQUUsY0FBYyxhQUFkLGNBQWMsdUJBQWQsY0FBYyxDQUFFLEVBQUU7WUFDL0IsSUFBSSxFQUFFLFFBQVE7WUFDZCxhQUFhLEVBQUUsSUFBSTtZQUNuQixNQUFNLEVBQUUsS0FBSztZQUNiLEdBQUcsRUFBRSxRQUFRO1NBQ2QsQ0FBQyxDQUFBO1FBQ0YsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLFFBQVEsRUFBRSxDQUFDO1lBQy9CLE1BQU0sSUFBSSxLQUFLLENBQUMsd0JBQXdCLEdBQUcsQ0FBQyxNQUFNLENBQUMsYUFBYSxJQUFJLE1BQU0sQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUE7UUFDaEcsQ0FBQztJQUNILENBQUM7U0FBTSxDQUFDO1FBQ04sZ0JBQWdCO1FBQ2hCLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQTtRQUN0RixNQUFNLE1BQU0sR0FBRyxNQUFNLGVBQWUsQ0FBQyxlQUFlLEVBQUUsZUFBZSxFQUFFLE1BQU0sRUFBRSxzQkFBc0IsRUFBRTtZQUNyRyxhQUFhLEVBQUUsUUFBUTtZQUN2QixJQUFJLEVBQUUsUUFBUTtZQUNkLGFBQWEsRUFBRSxJQUFJO1lBQ25CLE1BQU0sRUFBRSxLQUFLO1lBQ2IsR0FBRyxFQUFFLFFBQVE7U0FDZCxDQUFDLENBQUE7UUFDRixJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssUUFBUSxFQUFFLENBQUM7WUFDL0IsTUFBTSxJQUFJLEtBQUssQ0FBQyxxQkFBcUIsR0FBRyxDQUFDLE1BQU0sQ0FBQyxhQUFhLElBQUksTUFBTSxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQTtRQUM3RixDQUFDO0lBQ0gsQ0FBQztBQUNILENBQUM7QUFFTSxLQUFLLFVBQVUsSUFBSTs7SUFDeEIsT0FBTyxDQUFDLEdBQUcsQ0FBQywyRkFBMkYsQ0FBQyxDQUFBO0lBQ3hHLE1BQU0sZUFBZSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUE7SUFDdkMsTUFBTSx3QkFBd0IsR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFBO0lBQ2hELE1BQU0sUUFBUSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksS0FBSyxDQUFBO0lBQ3pDLE1BQU0sVUFBVSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFBO0lBQ3hDLElBQUksQ0FBQyxlQUFlLEVBQUUsQ0FBQztRQUNyQixPQUFPLENBQUMsS0FBSyxDQUFDLDhHQUE4RyxDQUFDLENBQUE7UUFDN0gsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQTtJQUNqQixDQUFDO0lBQ0QsSUFBSSxDQUFDLHdCQUF3QixFQUFFLENBQUM7UUFDOUIsT0FBTyxDQUFDLEtBQUssQ0FBQyw4R0FBOEcsQ0FBQyxDQUFBO1FBQzdILE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUE7SUFDakIsQ0FBQztJQUVELE1BQU0sR0FBRyxHQUFHLElBQUksc0JBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQTtJQUM3QixNQUFNLFNBQVMsR0FBRyxFQUFFLENBQUE7SUFFcEIsTUFBTSxRQUFRLEdBQUcsTUFBTSxHQUFHLENBQUMsSUFBSSxDQUM3QixJQUFJLGdDQUFtQixDQUFDO1FBQ3RCLElBQUksRUFBRSx3QkFBd0I7UUFDOUIsY0FBYyxFQUFFLElBQUk7S0FDckIsQ0FBQyxDQUNILENBQUE7SUFDRCxNQUFNLGVBQWUsR0FBRyxDQUFBLE1BQUEsUUFBUSxDQUFDLFNBQVMsMENBQUUsS0FBSyxLQUFJLEVBQUUsQ0FBQTtJQUV2RCxNQUFNLGNBQWMsR0FBRyxJQUFJLDRDQUFvQixDQUFDLEVBQUUsQ0FBQyxDQUFBO0lBQ25ELElBQUksU0FBUyxDQUFBO0lBQ2IsR0FBRyxDQUFDO1FBQ0YsTUFBTSxRQUFRLEdBQXNCLE1BQU0sY0FBYyxDQUFDLElBQUksQ0FDM0QsSUFBSSwwQ0FBa0IsQ0FBQztZQUNyQixTQUFTLEVBQUUsU0FBUztTQUNyQixDQUFDLENBQ0gsQ0FBQTtRQUNELEtBQUssTUFBTSxTQUFTLElBQUksUUFBUSxDQUFDLE9BQU8sSUFBSSxFQUFFLEVBQUUsQ0FBQztZQUMvQyxJQUFJLFVBQVUsQ0FBQyxNQUFNLElBQUksQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxnQkFBZ0IsSUFBSSxFQUFFLENBQUMsRUFBRSxDQUFDO2dCQUNoRixxR0FBcUc7Z0JBQ3JHLE1BQU0sQ0FBQyxHQUFHLE1BQUEsU0FBUyxDQUFDLGdCQUFnQiwwQ0FBRSxLQUFLLENBQUMseURBQXlELENBQUMsQ0FBQTtnQkFDdEcsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztvQkFDckMsOERBQThEO29CQUM5RCxTQUFRO2dCQUNWLENBQUM7WUFDSCxDQUFDO1lBQ0QsSUFBSSxNQUFBLFNBQVMsQ0FBQyxJQUFJLDBDQUFFLEtBQUssQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDO2dCQUN2QyxNQUFNLFNBQVMsR0FBRyxTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQTtnQkFDM0MsTUFBTSxZQUFZLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFBO2dCQUNqQyxNQUFNLFlBQVksR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQTtnQkFDakQsTUFBTSxhQUFhLEdBQUcsU0FBUyxDQUFDLEtBQU0sQ0FBQTtnQkFDdEMsTUFBTSw2QkFBNkIsQ0FBQyxlQUFlLEVBQUUsZUFBZSxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsYUFBYSxFQUFFLFFBQVEsRUFBRSxTQUFTLENBQUMsQ0FBQTtZQUN2SSxDQUFDO1FBQ0gsQ0FBQztRQUNELFNBQVMsR0FBRyxRQUFRLENBQUMsU0FBUyxDQUFBO0lBQ2hDLENBQUMsUUFBUSxTQUFTLEVBQUM7QUFDckIsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogUmVhZCBBV1MgQ2xvdWRGb3JtYXRpb24gRXhwb3J0cyBhbmQgYXV0b2dlbmVyYXRlIENsb3VETlMgcmVjb3JkcyBiYXNlZCBvbiB0aGVpciBuYW1lcyBhbmQgdmFsdWVzLlxuICogS2VubmV0aCBGYWxjayA8a2VubnVAY2xvdWRlbi5uZXQ+IChDKSBDbG91ZGVuIE95IDIwMjAtMjAyNFxuICpcbiAqIFRoaXMgdG9vbCBjYW4gYmUgdXNlZCB0byBhdXRvZ2VuZXJhdGUgQ2xvdUROUyByZWNvcmRzIGZvciBDbG91ZEZvcm1hdGlvbiByZXNvdXJjZXMgbGlrZVxuICogQ2xvdWRGcm9udCBkaXN0cmlidXRpb25zIGFuZCBBUEkgR2F0ZXdheSBkb21haW5zLlxuICpcbiAqIENsb3VkRm9ybWF0aW9uIGV4cG9ydCBuYW1lIG11c3Qgc3BlY2lmeSB0aGUgcmVzb3VyY2UgdHlwZSBhbmQgcmVjb3JkIGhvc3RuYW1lIGFzIGZvbGxvd3M6XG4gKiBDbG91RE5TOkNOQU1FOm15aG9zdDpleGFtcGxlOm9yZ1xuICpcbiAqIENsb3VkRm9ybWF0aW9uIGV4cG9ydCB2YWx1ZSBtdXN0IHNwZWNpZnkgdGhlIHJlY29yZCB2YWx1ZSBhcy1pcyAoZm9yIGluc3RhbmNlLCBhIGRpc3RyaWJ1dGlvbiBkb21haW4gbmFtZSk6XG4gKiB4eHh4eHh4eHh4eHh4eC5jbG91ZGZyb250Lm5ldFxuICpcbiAqIFRoZSBhYm92ZSBleGFtcGxlIHdpbGwgZ2VuZXJhdGUgdGhlIGZvbGxvd2luZyByZWNvcmQgaW4gdGhlIENsb3VETlMgem9uZSBleGFtcGxlLm9yZzpcbiAqIG15aG9zdC5leGFtcGxlLm9yZyBDTkFNRSB4eHh4eHh4eHh4eHh4eC5jbG91ZGZyb250Lm5ldFxuICpcbiAqIE90aGVyIHJlc291cmNlIHR5cGVzIGFyZSBhbHNvIGFsbG93ZWQgKEEsIEFBQUEsIEFMSUFTLCBldGMpLlxuICpcbiAqIENvbW1hbmQgbGluZSB1c2FnZTogQVdTX1BST0ZJTEU9eHh4IHRzLW5vZGUgY2xvdWRucy1jbG91ZGZvcm1hdGlvbi1zeW5jLnRzIDxjbG91ZG5zLXVzZXJuYW1lPiA8Y2xvdWRucy1wYXNzd29yZC1wYXJhbWV0ZXItbmFtZT4gW3R0bCBbc3RhY2tOYW1lLi4uXV1cbiAqXG4gKiBBV1NfUFJPRklMRT14eHggLSBTcGVjaWZ5IHlvdXIgQVdTIHByb2ZpbGUgaW4gfi8uYXdzL2NyZWRlbnRpYWxzIGFzIGFuIGVudmlyb25tZW50IHZhcmlhYmxlXG4gKiA8Y2xvdWRucy11c2VybmFtZT4gLSBDbG91RE5TIEFQSSBzdWItYXV0aC11c2VyXG4gKiA8Y2xvdWRucy1wYXNzd29yZC1wYXJhbWV0ZXItbmFtZT4gLSBTU00gUGFyYW1ldGVyIHdpdGggdGhlIGVuY3J5cHRlZCBDbG91RE5TIEFQSSBwYXNzd29yZFxuICogW3R0bF0gLSBPcHRpb25hbCBUVEwgZm9yIGdlbmVyYXRlZCByZWNvcmRzIChkZWZhdWx0cyB0byAzMDApXG4gKiBbc3RhY2tOYW1lLi4uXSAtIE9wdGlvbmFsIENsb3VkRm9ybWF0aW9uIHN0YWNrIG5hbWUocykgdG8gbGltaXQgdGhlIGV4cG9ydHMgdG8gc2NhbiAoZGVmYXVsdHMgdG8gYWxsIHN0YWNrcylcbiAqL1xuaW1wb3J0IHsgU1NNQ2xpZW50LCBHZXRQYXJhbWV0ZXJDb21tYW5kIH0gZnJvbSAnQGF3cy1zZGsvY2xpZW50LXNzbSdcbmltcG9ydCB7IENsb3VkRm9ybWF0aW9uQ2xpZW50LCBMaXN0RXhwb3J0c0NvbW1hbmQsIExpc3RFeHBvcnRzT3V0cHV0IH0gZnJvbSAnQGF3cy1zZGsvY2xpZW50LWNsb3VkZm9ybWF0aW9uJ1xuaW1wb3J0ICogYXMgcXVlcnlzdHJpbmcgZnJvbSAncXVlcnlzdHJpbmcnXG5cbi8vIExvYWQgfi8uYXdzL2NvbmZpZ1xucHJvY2Vzcy5lbnYuQVdTX1NES19MT0FEX0NPTkZJRyA9ICcxJ1xuXG50eXBlIENsb3VkbnNSZXN0Q2FsbFJlc3BvbnNlID0gYW55XG5cbmFzeW5jIGZ1bmN0aW9uIGNsb3VkbnNSZXN0Q2FsbChjbG91ZG5zVXNlcm5hbWU6IHN0cmluZywgY2xvdWRuc1Bhc3N3b3JkOiBzdHJpbmcsIG1ldGhvZDogc3RyaW5nLCByZWxhdGl2ZVVybDogc3RyaW5nLCBxdWVyeU9wdGlvbnM6IGFueSk6IFByb21pc2U8Q2xvdWRuc1Jlc3RDYWxsUmVzcG9uc2U+IHtcbiAgbGV0IGZ1bGxVcmwgPVxuICAgICdodHRwczovL2FwaS5jbG91ZG5zLm5ldCcgK1xuICAgIHJlbGF0aXZlVXJsICtcbiAgICAnPycgK1xuICAgIHF1ZXJ5c3RyaW5nLnN0cmluZ2lmeShcbiAgICAgIE9iamVjdC5hc3NpZ24oXG4gICAgICAgIHtcbiAgICAgICAgICAnc3ViLWF1dGgtdXNlcic6IGNsb3VkbnNVc2VybmFtZSxcbiAgICAgICAgICAnYXV0aC1wYXNzd29yZCc6IGNsb3VkbnNQYXNzd29yZCxcbiAgICAgICAgfSxcbiAgICAgICAgcXVlcnlPcHRpb25zIHx8IHt9XG4gICAgICApXG4gICAgKVxuXG4gIC8vIGNvbnNvbGUubG9nKCdOb3RlOiBDYWxsaW5nJywgZnVsbFVybClcblxuICBjb25zdCByZXNwb25zZSA9IGF3YWl0IGZldGNoKGZ1bGxVcmwsIHtcbiAgICBtZXRob2Q6IG1ldGhvZCxcbiAgICBoZWFkZXJzOiB7XG4gICAgICAnQ29udGVudC1UeXBlJzogJ2FwcGxpY2F0aW9uL2pzb24nLFxuICAgICAgQWNjZXB0OiAnYXBwbGljYXRpb24vanNvbicsXG4gICAgfSxcbiAgfSlcbiAgaWYgKCFyZXNwb25zZS5vaykge1xuICAgIGNvbnN0IGVycm9yVGV4dCA9IGF3YWl0IHJlc3BvbnNlLnRleHQoKVxuICAgIGNvbnNvbGUuZXJyb3IoJ0hUVFAgRXJyb3InLCByZXNwb25zZS5zdGF0dXMsIHJlc3BvbnNlLnN0YXR1c1RleHQsIGVycm9yVGV4dClcbiAgICB0aHJvdyBuZXcgRXJyb3IoZXJyb3JUZXh0KVxuICB9XG4gIGNvbnN0IHBhcnNlZFJlc3BvbnNlOiBDbG91ZG5zUmVzdENhbGxSZXNwb25zZSA9IGF3YWl0IHJlc3BvbnNlLmpzb24oKVxuICByZXR1cm4gcGFyc2VkUmVzcG9uc2Vcbn1cblxuYXN5bmMgZnVuY3Rpb24gYXV0b0RldGVjdENsb3VkbnNIb3N0QW5kWm9uZShjbG91ZG5zVXNlcm5hbWU6IHN0cmluZywgY2xvdWRuc1Bhc3N3b3JkOiBzdHJpbmcsIG5hbWU6IHN0cmluZywgem9uZUNhY2hlOiBhbnkpIHtcbiAgY29uc3QgbmFtZVBhcnRzID0gbmFtZS5zcGxpdCgnLicpXG5cbiAgLy8gWm9uZSBhbmQgaG9zdCBuYW1lIGZvciB4eHgudGxkXG4gIGNvbnN0IGhvc3ROYW1lMSA9IG5hbWVQYXJ0cy5zbGljZSgwLCBuYW1lUGFydHMubGVuZ3RoIC0gMikuam9pbignLicpXG4gIGNvbnN0IHpvbmVOYW1lMSA9IG5hbWVQYXJ0cy5zbGljZShuYW1lUGFydHMubGVuZ3RoIC0gMikuam9pbignLicpXG5cbiAgLy8gWm9uZSBhbmQgaG9zdCBuYW1lIGZvciB4eHguc3VidGxkLnRsZFxuICBjb25zdCBob3N0TmFtZTIgPSBuYW1lUGFydHMuc2xpY2UoMCwgbmFtZVBhcnRzLmxlbmd0aCAtIDMpLmpvaW4oJy4nKVxuICBjb25zdCB6b25lTmFtZTIgPSBuYW1lUGFydHMuc2xpY2UobmFtZVBhcnRzLmxlbmd0aCAtIDMpLmpvaW4oJy4nKVxuXG4gIC8vIENoZWNrIHdoaWNoIHpvbmUgZXhpc3RzXG4gIGNvbnN0IHpvbmVSZXNwb25zZTEgPVxuICAgIHpvbmVDYWNoZVt6b25lTmFtZTFdIHx8XG4gICAgKGF3YWl0IGNsb3VkbnNSZXN0Q2FsbChjbG91ZG5zVXNlcm5hbWUsIGNsb3VkbnNQYXNzd29yZCwgJ0dFVCcsICcvZG5zL2dldC16b25lLWluZm8uanNvbicsIHtcbiAgICAgICdkb21haW4tbmFtZSc6IHpvbmVOYW1lMSxcbiAgICB9KSlcbiAgem9uZUNhY2hlW3pvbmVOYW1lMV0gPSB6b25lUmVzcG9uc2UxXG4gIGNvbnN0IHpvbmVSZXNwb25zZTIgPVxuICAgIHpvbmVDYWNoZVt6b25lTmFtZTJdIHx8XG4gICAgKGF3YWl0IGNsb3VkbnNSZXN0Q2FsbChjbG91ZG5zVXNlcm5hbWUsIGNsb3VkbnNQYXNzd29yZCwgJ0dFVCcsICcvZG5zL2dldC16b25lLWluZm8uanNvbicsIHtcbiAgICAgICdkb21haW4tbmFtZSc6IHpvbmVOYW1lMixcbiAgICB9KSlcbiAgem9uZUNhY2hlW3pvbmVOYW1lMl0gPSB6b25lUmVzcG9uc2UyXG5cbiAgLy8gY29uc29sZS5sb2coJ05vdGU6IFJlc3BvbnNlIGZvciBob3N0JywgaG9zdE5hbWUxLCAnaW4gem9uZScsIHpvbmVOYW1lMSwgJzonLCB6b25lUmVzcG9uc2UxKVxuICAvLyBjb25zb2xlLmxvZygnTm90ZTogUmVzcG9uc2UgZm9yIGhvc3QnLCBob3N0TmFtZTIsICdpbiB6b25lJywgem9uZU5hbWUyLCAnOicsIHpvbmVSZXNwb25zZTIpXG5cbiAgY29uc3Qgem9uZU5hbWUgPSB6b25lUmVzcG9uc2UxLnN0YXR1cyA9PT0gJzEnID8gem9uZU5hbWUxIDogem9uZVJlc3BvbnNlMi5zdGF0dXMgPT09ICcxJyA/IHpvbmVOYW1lMiA6ICcnXG4gIGNvbnN0IGhvc3ROYW1lID0gem9uZVJlc3BvbnNlMS5zdGF0dXMgPT09ICcxJyA/IGhvc3ROYW1lMSA6IHpvbmVSZXNwb25zZTIuc3RhdHVzID09PSAnMScgPyBob3N0TmFtZTIgOiAnJ1xuICBpZiAoIXpvbmVOYW1lKSB7XG4gICAgLy8gTmVpdGhlciB6b25lIGV4aXN0c1xuICAgIHRocm93IG5ldyBFcnJvcignWm9uZSBOb3QgRm91bmQ6ICcgKyBuYW1lKVxuICB9XG4gIHJldHVybiB7XG4gICAgaG9zdE5hbWU6IGhvc3ROYW1lLFxuICAgIHpvbmVOYW1lOiB6b25lTmFtZSxcbiAgfVxufVxuXG5hc3luYyBmdW5jdGlvbiBjcmVhdGVPclVwZGF0ZUNsb3VkbnNSZXNvdXJjZShcbiAgY2xvdWRuc1VzZXJuYW1lOiBzdHJpbmcsXG4gIGNsb3VkbnNQYXNzd29yZDogc3RyaW5nLFxuICBuYW1lOiBzdHJpbmcsXG4gIHR5cGU6IHN0cmluZyxcbiAgdmFsdWU6IHN0cmluZyxcbiAgdHRsVmFsdWU6IHN0cmluZyxcbiAgem9uZUNhY2hlOiBhbnlcbikge1xuICBjb25zdCB7IHpvbmVOYW1lLCBob3N0TmFtZSB9ID0gYXdhaXQgYXV0b0RldGVjdENsb3VkbnNIb3N0QW5kWm9uZShjbG91ZG5zVXNlcm5hbWUsIGNsb3VkbnNQYXNzd29yZCwgbmFtZSwgem9uZUNhY2hlKVxuICAvLyBEb2VzIHRoZSByZWNvcmQgZXhpc3Q/XG4gIGNvbnN0IHJlY29yZHNSZXNwb25zZSA9IGF3YWl0IGNsb3VkbnNSZXN0Q2FsbChjbG91ZG5zVXNlcm5hbWUsIGNsb3VkbnNQYXNzd29yZCwgJ0dFVCcsICcvZG5zL3JlY29yZHMuanNvbicsIHtcbiAgICAnZG9tYWluLW5hbWUnOiB6b25lTmFtZSxcbiAgICBob3N0OiBob3N0TmFtZSxcbiAgICB0eXBlOiB0eXBlLFxuICB9KVxuICBjb25zdCBleGlzdGluZ1JlY29yZDogYW55ID0gT2JqZWN0LnZhbHVlcyhyZWNvcmRzUmVzcG9uc2UpWzBdXG4gIGlmIChleGlzdGluZ1JlY29yZD8uaG9zdCA9PT0gaG9zdE5hbWUgJiYgZXhpc3RpbmdSZWNvcmQ/LnR5cGUgPT09IHR5cGUgJiYgZXhpc3RpbmdSZWNvcmQ/LnR0bCA9PT0gdHRsVmFsdWUgJiYgZXhpc3RpbmdSZWNvcmQ/LnJlY29yZCA9PT0gdmFsdWUpIHtcbiAgICAvLyBSZWNvcmQgZXhpc3RzIGFscmVhZHkgLSBubyBjaGFuZ2VcbiAgICBjb25zb2xlLmxvZygnT0snLCBuYW1lLCB0eXBlLCB0dGxWYWx1ZSwgdmFsdWUsICdaT05FJywgem9uZU5hbWUsICdIT1NUJywgaG9zdE5hbWUpXG4gIH0gZWxzZSBpZiAoZXhpc3RpbmdSZWNvcmQ/LmlkKSB7XG4gICAgLy8gVXBkYXRlIHJlY29yZFxuICAgIGNvbnNvbGUubG9nKCdVUERBVEUnLCBuYW1lLCB0eXBlLCB0dGxWYWx1ZSwgdmFsdWUsICdaT05FJywgem9uZU5hbWUsICdIT1NUJywgaG9zdE5hbWUpXG4gICAgY29uc3QgcmVzdWx0ID0gYXdhaXQgY2xvdWRuc1Jlc3RDYWxsKGNsb3VkbnNVc2VybmFtZSwgY2xvdWRuc1Bhc3N3b3JkLCAnUE9TVCcsICcvZG5zL21vZC1yZWNvcmQuanNvbicsIHtcbiAgICAgICdkb21haW4tbmFtZSc6IHpvbmVOYW1lLFxuICAgICAgJ3JlY29yZC1pZCc6IGV4aXN0aW5nUmVjb3JkPy5pZCxcbiAgICAgIGhvc3Q6IGhvc3ROYW1lLFxuICAgICAgJ3JlY29yZC10eXBlJzogdHlwZSxcbiAgICAgIHJlY29yZDogdmFsdWUsXG4gICAgICB0dGw6IHR0bFZhbHVlLFxuICAgIH0pXG4gICAgaWYgKHJlc3VsdC5zdGF0dXMgPT09ICdGYWlsZWQnKSB7XG4gICAgICB0aHJvdyBuZXcgRXJyb3IoJ01vZGlmeSByZWNvcmQgZmFpbGVkOiAnICsgKHJlc3VsdC5zdGF0dXNNZXNzYWdlIHx8IHJlc3VsdC5zdGF0dXNEZXNjcmlwdGlvbikpXG4gICAgfVxuICB9IGVsc2Uge1xuICAgIC8vIENyZWF0ZSByZWNvcmRcbiAgICBjb25zb2xlLmxvZygnQ1JFQVRFJywgbmFtZSwgdHlwZSwgdHRsVmFsdWUsIHZhbHVlLCAnWk9ORScsIHpvbmVOYW1lLCAnSE9TVCcsIGhvc3ROYW1lKVxuICAgIGNvbnN0IHJlc3VsdCA9IGF3YWl0IGNsb3VkbnNSZXN0Q2FsbChjbG91ZG5zVXNlcm5hbWUsIGNsb3VkbnNQYXNzd29yZCwgJ1BPU1QnLCAnL2Rucy9hZGQtcmVjb3JkLmpzb24nLCB7XG4gICAgICAnZG9tYWluLW5hbWUnOiB6b25lTmFtZSxcbiAgICAgIGhvc3Q6IGhvc3ROYW1lLFxuICAgICAgJ3JlY29yZC10eXBlJzogdHlwZSxcbiAgICAgIHJlY29yZDogdmFsdWUsXG4gICAgICB0dGw6IHR0bFZhbHVlLFxuICAgIH0pXG4gICAgaWYgKHJlc3VsdC5zdGF0dXMgPT09ICdGYWlsZWQnKSB7XG4gICAgICB0aHJvdyBuZXcgRXJyb3IoJ0FkZCByZWNvcmQgZmFpbGVkOiAnICsgKHJlc3VsdC5zdGF0dXNNZXNzYWdlIHx8IHJlc3VsdC5zdGF0dXNEZXNjcmlwdGlvbikpXG4gICAgfVxuICB9XG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBtYWluKCkge1xuICBjb25zb2xlLmxvZygnQ2xvdUROUyBDbG91ZEZvcm1hdGlvbiBTeW5jIGJ5IEtlbm5ldGggRmFsY2sgPGtlbm51QGNsb3VkZW4ubmV0PiAoQykgQ2xvdWRlbiBPeSAyMDIwLTIwMjQnKVxuICBjb25zdCBjbG91ZG5zVXNlcm5hbWUgPSBwcm9jZXNzLmFyZ3ZbMl1cbiAgY29uc3QgY2xvdWRuc1Bhc3N3b3JkUGFyYW1ldGVyID0gcHJvY2Vzcy5hcmd2WzNdXG4gIGNvbnN0IHR0bFZhbHVlID0gcHJvY2Vzcy5hcmd2WzRdIHx8ICczMDAnXG4gIGNvbnN0IHN0YWNrTmFtZXMgPSBwcm9jZXNzLmFyZ3Yuc2xpY2UoNSlcbiAgaWYgKCFjbG91ZG5zVXNlcm5hbWUpIHtcbiAgICBjb25zb2xlLmVycm9yKCdVc2FnZTogY2xvdWRucy1jbG91ZGZvcm1hdGlvbi1zeW5jIDxjbG91ZG5zLXVzZXJuYW1lPiA8Y2xvdWRucy1wYXNzd29yZC1wYXJhbWV0ZXItbmFtZT4gW3R0bCBbc3RhY2tOYW1lLi4uXV0nKVxuICAgIHByb2Nlc3MuZXhpdCgxKVxuICB9XG4gIGlmICghY2xvdWRuc1Bhc3N3b3JkUGFyYW1ldGVyKSB7XG4gICAgY29uc29sZS5lcnJvcignVXNhZ2U6IGNsb3VkbnMtY2xvdWRmb3JtYXRpb24tc3luYyA8Y2xvdWRucy11c2VybmFtZT4gPGNsb3VkbnMtcGFzc3dvcmQtcGFyYW1ldGVyLW5hbWU+IFt0dGwgW3N0YWNrTmFtZS4uLl1dJylcbiAgICBwcm9jZXNzLmV4aXQoMSlcbiAgfVxuXG4gIGNvbnN0IHNzbSA9IG5ldyBTU01DbGllbnQoe30pXG4gIGNvbnN0IHpvbmVDYWNoZSA9IHt9XG5cbiAgY29uc3QgcmVzcG9uc2UgPSBhd2FpdCBzc20uc2VuZChcbiAgICBuZXcgR2V0UGFyYW1ldGVyQ29tbWFuZCh7XG4gICAgICBOYW1lOiBjbG91ZG5zUGFzc3dvcmRQYXJhbWV0ZXIsXG4gICAgICBXaXRoRGVjcnlwdGlvbjogdHJ1ZSxcbiAgICB9KVxuICApXG4gIGNvbnN0IGNsb3VkbnNQYXNzd29yZCA9IHJlc3BvbnNlLlBhcmFtZXRlcj8uVmFsdWUgfHwgJydcblxuICBjb25zdCBjbG91ZEZvcm1hdGlvbiA9IG5ldyBDbG91ZEZvcm1hdGlvbkNsaWVudCh7fSlcbiAgbGV0IG5leHRUb2tlblxuICBkbyB7XG4gICAgY29uc3QgcmVzcG9uc2U6IExpc3RFeHBvcnRzT3V0cHV0ID0gYXdhaXQgY2xvdWRGb3JtYXRpb24uc2VuZChcbiAgICAgIG5ldyBMaXN0RXhwb3J0c0NvbW1hbmQoe1xuICAgICAgICBOZXh0VG9rZW46IG5leHRUb2tlbixcbiAgICAgIH0pXG4gICAgKVxuICAgIGZvciAoY29uc3QgZXhwb3J0T2JqIG9mIHJlc3BvbnNlLkV4cG9ydHMgfHwgW10pIHtcbiAgICAgIGlmIChzdGFja05hbWVzLmxlbmd0aCAmJiAhc3RhY2tOYW1lcy5pbmNsdWRlcyhleHBvcnRPYmouRXhwb3J0aW5nU3RhY2tJZCB8fCAnJykpIHtcbiAgICAgICAgLy8gQ2hlY2sgaWYgdGhlIG5hbWUgcGFydCBvZiB0aGUgSUQgbWF0Y2hlcyBhcm46YXdzOmNsb3VkZm9ybWF0aW9uOmV1LXdlc3QtMTo8eHh4PjpzdGFjay88bmFtZT4vPHh4eD5cbiAgICAgICAgY29uc3QgbSA9IGV4cG9ydE9iai5FeHBvcnRpbmdTdGFja0lkPy5tYXRjaCgvXmFybjpbXjpdKzpjbG91ZGZvcm1hdGlvbjpbXjpdKzpbXjpdKzpzdGFja1xcLyhbXlxcL10rKVxcLy8pXG4gICAgICAgIGlmICghbSB8fCAhc3RhY2tOYW1lcy5pbmNsdWRlcyhtWzFdKSkge1xuICAgICAgICAgIC8vIFN0YWNrIElEIG5hbWUgcGFydCBkaWRuJ3QgbWF0Y2ggZ2l2ZW4gc3RhY2tOYW1lLCBzbyBza2lwIGl0XG4gICAgICAgICAgY29udGludWVcbiAgICAgICAgfVxuICAgICAgfVxuICAgICAgaWYgKGV4cG9ydE9iai5OYW1lPy5tYXRjaCgvXkNsb3VETlM6LykpIHtcbiAgICAgICAgY29uc3QgbmFtZVBhcnRzID0gZXhwb3J0T2JqLk5hbWUuc3BsaXQoJzonKVxuICAgICAgICBjb25zdCByZXNvdXJjZVR5cGUgPSBuYW1lUGFydHNbMV1cbiAgICAgICAgY29uc3QgcmVzb3VyY2VOYW1lID0gbmFtZVBhcnRzLnNsaWNlKDIpLmpvaW4oJy4nKVxuICAgICAgICBjb25zdCByZXNvdXJjZVZhbHVlID0gZXhwb3J0T2JqLlZhbHVlIVxuICAgICAgICBhd2FpdCBjcmVhdGVPclVwZGF0ZUNsb3VkbnNSZXNvdXJjZShjbG91ZG5zVXNlcm5hbWUsIGNsb3VkbnNQYXNzd29yZCwgcmVzb3VyY2VOYW1lLCByZXNvdXJjZVR5cGUsIHJlc291cmNlVmFsdWUsIHR0bFZhbHVlLCB6b25lQ2FjaGUpXG4gICAgICB9XG4gICAgfVxuICAgIG5leHRUb2tlbiA9IHJlc3BvbnNlLk5leHRUb2tlblxuICB9IHdoaWxlIChuZXh0VG9rZW4pXG59XG4iXX0=
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY2xvdWRucy1jbG91ZGZvcm1hdGlvbi1zeW5jLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vc3JjL2Nsb3VkbnMtY2xvdWRmb3JtYXRpb24tc3luYy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7O0FBNkpBLG9EQVdDO0FBRUQsOENBaUJDO0FBcUJELHdDQWFDO0FBRUQsb0JBb0VDO0FBblNEOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7R0FtREc7QUFDSCxvREFBb0U7QUFDcEUsMEVBQTRHO0FBQzVHLG9EQUF5RTtBQUN6RSx3RUFBd0U7QUFDeEUseURBQTBEO0FBQzFELHFDQUE4RDtBQUM5RCx1Q0FBcUU7QUFDckUsaUNBWWU7QUFFZiwyQ0FBd0I7QUFDeEIsaURBQThCO0FBQzlCLHFEQUFrQztBQUNsQyxvREFBaUM7QUFDakMsNENBQXlCO0FBQ3pCLHlDQUFzQjtBQUN0QixrREFBK0I7QUFFL0IscUJBQXFCO0FBQ3JCLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLEdBQUcsR0FBRyxDQUFBO0FBUXJDLFNBQVMsbUJBQW1CLENBQUMsWUFBMEI7SUFDckQsT0FBTyxDQUFDLFlBQVksQ0FBQyxNQUFNLElBQUksZ0JBQWdCLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEdBQUcsR0FBRyxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQTtBQUM3RyxDQUFDO0FBV0QsS0FBSyxVQUFVLG9CQUFvQixDQUFDLGNBQW9DLEVBQUUsWUFBMEI7SUFDbEcsTUFBTSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsR0FBRyxZQUFZLENBQUE7SUFDekMsTUFBTSxNQUFNLEdBQUcsTUFBTSxjQUFjLENBQUMsTUFBTSxDQUFDLE1BQU0sRUFBRSxDQUFBO0lBQ25ELElBQUksT0FBTyxFQUFFLENBQUM7UUFDWixxQ0FBcUM7UUFDckMsT0FBTyxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFBO0lBQ3JELENBQUM7SUFDRCxNQUFNLEdBQUcsR0FBRyxJQUFJLHNCQUFTLENBQUMsRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLENBQUMsQ0FBQTtJQUM5QyxNQUFNLFFBQVEsR0FBRyxNQUFNLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxxQ0FBd0IsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFBO0lBQ2pFLE9BQU8sRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLFFBQVEsQ0FBQyxPQUFPLElBQUksRUFBRSxFQUFFLENBQUE7QUFDdEQsQ0FBQztBQUVELEtBQUssVUFBVSxrQkFBa0IsQ0FBQyxRQUFnQixFQUFFLFlBQTBCLEVBQUUsS0FBYzs7SUFDNUYsTUFBTSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEdBQUcsWUFBWSxDQUFBO0lBQ2pELE1BQU0sY0FBYyxHQUFvQixFQUFFLENBQUE7SUFDMUMsTUFBTSxjQUFjLEdBQW9CLEVBQUUsQ0FBQTtJQUMxQyxNQUFNLGNBQWMsR0FBRyxJQUFJLDRDQUFvQixDQUFDO1FBQzlDLE1BQU0sRUFBRSxNQUFNO1FBQ2QsT0FBTyxFQUFFLE9BQU87UUFDaEIsNkRBQTZEO1FBQzdELFdBQVcsRUFBRSxPQUFPO1lBQ2xCLENBQUMsQ0FBQyxJQUFBLCtDQUF3QixFQUFDO2dCQUN2QixNQUFNLEVBQUUsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLGVBQWUsRUFBRSw2QkFBNkIsRUFBRTtnQkFDNUUsWUFBWSxFQUFFLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRTthQUNsQyxDQUFDO1lBQ0osQ0FBQyxDQUFDLFNBQVM7S0FDZCxDQUFDLENBQUE7SUFDRixJQUFJLFNBQVMsQ0FBQTtJQUNiLEdBQUcsQ0FBQztRQUNGLE1BQU0sUUFBUSxHQUFzQixNQUFNLGNBQWMsQ0FBQyxJQUFJLENBQzNELElBQUksMENBQWtCLENBQUM7WUFDckIsU0FBUyxFQUFFLFNBQVM7U0FDckIsQ0FBQyxDQUNILENBQUE7UUFDRCxLQUFLLE1BQU0sU0FBUyxJQUFJLFFBQVEsQ0FBQyxPQUFPLElBQUksRUFBRSxFQUFFLENBQUM7WUFDL0MsMEhBQTBIO1lBQzFILE1BQU0sT0FBTyxHQUFHLFNBQVMsQ0FBQyxnQkFBZ0IsSUFBSSxFQUFFLENBQUE7WUFDaEQsSUFBSSxNQUFBLFNBQVMsQ0FBQyxJQUFJLDBDQUFFLEtBQUssQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDO2dCQUN2QyxNQUFNLE1BQU0sR0FBRyxtQkFBbUIsQ0FBQyxZQUFZLENBQUMsQ0FBQTtnQkFDaEQsSUFBSSxDQUFDO29CQUNILGNBQWMsQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFBLHFCQUFXLEVBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxTQUFTLENBQUMsS0FBSyxJQUFJLEVBQUUsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUE7Z0JBQ3ZHLENBQUM7Z0JBQUMsT0FBTyxHQUFRLEVBQUUsQ0FBQztvQkFDbEIsZ0RBQWdEO29CQUNoRCxjQUFjLENBQUMsSUFBSSxDQUFDLEVBQUUsVUFBVSxFQUFFLFNBQVMsQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUE7Z0JBQzFGLENBQUM7WUFDSCxDQUFDO1FBQ0gsQ0FBQztRQUNELFNBQVMsR0FBRyxRQUFRLENBQUMsU0FBUyxDQUFBO0lBQ2hDLENBQUMsUUFBUSxTQUFTLEVBQUM7SUFDbkIsZ0VBQWdFO0lBQ2hFLE1BQU0sVUFBVSxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxvQkFBb0IsQ0FBQyxjQUFjLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQTtJQUMvRixPQUFPLEVBQUUsY0FBYyxFQUFFLGNBQWMsRUFBRSxVQUFVLEVBQUUsQ0FBQTtBQUN2RCxDQUFDO0FBRU0sS0FBSyxVQUFVLG9CQUFvQixDQUFDLE1BQWtCOztJQUMzRCxNQUFNLEVBQUUsUUFBUSxFQUFFLGlCQUFpQixFQUFFLGNBQWMsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEdBQUcsTUFBTSxDQUFBO0lBQ2hGLE1BQU0sR0FBRyxHQUFHLElBQUksc0JBQVMsQ0FBQyxFQUFFLE1BQU0sRUFBRSxjQUFjLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLE9BQU8sRUFBRSxDQUFDLENBQUE7SUFFNUUsTUFBTSxRQUFRLEdBQUcsTUFBTSxHQUFHLENBQUMsSUFBSSxDQUM3QixJQUFJLGdDQUFtQixDQUFDO1FBQ3RCLElBQUksRUFBRSxpQkFBaUI7UUFDdkIsY0FBYyxFQUFFLElBQUk7S0FDckIsQ0FBQyxDQUNILENBQUE7SUFDRCxPQUFPLElBQUEsd0NBQXFCLEVBQUMsUUFBUSxFQUFFLENBQUEsTUFBQSxRQUFRLENBQUMsU0FBUywwQ0FBRSxLQUFLLEtBQUksRUFBRSxDQUFDLENBQUE7QUFDekUsQ0FBQztBQUVNLEtBQUssVUFBVSxpQkFBaUIsQ0FBQyxNQUFrQjtJQUN4RCxNQUFNLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsR0FBRyxFQUFFLEtBQUssRUFBRSxXQUFXLEVBQUUsR0FBRyxNQUFNLENBQUE7SUFDdEUsNEZBQTRGO0lBQzVGLE1BQU0sYUFBYSxHQUFtQixFQUFFLENBQUE7SUFDeEMsS0FBSyxNQUFNLE1BQU0sSUFBSSxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQztRQUM1RCxLQUFLLE1BQU0sT0FBTyxJQUFJLENBQUMsU0FBUyxFQUFFLEdBQUcsUUFBUSxDQUFDLEVBQUUsQ0FBQztZQUMvQyxhQUFhLENBQUMsSUFBSSxDQUFDLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFBO1FBQ2xELENBQUM7SUFDSCxDQUFDO0lBQ0QsTUFBTSxhQUFhLEdBQUcsTUFBTSxJQUFBLHNCQUFlLEVBQUMsYUFBYSxFQUFFLFdBQVcsRUFBRSxDQUFDLFlBQVksRUFBRSxFQUFFLENBQUMsa0JBQWtCLENBQUMsR0FBRyxFQUFFLFlBQVksRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFBO0lBQ3ZJLE1BQU0sRUFBRSxjQUFjLEVBQUUsU0FBUyxFQUFFLEdBQUcsSUFBQSwwQkFBbUIsRUFBQyxhQUFhLENBQUMsR0FBRyxDQUFDLENBQUMsWUFBWSxFQUFFLEVBQUUsQ0FBQyxZQUFZLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQTtJQUMzSCxPQUFPO1FBQ0wsY0FBYztRQUNkLFNBQVM7UUFDVCxXQUFXLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFDLENBQUMsWUFBWSxFQUFFLEVBQUUsQ0FBQyxZQUFZLENBQUMsVUFBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUU7UUFDdkYsY0FBYyxFQUFHLEVBQXNCLENBQUMsTUFBTSxDQUFDLEdBQUcsYUFBYSxDQUFDLEdBQUcsQ0FBQyxDQUFDLFlBQVksRUFBRSxFQUFFLENBQUMsWUFBWSxDQUFDLGNBQWMsQ0FBQyxDQUFDO0tBQ3BILENBQUE7QUFDSCxDQUFDO0FBRUQsS0FBSyxVQUFVLGNBQWMsQ0FBQyxNQUFrQjtJQUM5QyxNQUFNLFFBQVEsR0FBRyxNQUFNLG9CQUFvQixDQUFDLE1BQU0sQ0FBQyxDQUFBO0lBQ25ELE1BQU0sRUFBRSxjQUFjLEVBQUUsV0FBVyxFQUFFLGNBQWMsRUFBRSxTQUFTLEVBQUUsR0FBRyxNQUFNLGlCQUFpQixDQUFDLE1BQU0sQ0FBQyxDQUFBO0lBQ2xHLE1BQU0sSUFBSSxHQUFHLE1BQU0sSUFBQSxlQUFRLEVBQUMsUUFBUSxFQUFFLGNBQWMsRUFBRSxNQUFNLENBQUMsVUFBVSxFQUFFLE1BQU0sQ0FBQyxLQUFLLEVBQUU7UUFDckYsV0FBVyxFQUFFLE1BQU0sQ0FBQyxXQUFXO1FBQy9CLFdBQVc7UUFDWCxjQUFjO1FBQ2QsU0FBUztLQUNWLENBQUMsQ0FBQTtJQUNGLE9BQU8sRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLENBQUE7QUFDM0IsQ0FBQztBQVNELFNBQWdCLGNBQWMsQ0FBQyxXQUF5QjtJQUN0RCx5RUFBeUU7SUFDekUsTUFBTSxPQUFPLEdBQUcsSUFBQSxvQkFBYSxFQUFFLEVBQWtCLENBQUMsTUFBTSxDQUFDLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDLFVBQVUsRUFBRSxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQTtJQUM5RyxPQUFPLENBQUMsTUFBTSxJQUFJLFdBQVcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxVQUFVLEVBQUUsRUFBRSxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUE7SUFDN0UsTUFBTSxPQUFPLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ3RELFFBQVEsRUFBRSxNQUFNLENBQUMsUUFBUTtRQUN6QixPQUFPLEVBQUUsTUFBTSxDQUFDLE9BQU87UUFDdkIsUUFBUSxFQUFFLE1BQU0sQ0FBQyxRQUFRO1FBQ3pCLE9BQU8sRUFBRSxNQUFNLENBQUMsT0FBTztRQUN2QixLQUFLLEVBQUUsS0FBSztLQUNiLENBQUMsQ0FBQyxDQUFBO0lBQ0gsTUFBTSxPQUFPLEdBQUksRUFBWSxDQUFDLE1BQU0sQ0FBQyxHQUFHLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxVQUFVLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsR0FBRyxTQUFTLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFBO0lBQ3RKLE9BQU8sSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUE7QUFDN0UsQ0FBQztBQUVNLEtBQUssVUFBVSxJQUFJO0lBQ3hCLElBQUksV0FBVyxDQUFBO0lBQ2YsSUFBSSxDQUFDO1FBQ0gsV0FBVyxHQUFHLElBQUEseUJBQWdCLEVBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQTtJQUN2RCxDQUFDO0lBQUMsT0FBTyxHQUFRLEVBQUUsQ0FBQztRQUNsQixPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQTtRQUMxQixPQUFPLENBQUMsS0FBSyxDQUFDLGNBQUssQ0FBQyxDQUFBO1FBQ3BCLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUE7SUFDakIsQ0FBQztJQUNELE1BQU0sRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxPQUFPLEVBQUUsR0FBRyxXQUFXLENBQUE7SUFDekQsSUFBSSxJQUFJLEVBQUUsQ0FBQztRQUNULE9BQU8sQ0FBQyxHQUFHLENBQUMsY0FBSyxDQUFDLENBQUE7UUFDbEIsT0FBTTtJQUNSLENBQUM7SUFDRCxnRUFBZ0U7SUFDaEUsTUFBTSxHQUFHLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFBO0lBQ3BELEdBQUcsQ0FBQywyRkFBMkYsQ0FBQyxDQUFBO0lBQ2hHLElBQUksVUFBVSxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDMUIsT0FBTyxDQUFDLEtBQUssQ0FBQyxtREFBbUQsQ0FBQyxDQUFBO1FBQ2xFLE9BQU8sQ0FBQyxLQUFLLENBQUMsY0FBSyxDQUFDLENBQUE7UUFDcEIsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQTtJQUNqQixDQUFDO0lBRUQsTUFBTSxXQUFXLEdBQWlCLEVBQUUsQ0FBQTtJQUNwQyxNQUFNLE1BQU0sR0FBZ0IsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsSUFBSSxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxDQUFBO0lBQ2pHLEtBQUssTUFBTSxNQUFNLElBQUksT0FBTyxFQUFFLENBQUM7UUFDN0IsSUFBSSxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO1lBQ3ZCLEdBQUcsQ0FBQyxRQUFRLEVBQUUsTUFBTSxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsTUFBTSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksV0FBVyxFQUFFLFNBQVMsRUFBRSxNQUFNLENBQUMsT0FBTyxJQUFJLFdBQVcsQ0FBQyxDQUFBO1FBQzdILENBQUM7UUFDRCxJQUFJLFFBQVEsQ0FBQTtRQUNaLElBQUksVUFBdUIsQ0FBQTtRQUMzQixJQUFJLENBQUM7WUFDSCxDQUFDO1lBQUEsQ0FBQyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLEdBQUcsTUFBTSxjQUFjLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQTtRQUNsRSxDQUFDO1FBQUMsT0FBTyxHQUFRLEVBQUUsQ0FBQztZQUNsQiwrRkFBK0Y7WUFDL0YsT0FBTyxDQUFDLEtBQUssQ0FBQyxlQUFlLEVBQUUsTUFBTSxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsTUFBTSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksV0FBVyxFQUFFLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQTtZQUMvRyxXQUFXLENBQUMsSUFBSSxDQUFDLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFBO1lBQzFELE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQTtZQUNmLFNBQVE7UUFDVixDQUFDO1FBQ0QsV0FBVyxDQUFDLElBQUksQ0FBQyxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLENBQUMsQ0FBQTtRQUM5QyxJQUFJLE1BQU0sRUFBRSxDQUFDO1lBQ1gsd0RBQXdEO1lBQ3hELElBQUksQ0FBQyxVQUFVLEVBQUUsQ0FBQztnQkFDaEIsSUFBQSxnQkFBUyxFQUFDLFVBQVUsQ0FBQyxDQUFBO1lBQ3ZCLENBQUM7WUFDRCxNQUFNLENBQUMsTUFBTSxJQUFJLElBQUEsb0JBQWEsRUFBQyxVQUFVLENBQUMsQ0FBQyxNQUFNLENBQUE7WUFDakQsU0FBUTtRQUNWLENBQUM7UUFDRCw4RUFBOEU7UUFDOUUsTUFBTSxZQUFZLEdBQUcsTUFBTSxJQUFBLGdCQUFTLEVBQUMsUUFBUSxFQUFFLFVBQVUsRUFBRSxFQUFFLFdBQVcsRUFBRSxNQUFNLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQTtRQUMvRixNQUFNLENBQUMsTUFBTSxJQUFJLFlBQVksQ0FBQyxNQUFNLENBQUE7UUFDcEMsTUFBTSxDQUFDLE1BQU0sSUFBSSxZQUFZLENBQUMsTUFBTSxDQUFBO1FBQ3BDLE1BQU0sQ0FBQyxJQUFJLElBQUksWUFBWSxDQUFDLElBQUksQ0FBQTtRQUNoQyxNQUFNLENBQUMsTUFBTSxJQUFJLFlBQVksQ0FBQyxNQUFNLENBQUE7UUFDcEMsTUFBTSxDQUFDLE1BQU0sSUFBSSxZQUFZLENBQUMsTUFBTSxDQUFBO1FBQ3BDLE1BQU0sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEdBQUcsWUFBWSxDQUFDLFFBQVEsQ0FBQyxDQUFBO0lBQ2hELENBQUM7SUFFRCxJQUFJLE1BQU0sSUFBSSxVQUFVLEVBQUUsQ0FBQztRQUN6QixPQUFPLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFBO0lBQzFDLENBQUM7SUFDRCxJQUFJLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDWixJQUFBLHVCQUFnQixFQUFDLE1BQU0sQ0FBQyxDQUFBO0lBQzFCLENBQUM7SUFDRCxJQUFJLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQztRQUNsQixPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFBO0lBQ2pCLENBQUM7QUFDSCxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBSZWFkIEFXUyBDbG91ZEZvcm1hdGlvbiBFeHBvcnRzIGFuZCBhdXRvZ2VuZXJhdGUgQ2xvdUROUyByZWNvcmRzIGJhc2VkIG9uIHRoZWlyIG5hbWVzIGFuZCB2YWx1ZXMuXG4gKiBLZW5uZXRoIEZhbGNrIDxrZW5udUBjbG91ZGVuLm5ldD4gKEMpIENsb3VkZW4gT3kgMjAyMC0yMDI0XG4gKlxuICogVGhpcyB0b29sIGNhbiBiZSB1c2VkIHRvIGF1dG9nZW5lcmF0ZSBDbG91RE5TIHJlY29yZHMgZm9yIENsb3VkRm9ybWF0aW9uIHJlc291cmNlcyBsaWtlXG4gKiBDbG91ZEZyb250IGRpc3RyaWJ1dGlvbnMgYW5kIEFQSSBHYXRld2F5IGRvbWFpbnMuXG4gKlxuICogQ2xvdWRGb3JtYXRpb24gZXhwb3J0IG5hbWUgbXVzdCBzcGVjaWZ5IHRoZSByZXNvdXJjZSB0eXBlIGFuZCByZWNvcmQgaG9zdG5hbWUgYXMgZm9sbG93czpcbiAqIENsb3VETlM6Q05BTUU6bXlob3N0OmV4YW1wbGU6b3JnXG4gKlxuICogQ2xvdWRGb3JtYXRpb24gZXhwb3J0IHZhbHVlIG11c3Qgc3BlY2lmeSB0aGUgcmVjb3JkIHZhbHVlIGFzLWlzIChmb3IgaW5zdGFuY2UsIGEgZGlzdHJpYnV0aW9uIGRvbWFpbiBuYW1lKTpcbiAqIHh4eHh4eHh4eHh4eHh4LmNsb3VkZnJvbnQubmV0XG4gKlxuICogVGhlIGFib3ZlIGV4YW1wbGUgd2lsbCBnZW5lcmF0ZSB0aGUgZm9sbG93aW5nIHJlY29yZCBpbiB0aGUgQ2xvdUROUyB6b25lIGV4YW1wbGUub3JnOlxuICogbXlob3N0LmV4YW1wbGUub3JnIENOQU1FIHh4eHh4eHh4eHh4eHh4LmNsb3VkZnJvbnQubmV0XG4gKlxuICogVGhlIHpvbmUgaXMgdGhlIGxvbmdlc3Qgem9uZSBuYW1lIGluIHRoZSBDbG91RE5TIGFjY291bnQgdGhhdCBtYXRjaGVzIHRoZSBlbmQgb2YgdGhlIHJlY29yZCBuYW1lLlxuICpcbiAqIE90aGVyIHJlc291cmNlIHR5cGVzIGFyZSBhbHNvIGFsbG93ZWQgKEEsIEFBQUEsIEFMSUFTLCBldGMpLlxuICpcbiAqIFNldmVyYWwgdmFsdWVzIGZvciB0aGUgc2FtZSBob3N0IGFuZCB0eXBlIGNhbiBiZSBnaXZlbiBhcyBhIGNvbW1hLXNlcGFyYXRlZCBsaXN0IGluIHRoZSBleHBvcnQgdmFsdWUgYnkgYWRkaW5nXG4gKiB0aGUgLWxpc3Qgb3B0aW9uIHRvIHRoZSB0eXBlIChDbG91RE5TOkEtbGlzdDp3d3c6ZXhhbXBsZTpvcmcpLCB3aXRoIGRvdWJsZSBxdW90ZXMgYXJvdW5kIHZhbHVlcyB0aGF0IGNvbnRhaW4gY29tbWFzLlxuICogV2l0aG91dCAtbGlzdCB0aGUgZXhwb3J0IHZhbHVlIGlzIHVzZWQgYXMtaXMuIFNldmVyYWwgZXhwb3J0cyBjYW4gYWxzbyB0YXJnZXQgdGhlIHNhbWUgaG9zdCBhbmQgdHlwZVxuICogYnkgYWRkaW5nIGEgc3VmZml4IHRvIHRoZSB0eXBlIChDbG91RE5TOlRYVC1nb29nbGU6ZXhhbXBsZTpvcmcsIENsb3VETlM6VFhULXNwZjpleGFtcGxlOm9yZykuXG4gKiBBbGwgZXhpc3RpbmcgcmVjb3JkcyBvZiB0aGUgaG9zdCBhbmQgdHlwZSBhcmUgcmVjb25jaWxlZCBhZ2FpbnN0IHRoZSBmdWxsIGxpc3Qgb2YgdmFsdWVzLlxuICpcbiAqIFRoZSB0eXBlIGNhbiBhbHNvIGNhcnJ5IGEgcGVyLXJlY29yZCBUVEwgKENsb3VETlM6TVgtdHRsMzYwMDpleGFtcGxlOm9yZykuIE1YLCBTUlYgYW5kIENBQSB2YWx1ZXMgdXNlIHRoZVxuICogem9uZSBmaWxlIHN5bnRheDogXCI8cHJpb3JpdHk+IDxob3N0PlwiLCBcIjxwcmlvcml0eT4gPHdlaWdodD4gPHBvcnQ+IDx0YXJnZXQ+XCIgYW5kIFwiPGZsYWc+IDx0YWc+IDx2YWx1ZT5cIi5cbiAqIEEgaG9zdCBwYXJ0IHN0YXJ0aW5nIHdpdGggYSBoeXBoZW4gaXMgYW4gdW5kZXJzY29yZSwgc2luY2UgZXhwb3J0IG5hbWVzIGNhbm5vdCBjb250YWluIHVuZGVyc2NvcmVzXG4gKiAoQ2xvdUROUzpTUlY6LXNpcDotdGNwOmV4YW1wbGU6b3JnID0gX3NpcC5fdGNwLmV4YW1wbGUub3JnKS5cbiAqXG4gKiBDb21tYW5kIGxpbmUgdXNhZ2U6IEFXU19QUk9GSUxFPXh4eCB0cy1ub2RlIGNsb3VkbnMtY2xvdWRmb3JtYXRpb24tc3luYy50cyBbb3B0aW9uc10gLS11c2VybmFtZSA8Y2xvdWRucy11c2VybmFtZT4gLS1wYXNzd29yZC1wYXJhbWV0ZXIgPGNsb3VkbnMtcGFzc3dvcmQtcGFyYW1ldGVyLW5hbWU+XG4gKlxuICogLS11c2VybmFtZSA8dXNlcm5hbWU+IC0gQ2xvdUROUyBBUEkgc3ViLWF1dGgtdXNlclxuICogLS1wYXNzd29yZC1wYXJhbWV0ZXIgPG5hbWU+IC0gU1NNIFBhcmFtZXRlciB3aXRoIHRoZSBlbmNyeXB0ZWQgQ2xvdUROUyBBUEkgcGFzc3dvcmRcbiAqIC0tdHRsIDx0dGw+IC0gT3B0aW9uYWwgVFRMIGZvciBnZW5lcmF0ZWQgcmVjb3JkcyAoZGVmYXVsdHMgdG8gMzAwKVxuICogLS1zdGFjayA8c3RhY2tOYW1lPiAtIE9wdGlvbmFsIENsb3VkRm9ybWF0aW9uIHN0YWNrIG5hbWUocykgdG8gbGltaXQgdGhlIHJlY29yZHMgdG8gc3luYyAoZGVmYXVsdHMgdG8gYWxsIHN0YWNrcylcbiAqIC0tcmVnaW9uIDxyZWdpb24+IC0gT3B0aW9uYWwgQVdTIHJlZ2lvbihzKSB0byByZWFkIHRoZSBleHBvcnRzIGZyb20gKHRoZSBmaXJzdCBvbmUgaXMgYWxzbyB1c2VkIGZvciBTU00pXG4gKiAtLXJvbGUtYXJuIDxhcm4+IC0gT3B0aW9uYWwgSUFNIHJvbGUocykgdG8gYXNzdW1lIGZvciByZWFkaW5nIGV4cG9ydHMgaW4gb3RoZXIgYWNjb3VudHNcbiAqIC0tcHJvZmlsZSA8cHJvZmlsZT4gLSBPcHRpb25hbCBBV1MgcHJvZmlsZVxuICogLS1jb25maWcgPGZpbGU+IC0gSlNPTiBvciBZQU1MIGNvbmZpZyBmaWxlIGRlc2NyaWJpbmcgb25lIG9yIG1vcmUgc3luYyB0YXJnZXRzXG4gKiAtLWRyeS1ydW4gLSBPbmx5IHByaW50IHRoZSBwbGFubmVkIGNyZWF0ZXMgYW5kIHVwZGF0ZXMgKG9sZCB2cyBuZXcgVFRMIGFuZCB2YWx1ZSkgd2l0aG91dCBjaGFuZ2luZyBDbG91RE5TXG4gKiAtLWpzb24gLSBXaXRoIC0tZHJ5LXJ1biwgcHJpbnQgdGhlIHBsYW4gYXMgSlNPTiB0byBzdGRvdXQgKG90aGVyIG91dHB1dCBnb2VzIHRvIHN0ZGVycilcbiAqIC0tcHJ1bmUgLSBNYXJrIHN5bmNlZCByZWNvcmRzIGFzIG93bmVkIGJ5IHRoaXMgdG9vbCBhbmQgZGVsZXRlIG93bmVkIHJlY29yZHMgd2hvc2UgZXhwb3J0IGhhcyBkaXNhcHBlYXJlZFxuICogLS1jb25jdXJyZW5jeSA8bj4gLSBPcHRpb25hbCBudW1iZXIgb2YgcmVjb3JkIHNldHMgdG8gc3luYyBhdCB0aGUgc2FtZSB0aW1lIChkZWZhdWx0cyB0byA0KVxuICpcbiAqIEZhaWxlZCBDbG91RE5TIGNhbGxzIGFyZSByZXRyaWVkIHdoZW4gdGhlIGZhaWx1cmUgaXMgdHJhbnNpZW50LiBSZWNvcmRzIHRoYXQgc3RpbGwgZmFpbCwgYW5kIHJlY29yZCBzZXRzIG9yXG4gKiB0YXJnZXRzIHRoYXQgY291bGQgbm90IGJlIHBsYW5uZWQgKGZvciBpbnN0YW5jZSBhIG1pc3Npbmcgem9uZSBvciBhbiBpbnZhbGlkIGV4cG9ydCksIGFyZSByZXBvcnRlZCBpbiB0aGVcbiAqIHN1bW1hcnkgYXQgdGhlIGVuZCBvZiB0aGUgcnVuIHdoaWxlIHRoZSByZXN0IGlzIHN5bmNlZCwgYW5kIHRoZSBleGl0IGNvZGUgaXMgbm9uLXplcm8uXG4gKlxuICogVGhlIG9sZCBwb3NpdGlvbmFsIGZvcm0gPGNsb3VkbnMtdXNlcm5hbWU+IDxjbG91ZG5zLXBhc3N3b3JkLXBhcmFtZXRlci1uYW1lPiBbdHRsIFtzdGFja05hbWUuLi5dXSBpcyBhbHNvIHN1cHBvcnRlZC5cbiAqL1xuaW1wb3J0IHsgU1NNQ2xpZW50LCBHZXRQYXJhbWV0ZXJDb21tYW5kIH0gZnJvbSAnQGF3cy1zZGsvY2xpZW50LXNzbSdcbmltcG9ydCB7IENsb3VkRm9ybWF0aW9uQ2xpZW50LCBMaXN0RXhwb3J0c0NvbW1hbmQsIExpc3RFeHBvcnRzT3V0cHV0IH0gZnJvbSAnQGF3cy1zZGsvY2xpZW50LWNsb3VkZm9ybWF0aW9uJ1xuaW1wb3J0IHsgU1RTQ2xpZW50LCBHZXRDYWxsZXJJZGVudGl0eUNvbW1hbmQgfSBmcm9tICdAYXdzLXNkay9jbGllbnQtc3RzJ1xuaW1wb3J0IHsgZnJvbVRlbXBvcmFyeUNyZWRlbnRpYWxzIH0gZnJvbSAnQGF3cy1zZGsvY3JlZGVudGlhbC1wcm92aWRlcnMnXG5pbXBvcnQgeyBjcmVhdGVDbG91ZG5zUHJvdmlkZXIgfSBmcm9tICcuL2Nsb3VkbnMtcHJvdmlkZXInXG5pbXBvcnQgeyBTeW5jVGFyZ2V0LCBwYXJzZUNvbW1hbmRMaW5lLCB1c2FnZSB9IGZyb20gJy4vY29uZmlnJ1xuaW1wb3J0IHsgRGVzaXJlZFJlY29yZCwgSW52YWxpZEV4cG9ydCwgcGFyc2VFeHBvcnQgfSBmcm9tICcuL3JlY29yZHMnXG5pbXBvcnQge1xuICBBcHBseVJlc3VsdCxcbiAgRGVzaXJlZFJlY29yZENvbmZsaWN0LFxuICBQbGFuRW50cnksXG4gIGFwcGx5UGxhbixcbiAgU3RhY2tTY29wZSxcbiAgbWFwQ29uY3VycmVudGx5LFxuICBtZXJnZURlc2lyZWRSZWNvcmRzLFxuICBwbGFuU3luYyxcbiAgcHJpbnRBcHBseVJlc3VsdCxcbiAgcHJpbnRQbGFuLFxuICBzdW1tYXJpemVQbGFuLFxufSBmcm9tICcuL3N5bmMnXG5cbmV4cG9ydCAqIGZyb20gJy4vY29uZmlnJ1xuZXhwb3J0ICogZnJvbSAnLi9kbnMtcHJvdmlkZXInXG5leHBvcnQgKiBmcm9tICcuL2Nsb3VkbnMtcHJvdmlkZXInXG5leHBvcnQgKiBmcm9tICcuL21lbW9yeS1wcm92aWRlcidcbmV4cG9ydCAqIGZyb20gJy4vcmVjb3JkcydcbmV4cG9ydCAqIGZyb20gJy4vc3luYydcbmV4cG9ydCAqIGZyb20gJy4vem9uZS1yZXNvbHZlcidcblxuLy8gTG9hZCB+Ly5hd3MvY29uZmlnXG5wcm9jZXNzLmVudi5BV1NfU0RLX0xPQURfQ09ORklHID0gJzEnXG5cbmludGVyZmFjZSBFeHBvcnRTb3VyY2Uge1xuICByZWdpb24/OiBzdHJpbmdcbiAgcHJvZmlsZT86IHN0cmluZ1xuICByb2xlQXJuPzogc3RyaW5nXG59XG5cbmZ1bmN0aW9uIGdldEV4cG9ydFNvdXJjZU5hbWUoZXhwb3J0U291cmNlOiBFeHBvcnRTb3VyY2UpIHtcbiAgcmV0dXJuIChleHBvcnRTb3VyY2UucmVnaW9uIHx8ICdkZWZhdWx0IHJlZ2lvbicpICsgKGV4cG9ydFNvdXJjZS5yb2xlQXJuID8gJyAnICsgZXhwb3J0U291cmNlLnJvbGVBcm4gOiAnJylcbn1cblxuZXhwb3J0IGludGVyZmFjZSBUYXJnZXRFeHBvcnRzIHtcbiAgZGVzaXJlZFJlY29yZHM6IERlc2lyZWRSZWNvcmRbXVxuICAvLyBSZWdpb25zIGFuZCBhY2NvdW50cyB0aGF0IHdlcmUgcmVhZCwgc28gcHJ1bmUgY2FuIGxlYXZlIHRoZSByZWNvcmRzIG9mIHN0YWNrcyBlbHNld2hlcmUgYWxvbmUgKG9ubHkgbG9va2VkIHVwIGZvciBwcnVuZSlcbiAgc3RhY2tTY29wZXM6IFN0YWNrU2NvcGVbXVxuICBpbnZhbGlkRXhwb3J0czogSW52YWxpZEV4cG9ydFtdXG4gIC8vIFJlY29yZCBzZXRzIHRoYXQgdGhlIHNvdXJjZXMgZGVmaW5lIGRpZmZlcmVudGx5LCByZXBvcnRlZCBhcyBmYWlsZWQgaW5zdGVhZCBvZiBzeW5jZWRcbiAgY29uZmxpY3RzOiBEZXNpcmVkUmVjb3JkQ29uZmxpY3RbXVxufVxuXG5hc3luYyBmdW5jdGlvbiBnZXRFeHBvcnRTb3VyY2VTY29wZShjbG91ZEZvcm1hdGlvbjogQ2xvdWRGb3JtYXRpb25DbGllbnQsIGV4cG9ydFNvdXJjZTogRXhwb3J0U291cmNlKTogUHJvbWlzZTxTdGFja1Njb3BlPiB7XG4gIGNvbnN0IHsgcHJvZmlsZSwgcm9sZUFybiB9ID0gZXhwb3J0U291cmNlXG4gIGNvbnN0IHJlZ2lvbiA9IGF3YWl0IGNsb3VkRm9ybWF0aW9uLmNvbmZpZy5yZWdpb24oKVxuICBpZiAocm9sZUFybikge1xuICAgIC8vIGFybjphd3M6aWFtOjo8YWNjb3VudD46cm9sZS88bmFtZT5cbiAgICByZXR1cm4geyByZWdpb24sIGFjY291bnRJZDogcm9sZUFybi5zcGxpdCgnOicpWzRdIH1cbiAgfVxuICBjb25zdCBzdHMgPSBuZXcgU1RTQ2xpZW50KHsgcmVnaW9uLCBwcm9maWxlIH0pXG4gIGNvbnN0IGlkZW50aXR5ID0gYXdhaXQgc3RzLnNlbmQobmV3IEdldENhbGxlcklkZW50aXR5Q29tbWFuZCh7fSkpXG4gIHJldHVybiB7IHJlZ2lvbiwgYWNjb3VudElkOiBpZGVudGl0eS5BY2NvdW50IHx8ICcnIH1cbn1cblxuYXN5bmMgZnVuY3Rpb24gbGlzdERlc2lyZWRSZWNvcmRzKHR0bFZhbHVlOiBzdHJpbmcsIGV4cG9ydFNvdXJjZTogRXhwb3J0U291cmNlLCBwcnVuZTogYm9vbGVhbikge1xuICBjb25zdCB7IHJlZ2lvbiwgcHJvZmlsZSwgcm9sZUFybiB9ID0gZXhwb3J0U291cmNlXG4gIGNvbnN0IGRlc2lyZWRSZWNvcmRzOiBEZXNpcmVkUmVjb3JkW10gPSBbXVxuICBjb25zdCBpbnZhbGlkRXhwb3J0czogSW52YWxpZEV4cG9ydFtdID0gW11cbiAgY29uc3QgY2xvdWRGb3JtYXRpb24gPSBuZXcgQ2xvdWRGb3JtYXRpb25DbGllbnQoe1xuICAgIHJlZ2lvbjogcmVnaW9uLFxuICAgIHByb2ZpbGU6IHByb2ZpbGUsXG4gICAgLy8gUmVhZCBleHBvcnRzIGZyb20gYW5vdGhlciBhY2NvdW50IGJ5IGFzc3VtaW5nIGEgcm9sZSB0aGVyZVxuICAgIGNyZWRlbnRpYWxzOiByb2xlQXJuXG4gICAgICA/IGZyb21UZW1wb3JhcnlDcmVkZW50aWFscyh7XG4gICAgICAgICAgcGFyYW1zOiB7IFJvbGVBcm46IHJvbGVBcm4sIFJvbGVTZXNzaW9uTmFtZTogJ2Nsb3VkbnMtY2xvdWRmb3JtYXRpb24tc3luYycgfSxcbiAgICAgICAgICBjbGllbnRDb25maWc6IHsgcmVnaW9uLCBwcm9maWxlIH0sXG4gICAgICAgIH0pXG4gICAgICA6IHVuZGVmaW5lZCxcbiAgfSlcbiAgbGV0IG5leHRUb2tlblxuICBkbyB7XG4gICAgY29uc3QgcmVzcG9uc2U6IExpc3RFeHBvcnRzT3V0cHV0ID0gYXdhaXQgY2xvdWRGb3JtYXRpb24uc2VuZChcbiAgICAgIG5ldyBMaXN0RXhwb3J0c0NvbW1hbmQoe1xuICAgICAgICBOZXh0VG9rZW46IG5leHRUb2tlbixcbiAgICAgIH0pXG4gICAgKVxuICAgIGZvciAoY29uc3QgZXhwb3J0T2JqIG9mIHJlc3BvbnNlLkV4cG9ydHMgfHwgW10pIHtcbiAgICAgIC8vIEFsbCBzdGFja3MgYXJlIHJlYWQsIHNvIHJlY29yZCBzZXRzIHNoYXJlZCB3aXRoIHN0YWNrcyBvdXRzaWRlIHRoZSBzdGFjayBmaWx0ZXIgYXJlIHJlY29uY2lsZWQgYWdhaW5zdCB0aGVpciB2YWx1ZXMgdG9vXG4gICAgICBjb25zdCBzdGFja0lkID0gZXhwb3J0T2JqLkV4cG9ydGluZ1N0YWNrSWQgfHwgJydcbiAgICAgIGlmIChleHBvcnRPYmouTmFtZT8ubWF0Y2goL15DbG91RE5TOi8pKSB7XG4gICAgICAgIGNvbnN0IHNvdXJjZSA9IGdldEV4cG9ydFNvdXJjZU5hbWUoZXhwb3J0U291cmNlKVxuICAgICAgICB0cnkge1xuICAgICAgICAgIGRlc2lyZWRSZWNvcmRzLnB1c2goLi4ucGFyc2VFeHBvcnQoZXhwb3J0T2JqLk5hbWUsIGV4cG9ydE9iai5WYWx1ZSB8fCAnJywgdHRsVmFsdWUsIHN0YWNrSWQsIHNvdXJjZSkpXG4gICAgICAgIH0gY2F0Y2ggKGVycjogYW55KSB7XG4gICAgICAgICAgLy8gT25lIGludmFsaWQgZXhwb3J0IG9ubHkgZmFpbHMgaXRzIG93biByZWNvcmRzXG4gICAgICAgICAgaW52YWxpZEV4cG9ydHMucHVzaCh7IGV4cG9ydE5hbWU6IGV4cG9ydE9iai5OYW1lLCBzdGFja0lkLCBzb3VyY2UsIGVycm9yOiBlcnIubWVzc2FnZSB9KVxuICAgICAgICB9XG4gICAgICB9XG4gICAgfVxuICAgIG5leHRUb2tlbiA9IHJlc3BvbnNlLk5leHRUb2tlblxuICB9IHdoaWxlIChuZXh0VG9rZW4pXG4gIC8vIE9ubHkgcHJ1bmUgbmVlZHMgdGhlIGFjY291bnQsIHNvIG90aGVyIHJ1bnMgc2tpcCB0aGUgU1RTIGNhbGxcbiAgY29uc3Qgc3RhY2tTY29wZSA9IHBydW5lID8gYXdhaXQgZ2V0RXhwb3J0U291cmNlU2NvcGUoY2xvdWRGb3JtYXRpb24sIGV4cG9ydFNvdXJjZSkgOiB1bmRlZmluZWRcbiAgcmV0dXJuIHsgZGVzaXJlZFJlY29yZHMsIGludmFsaWRFeHBvcnRzLCBzdGFja1Njb3BlIH1cbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGNyZWF0ZVRhcmdldFByb3ZpZGVyKHRhcmdldDogU3luY1RhcmdldCkge1xuICBjb25zdCB7IHVzZXJuYW1lLCBwYXNzd29yZFBhcmFtZXRlciwgcGFzc3dvcmRSZWdpb24sIHJlZ2lvbnMsIHByb2ZpbGUgfSA9IHRhcmdldFxuICBjb25zdCBzc20gPSBuZXcgU1NNQ2xpZW50KHsgcmVnaW9uOiBwYXNzd29yZFJlZ2lvbiB8fCByZWdpb25zWzBdLCBwcm9maWxlIH0pXG5cbiAgY29uc3QgcmVzcG9uc2UgPSBhd2FpdCBzc20uc2VuZChcbiAgICBuZXcgR2V0UGFyYW1ldGVyQ29tbWFuZCh7XG4gICAgICBOYW1lOiBwYXNzd29yZFBhcmFtZXRlcixcbiAgICAgIFdpdGhEZWNyeXB0aW9uOiB0cnVlLFxuICAgIH0pXG4gIClcbiAgcmV0dXJuIGNyZWF0ZUNsb3VkbnNQcm92aWRlcih1c2VybmFtZSwgcmVzcG9uc2UuUGFyYW1ldGVyPy5WYWx1ZSB8fCAnJylcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHJlYWRUYXJnZXRFeHBvcnRzKHRhcmdldDogU3luY1RhcmdldCk6IFByb21pc2U8VGFyZ2V0RXhwb3J0cz4ge1xuICBjb25zdCB7IHJlZ2lvbnMsIHJvbGVBcm5zLCBwcm9maWxlLCB0dGwsIHBydW5lLCBjb25jdXJyZW5jeSB9ID0gdGFyZ2V0XG4gIC8vIFJlYWQgdGhlIGV4cG9ydHMgb2YgZXZlcnkgcmVnaW9uLCBib3RoIHdpdGggdGhlIGN1cnJlbnQgY3JlZGVudGlhbHMgYW5kIGVhY2ggYXNzdW1lZCByb2xlXG4gIGNvbnN0IGV4cG9ydFNvdXJjZXM6IEV4cG9ydFNvdXJjZVtdID0gW11cbiAgZm9yIChjb25zdCByZWdpb24gb2YgcmVnaW9ucy5sZW5ndGggPyByZWdpb25zIDogW3VuZGVmaW5lZF0pIHtcbiAgICBmb3IgKGNvbnN0IHJvbGVBcm4gb2YgW3VuZGVmaW5lZCwgLi4ucm9sZUFybnNdKSB7XG4gICAgICBleHBvcnRTb3VyY2VzLnB1c2goeyByZWdpb24sIHByb2ZpbGUsIHJvbGVBcm4gfSlcbiAgICB9XG4gIH1cbiAgY29uc3Qgc291cmNlRXhwb3J0cyA9IGF3YWl0IG1hcENvbmN1cnJlbnRseShleHBvcnRTb3VyY2VzLCBjb25jdXJyZW5jeSwgKGV4cG9ydFNvdXJjZSkgPT4gbGlzdERlc2lyZWRSZWNvcmRzKHR0bCwgZXhwb3J0U291cmNlLCBwcnVuZSkpXG4gIGNvbnN0IHsgZGVzaXJlZFJlY29yZHMsIGNvbmZsaWN0cyB9ID0gbWVyZ2VEZXNpcmVkUmVjb3Jkcyhzb3VyY2VFeHBvcnRzLm1hcCgoc291cmNlRXhwb3J0KSA9PiBzb3VyY2VFeHBvcnQuZGVzaXJlZFJlY29yZHMpKVxuICByZXR1cm4ge1xuICAgIGRlc2lyZWRSZWNvcmRzLFxuICAgIGNvbmZsaWN0cyxcbiAgICBzdGFja1Njb3BlczogcHJ1bmUgPyBzb3VyY2VFeHBvcnRzLm1hcCgoc291cmNlRXhwb3J0KSA9PiBzb3VyY2VFeHBvcnQuc3RhY2tTY29wZSEpIDogW10sXG4gICAgaW52YWxpZEV4cG9ydHM6IChbXSBhcyBJbnZhbGlkRXhwb3J0W10pLmNvbmNhdCguLi5zb3VyY2VFeHBvcnRzLm1hcCgoc291cmNlRXhwb3J0KSA9PiBzb3VyY2VFeHBvcnQuaW52YWxpZEV4cG9ydHMpKSxcbiAgfVxufVxuXG5hc3luYyBmdW5jdGlvbiBwbGFuU3luY1RhcmdldCh0YXJnZXQ6IFN5bmNUYXJnZXQpIHtcbiAgY29uc3QgcHJvdmlkZXIgPSBhd2FpdCBjcmVhdGVUYXJnZXRQcm92aWRlcih0YXJnZXQpXG4gIGNvbnN0IHsgZGVzaXJlZFJlY29yZHMsIHN0YWNrU2NvcGVzLCBpbnZhbGlkRXhwb3J0cywgY29uZmxpY3RzIH0gPSBhd2FpdCByZWFkVGFyZ2V0RXhwb3J0cyh0YXJnZXQpXG4gIGNvbnN0IHBsYW4gPSBhd2FpdCBwbGFuU3luYyhwcm92aWRlciwgZGVzaXJlZFJlY29yZHMsIHRhcmdldC5zdGFja05hbWVzLCB0YXJnZXQucHJ1bmUsIHtcbiAgICBjb25jdXJyZW5jeTogdGFyZ2V0LmNvbmN1cnJlbmN5LFxuICAgIHN0YWNrU2NvcGVzLFxuICAgIGludmFsaWRFeHBvcnRzLFxuICAgIGNvbmZsaWN0cyxcbiAgfSlcbiAgcmV0dXJuIHsgcHJvdmlkZXIsIHBsYW4gfVxufVxuXG5leHBvcnQgaW50ZXJmYWNlIFRhcmdldFBsYW4ge1xuICB0YXJnZXQ6IFN5bmNUYXJnZXRcbiAgcGxhbjogUGxhbkVudHJ5W11cbiAgLy8gU2V0IHdoZW4gdGhlIGV4cG9ydHMgb3IgdGhlIHBhc3N3b3JkIG9mIHRoZSB0YXJnZXQgY291bGQgbm90IGJlIHJlYWQsIHNvIG5vdGhpbmcgd2FzIHBsYW5uZWQgZm9yIGl0XG4gIGVycm9yPzogc3RyaW5nXG59XG5cbmV4cG9ydCBmdW5jdGlvbiBmb3JtYXRQbGFuSnNvbih0YXJnZXRQbGFuczogVGFyZ2V0UGxhbltdKSB7XG4gIC8vIFRhcmdldHMgYXJlIGxpc3RlZCBvbmNlLCBhbmQgZWFjaCBjaGFuZ2UgcmVmZXJzIHRvIGl0cyB0YXJnZXQgYnkgaW5kZXhcbiAgY29uc3Qgc3VtbWFyeSA9IHN1bW1hcml6ZVBsYW4oKFtdIGFzIFBsYW5FbnRyeVtdKS5jb25jYXQoLi4udGFyZ2V0UGxhbnMubWFwKCh0YXJnZXRQbGFuKSA9PiB0YXJnZXRQbGFuLnBsYW4pKSlcbiAgc3VtbWFyeS5mYWlsZWQgKz0gdGFyZ2V0UGxhbnMuZmlsdGVyKCh0YXJnZXRQbGFuKSA9PiB0YXJnZXRQbGFuLmVycm9yKS5sZW5ndGhcbiAgY29uc3QgdGFyZ2V0cyA9IHRhcmdldFBsYW5zLm1hcCgoeyB0YXJnZXQsIGVycm9yIH0pID0+ICh7XG4gICAgdXNlcm5hbWU6IHRhcmdldC51c2VybmFtZSxcbiAgICByZWdpb25zOiB0YXJnZXQucmVnaW9ucyxcbiAgICByb2xlQXJuczogdGFyZ2V0LnJvbGVBcm5zLFxuICAgIHByb2ZpbGU6IHRhcmdldC5wcm9maWxlLFxuICAgIGVycm9yOiBlcnJvcixcbiAgfSkpXG4gIGNvbnN0IGNoYW5nZXMgPSAoW10gYXMgYW55W10pLmNvbmNhdCguLi50YXJnZXRQbGFucy5tYXAoKHRhcmdldFBsYW4sIGluZGV4KSA9PiB0YXJnZXRQbGFuLnBsYW4ubWFwKChwbGFuRW50cnkpID0+ICh7IHRhcmdldDogaW5kZXgsIC4uLnBsYW5FbnRyeSB9KSkpKVxuICByZXR1cm4gSlNPTi5zdHJpbmdpZnkoeyBkcnlSdW46IHRydWUsIHN1bW1hcnksIHRhcmdldHMsIGNoYW5nZXMgfSwgbnVsbCwgMilcbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIG1haW4oKSB7XG4gIGxldCBjb21tYW5kTGluZVxuICB0cnkge1xuICAgIGNvbW1hbmRMaW5lID0gcGFyc2VDb21tYW5kTGluZShwcm9jZXNzLmFyZ3Yuc2xpY2UoMikpXG4gIH0gY2F0Y2ggKGVycjogYW55KSB7XG4gICAgY29uc29sZS5lcnJvcihlcnIubWVzc2FnZSlcbiAgICBjb25zb2xlLmVycm9yKHVzYWdlKVxuICAgIHByb2Nlc3MuZXhpdCgxKVxuICB9XG4gIGNvbnN0IHsgaGVscCwgZHJ5UnVuLCBqc29uT3V0cHV0LCB0YXJnZXRzIH0gPSBjb21tYW5kTGluZVxuICBpZiAoaGVscCkge1xuICAgIGNvbnNvbGUubG9nKHVzYWdlKVxuICAgIHJldHVyblxuICB9XG4gIC8vIFdpdGggLS1qc29uLCBzdGRvdXQgaXMgcmVzZXJ2ZWQgZm9yIHRoZSBtYWNoaW5lLXJlYWRhYmxlIHBsYW5cbiAgY29uc3QgbG9nID0ganNvbk91dHB1dCA/IGNvbnNvbGUuZXJyb3IgOiBjb25zb2xlLmxvZ1xuICBsb2coJ0Nsb3VETlMgQ2xvdWRGb3JtYXRpb24gU3luYyBieSBLZW5uZXRoIEZhbGNrIDxrZW5udUBjbG91ZGVuLm5ldD4gKEMpIENsb3VkZW4gT3kgMjAyMC0yMDI0JylcbiAgaWYgKGpzb25PdXRwdXQgJiYgIWRyeVJ1bikge1xuICAgIGNvbnNvbGUuZXJyb3IoJ1RoZSAtLWpzb24gb3B0aW9uIGNhbiBvbmx5IGJlIHVzZWQgd2l0aCAtLWRyeS1ydW4nKVxuICAgIGNvbnNvbGUuZXJyb3IodXNhZ2UpXG4gICAgcHJvY2Vzcy5leGl0KDEpXG4gIH1cblxuICBjb25zdCB0YXJnZXRQbGFuczogVGFyZ2V0UGxhbltdID0gW11cbiAgY29uc3QgcmVzdWx0OiBBcHBseVJlc3VsdCA9IHsgY3JlYXRlOiAwLCB1cGRhdGU6IDAsIG5vb3A6IDAsIGRlbGV0ZTogMCwgZmFpbGVkOiAwLCBmYWlsdXJlczogW10gfVxuICBmb3IgKGNvbnN0IHRhcmdldCBvZiB0YXJnZXRzKSB7XG4gICAgaWYgKHRhcmdldHMubGVuZ3RoID4gMSkge1xuICAgICAgbG9nKCdUQVJHRVQnLCB0YXJnZXQudXNlcm5hbWUsICdSRUdJT04nLCB0YXJnZXQucmVnaW9ucy5qb2luKCcsJykgfHwgJyhkZWZhdWx0KScsICdQUk9GSUxFJywgdGFyZ2V0LnByb2ZpbGUgfHwgJyhkZWZhdWx0KScpXG4gICAgfVxuICAgIGxldCBwcm92aWRlclxuICAgIGxldCB0YXJnZXRQbGFuOiBQbGFuRW50cnlbXVxuICAgIHRyeSB7XG4gICAgICA7KHsgcHJvdmlkZXIsIHBsYW46IHRhcmdldFBsYW4gfSA9IGF3YWl0IHBsYW5TeW5jVGFyZ2V0KHRhcmdldCkpXG4gICAgfSBjYXRjaCAoZXJyOiBhbnkpIHtcbiAgICAgIC8vIEEgdGFyZ2V0IHRoYXQgY2Fubm90IGJlIHJlYWQgb3IgcGxhbm5lZCBmYWlscyBvbiBpdHMgb3duLCB0aGUgb3RoZXIgdGFyZ2V0cyBhcmUgc3RpbGwgc3luY2VkXG4gICAgICBjb25zb2xlLmVycm9yKCdGQUlMRUQgVEFSR0VUJywgdGFyZ2V0LnVzZXJuYW1lLCAnUkVHSU9OJywgdGFyZ2V0LnJlZ2lvbnMuam9pbignLCcpIHx8ICcoZGVmYXVsdCknLCBlcnIubWVzc2FnZSlcbiAgICAgIHRhcmdldFBsYW5zLnB1c2goeyB0YXJnZXQsIHBsYW46IFtdLCBlcnJvcjogZXJyLm1lc3NhZ2UgfSlcbiAgICAgIHJlc3VsdC5mYWlsZWQrK1xuICAgICAgY29udGludWVcbiAgICB9XG4gICAgdGFyZ2V0UGxhbnMucHVzaCh7IHRhcmdldCwgcGxhbjogdGFyZ2V0UGxhbiB9KVxuICAgIGlmIChkcnlSdW4pIHtcbiAgICAgIC8vIE9ubHkgc2hvdyB0aGUgcGxhbiwgZG9uJ3QgbWFrZSBhbnkgY2hhbmdlcyB0byBDbG91RE5TXG4gICAgICBpZiAoIWpzb25PdXRwdXQpIHtcbiAgICAgICAgcHJpbnRQbGFuKHRhcmdldFBsYW4pXG4gICAgICB9XG4gICAgICByZXN1bHQuZmFpbGVkICs9IHN1bW1hcml6ZVBsYW4odGFyZ2V0UGxhbikuZmFpbGVkXG4gICAgICBjb250aW51ZVxuICAgIH1cbiAgICAvLyBGYWlsZWQgcmVjb3JkcyBkb24ndCBzdG9wIHRoZSBzeW5jLCB0aGV5IGFyZSBjb3VudGVkIGluIHRoZSBzdW1tYXJ5IGluc3RlYWRcbiAgICBjb25zdCB0YXJnZXRSZXN1bHQgPSBhd2FpdCBhcHBseVBsYW4ocHJvdmlkZXIsIHRhcmdldFBsYW4sIHsgY29uY3VycmVuY3k6IHRhcmdldC5jb25jdXJyZW5jeSB9KVxuICAgIHJlc3VsdC5jcmVhdGUgKz0gdGFyZ2V0UmVzdWx0LmNyZWF0ZVxuICAgIHJlc3VsdC51cGRhdGUgKz0gdGFyZ2V0UmVzdWx0LnVwZGF0ZVxuICAgIHJlc3VsdC5ub29wICs9IHRhcmdldFJlc3VsdC5ub29wXG4gICAgcmVzdWx0LmRlbGV0ZSArPSB0YXJnZXRSZXN1bHQuZGVsZXRlXG4gICAgcmVzdWx0LmZhaWxlZCArPSB0YXJnZXRSZXN1bHQuZmFpbGVkXG4gICAgcmVzdWx0LmZhaWx1cmVzLnB1c2goLi4udGFyZ2V0UmVzdWx0LmZhaWx1cmVzKVxuICB9XG5cbiAgaWYgKGRyeVJ1biAmJiBqc29uT3V0cHV0KSB7XG4gICAgY29uc29sZS5sb2coZm9ybWF0UGxhbkpzb24odGFyZ2V0UGxhbnMpKVxuICB9XG4gIGlmICghZHJ5UnVuKSB7XG4gICAgcHJpbnRBcHBseVJlc3VsdChyZXN1bHQpXG4gIH1cbiAgaWYgKHJlc3VsdC5mYWlsZWQpIHtcbiAgICBwcm9jZXNzLmV4aXQoMSlcbiAgfVxufVxuIl19
\ No newline at end of file
@@ -0,0 +1,23 @@
+import { DnsProvider } from './dns-provider';
+export interface CloudnsProviderOptions {
+    apiUrl?: string;
+    timeout?: number;
+    retries?: number;
+    retryDelay?: number;
+}
+export declare class CloudnsApiError extends Error {
+    constructor(message: string);
+}
+export declare class CloudnsAuthError extends CloudnsApiError {
+}
+export declare class CloudnsZoneNotFoundError extends CloudnsApiError {
+}
+export declare class CloudnsValidationError extends CloudnsApiError {
+}
+export declare class CloudnsTransientError extends CloudnsApiError {
+}
+export declare class CloudnsRateLimitError extends CloudnsTransientError {
+    retryAfter?: number | undefined;
+    constructor(message: string, retryAfter?: number | undefined);
+}
+export declare function createCloudnsProvider(cloudnsUsername: string, cloudnsPassword: string, options?: CloudnsProviderOptions): DnsProvider;
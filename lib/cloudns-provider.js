@@ -0,0 +1,263 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || (function () {
+    var ownKeys = function(o) {
+        ownKeys = Object.getOwnPropertyNames || function (o) {
+            var ar = [];
+            for (var k in o) if (Object.prototype.hasOwnProperty.call(o, k)) ar[ar.length] = k;
+            return ar;
+        };
+        return ownKeys(o);
+    };
+    return function (mod) {
+        if (mod && mod.__esModule) return mod;
+        var result = {};
+        if (mod != null) for (var k = ownKeys(mod), i = 0; i < k.length; i++) if (k[i] !== "default") __createBinding(result, mod, k[i]);
+        __setModuleDefault(result, mod);
+        return result;
+    };
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CloudnsRateLimitError = exports.CloudnsTransientError = exports.CloudnsValidationError = exports.CloudnsZoneNotFoundError = exports.CloudnsAuthError = exports.CloudnsApiError = void 0;
+exports.createCloudnsProvider = createCloudnsProvider;
+/**
+ * ClouDNS REST API provider.
+ *
+ * Every call has a timeout and is retried with exponential backoff when it fails for a transient reason
+ * (network errors, timeouts, HTTP 5xx and rate limiting). Adding a record is not idempotent, because a request
+ * that timed out may still have created the record, so it is only retried when rate limited. ClouDNS also reports many errors as HTTP 200 with
+ * status "Failed", so those responses are classified into the error classes below.
+ */
+const querystring = __importStar(require("querystring"));
+const records_1 = require("./records");
+// ClouDNS API parameter names of the record value fields
+const cloudnsFieldParams = {
+    priority: 'priority',
+    weight: 'weight',
+    port: 'port',
+    target: 'record',
+    flag: 'caa_flag',
+    tag: 'caa_type',
+    value: 'caa_value',
+};
+class CloudnsApiError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = new.target.name;
+    }
+}
+exports.CloudnsApiError = CloudnsApiError;
+// Wrong sub-auth-user or password, or the API user is not allowed to use the zone
+class CloudnsAuthError extends CloudnsApiError {
+}
+exports.CloudnsAuthError = CloudnsAuthError;
+// The zone (domain-name) does not exist in the ClouDNS account
+class CloudnsZoneNotFoundError extends CloudnsApiError {
+}
+exports.CloudnsZoneNotFoundError = CloudnsZoneNotFoundError;
+// ClouDNS rejected the request parameters, for instance an invalid record value or record ID
+class CloudnsValidationError extends CloudnsApiError {
+}
+exports.CloudnsValidationError = CloudnsValidationError;
+// Network errors, timeouts and HTTP 5xx responses, which are retried
+class CloudnsTransientError extends CloudnsApiError {
+}
+exports.CloudnsTransientError = CloudnsTransientError;
+// Too many API requests, which are retried after the Retry-After delay when ClouDNS sends one
+class CloudnsRateLimitError extends CloudnsTransientError {
+    constructor(message, retryAfter) {
+        super(message);
+        this.retryAfter = retryAfter;
+    }
+}
+exports.CloudnsRateLimitError = CloudnsRateLimitError;
+function classifyCloudnsFailure(operation, statusDescription) {
+    const message = operation + ' failed: ' + statusDescription;
+    if (/too many requests|rate limit|request limit|limit exceeded/i.test(statusDescription)) {
+        return new CloudnsRateLimitError(message);
+    }
+    if (/auth-id|auth-password|sub-auth-user|authentication/i.test(statusDescription)) {
+        return new CloudnsAuthError(message);
+    }
+    if (/domain-name|domain name|domain not found|zone not found/i.test(statusDescription)) {
+        return new CloudnsZoneNotFoundError(message);
+    }
+    return new CloudnsValidationError(message);
+}
+function classifyHttpError(operation, response, errorText) {
+    const message = operation + ' failed: HTTP ' + response.status + ' ' + (errorText || response.statusText);
+    if (response.status === 429) {
+        const retryAfterSeconds = Number(response.headers.get('retry-after'));
+        return new CloudnsRateLimitError(message, retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : undefined);
+    }
+    if (response.status === 401 || response.status === 403) {
+        return new CloudnsAuthError(message);
+    }
+    if (response.status >= 500) {
+        return new CloudnsTransientError(message);
+    }
+    return new CloudnsApiError(message);
+}
+async function cloudnsRestCall(settings, operation, method, relativeUrl, queryOptions) {
+    var _a;
+    let fullUrl = settings.apiUrl +
+        relativeUrl +
+        '?' +
+        querystring.stringify(Object.assign({
+            'sub-auth-user': settings.username,
+            'auth-password': settings.password,
+        }, queryOptions || {}));
+    // console.log('Note: Calling', fullUrl)
+    let response;
+    let responseText;
+    try {
+        response = await fetch(fullUrl, {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json',
+            },
+            signal: AbortSignal.timeout(settings.timeout),
+        });
+        responseText = await response.text();
+    }
+    catch (err) {
+        const reason = err.name === 'TimeoutError' ? 'timed out after ' + settings.timeout + ' ms' : ((_a = err.cause) === null || _a === void 0 ? void 0 : _a.message) || err.message;
+        throw new CloudnsTransientError(operation + ' failed: ' + reason);
+    }
+    if (!response.ok) {
+        console.error('HTTP Error', response.status, response.statusText, responseText);
+        throw classifyHttpError(operation, response, responseText);
+    }
+    let parsedResponse;
+    try {
+        parsedResponse = JSON.parse(responseText);
+    }
+    catch (err) {
+        throw new CloudnsApiError(operation + ' failed: invalid JSON response ' + responseText.slice(0, 200));
+    }
+    if ((parsedResponse === null || parsedResponse === void 0 ? void 0 : parsedResponse.status) === 'Failed') {
+        throw classifyCloudnsFailure(operation, parsedResponse.statusMessage || parsedResponse.statusDescription);
+    }
+    return parsedResponse;
+}
+async function cloudnsRestCallWithRetry(settings, operation, method, relativeUrl, queryOptions, idempotent) {
+    for (let attempt = 0;; attempt++) {
+        try {
+            return await cloudnsRestCall(settings, operation, method, relativeUrl, queryOptions);
+        }
+        catch (err) {
+            // Rate limited requests were rejected before ClouDNS made any change, so they are safe to repeat
+            const retryable = err instanceof CloudnsRateLimitError || (idempotent && err instanceof CloudnsTransientError);
+            if (!retryable || attempt >= settings.retries) {
+                throw err;
+            }
+            const delay = (err instanceof CloudnsRateLimitError && err.retryAfter) || settings.retryDelay * 2 ** attempt;
+            console.error('RETRY', operation, 'IN', delay, 'MS', err.message);
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+}
+function getCloudnsRecordParams(record) {
+    if (!records_1.recordValueFields[record.type]) {
+        return { record: record.value };
+    }
+    const { fields } = (0, records_1.parseRecordValue)(record.type, record.value);
+    const params = {};
+    for (const fieldName of Object.keys(fields)) {
+        params[cloudnsFieldParams[fieldName]] = fields[fieldName];
+    }
+    return params;
+}
+function formatCloudnsRecordValue(cloudnsRecord) {
+    // Format existing records like parseRecordValue() normalizes export values
+    const fieldNames = records_1.recordValueFields[cloudnsRecord.type];
+    if (!fieldNames) {
+        return cloudnsRecord.record;
+    }
+    return fieldNames.map((fieldName) => cloudnsRecord[cloudnsFieldParams[fieldName]]).join(' ');
+}
+function createCloudnsProvider(cloudnsUsername, cloudnsPassword, options = {}) {
+    var _a, _b, _c;
+    const settings = {
+        apiUrl: options.apiUrl || 'https://api.cloudns.net',
+        username: cloudnsUsername,
+        password: cloudnsPassword,
+        timeout: (_a = options.timeout) !== null && _a !== void 0 ? _a : 30000,
+        retries: (_b = options.retries) !== null && _b !== void 0 ? _b : 3,
+        retryDelay: (_c = options.retryDelay) !== null && _c !== void 0 ? _c : 1000,
+    };
+    const call = (operation, method, relativeUrl, queryOptions, idempotent = true) => cloudnsRestCallWithRetry(settings, operation, method, relativeUrl, queryOptions, idempotent);
+    return {
+        async listZones() {
+            const rowsPerPage = 100;
+            const zoneNames = [];
+            let page = 1;
+            while (true) {
+                const zonesResponse = await call('List zones', 'GET', '/dns/list-zones.json', {
+                    page: page,
+                    'rows-per-page': rowsPerPage,
+                });
+                const zones = Object.values(zonesResponse || {});
+                zoneNames.push(...zones.map((zone) => zone.name));
+                if (zones.length < rowsPerPage) {
+                    return zoneNames;
+                }
+                page++;
+            }
+        },
+        async listRecords(zoneName) {
+            const recordsResponse = await call('List records of ' + zoneName, 'GET', '/dns/records.json', {
+                'domain-name': zoneName,
+            });
+            return Object.values(recordsResponse || {}).map((cloudnsRecord) => ({
+                id: cloudnsRecord.id,
+                host: cloudnsRecord.host,
+                type: cloudnsRecord.type,
+                value: formatCloudnsRecordValue(cloudnsRecord),
+                ttl: cloudnsRecord.ttl,
+            }));
+        },
+        async addRecord(zoneName, record) {
+            await call('Add record', 'POST', '/dns/add-record.json', {
+                'domain-name': zoneName,
+                host: record.host,
+                'record-type': record.type,
+                ...getCloudnsRecordParams(record),
+                ttl: record.ttl,
+            }, false);
+        },
+        async modifyRecord(zoneName, recordId, record) {
+            await call('Modify record', 'POST', '/dns/mod-record.json', {
+                'domain-name': zoneName,
+                'record-id': recordId,
+                host: record.host,
+                'record-type': record.type,
+                ...getCloudnsRecordParams(record),
+                ttl: record.ttl,
+            });
+        },
+        async deleteRecord(zoneName, recordId) {
+            await call('Delete record', 'POST', '/dns/delete-record.json', {
+                'domain-name': zoneName,
+                'record-id': recordId,
+            });
+        },
+    };
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY2xvdWRucy1wcm92aWRlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uL3NyYy9jbG91ZG5zLXByb3ZpZGVyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQTJNQSxzREE4RUM7QUF6UkQ7Ozs7Ozs7R0FPRztBQUNILHlEQUEwQztBQUUxQyx1Q0FBK0Q7QUF3Qi9ELHlEQUF5RDtBQUN6RCxNQUFNLGtCQUFrQixHQUFvQztJQUMxRCxRQUFRLEVBQUUsVUFBVTtJQUNwQixNQUFNLEVBQUUsUUFBUTtJQUNoQixJQUFJLEVBQUUsTUFBTTtJQUNaLE1BQU0sRUFBRSxRQUFRO0lBQ2hCLElBQUksRUFBRSxVQUFVO0lBQ2hCLEdBQUcsRUFBRSxVQUFVO0lBQ2YsS0FBSyxFQUFFLFdBQVc7Q0FDbkIsQ0FBQTtBQUVELE1BQWEsZUFBZ0IsU0FBUSxLQUFLO0lBQ3hDLFlBQVksT0FBZTtRQUN6QixLQUFLLENBQUMsT0FBTyxDQUFDLENBQUE7UUFDZCxJQUFJLENBQUMsSUFBSSxHQUFHLEdBQUcsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFBO0lBQzdCLENBQUM7Q0FDRjtBQUxELDBDQUtDO0FBRUQsa0ZBQWtGO0FBQ2xGLE1BQWEsZ0JBQWlCLFNBQVEsZUFBZTtDQUFHO0FBQXhELDRDQUF3RDtBQUV4RCwrREFBK0Q7QUFDL0QsTUFBYSx3QkFBeUIsU0FBUSxlQUFlO0NBQUc7QUFBaEUsNERBQWdFO0FBRWhFLDZGQUE2RjtBQUM3RixNQUFhLHNCQUF1QixTQUFRLGVBQWU7Q0FBRztBQUE5RCx3REFBOEQ7QUFFOUQscUVBQXFFO0FBQ3JFLE1BQWEscUJBQXNCLFNBQVEsZUFBZTtDQUFHO0FBQTdELHNEQUE2RDtBQUU3RCw4RkFBOEY7QUFDOUYsTUFBYSxxQkFBc0IsU0FBUSxxQkFBcUI7SUFDOUQsWUFDRSxPQUFlLEVBQ1IsVUFBbUI7UUFFMUIsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFBO1FBRlAsZUFBVSxHQUFWLFVBQVUsQ0FBUztJQUc1QixDQUFDO0NBQ0Y7QUFQRCxzREFPQztBQUVELFNBQVMsc0JBQXNCLENBQUMsU0FBaUIsRUFBRSxpQkFBeUI7SUFDMUUsTUFBTSxPQUFPLEdBQUcsU0FBUyxHQUFHLFdBQVcsR0FBRyxpQkFBaUIsQ0FBQTtJQUMzRCxJQUFJLDREQUE0RCxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxFQUFFLENBQUM7UUFDekYsT0FBTyxJQUFJLHFCQUFxQixDQUFDLE9BQU8sQ0FBQyxDQUFBO0lBQzNDLENBQUM7SUFDRCxJQUFJLHFEQUFxRCxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxFQUFFLENBQUM7UUFDbEYsT0FBTyxJQUFJLGdCQUFnQixDQUFDLE9BQU8sQ0FBQyxDQUFBO0lBQ3RDLENBQUM7SUFDRCxJQUFJLDBEQUEwRCxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxFQUFFLENBQUM7UUFDdkYsT0FBTyxJQUFJLHdCQUF3QixDQUFDLE9BQU8sQ0FBQyxDQUFBO0lBQzlDLENBQUM7SUFDRCxPQUFPLElBQUksc0JBQXNCLENBQUMsT0FBTyxDQUFDLENBQUE7QUFDNUMsQ0FBQztBQUVELFNBQVMsaUJBQWlCLENBQUMsU0FBaUIsRUFBRSxRQUFrQixFQUFFLFNBQWlCO0lBQ2pGLE1BQU0sT0FBTyxHQUFHLFNBQVMsR0FBRyxnQkFBZ0IsR0FBRyxRQUFRLENBQUMsTUFBTSxHQUFHLEdBQUcsR0FBRyxDQUFDLFNBQVMsSUFBSSxRQUFRLENBQUMsVUFBVSxDQUFDLENBQUE7SUFDekcsSUFBSSxRQUFRLENBQUMsTUFBTSxLQUFLLEdBQUcsRUFBRSxDQUFDO1FBQzVCLE1BQU0saUJBQWlCLEdBQUcsTUFBTSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUE7UUFDckUsT0FBTyxJQUFJLHFCQUFxQixDQUFDLE9BQU8sRUFBRSxpQkFBaUIsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLGlCQUFpQixHQUFHLElBQUksQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUE7SUFDekcsQ0FBQztJQUNELElBQUksUUFBUSxDQUFDLE1BQU0sS0FBSyxHQUFHLElBQUksUUFBUSxDQUFDLE1BQU0sS0FBSyxHQUFHLEVBQUUsQ0FBQztRQUN2RCxPQUFPLElBQUksZ0JBQWdCLENBQUMsT0FBTyxDQUFDLENBQUE7SUFDdEMsQ0FBQztJQUNELElBQUksUUFBUSxDQUFDLE1BQU0sSUFBSSxHQUFHLEVBQUUsQ0FBQztRQUMzQixPQUFPLElBQUkscUJBQXFCLENBQUMsT0FBTyxDQUFDLENBQUE7SUFDM0MsQ0FBQztJQUNELE9BQU8sSUFBSSxlQUFlLENBQUMsT0FBTyxDQUFDLENBQUE7QUFDckMsQ0FBQztBQUVELEtBQUssVUFBVSxlQUFlLENBQzVCLFFBQTZCLEVBQzdCLFNBQWlCLEVBQ2pCLE1BQWMsRUFDZCxXQUFtQixFQUNuQixZQUFpQjs7SUFFakIsSUFBSSxPQUFPLEdBQ1QsUUFBUSxDQUFDLE1BQU07UUFDZixXQUFXO1FBQ1gsR0FBRztRQUNILFdBQVcsQ0FBQyxTQUFTLENBQ25CLE1BQU0sQ0FBQyxNQUFNLENBQ1g7WUFDRSxlQUFlLEVBQUUsUUFBUSxDQUFDLFFBQVE7WUFDbEMsZUFBZSxFQUFFLFFBQVEsQ0FBQyxRQUFRO1NBQ25DLEVBQ0QsWUFBWSxJQUFJLEVBQUUsQ0FDbkIsQ0FDRixDQUFBO0lBRUgsd0NBQXdDO0lBRXhDLElBQUksUUFBa0IsQ0FBQTtJQUN0QixJQUFJLFlBQW9CLENBQUE7SUFDeEIsSUFBSSxDQUFDO1FBQ0gsUUFBUSxHQUFHLE1BQU0sS0FBSyxDQUFDLE9BQU8sRUFBRTtZQUM5QixNQUFNLEVBQUUsTUFBTTtZQUNkLE9BQU8sRUFBRTtnQkFDUCxjQUFjLEVBQUUsa0JBQWtCO2dCQUNsQyxNQUFNLEVBQUUsa0JBQWtCO2FBQzNCO1lBQ0QsTUFBTSxFQUFFLFdBQVcsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQztTQUM5QyxDQUFDLENBQUE7UUFDRixZQUFZLEdBQUcsTUFBTSxRQUFRLENBQUMsSUFBSSxFQUFFLENBQUE7SUFDdEMsQ0FBQztJQUFDLE9BQU8sR0FBUSxFQUFFLENBQUM7UUFDbEIsTUFBTSxNQUFNLEdBQUcsR0FBRyxDQUFDLElBQUksS0FBSyxjQUFjLENBQUMsQ0FBQyxDQUFDLGtCQUFrQixHQUFHLFFBQVEsQ0FBQyxPQUFPLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFBLE1BQUEsR0FBRyxDQUFDLEtBQUssMENBQUUsT0FBTyxLQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUE7UUFDOUgsTUFBTSxJQUFJLHFCQUFxQixDQUFDLFNBQVMsR0FBRyxXQUFXLEdBQUcsTUFBTSxDQUFDLENBQUE7SUFDbkUsQ0FBQztJQUNELElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRSxFQUFFLENBQUM7UUFDakIsT0FBTyxDQUFDLEtBQUssQ0FBQyxZQUFZLEVBQUUsUUFBUSxDQUFDLE1BQU0sRUFBRSxRQUFRLENBQUMsVUFBVSxFQUFFLFlBQVksQ0FBQyxDQUFBO1FBQy9FLE1BQU0saUJBQWlCLENBQUMsU0FBUyxFQUFFLFFBQVEsRUFBRSxZQUFZLENBQUMsQ0FBQTtJQUM1RCxDQUFDO0lBQ0QsSUFBSSxjQUF1QyxDQUFBO0lBQzNDLElBQUksQ0FBQztRQUNILGNBQWMsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLFlBQVksQ0FBQyxDQUFBO0lBQzNDLENBQUM7SUFBQyxPQUFPLEdBQVEsRUFBRSxDQUFDO1FBQ2xCLE1BQU0sSUFBSSxlQUFlLENBQUMsU0FBUyxHQUFHLGlDQUFpQyxHQUFHLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUE7SUFDdkcsQ0FBQztJQUNELElBQUksQ0FBQSxjQUFjLGFBQWQsY0FBYyx1QkFBZCxjQUFjLENBQUUsTUFBTSxNQUFLLFFBQVEsRUFBRSxDQUFDO1FBQ3hDLE1BQU0sc0JBQXNCLENBQUMsU0FBUyxFQUFFLGNBQWMsQ0FBQyxhQUFhLElBQUksY0FBYyxDQUFDLGlCQUFpQixDQUFDLENBQUE7SUFDM0csQ0FBQztJQUNELE9BQU8sY0FBYyxDQUFBO0FBQ3ZCLENBQUM7QUFFRCxLQUFLLFVBQVUsd0JBQXdCLENBQ3JDLFFBQTZCLEVBQzdCLFNBQWlCLEVBQ2pCLE1BQWMsRUFDZCxXQUFtQixFQUNuQixZQUFpQixFQUNqQixVQUFtQjtJQUVuQixLQUFLLElBQUksT0FBTyxHQUFHLENBQUMsR0FBSSxPQUFPLEVBQUUsRUFBRSxDQUFDO1FBQ2xDLElBQUksQ0FBQztZQUNILE9BQU8sTUFBTSxlQUFlLENBQUMsUUFBUSxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLFlBQVksQ0FBQyxDQUFBO1FBQ3RGLENBQUM7UUFBQyxPQUFPLEdBQVEsRUFBRSxDQUFDO1lBQ2xCLGlHQUFpRztZQUNqRyxNQUFNLFNBQVMsR0FBRyxHQUFHLFlBQVkscUJBQXFCLElBQUksQ0FBQyxVQUFVLElBQUksR0FBRyxZQUFZLHFCQUFxQixDQUFDLENBQUE7WUFDOUcsSUFBSSxDQUFDLFNBQVMsSUFBSSxPQUFPLElBQUksUUFBUSxDQUFDLE9BQU8sRUFBRSxDQUFDO2dCQUM5QyxNQUFNLEdBQUcsQ0FBQTtZQUNYLENBQUM7WUFDRCxNQUFNLEtBQUssR0FBRyxDQUFDLEdBQUcsWUFBWSxxQkFBcUIsSUFBSSxHQUFHLENBQUMsVUFBVSxDQUFDLElBQUksUUFBUSxDQUFDLFVBQVUsR0FBRyxDQUFDLElBQUksT0FBTyxDQUFBO1lBQzVHLE9BQU8sQ0FBQyxLQUFLLENBQUMsT0FBTyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUE7WUFDakUsTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFBO1FBQzVELENBQUM7SUFDSCxDQUFDO0FBQ0gsQ0FBQztBQUVELFNBQVMsc0JBQXNCLENBQUMsTUFBaUI7SUFDL0MsSUFBSSxDQUFDLDJCQUFpQixDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDO1FBQ3BDLE9BQU8sRUFBRSxNQUFNLEVBQUUsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFBO0lBQ2pDLENBQUM7SUFDRCxNQUFNLEVBQUUsTUFBTSxFQUFFLEdBQUcsSUFBQSwwQkFBZ0IsRUFBQyxNQUFNLENBQUMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQTtJQUM5RCxNQUFNLE1BQU0sR0FBUSxFQUFFLENBQUE7SUFDdEIsS0FBSyxNQUFNLFNBQVMsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUM7UUFDNUMsTUFBTSxDQUFDLGtCQUFrQixDQUFDLFNBQVMsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFBO0lBQzNELENBQUM7SUFDRCxPQUFPLE1BQU0sQ0FBQTtBQUNmLENBQUM7QUFFRCxTQUFTLHdCQUF3QixDQUFDLGFBQWtCO0lBQ2xELDJFQUEyRTtJQUMzRSxNQUFNLFVBQVUsR0FBRywyQkFBaUIsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLENBQUE7SUFDeEQsSUFBSSxDQUFDLFVBQVUsRUFBRSxDQUFDO1FBQ2hCLE9BQU8sYUFBYSxDQUFDLE1BQU0sQ0FBQTtJQUM3QixDQUFDO0lBQ0QsT0FBTyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxhQUFhLENBQUMsa0JBQWtCLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQTtBQUM5RixDQUFDO0FBRUQsU0FBZ0IscUJBQXFCLENBQUMsZUFBdUIsRUFBRSxlQUF1QixFQUFFLFVBQWtDLEVBQUU7O0lBQzFILE1BQU0sUUFBUSxHQUF3QjtRQUNwQyxNQUFNLEVBQUUsT0FBTyxDQUFDLE1BQU0sSUFBSSx5QkFBeUI7UUFDbkQsUUFBUSxFQUFFLGVBQWU7UUFDekIsUUFBUSxFQUFFLGVBQWU7UUFDekIsT0FBTyxFQUFFLE1BQUEsT0FBTyxDQUFDLE9BQU8sbUNBQUksS0FBSztRQUNqQyxPQUFPLEVBQUUsTUFBQSxPQUFPLENBQUMsT0FBTyxtQ0FBSSxDQUFDO1FBQzdCLFVBQVUsRUFBRSxNQUFBLE9BQU8sQ0FBQyxVQUFVLG1DQUFJLElBQUk7S0FDdkMsQ0FBQTtJQUNELE1BQU0sSUFBSSxHQUFHLENBQUMsU0FBaUIsRUFBRSxNQUFjLEVBQUUsV0FBbUIsRUFBRSxZQUFpQixFQUFFLFVBQVUsR0FBRyxJQUFJLEVBQUUsRUFBRSxDQUM1Ryx3QkFBd0IsQ0FBQyxRQUFRLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxXQUFXLEVBQUUsWUFBWSxFQUFFLFVBQVUsQ0FBQyxDQUFBO0lBRTlGLE9BQU87UUFDTCxLQUFLLENBQUMsU0FBUztZQUNiLE1BQU0sV0FBVyxHQUFHLEdBQUcsQ0FBQTtZQUN2QixNQUFNLFNBQVMsR0FBYSxFQUFFLENBQUE7WUFDOUIsSUFBSSxJQUFJLEdBQUcsQ0FBQyxDQUFBO1lBQ1osT0FBTyxJQUFJLEVBQUUsQ0FBQztnQkFDWixNQUFNLGFBQWEsR0FBRyxNQUFNLElBQUksQ0FBQyxZQUFZLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixFQUFFO29CQUM1RSxJQUFJLEVBQUUsSUFBSTtvQkFDVixlQUFlLEVBQUUsV0FBVztpQkFDN0IsQ0FBQyxDQUFBO2dCQUNGLE1BQU0sS0FBSyxHQUFVLE1BQU0sQ0FBQyxNQUFNLENBQUMsYUFBYSxJQUFJLEVBQUUsQ0FBQyxDQUFBO2dCQUN2RCxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQVMsRUFBRSxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUE7Z0JBQ3RELElBQUksS0FBSyxDQUFDLE1BQU0sR0FBRyxXQUFXLEVBQUUsQ0FBQztvQkFDL0IsT0FBTyxTQUFTLENBQUE7Z0JBQ2xCLENBQUM7Z0JBQ0QsSUFBSSxFQUFFLENBQUE7WUFDUixDQUFDO1FBQ0gsQ0FBQztRQUVELEtBQUssQ0FBQyxXQUFXLENBQUMsUUFBZ0I7WUFDaEMsTUFBTSxlQUFlLEdBQUcsTUFBTSxJQUFJLENBQUMsa0JBQWtCLEdBQUcsUUFBUSxFQUFFLEtBQUssRUFBRSxtQkFBbUIsRUFBRTtnQkFDNUYsYUFBYSxFQUFFLFFBQVE7YUFDeEIsQ0FBQyxDQUFBO1lBQ0YsT0FBTyxNQUFNLENBQUMsTUFBTSxDQUFDLGVBQWUsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxhQUFrQixFQUFFLEVBQUUsQ0FBQyxDQUFDO2dCQUN2RSxFQUFFLEVBQUUsYUFBYSxDQUFDLEVBQUU7Z0JBQ3BCLElBQUksRUFBRSxhQUFhLENBQUMsSUFBSTtnQkFDeEIsSUFBSSxFQUFFLGFBQWEsQ0FBQyxJQUFJO2dCQUN4QixLQUFLLEVBQUUsd0JBQXdCLENBQUMsYUFBYSxDQUFDO2dCQUM5QyxHQUFHLEVBQUUsYUFBYSxDQUFDLEdBQUc7YUFDdkIsQ0FBQyxDQUFDLENBQUE7UUFDTCxDQUFDO1FBRUQsS0FBSyxDQUFDLFNBQVMsQ0FBQyxRQUFnQixFQUFFLE1BQWlCO1lBQ2pELE1BQU0sSUFBSSxDQUNSLFlBQVksRUFDWixNQUFNLEVBQ04sc0JBQXNCLEVBQ3RCO2dCQUNFLGFBQWEsRUFBRSxRQUFRO2dCQUN2QixJQUFJLEVBQUUsTUFBTSxDQUFDLElBQUk7Z0JBQ2pCLGFBQWEsRUFBRSxNQUFNLENBQUMsSUFBSTtnQkFDMUIsR0FBRyxzQkFBc0IsQ0FBQyxNQUFNLENBQUM7Z0JBQ2pDLEdBQUcsRUFBRSxNQUFNLENBQUMsR0FBRzthQUNoQixFQUNELEtBQUssQ0FDTixDQUFBO1FBQ0gsQ0FBQztRQUVELEtBQUssQ0FBQyxZQUFZLENBQUMsUUFBZ0IsRUFBRSxRQUFnQixFQUFFLE1BQWlCO1lBQ3RFLE1BQU0sSUFBSSxDQUFDLGVBQWUsRUFBRSxNQUFNLEVBQUUsc0JBQXNCLEVBQUU7Z0JBQzFELGFBQWEsRUFBRSxRQUFRO2dCQUN2QixXQUFXLEVBQUUsUUFBUTtnQkFDckIsSUFBSSxFQUFFLE1BQU0sQ0FBQyxJQUFJO2dCQUNqQixhQUFhLEVBQUUsTUFBTSxDQUFDLElBQUk7Z0JBQzFCLEdBQUcsc0JBQXNCLENBQUMsTUFBTSxDQUFDO2dCQUNqQyxHQUFHLEVBQUUsTUFBTSxDQUFDLEdBQUc7YUFDaEIsQ0FBQyxDQUFBO1FBQ0osQ0FBQztRQUVELEtBQUssQ0FBQyxZQUFZLENBQUMsUUFBZ0IsRUFBRSxRQUFnQjtZQUNuRCxNQUFNLElBQUksQ0FBQyxlQUFlLEVBQUUsTUFBTSxFQUFFLHlCQUF5QixFQUFFO2dCQUM3RCxhQUFhLEVBQUUsUUFBUTtnQkFDdkIsV0FBVyxFQUFFLFFBQVE7YUFDdEIsQ0FBQyxDQUFBO1FBQ0osQ0FBQztLQUNGLENBQUE7QUFDSCxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBDbG91RE5TIFJFU1QgQVBJIHByb3ZpZGVyLlxuICpcbiAqIEV2ZXJ5IGNhbGwgaGFzIGEgdGltZW91dCBhbmQgaXMgcmV0cmllZCB3aXRoIGV4cG9uZW50aWFsIGJhY2tvZmYgd2hlbiBpdCBmYWlscyBmb3IgYSB0cmFuc2llbnQgcmVhc29uXG4gKiAobmV0d29yayBlcnJvcnMsIHRpbWVvdXRzLCBIVFRQIDV4eCBhbmQgcmF0ZSBsaW1pdGluZykuIEFkZGluZyBhIHJlY29yZCBpcyBub3QgaWRlbXBvdGVudCwgYmVjYXVzZSBhIHJlcXVlc3RcbiAqIHRoYXQgdGltZWQgb3V0IG1heSBzdGlsbCBoYXZlIGNyZWF0ZWQgdGhlIHJlY29yZCwgc28gaXQgaXMgb25seSByZXRyaWVkIHdoZW4gcmF0ZSBsaW1pdGVkLiBDbG91RE5TIGFsc28gcmVwb3J0cyBtYW55IGVycm9ycyBhcyBIVFRQIDIwMCB3aXRoXG4gKiBzdGF0dXMgXCJGYWlsZWRcIiwgc28gdGhvc2UgcmVzcG9uc2VzIGFyZSBjbGFzc2lmaWVkIGludG8gdGhlIGVycm9yIGNsYXNzZXMgYmVsb3cuXG4gKi9cbmltcG9ydCAqIGFzIHF1ZXJ5c3RyaW5nIGZyb20gJ3F1ZXJ5c3RyaW5nJ1xuaW1wb3J0IHsgRG5zUHJvdmlkZXIsIERuc1JlY29yZCB9IGZyb20gJy4vZG5zLXByb3ZpZGVyJ1xuaW1wb3J0IHsgcGFyc2VSZWNvcmRWYWx1ZSwgcmVjb3JkVmFsdWVGaWVsZHMgfSBmcm9tICcuL3JlY29yZHMnXG5cbnR5cGUgQ2xvdWRuc1Jlc3RDYWxsUmVzcG9uc2UgPSBhbnlcblxuZXhwb3J0IGludGVyZmFjZSBDbG91ZG5zUHJvdmlkZXJPcHRpb25zIHtcbiAgLy8gRGVmYXVsdHMgdG8gaHR0cHM6Ly9hcGkuY2xvdWRucy5uZXQsIHRlc3RzIHBvaW50IHRoaXMgdG8gYSBsb2NhbCBzdGFuZC1pbiBzZXJ2ZXJcbiAgYXBpVXJsPzogc3RyaW5nXG4gIC8vIFJlcXVlc3QgdGltZW91dCBpbiBtaWxsaXNlY29uZHMgKGRlZmF1bHRzIHRvIDMwMDAwKVxuICB0aW1lb3V0PzogbnVtYmVyXG4gIC8vIE51bWJlciBvZiByZXRyaWVzIGZvciB0cmFuc2llbnQgZmFpbHVyZXMgKGRlZmF1bHRzIHRvIDMpLCBBZGQgcmVjb3JkIGlzIG9ubHkgcmV0cmllZCB3aGVuIHJhdGUgbGltaXRlZFxuICByZXRyaWVzPzogbnVtYmVyXG4gIC8vIERlbGF5IGJlZm9yZSB0aGUgZmlyc3QgcmV0cnkgaW4gbWlsbGlzZWNvbmRzLCBkb3VibGVkIGZvciBlYWNoIGZ1cnRoZXIgcmV0cnkgKGRlZmF1bHRzIHRvIDEwMDApXG4gIHJldHJ5RGVsYXk/OiBudW1iZXJcbn1cblxuaW50ZXJmYWNlIENsb3VkbnNDYWxsU2V0dGluZ3Mge1xuICBhcGlVcmw6IHN0cmluZ1xuICB1c2VybmFtZTogc3RyaW5nXG4gIHBhc3N3b3JkOiBzdHJpbmdcbiAgdGltZW91dDogbnVtYmVyXG4gIHJldHJpZXM6IG51bWJlclxuICByZXRyeURlbGF5OiBudW1iZXJcbn1cblxuLy8gQ2xvdUROUyBBUEkgcGFyYW1ldGVyIG5hbWVzIG9mIHRoZSByZWNvcmQgdmFsdWUgZmllbGRzXG5jb25zdCBjbG91ZG5zRmllbGRQYXJhbXM6IHsgW2ZpZWxkTmFtZTogc3RyaW5nXTogc3RyaW5nIH0gPSB7XG4gIHByaW9yaXR5OiAncHJpb3JpdHknLFxuICB3ZWlnaHQ6ICd3ZWlnaHQnLFxuICBwb3J0OiAncG9ydCcsXG4gIHRhcmdldDogJ3JlY29yZCcsXG4gIGZsYWc6ICdjYWFfZmxhZycsXG4gIHRhZzogJ2NhYV90eXBlJyxcbiAgdmFsdWU6ICdjYWFfdmFsdWUnLFxufVxuXG5leHBvcnQgY2xhc3MgQ2xvdWRuc0FwaUVycm9yIGV4dGVuZHMgRXJyb3Ige1xuICBjb25zdHJ1Y3RvcihtZXNzYWdlOiBzdHJpbmcpIHtcbiAgICBzdXBlcihtZXNzYWdlKVxuICAgIHRoaXMubmFtZSA9IG5ldy50YXJnZXQubmFtZVxuICB9XG59XG5cbi8vIFdyb25nIHN1Yi1hdXRoLXVzZXIgb3IgcGFzc3dvcmQsIG9yIHRoZSBBUEkgdXNlciBpcyBub3QgYWxsb3dlZCB0byB1c2UgdGhlIHpvbmVcbmV4cG9ydCBjbGFzcyBDbG91ZG5zQXV0aEVycm9yIGV4dGVuZHMgQ2xvdWRuc0FwaUVycm9yIHt9XG5cbi8vIFRoZSB6b25lIChkb21haW4tbmFtZSkgZG9lcyBub3QgZXhpc3QgaW4gdGhlIENsb3VETlMgYWNjb3VudFxuZXhwb3J0IGNsYXNzIENsb3VkbnNab25lTm90Rm91bmRFcnJvciBleHRlbmRzIENsb3VkbnNBcGlFcnJvciB7fVxuXG4vLyBDbG91RE5TIHJlamVjdGVkIHRoZSByZXF1ZXN0IHBhcmFtZXRlcnMsIGZvciBpbnN0YW5jZSBhbiBpbnZhbGlkIHJlY29yZCB2YWx1ZSBvciByZWNvcmQgSURcbmV4cG9ydCBjbGFzcyBDbG91ZG5zVmFsaWRhdGlvbkVycm9yIGV4dGVuZHMgQ2xvdWRuc0FwaUVycm9yIHt9XG5cbi8vIE5ldHdvcmsgZXJyb3JzLCB0aW1lb3V0cyBhbmQgSFRUUCA1eHggcmVzcG9uc2VzLCB3aGljaCBhcmUgcmV0cmllZFxuZXhwb3J0IGNsYXNzIENsb3VkbnNUcmFuc2llbnRFcnJvciBleHRlbmRzIENsb3VkbnNBcGlFcnJvciB7fVxuXG4vLyBUb28gbWFueSBBUEkgcmVxdWVzdHMsIHdoaWNoIGFyZSByZXRyaWVkIGFmdGVyIHRoZSBSZXRyeS1BZnRlciBkZWxheSB3aGVuIENsb3VETlMgc2VuZHMgb25lXG5leHBvcnQgY2xhc3MgQ2xvdWRuc1JhdGVMaW1pdEVycm9yIGV4dGVuZHMgQ2xvdWRuc1RyYW5zaWVudEVycm9yIHtcbiAgY29uc3RydWN0b3IoXG4gICAgbWVzc2FnZTogc3RyaW5nLFxuICAgIHB1YmxpYyByZXRyeUFmdGVyPzogbnVtYmVyXG4gICkge1xuICAgIHN1cGVyKG1lc3NhZ2UpXG4gIH1cbn1cblxuZnVuY3Rpb24gY2xhc3NpZnlDbG91ZG5zRmFpbHVyZShvcGVyYXRpb246IHN0cmluZywgc3RhdHVzRGVzY3JpcHRpb246IHN0cmluZykge1xuICBjb25zdCBtZXNzYWdlID0gb3BlcmF0aW9uICsgJyBmYWlsZWQ6ICcgKyBzdGF0dXNEZXNjcmlwdGlvblxuICBpZiAoL3RvbyBtYW55IHJlcXVlc3RzfHJhdGUgbGltaXR8cmVxdWVzdCBsaW1pdHxsaW1pdCBleGNlZWRlZC9pLnRlc3Qoc3RhdHVzRGVzY3JpcHRpb24pKSB7XG4gICAgcmV0dXJuIG5ldyBDbG91ZG5zUmF0ZUxpbWl0RXJyb3IobWVzc2FnZSlcbiAgfVxuICBpZiAoL2F1dGgtaWR8YXV0aC1wYXNzd29yZHxzdWItYXV0aC11c2VyfGF1dGhlbnRpY2F0aW9uL2kudGVzdChzdGF0dXNEZXNjcmlwdGlvbikpIHtcbiAgICByZXR1cm4gbmV3IENsb3VkbnNBdXRoRXJyb3IobWVzc2FnZSlcbiAgfVxuICBpZiAoL2RvbWFpbi1uYW1lfGRvbWFpbiBuYW1lfGRvbWFpbiBub3QgZm91bmR8em9uZSBub3QgZm91bmQvaS50ZXN0KHN0YXR1c0Rlc2NyaXB0aW9uKSkge1xuICAgIHJldHVybiBuZXcgQ2xvdWRuc1pvbmVOb3RGb3VuZEVycm9yKG1lc3NhZ2UpXG4gIH1cbiAgcmV0dXJuIG5ldyBDbG91ZG5zVmFsaWRhdGlvbkVycm9yKG1lc3NhZ2UpXG59XG5cbmZ1bmN0aW9uIGNsYXNzaWZ5SHR0cEVycm9yKG9wZXJhdGlvbjogc3RyaW5nLCByZXNwb25zZTogUmVzcG9uc2UsIGVycm9yVGV4dDogc3RyaW5nKSB7XG4gIGNvbnN0IG1lc3NhZ2UgPSBvcGVyYXRpb24gKyAnIGZhaWxlZDogSFRUUCAnICsgcmVzcG9uc2Uuc3RhdHVzICsgJyAnICsgKGVycm9yVGV4dCB8fCByZXNwb25zZS5zdGF0dXNUZXh0KVxuICBpZiAocmVzcG9uc2Uuc3RhdHVzID09PSA0MjkpIHtcbiAgICBjb25zdCByZXRyeUFmdGVyU2Vjb25kcyA9IE51bWJlcihyZXNwb25zZS5oZWFkZXJzLmdldCgncmV0cnktYWZ0ZXInKSlcbiAgICByZXR1cm4gbmV3IENsb3VkbnNSYXRlTGltaXRFcnJvcihtZXNzYWdlLCByZXRyeUFmdGVyU2Vjb25kcyA+IDAgPyByZXRyeUFmdGVyU2Vjb25kcyAqIDEwMDAgOiB1bmRlZmluZWQpXG4gIH1cbiAgaWYgKHJlc3BvbnNlLnN0YXR1cyA9PT0gNDAxIHx8IHJlc3BvbnNlLnN0YXR1cyA9PT0gNDAzKSB7XG4gICAgcmV0dXJuIG5ldyBDbG91ZG5zQXV0aEVycm9yKG1lc3NhZ2UpXG4gIH1cbiAgaWYgKHJlc3BvbnNlLnN0YXR1cyA+PSA1MDApIHtcbiAgICByZXR1cm4gbmV3IENsb3VkbnNUcmFuc2llbnRFcnJvcihtZXNzYWdlKVxuICB9XG4gIHJldHVybiBuZXcgQ2xvdWRuc0FwaUVycm9yKG1lc3NhZ2UpXG59XG5cbmFzeW5jIGZ1bmN0aW9uIGNsb3VkbnNSZXN0Q2FsbChcbiAgc2V0dGluZ3M6IENsb3VkbnNDYWxsU2V0dGluZ3MsXG4gIG9wZXJhdGlvbjogc3RyaW5nLFxuICBtZXRob2Q6IHN0cmluZyxcbiAgcmVsYXRpdmVVcmw6IHN0cmluZyxcbiAgcXVlcnlPcHRpb25zOiBhbnlcbik6IFByb21pc2U8Q2xvdWRuc1Jlc3RDYWxsUmVzcG9uc2U+IHtcbiAgbGV0IGZ1bGxVcmwgPVxuICAgIHNldHRpbmdzLmFwaVVybCArXG4gICAgcmVsYXRpdmVVcmwgK1xuICAgICc/JyArXG4gICAgcXVlcnlzdHJpbmcuc3RyaW5naWZ5KFxuICAgICAgT2JqZWN0LmFzc2lnbihcbiAgICAgICAge1xuICAgICAgICAgICdzdWItYXV0aC11c2VyJzogc2V0dGluZ3MudXNlcm5hbWUsXG4gICAgICAgICAgJ2F1dGgtcGFzc3dvcmQnOiBzZXR0aW5ncy5wYXNzd29yZCxcbiAgICAgICAgfSxcbiAgICAgICAgcXVlcnlPcHRpb25zIHx8IHt9XG4gICAgICApXG4gICAgKVxuXG4gIC8vIGNvbnNvbGUubG9nKCdOb3RlOiBDYWxsaW5nJywgZnVsbFVybClcblxuICBsZXQgcmVzcG9uc2U6IFJlc3BvbnNlXG4gIGxldCByZXNwb25zZVRleHQ6IHN0cmluZ1xuICB0cnkge1xuICAgIHJlc3BvbnNlID0gYXdhaXQgZmV0Y2goZnVsbFVybCwge1xuICAgICAgbWV0aG9kOiBtZXRob2QsXG4gICAgICBoZWFkZXJzOiB7XG4gICAgICAgICdDb250ZW50LVR5cGUnOiAnYXBwbGljYXRpb24vanNvbicsXG4gICAgICAgIEFjY2VwdDogJ2FwcGxpY2F0aW9uL2pzb24nLFxuICAgICAgfSxcbiAgICAgIHNpZ25hbDogQWJvcnRTaWduYWwudGltZW91dChzZXR0aW5ncy50aW1lb3V0KSxcbiAgICB9KVxuICAgIHJlc3BvbnNlVGV4dCA9IGF3YWl0IHJlc3BvbnNlLnRleHQoKVxuICB9IGNhdGNoIChlcnI6IGFueSkge1xuICAgIGNvbnN0IHJlYXNvbiA9IGVyci5uYW1lID09PSAnVGltZW91dEVycm9yJyA/ICd0aW1lZCBvdXQgYWZ0ZXIgJyArIHNldHRpbmdzLnRpbWVvdXQgKyAnIG1zJyA6IGVyci5jYXVzZT8ubWVzc2FnZSB8fCBlcnIubWVzc2FnZVxuICAgIHRocm93IG5ldyBDbG91ZG5zVHJhbnNpZW50RXJyb3Iob3BlcmF0aW9uICsgJyBmYWlsZWQ6ICcgKyByZWFzb24pXG4gIH1cbiAgaWYgKCFyZXNwb25zZS5vaykge1xuICAgIGNvbnNvbGUuZXJyb3IoJ0hUVFAgRXJyb3InLCByZXNwb25zZS5zdGF0dXMsIHJlc3BvbnNlLnN0YXR1c1RleHQsIHJlc3BvbnNlVGV4dClcbiAgICB0aHJvdyBjbGFzc2lmeUh0dHBFcnJvcihvcGVyYXRpb24sIHJlc3BvbnNlLCByZXNwb25zZVRleHQpXG4gIH1cbiAgbGV0IHBhcnNlZFJlc3BvbnNlOiBDbG91ZG5zUmVzdENhbGxSZXNwb25zZVxuICB0cnkge1xuICAgIHBhcnNlZFJlc3BvbnNlID0gSlNPTi5wYXJzZShyZXNwb25zZVRleHQpXG4gIH0gY2F0Y2ggKGVycjogYW55KSB7XG4gICAgdGhyb3cgbmV3IENsb3VkbnNBcGlFcnJvcihvcGVyYXRpb24gKyAnIGZhaWxlZDogaW52YWxpZCBKU09OIHJlc3BvbnNlICcgKyByZXNwb25zZVRleHQuc2xpY2UoMCwgMjAwKSlcbiAgfVxuICBpZiAocGFyc2VkUmVzcG9uc2U/LnN0YXR1cyA9PT0gJ0ZhaWxlZCcpIHtcbiAgICB0aHJvdyBjbGFzc2lmeUNsb3VkbnNGYWlsdXJlKG9wZXJhdGlvbiwgcGFyc2VkUmVzcG9uc2Uuc3RhdHVzTWVzc2FnZSB8fCBwYXJzZWRSZXNwb25zZS5zdGF0dXNEZXNjcmlwdGlvbilcbiAgfVxuICByZXR1cm4gcGFyc2VkUmVzcG9uc2Vcbn1cblxuYXN5bmMgZnVuY3Rpb24gY2xvdWRuc1Jlc3RDYWxsV2l0aFJldHJ5KFxuICBzZXR0aW5nczogQ2xvdWRuc0NhbGxTZXR0aW5ncyxcbiAgb3BlcmF0aW9uOiBzdHJpbmcsXG4gIG1ldGhvZDogc3RyaW5nLFxuICByZWxhdGl2ZVVybDogc3RyaW5nLFxuICBxdWVyeU9wdGlvbnM6IGFueSxcbiAgaWRlbXBvdGVudDogYm9vbGVhblxuKTogUHJvbWlzZTxDbG91ZG5zUmVzdENhbGxSZXNwb25zZT4ge1xuICBmb3IgKGxldCBhdHRlbXB0ID0gMDsgOyBhdHRlbXB0KyspIHtcbiAgICB0cnkge1xuICAgICAgcmV0dXJuIGF3YWl0IGNsb3VkbnNSZXN0Q2FsbChzZXR0aW5ncywgb3BlcmF0aW9uLCBtZXRob2QsIHJlbGF0aXZlVXJsLCBxdWVyeU9wdGlvbnMpXG4gICAgfSBjYXRjaCAoZXJyOiBhbnkpIHtcbiAgICAgIC8vIFJhdGUgbGltaXRlZCByZXF1ZXN0cyB3ZXJlIHJlamVjdGVkIGJlZm9yZSBDbG91RE5TIG1hZGUgYW55IGNoYW5nZSwgc28gdGhleSBhcmUgc2FmZSB0byByZXBlYXRcbiAgICAgIGNvbnN0IHJldHJ5YWJsZSA9IGVyciBpbnN0YW5jZW9mIENsb3VkbnNSYXRlTGltaXRFcnJvciB8fCAoaWRlbXBvdGVudCAmJiBlcnIgaW5zdGFuY2VvZiBDbG91ZG5zVHJhbnNpZW50RXJyb3IpXG4gICAgICBpZiAoIXJldHJ5YWJsZSB8fCBhdHRlbXB0ID49IHNldHRpbmdzLnJldHJpZXMpIHtcbiAgICAgICAgdGhyb3cgZXJyXG4gICAgICB9XG4gICAgICBjb25zdCBkZWxheSA9IChlcnIgaW5zdGFuY2VvZiBDbG91ZG5zUmF0ZUxpbWl0RXJyb3IgJiYgZXJyLnJldHJ5QWZ0ZXIpIHx8IHNldHRpbmdzLnJldHJ5RGVsYXkgKiAyICoqIGF0dGVtcHRcbiAgICAgIGNvbnNvbGUuZXJyb3IoJ1JFVFJZJywgb3BlcmF0aW9uLCAnSU4nLCBkZWxheSwgJ01TJywgZXJyLm1lc3NhZ2UpXG4gICAgICBhd2FpdCBuZXcgUHJvbWlzZSgocmVzb2x2ZSkgPT4gc2V0VGltZW91dChyZXNvbHZlLCBkZWxheSkpXG4gICAgfVxuICB9XG59XG5cbmZ1bmN0aW9uIGdldENsb3VkbnNSZWNvcmRQYXJhbXMocmVjb3JkOiBEbnNSZWNvcmQpIHtcbiAgaWYgKCFyZWNvcmRWYWx1ZUZpZWxkc1tyZWNvcmQudHlwZV0pIHtcbiAgICByZXR1cm4geyByZWNvcmQ6IHJlY29yZC52YWx1ZSB9XG4gIH1cbiAgY29uc3QgeyBmaWVsZHMgfSA9IHBhcnNlUmVjb3JkVmFsdWUocmVjb3JkLnR5cGUsIHJlY29yZC52YWx1ZSlcbiAgY29uc3QgcGFyYW1zOiBhbnkgPSB7fVxuICBmb3IgKGNvbnN0IGZpZWxkTmFtZSBvZiBPYmplY3Qua2V5cyhmaWVsZHMpKSB7XG4gICAgcGFyYW1zW2Nsb3VkbnNGaWVsZFBhcmFtc1tmaWVsZE5hbWVdXSA9IGZpZWxkc1tmaWVsZE5hbWVdXG4gIH1cbiAgcmV0dXJuIHBhcmFtc1xufVxuXG5mdW5jdGlvbiBmb3JtYXRDbG91ZG5zUmVjb3JkVmFsdWUoY2xvdWRuc1JlY29yZDogYW55KSB7XG4gIC8vIEZvcm1hdCBleGlzdGluZyByZWNvcmRzIGxpa2UgcGFyc2VSZWNvcmRWYWx1ZSgpIG5vcm1hbGl6ZXMgZXhwb3J0IHZhbHVlc1xuICBjb25zdCBmaWVsZE5hbWVzID0gcmVjb3JkVmFsdWVGaWVsZHNbY2xvdWRuc1JlY29yZC50eXBlXVxuICBpZiAoIWZpZWxkTmFtZXMpIHtcbiAgICByZXR1cm4gY2xvdWRuc1JlY29yZC5yZWNvcmRcbiAgfVxuICByZXR1cm4gZmllbGROYW1lcy5tYXAoKGZpZWxkTmFtZSkgPT4gY2xvdWRuc1JlY29yZFtjbG91ZG5zRmllbGRQYXJhbXNbZmllbGROYW1lXV0pLmpvaW4oJyAnKVxufVxuXG5leHBvcnQgZnVuY3Rpb24gY3JlYXRlQ2xvdWRuc1Byb3ZpZGVyKGNsb3VkbnNVc2VybmFtZTogc3RyaW5nLCBjbG91ZG5zUGFzc3dvcmQ6IHN0cmluZywgb3B0aW9uczogQ2xvdWRuc1Byb3ZpZGVyT3B0aW9ucyA9IHt9KTogRG5zUHJvdmlkZXIge1xuICBjb25zdCBzZXR0aW5nczogQ2xvdWRuc0NhbGxTZXR0aW5ncyA9IHtcbiAgICBhcGlVcmw6IG9wdGlvbnMuYXBpVXJsIHx8ICdodHRwczovL2FwaS5jbG91ZG5zLm5ldCcsXG4gICAgdXNlcm5hbWU6IGNsb3VkbnNVc2VybmFtZSxcbiAgICBwYXNzd29yZDogY2xvdWRuc1Bhc3N3b3JkLFxuICAgIHRpbWVvdXQ6IG9wdGlvbnMudGltZW91dCA/PyAzMDAwMCxcbiAgICByZXRyaWVzOiBvcHRpb25zLnJldHJpZXMgPz8gMyxcbiAgICByZXRyeURlbGF5OiBvcHRpb25zLnJldHJ5RGVsYXkgPz8gMTAwMCxcbiAgfVxuICBjb25zdCBjYWxsID0gKG9wZXJhdGlvbjogc3RyaW5nLCBtZXRob2Q6IHN0cmluZywgcmVsYXRpdmVVcmw6IHN0cmluZywgcXVlcnlPcHRpb25zOiBhbnksIGlkZW1wb3RlbnQgPSB0cnVlKSA9PlxuICAgIGNsb3VkbnNSZXN0Q2FsbFdpdGhSZXRyeShzZXR0aW5ncywgb3BlcmF0aW9uLCBtZXRob2QsIHJlbGF0aXZlVXJsLCBxdWVyeU9wdGlvbnMsIGlkZW1wb3RlbnQpXG5cbiAgcmV0dXJuIHtcbiAgICBhc3luYyBsaXN0Wm9uZXMoKSB7XG4gICAgICBjb25zdCByb3dzUGVyUGFnZSA9IDEwMFxuICAgICAgY29uc3Qgem9uZU5hbWVzOiBzdHJpbmdbXSA9IFtdXG4gICAgICBsZXQgcGFnZSA9IDFcbiAgICAgIHdoaWxlICh0cnVlKSB7XG4gICAgICAgIGNvbnN0IHpvbmVzUmVzcG9uc2UgPSBhd2FpdCBjYWxsKCdMaXN0IHpvbmVzJywgJ0dFVCcsICcvZG5zL2xpc3Qtem9uZXMuanNvbicsIHtcbiAgICAgICAgICBwYWdlOiBwYWdlLFxuICAgICAgICAgICdyb3dzLXBlci1wYWdlJzogcm93c1BlclBhZ2UsXG4gICAgICAgIH0pXG4gICAgICAgIGNvbnN0IHpvbmVzOiBhbnlbXSA9IE9iamVjdC52YWx1ZXMoem9uZXNSZXNwb25zZSB8fCB7fSlcbiAgICAgICAgem9uZU5hbWVzLnB1c2goLi4uem9uZXMubWFwKCh6b25lOiBhbnkpID0+IHpvbmUubmFtZSkpXG4gICAgICAgIGlmICh6b25lcy5sZW5ndGggPCByb3dzUGVyUGFnZSkge1xuICAgICAgICAgIHJldHVybiB6b25lTmFtZXNcbiAgICAgICAgfVxuICAgICAgICBwYWdlKytcbiAgICAgIH1cbiAgICB9LFxuXG4gICAgYXN5bmMgbGlzdFJlY29yZHMoem9uZU5hbWU6IHN0cmluZykge1xuICAgICAgY29uc3QgcmVjb3Jkc1Jlc3BvbnNlID0gYXdhaXQgY2FsbCgnTGlzdCByZWNvcmRzIG9mICcgKyB6b25lTmFtZSwgJ0dFVCcsICcvZG5zL3JlY29yZHMuanNvbicsIHtcbiAgICAgICAgJ2RvbWFpbi1uYW1lJzogem9uZU5hbWUsXG4gICAgICB9KVxuICAgICAgcmV0dXJuIE9iamVjdC52YWx1ZXMocmVjb3Jkc1Jlc3BvbnNlIHx8IHt9KS5tYXAoKGNsb3VkbnNSZWNvcmQ6IGFueSkgPT4gKHtcbiAgICAgICAgaWQ6IGNsb3VkbnNSZWNvcmQuaWQsXG4gICAgICAgIGhvc3Q6IGNsb3VkbnNSZWNvcmQuaG9zdCxcbiAgICAgICAgdHlwZTogY2xvdWRuc1JlY29yZC50eXBlLFxuICAgICAgICB2YWx1ZTogZm9ybWF0Q2xvdWRuc1JlY29yZFZhbHVlKGNsb3VkbnNSZWNvcmQpLFxuICAgICAgICB0dGw6IGNsb3VkbnNSZWNvcmQudHRsLFxuICAgICAgfSkpXG4gICAgfSxcblxuICAgIGFzeW5jIGFkZFJlY29yZCh6b25lTmFtZTogc3RyaW5nLCByZWNvcmQ6IERuc1JlY29yZCkge1xuICAgICAgYXdhaXQgY2FsbChcbiAgICAgICAgJ0FkZCByZWNvcmQnLFxuICAgICAgICAnUE9TVCcsXG4gICAgICAgICcvZG5zL2FkZC1yZWNvcmQuanNvbicsXG4gICAgICAgIHtcbiAgICAgICAgICAnZG9tYWluLW5hbWUnOiB6b25lTmFtZSxcbiAgICAgICAgICBob3N0OiByZWNvcmQuaG9zdCxcbiAgICAgICAgICAncmVjb3JkLXR5cGUnOiByZWNvcmQudHlwZSxcbiAgICAgICAgICAuLi5nZXRDbG91ZG5zUmVjb3JkUGFyYW1zKHJlY29yZCksXG4gICAgICAgICAgdHRsOiByZWNvcmQudHRsLFxuICAgICAgICB9LFxuICAgICAgICBmYWxzZVxuICAgICAgKVxuICAgIH0sXG5cbiAgICBhc3luYyBtb2RpZnlSZWNvcmQoem9uZU5hbWU6IHN0cmluZywgcmVjb3JkSWQ6IHN0cmluZywgcmVjb3JkOiBEbnNSZWNvcmQpIHtcbiAgICAgIGF3YWl0IGNhbGwoJ01vZGlmeSByZWNvcmQnLCAnUE9TVCcsICcvZG5zL21vZC1yZWNvcmQuanNvbicsIHtcbiAgICAgICAgJ2RvbWFpbi1uYW1lJzogem9uZU5hbWUsXG4gICAgICAgICdyZWNvcmQtaWQnOiByZWNvcmRJZCxcbiAgICAgICAgaG9zdDogcmVjb3JkLmhvc3QsXG4gICAgICAgICdyZWNvcmQtdHlwZSc6IHJlY29yZC50eXBlLFxuICAgICAgICAuLi5nZXRDbG91ZG5zUmVjb3JkUGFyYW1zKHJlY29yZCksXG4gICAgICAgIHR0bDogcmVjb3JkLnR0bCxcbiAgICAgIH0pXG4gICAgfSxcblxuICAgIGFzeW5jIGRlbGV0ZVJlY29yZCh6b25lTmFtZTogc3RyaW5nLCByZWNvcmRJZDogc3RyaW5nKSB7XG4gICAgICBhd2FpdCBjYWxsKCdEZWxldGUgcmVjb3JkJywgJ1BPU1QnLCAnL2Rucy9kZWxldGUtcmVjb3JkLmpzb24nLCB7XG4gICAgICAgICdkb21haW4tbmFtZSc6IHpvbmVOYW1lLFxuICAgICAgICAncmVjb3JkLWlkJzogcmVjb3JkSWQsXG4gICAgICB9KVxuICAgIH0sXG4gIH1cbn1cbiJdfQ==
\ No newline at end of file
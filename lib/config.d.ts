@@ -0,0 +1,20 @@
+export interface SyncTarget {
+    username: string;
+    passwordParameter: string;
+    passwordRegion?: string;
+    regions: string[];
+    roleArns: string[];
+    profile?: string;
+    ttl: string;
+    stackNames: string[];
+    prune: boolean;
+    concurrency: number;
+}
+export declare const usage = "Usage: cloudns-cloudformation-sync [options] --username <cloudns-username> --password-parameter <cloudns-password-parameter-name>\n       cloudns-cloudformation-sync [options] --config <config-file>\n       cloudns-cloudformation-sync [options] <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]\n\nOptions:\n  --username <username>             ClouDNS API sub-auth-user\n  --password-parameter <name>       SSM Parameter with the encrypted ClouDNS API password\n  --ttl <ttl>                       TTL for generated records (defaults to 300)\n  --stack <stackName>               CloudFormation stack name to limit the records to sync (can be repeated, defaults to all stacks)\n  --region <region>                 AWS region to read the exports from (can be repeated, the first one is also used for SSM)\n  --role-arn <arn>                  IAM role to assume for reading exports in another account (can be repeated)\n  --profile <profile>               AWS profile to use\n  --config <file>                   JSON or YAML config file describing one or more sync targets\n  --dry-run                         Only print the planned changes without changing ClouDNS\n  --json                            With --dry-run, print the plan as JSON to stdout (other output goes to stderr)\n  --prune                           Mark synced records as owned by this tool and delete owned records whose export has disappeared\n  --concurrency <n>                 Number of record sets to sync at the same time (defaults to 4)\n  --help                            Show this help";
+export declare function parseCommandLine(args: string[]): {
+    help: boolean;
+    dryRun: boolean;
+    jsonOutput: boolean;
+    targets: SyncTarget[];
+};
+export declare function readConfigFile(configFile: string, defaults: any): SyncTarget[];
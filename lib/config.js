@@ -0,0 +1,157 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || (function () {
+    var ownKeys = function(o) {
+        ownKeys = Object.getOwnPropertyNames || function (o) {
+            var ar = [];
+            for (var k in o) if (Object.prototype.hasOwnProperty.call(o, k)) ar[ar.length] = k;
+            return ar;
+        };
+        return ownKeys(o);
+    };
+    return function (mod) {
+        if (mod && mod.__esModule) return mod;
+        var result = {};
+        if (mod != null) for (var k = ownKeys(mod), i = 0; i < k.length; i++) if (k[i] !== "default") __createBinding(result, mod, k[i]);
+        __setModuleDefault(result, mod);
+        return result;
+    };
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.usage = void 0;
+exports.parseCommandLine = parseCommandLine;
+exports.readConfigFile = readConfigFile;
+/**
+ * Command line options and config files, which both describe a list of sync targets.
+ */
+const fs = __importStar(require("fs"));
+const util_1 = require("util");
+const YAML = __importStar(require("yaml"));
+const records_1 = require("./records");
+const sync_1 = require("./sync");
+exports.usage = `Usage: cloudns-cloudformation-sync [options] --username <cloudns-username> --password-parameter <cloudns-password-parameter-name>
+       cloudns-cloudformation-sync [options] --config <config-file>
+       cloudns-cloudformation-sync [options] <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]
+
+Options:
+  --username <username>             ClouDNS API sub-auth-user
+  --password-parameter <name>       SSM Parameter with the encrypted ClouDNS API password
+  --ttl <ttl>                       TTL for generated records (defaults to 300)
+  --stack <stackName>               CloudFormation stack name to limit the records to sync (can be repeated, defaults to all stacks)
+  --region <region>                 AWS region to read the exports from (can be repeated, the first one is also used for SSM)
+  --role-arn <arn>                  IAM role to assume for reading exports in another account (can be repeated)
+  --profile <profile>               AWS profile to use
+  --config <file>                   JSON or YAML config file describing one or more sync targets
+  --dry-run                         Only print the planned changes without changing ClouDNS
+  --json                            With --dry-run, print the plan as JSON to stdout (other output goes to stderr)
+  --prune                           Mark synced records as owned by this tool and delete owned records whose export has disappeared
+  --concurrency <n>                 Number of record sets to sync at the same time (defaults to ${sync_1.defaultConcurrency})
+  --help                            Show this help`;
+function parseCommandLine(args) {
+    const { values, positionals } = (0, util_1.parseArgs)({
+        args: args,
+        allowPositionals: true,
+        options: {
+            username: { type: 'string' },
+            'password-parameter': { type: 'string' },
+            ttl: { type: 'string' },
+            stack: { type: 'string', multiple: true },
+            region: { type: 'string', multiple: true },
+            'role-arn': { type: 'string', multiple: true },
+            profile: { type: 'string' },
+            config: { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            json: { type: 'boolean' },
+            prune: { type: 'boolean' },
+            concurrency: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help) {
+        return { help: true, dryRun: false, jsonOutput: false, targets: [] };
+    }
+    // Old positional form: <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]
+    const [positionalUsername, positionalPasswordParameter, positionalTtl, ...positionalStackNames] = positionals;
+    const defaults = {
+        regions: values.region || [],
+        roleArns: values['role-arn'] || [],
+        profile: values.profile,
+        ttl: values.ttl || positionalTtl || '300',
+        stackNames: [...(values.stack || []), ...positionalStackNames],
+        prune: !!values.prune,
+        concurrency: Number(values.concurrency || sync_1.defaultConcurrency),
+    };
+    let targets;
+    if (values.config) {
+        if (values.username || values['password-parameter'] || positionals.length) {
+            throw new Error('The --config option cannot be combined with --username, --password-parameter or positional arguments');
+        }
+        targets = readConfigFile(values.config, defaults);
+    }
+    else {
+        targets = [
+            {
+                ...defaults,
+                username: values.username || positionalUsername,
+                passwordParameter: values['password-parameter'] || positionalPasswordParameter,
+            },
+        ];
+    }
+    for (const target of targets) {
+        if (!target.username || !target.passwordParameter) {
+            throw new Error('ClouDNS username and password parameter are required');
+        }
+        if (!records_1.allowedTtlValues.includes(target.ttl)) {
+            throw new Error('Invalid TTL ' + target.ttl + ', must be one of ' + records_1.allowedTtlValues.join(', '));
+        }
+        if (!Number.isInteger(target.concurrency) || target.concurrency < 1) {
+            throw new Error('Invalid concurrency ' + target.concurrency + ', must be a positive integer');
+        }
+    }
+    return {
+        help: false,
+        dryRun: !!values['dry-run'],
+        jsonOutput: !!values.json,
+        targets: targets,
+    };
+}
+function readConfigFile(configFile, defaults) {
+    // Config file format (JSON or YAML):
+    // { ttl, prune, concurrency, regions, roleArns, profile, targets: [{ username, passwordParameter, regions, roleArns, profile, ttl, stacks, prune, concurrency }] }
+    // region and roleArn are accepted as shorthands for a single region or role.
+    const configText = fs.readFileSync(configFile, 'utf8');
+    const config = configFile.match(/\.ya?ml$/i) ? YAML.parse(configText) : JSON.parse(configText);
+    if (!Array.isArray(config === null || config === void 0 ? void 0 : config.targets) || !config.targets.length) {
+        throw new Error('Config file ' + configFile + ' must contain a list of targets');
+    }
+    return config.targets.map((targetConfig) => {
+        var _a, _b;
+        return ({
+            username: targetConfig.username,
+            passwordParameter: targetConfig.passwordParameter,
+            regions: [].concat(targetConfig.regions || targetConfig.region || config.regions || config.region || defaults.regions),
+            roleArns: [].concat(targetConfig.roleArns || targetConfig.roleArn || config.roleArns || config.roleArn || defaults.roleArns),
+            profile: targetConfig.profile || config.profile || defaults.profile,
+            ttl: String(targetConfig.ttl || config.ttl || defaults.ttl),
+            stackNames: [].concat(targetConfig.stacks || config.stacks || defaults.stackNames),
+            prune: (_b = (_a = targetConfig.prune) !== null && _a !== void 0 ? _a : config.prune) !== null && _b !== void 0 ? _b : defaults.prune,
+            concurrency: Number(targetConfig.concurrency || config.concurrency || defaults.concurrency),
+        });
+    });
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29uZmlnLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vc3JjL2NvbmZpZy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7QUEwQ0EsNENBa0VDO0FBRUQsd0NBb0JDO0FBbElEOztHQUVHO0FBQ0gsdUNBQXdCO0FBQ3hCLCtCQUFnQztBQUNoQywyQ0FBNEI7QUFDNUIsdUNBQTRDO0FBQzVDLGlDQUEyQztBQWdCOUIsUUFBQSxLQUFLLEdBQUc7Ozs7Ozs7Ozs7Ozs7Ozs7a0dBZ0I2RSx5QkFBa0I7bURBQ2pFLENBQUE7QUFFbkQsU0FBZ0IsZ0JBQWdCLENBQUMsSUFBYztJQUM3QyxNQUFNLEVBQUUsTUFBTSxFQUFFLFdBQVcsRUFBRSxHQUFHLElBQUEsZ0JBQVMsRUFBQztRQUN4QyxJQUFJLEVBQUUsSUFBSTtRQUNWLGdCQUFnQixFQUFFLElBQUk7UUFDdEIsT0FBTyxFQUFFO1lBQ1AsUUFBUSxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRTtZQUM1QixvQkFBb0IsRUFBRSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUU7WUFDeEMsR0FBRyxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRTtZQUN2QixLQUFLLEVBQUUsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUU7WUFDekMsTUFBTSxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFO1lBQzFDLFVBQVUsRUFBRSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRTtZQUM5QyxPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFO1lBQzNCLE1BQU0sRUFBRSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUU7WUFDMUIsU0FBUyxFQUFFLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRTtZQUM5QixJQUFJLEVBQUUsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFO1lBQ3pCLEtBQUssRUFBRSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUU7WUFDMUIsV0FBVyxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRTtZQUMvQixJQUFJLEVBQUUsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUU7U0FDdEM7S0FDRixDQUFDLENBQUE7SUFDRixJQUFJLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUNoQixPQUFPLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEVBQUUsRUFBRSxDQUFBO0lBQ3RFLENBQUM7SUFDRCxpR0FBaUc7SUFDakcsTUFBTSxDQUFDLGtCQUFrQixFQUFFLDJCQUEyQixFQUFFLGFBQWEsRUFBRSxHQUFHLG9CQUFvQixDQUFDLEdBQUcsV0FBVyxDQUFBO0lBQzdHLE1BQU0sUUFBUSxHQUFHO1FBQ2YsT0FBTyxFQUFFLE1BQU0sQ0FBQyxNQUFNLElBQUksRUFBRTtRQUM1QixRQUFRLEVBQUUsTUFBTSxDQUFDLFVBQVUsQ0FBQyxJQUFJLEVBQUU7UUFDbEMsT0FBTyxFQUFFLE1BQU0sQ0FBQyxPQUFPO1FBQ3ZCLEdBQUcsRUFBRSxNQUFNLENBQUMsR0FBRyxJQUFJLGFBQWEsSUFBSSxLQUFLO1FBQ3pDLFVBQVUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsS0FBSyxJQUFJLEVBQUUsQ0FBQyxFQUFFLEdBQUcsb0JBQW9CLENBQUM7UUFDOUQsS0FBSyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSztRQUNyQixXQUFXLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxXQUFXLElBQUkseUJBQWtCLENBQUM7S0FDOUQsQ0FBQTtJQUNELElBQUksT0FBcUIsQ0FBQTtJQUN6QixJQUFJLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQztRQUNsQixJQUFJLE1BQU0sQ0FBQyxRQUFRLElBQUksTUFBTSxDQUFDLG9CQUFvQixDQUFDLElBQUksV0FBVyxDQUFDLE1BQU0sRUFBRSxDQUFDO1lBQzFFLE1BQU0sSUFBSSxLQUFLLENBQUMsc0dBQXNHLENBQUMsQ0FBQTtRQUN6SCxDQUFDO1FBQ0QsT0FBTyxHQUFHLGNBQWMsQ0FBQyxNQUFNLENBQUMsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFBO0lBQ25ELENBQUM7U0FBTSxDQUFDO1FBQ04sT0FBTyxHQUFHO1lBQ1I7Z0JBQ0UsR0FBRyxRQUFRO2dCQUNYLFFBQVEsRUFBRSxNQUFNLENBQUMsUUFBUSxJQUFJLGtCQUFrQjtnQkFDL0MsaUJBQWlCLEVBQUUsTUFBTSxDQUFDLG9CQUFvQixDQUFDLElBQUksMkJBQTJCO2FBQy9FO1NBQ0YsQ0FBQTtJQUNILENBQUM7SUFDRCxLQUFLLE1BQU0sTUFBTSxJQUFJLE9BQU8sRUFBRSxDQUFDO1FBQzdCLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxJQUFJLENBQUMsTUFBTSxDQUFDLGlCQUFpQixFQUFFLENBQUM7WUFDbEQsTUFBTSxJQUFJLEtBQUssQ0FBQyxzREFBc0QsQ0FBQyxDQUFBO1FBQ3pFLENBQUM7UUFDRCxJQUFJLENBQUMsMEJBQWdCLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO1lBQzNDLE1BQU0sSUFBSSxLQUFLLENBQUMsY0FBYyxHQUFHLE1BQU0sQ0FBQyxHQUFHLEdBQUcsbUJBQW1CLEdBQUcsMEJBQWdCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUE7UUFDbEcsQ0FBQztRQUNELElBQUksQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxXQUFXLENBQUMsSUFBSSxNQUFNLENBQUMsV0FBVyxHQUFHLENBQUMsRUFBRSxDQUFDO1lBQ3BFLE1BQU0sSUFBSSxLQUFLLENBQUMsc0JBQXNCLEdBQUcsTUFBTSxDQUFDLFdBQVcsR0FBRyw4QkFBOEIsQ0FBQyxDQUFBO1FBQy9GLENBQUM7SUFDSCxDQUFDO0lBQ0QsT0FBTztRQUNMLElBQUksRUFBRSxLQUFLO1FBQ1gsTUFBTSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDO1FBQzNCLFVBQVUsRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUk7UUFDekIsT0FBTyxFQUFFLE9BQU87S0FDakIsQ0FBQTtBQUNILENBQUM7QUFFRCxTQUFnQixjQUFjLENBQUMsVUFBa0IsRUFBRSxRQUFhO0lBQzlELHFDQUFxQztJQUNyQyxtS0FBbUs7SUFDbkssNkVBQTZFO0lBQzdFLE1BQU0sVUFBVSxHQUFHLEVBQUUsQ0FBQyxZQUFZLENBQUMsVUFBVSxFQUFFLE1BQU0sQ0FBQyxDQUFBO0lBQ3RELE1BQU0sTUFBTSxHQUFHLFVBQVUsQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsVUFBVSxDQUFDLENBQUE7SUFDOUYsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsTUFBTSxhQUFOLE1BQU0sdUJBQU4sTUFBTSxDQUFFLE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsQ0FBQztRQUM5RCxNQUFNLElBQUksS0FBSyxDQUFDLGNBQWMsR0FBRyxVQUFVLEdBQUcsaUNBQWlDLENBQUMsQ0FBQTtJQUNsRixDQUFDO0lBQ0QsT0FBTyxNQUFNLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLFlBQWlCLEVBQUUsRUFBRTs7UUFBQyxPQUFBLENBQUM7WUFDaEQsUUFBUSxFQUFFLFlBQVksQ0FBQyxRQUFRO1lBQy9CLGlCQUFpQixFQUFFLFlBQVksQ0FBQyxpQkFBaUI7WUFDakQsT0FBTyxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLE9BQU8sSUFBSSxZQUFZLENBQUMsTUFBTSxJQUFJLE1BQU0sQ0FBQyxPQUFPLElBQUksTUFBTSxDQUFDLE1BQU0sSUFBSSxRQUFRLENBQUMsT0FBTyxDQUFDO1lBQ3RILFFBQVEsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxRQUFRLElBQUksWUFBWSxDQUFDLE9BQU8sSUFBSSxNQUFNLENBQUMsUUFBUSxJQUFJLE1BQU0sQ0FBQyxPQUFPLElBQUksUUFBUSxDQUFDLFFBQVEsQ0FBQztZQUM1SCxPQUFPLEVBQUUsWUFBWSxDQUFDLE9BQU8sSUFBSSxNQUFNLENBQUMsT0FBTyxJQUFJLFFBQVEsQ0FBQyxPQUFPO1lBQ25FLEdBQUcsRUFBRSxNQUFNLENBQUMsWUFBWSxDQUFDLEdBQUcsSUFBSSxNQUFNLENBQUMsR0FBRyxJQUFJLFFBQVEsQ0FBQyxHQUFHLENBQUM7WUFDM0QsVUFBVSxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLE1BQU0sSUFBSSxNQUFNLENBQUMsTUFBTSxJQUFJLFFBQVEsQ0FBQyxVQUFVLENBQUM7WUFDbEYsS0FBSyxFQUFFLE1BQUEsTUFBQSxZQUFZLENBQUMsS0FBSyxtQ0FBSSxNQUFNLENBQUMsS0FBSyxtQ0FBSSxRQUFRLENBQUMsS0FBSztZQUMzRCxXQUFXLEVBQUUsTUFBTSxDQUFDLFlBQVksQ0FBQyxXQUFXLElBQUksTUFBTSxDQUFDLFdBQVcsSUFBSSxRQUFRLENBQUMsV0FBVyxDQUFDO1NBQzVGLENBQUMsQ0FBQTtLQUFBLENBQUMsQ0FBQTtBQUNMLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIENvbW1hbmQgbGluZSBvcHRpb25zIGFuZCBjb25maWcgZmlsZXMsIHdoaWNoIGJvdGggZGVzY3JpYmUgYSBsaXN0IG9mIHN5bmMgdGFyZ2V0cy5cbiAqL1xuaW1wb3J0ICogYXMgZnMgZnJvbSAnZnMnXG5pbXBvcnQgeyBwYXJzZUFyZ3MgfSBmcm9tICd1dGlsJ1xuaW1wb3J0ICogYXMgWUFNTCBmcm9tICd5YW1sJ1xuaW1wb3J0IHsgYWxsb3dlZFR0bFZhbHVlcyB9IGZyb20gJy4vcmVjb3JkcydcbmltcG9ydCB7IGRlZmF1bHRDb25jdXJyZW5jeSB9IGZyb20gJy4vc3luYydcblxuZXhwb3J0IGludGVyZmFjZSBTeW5jVGFyZ2V0IHtcbiAgdXNlcm5hbWU6IHN0cmluZ1xuICBwYXNzd29yZFBhcmFtZXRlcjogc3RyaW5nXG4gIC8vIFJlZ2lvbiBvZiB0aGUgU1NNIHBhc3N3b3JkIHBhcmFtZXRlciwgZGVmYXVsdHMgdG8gdGhlIGZpcnN0IGV4cG9ydCByZWdpb25cbiAgcGFzc3dvcmRSZWdpb24/OiBzdHJpbmdcbiAgcmVnaW9uczogc3RyaW5nW11cbiAgcm9sZUFybnM6IHN0cmluZ1tdXG4gIHByb2ZpbGU/OiBzdHJpbmdcbiAgdHRsOiBzdHJpbmdcbiAgc3RhY2tOYW1lczogc3RyaW5nW11cbiAgcHJ1bmU6IGJvb2xlYW5cbiAgY29uY3VycmVuY3k6IG51bWJlclxufVxuXG5leHBvcnQgY29uc3QgdXNhZ2UgPSBgVXNhZ2U6IGNsb3VkbnMtY2xvdWRmb3JtYXRpb24tc3luYyBbb3B0aW9uc10gLS11c2VybmFtZSA8Y2xvdWRucy11c2VybmFtZT4gLS1wYXNzd29yZC1wYXJhbWV0ZXIgPGNsb3VkbnMtcGFzc3dvcmQtcGFyYW1ldGVyLW5hbWU+XG4gICAgICAgY2xvdWRucy1jbG91ZGZvcm1hdGlvbi1zeW5jIFtvcHRpb25zXSAtLWNvbmZpZyA8Y29uZmlnLWZpbGU+XG4gICAgICAgY2xvdWRucy1jbG91ZGZvcm1hdGlvbi1zeW5jIFtvcHRpb25zXSA8Y2xvdWRucy11c2VybmFtZT4gPGNsb3VkbnMtcGFzc3dvcmQtcGFyYW1ldGVyLW5hbWU+IFt0dGwgW3N0YWNrTmFtZS4uLl1dXG5cbk9wdGlvbnM6XG4gIC0tdXNlcm5hbWUgPHVzZXJuYW1lPiAgICAgICAgICAgICBDbG91RE5TIEFQSSBzdWItYXV0aC11c2VyXG4gIC0tcGFzc3dvcmQtcGFyYW1ldGVyIDxuYW1lPiAgICAgICBTU00gUGFyYW1ldGVyIHdpdGggdGhlIGVuY3J5cHRlZCBDbG91RE5TIEFQSSBwYXNzd29yZFxuICAtLXR0bCA8dHRsPiAgICAgICAgICAgICAgICAgICAgICAgVFRMIGZvciBnZW5lcmF0ZWQgcmVjb3JkcyAoZGVmYXVsdHMgdG8gMzAwKVxuICAtLXN0YWNrIDxzdGFja05hbWU+ICAgICAgICAgICAgICAgQ2xvdWRGb3JtYXRpb24gc3RhY2sgbmFtZSB0byBsaW1pdCB0aGUgcmVjb3JkcyB0byBzeW5jIChjYW4gYmUgcmVwZWF0ZWQsIGRlZmF1bHRzIHRvIGFsbCBzdGFja3MpXG4gIC0tcmVnaW9uIDxyZWdpb24+ICAgICAgICAgICAgICAgICBBV1MgcmVnaW9uIHRvIHJlYWQgdGhlIGV4cG9ydHMgZnJvbSAoY2FuIGJlIHJlcGVhdGVkLCB0aGUgZmlyc3Qgb25lIGlzIGFsc28gdXNlZCBmb3IgU1NNKVxuICAtLXJvbGUtYXJuIDxhcm4+ICAgICAgICAgICAgICAgICAgSUFNIHJvbGUgdG8gYXNzdW1lIGZvciByZWFkaW5nIGV4cG9ydHMgaW4gYW5vdGhlciBhY2NvdW50IChjYW4gYmUgcmVwZWF0ZWQpXG4gIC0tcHJvZmlsZSA8cHJvZmlsZT4gICAgICAgICAgICAgICBBV1MgcHJvZmlsZSB0byB1c2VcbiAgLS1jb25maWcgPGZpbGU+ICAgICAgICAgICAgICAgICAgIEpTT04gb3IgWUFNTCBjb25maWcgZmlsZSBkZXNjcmliaW5nIG9uZSBvciBtb3JlIHN5bmMgdGFyZ2V0c1xuICAtLWRyeS1ydW4gICAgICAgICAgICAgICAgICAgICAgICAgT25seSBwcmludCB0aGUgcGxhbm5lZCBjaGFuZ2VzIHdpdGhvdXQgY2hhbmdpbmcgQ2xvdUROU1xuICAtLWpzb24gICAgICAgICAgICAgICAgICAgICAgICAgICAgV2l0aCAtLWRyeS1ydW4sIHByaW50IHRoZSBwbGFuIGFzIEpTT04gdG8gc3Rkb3V0IChvdGhlciBvdXRwdXQgZ29lcyB0byBzdGRlcnIpXG4gIC0tcHJ1bmUgICAgICAgICAgICAgICAgICAgICAgICAgICBNYXJrIHN5bmNlZCByZWNvcmRzIGFzIG93bmVkIGJ5IHRoaXMgdG9vbCBhbmQgZGVsZXRlIG93bmVkIHJlY29yZHMgd2hvc2UgZXhwb3J0IGhhcyBkaXNhcHBlYXJlZFxuICAtLWNvbmN1cnJlbmN5IDxuPiAgICAgICAgICAgICAgICAgTnVtYmVyIG9mIHJlY29yZCBzZXRzIHRvIHN5bmMgYXQgdGhlIHNhbWUgdGltZSAoZGVmYXVsdHMgdG8gJHtkZWZhdWx0Q29uY3VycmVuY3l9KVxuICAtLWhlbHAgICAgICAgICAgICAgICAgICAgICAgICAgICAgU2hvdyB0aGlzIGhlbHBgXG5cbmV4cG9ydCBmdW5jdGlvbiBwYXJzZUNvbW1hbmRMaW5lKGFyZ3M6IHN0cmluZ1tdKSB7XG4gIGNvbnN0IHsgdmFsdWVzLCBwb3NpdGlvbmFscyB9ID0gcGFyc2VBcmdzKHtcbiAgICBhcmdzOiBhcmdzLFxuICAgIGFsbG93UG9zaXRpb25hbHM6IHRydWUsXG4gICAgb3B0aW9uczoge1xuICAgICAgdXNlcm5hbWU6IHsgdHlwZTogJ3N0cmluZycgfSxcbiAgICAgICdwYXNzd29yZC1wYXJhbWV0ZXInOiB7IHR5cGU6ICdzdHJpbmcnIH0sXG4gICAgICB0dGw6IHsgdHlwZTogJ3N0cmluZycgfSxcbiAgICAgIHN0YWNrOiB7IHR5cGU6ICdzdHJpbmcnLCBtdWx0aXBsZTogdHJ1ZSB9LFxuICAgICAgcmVnaW9uOiB7IHR5cGU6ICdzdHJpbmcnLCBtdWx0aXBsZTogdHJ1ZSB9LFxuICAgICAgJ3JvbGUtYXJuJzogeyB0eXBlOiAnc3RyaW5nJywgbXVsdGlwbGU6IHRydWUgfSxcbiAgICAgIHByb2ZpbGU6IHsgdHlwZTogJ3N0cmluZycgfSxcbiAgICAgIGNvbmZpZzogeyB0eXBlOiAnc3RyaW5nJyB9LFxuICAgICAgJ2RyeS1ydW4nOiB7IHR5cGU6ICdib29sZWFuJyB9LFxuICAgICAganNvbjogeyB0eXBlOiAnYm9vbGVhbicgfSxcbiAgICAgIHBydW5lOiB7IHR5cGU6ICdib29sZWFuJyB9LFxuICAgICAgY29uY3VycmVuY3k6IHsgdHlwZTogJ3N0cmluZycgfSxcbiAgICAgIGhlbHA6IHsgdHlwZTogJ2Jvb2xlYW4nLCBzaG9ydDogJ2gnIH0sXG4gICAgfSxcbiAgfSlcbiAgaWYgKHZhbHVlcy5oZWxwKSB7XG4gICAgcmV0dXJuIHsgaGVscDogdHJ1ZSwgZHJ5UnVuOiBmYWxzZSwganNvbk91dHB1dDogZmFsc2UsIHRhcmdldHM6IFtdIH1cbiAgfVxuICAvLyBPbGQgcG9zaXRpb25hbCBmb3JtOiA8Y2xvdWRucy11c2VybmFtZT4gPGNsb3VkbnMtcGFzc3dvcmQtcGFyYW1ldGVyLW5hbWU+IFt0dGwgW3N0YWNrTmFtZS4uLl1dXG4gIGNvbnN0IFtwb3NpdGlvbmFsVXNlcm5hbWUsIHBvc2l0aW9uYWxQYXNzd29yZFBhcmFtZXRlciwgcG9zaXRpb25hbFR0bCwgLi4ucG9zaXRpb25hbFN0YWNrTmFtZXNdID0gcG9zaXRpb25hbHNcbiAgY29uc3QgZGVmYXVsdHMgPSB7XG4gICAgcmVnaW9uczogdmFsdWVzLnJlZ2lvbiB8fCBbXSxcbiAgICByb2xlQXJuczogdmFsdWVzWydyb2xlLWFybiddIHx8IFtdLFxuICAgIHByb2ZpbGU6IHZhbHVlcy5wcm9maWxlLFxuICAgIHR0bDogdmFsdWVzLnR0bCB8fCBwb3NpdGlvbmFsVHRsIHx8ICczMDAnLFxuICAgIHN0YWNrTmFtZXM6IFsuLi4odmFsdWVzLnN0YWNrIHx8IFtdKSwgLi4ucG9zaXRpb25hbFN0YWNrTmFtZXNdLFxuICAgIHBydW5lOiAhIXZhbHVlcy5wcnVuZSxcbiAgICBjb25jdXJyZW5jeTogTnVtYmVyKHZhbHVlcy5jb25jdXJyZW5jeSB8fCBkZWZhdWx0Q29uY3VycmVuY3kpLFxuICB9XG4gIGxldCB0YXJnZXRzOiBTeW5jVGFyZ2V0W11cbiAgaWYgKHZhbHVlcy5jb25maWcpIHtcbiAgICBpZiAodmFsdWVzLnVzZXJuYW1lIHx8IHZhbHVlc1sncGFzc3dvcmQtcGFyYW1ldGVyJ10gfHwgcG9zaXRpb25hbHMubGVuZ3RoKSB7XG4gICAgICB0aHJvdyBuZXcgRXJyb3IoJ1RoZSAtLWNvbmZpZyBvcHRpb24gY2Fubm90IGJlIGNvbWJpbmVkIHdpdGggLS11c2VybmFtZSwgLS1wYXNzd29yZC1wYXJhbWV0ZXIgb3IgcG9zaXRpb25hbCBhcmd1bWVudHMnKVxuICAgIH1cbiAgICB0YXJnZXRzID0gcmVhZENvbmZpZ0ZpbGUodmFsdWVzLmNvbmZpZywgZGVmYXVsdHMpXG4gIH0gZWxzZSB7XG4gICAgdGFyZ2V0cyA9IFtcbiAgICAgIHtcbiAgICAgICAgLi4uZGVmYXVsdHMsXG4gICAgICAgIHVzZXJuYW1lOiB2YWx1ZXMudXNlcm5hbWUgfHwgcG9zaXRpb25hbFVzZXJuYW1lLFxuICAgICAgICBwYXNzd29yZFBhcmFtZXRlcjogdmFsdWVzWydwYXNzd29yZC1wYXJhbWV0ZXInXSB8fCBwb3NpdGlvbmFsUGFzc3dvcmRQYXJhbWV0ZXIsXG4gICAgICB9LFxuICAgIF1cbiAgfVxuICBmb3IgKGNvbnN0IHRhcmdldCBvZiB0YXJnZXRzKSB7XG4gICAgaWYgKCF0YXJnZXQudXNlcm5hbWUgfHwgIXRhcmdldC5wYXNzd29yZFBhcmFtZXRlcikge1xuICAgICAgdGhyb3cgbmV3IEVycm9yKCdDbG91RE5TIHVzZXJuYW1lIGFuZCBwYXNzd29yZCBwYXJhbWV0ZXIgYXJlIHJlcXVpcmVkJylcbiAgICB9XG4gICAgaWYgKCFhbGxvd2VkVHRsVmFsdWVzLmluY2x1ZGVzKHRhcmdldC50dGwpKSB7XG4gICAgICB0aHJvdyBuZXcgRXJyb3IoJ0ludmFsaWQgVFRMICcgKyB0YXJnZXQudHRsICsgJywgbXVzdCBiZSBvbmUgb2YgJyArIGFsbG93ZWRUdGxWYWx1ZXMuam9pbignLCAnKSlcbiAgICB9XG4gICAgaWYgKCFOdW1iZXIuaXNJbnRlZ2VyKHRhcmdldC5jb25jdXJyZW5jeSkgfHwgdGFyZ2V0LmNvbmN1cnJlbmN5IDwgMSkge1xuICAgICAgdGhyb3cgbmV3IEVycm9yKCdJbnZhbGlkIGNvbmN1cnJlbmN5ICcgKyB0YXJnZXQuY29uY3VycmVuY3kgKyAnLCBtdXN0IGJlIGEgcG9zaXRpdmUgaW50ZWdlcicpXG4gICAgfVxuICB9XG4gIHJldHVybiB7XG4gICAgaGVscDogZmFsc2UsXG4gICAgZHJ5UnVuOiAhIXZhbHVlc1snZHJ5LXJ1biddLFxuICAgIGpzb25PdXRwdXQ6ICEhdmFsdWVzLmpzb24sXG4gICAgdGFyZ2V0czogdGFyZ2V0cyxcbiAgfVxufVxuXG5leHBvcnQgZnVuY3Rpb24gcmVhZENvbmZpZ0ZpbGUoY29uZmlnRmlsZTogc3RyaW5nLCBkZWZhdWx0czogYW55KTogU3luY1RhcmdldFtdIHtcbiAgLy8gQ29uZmlnIGZpbGUgZm9ybWF0IChKU09OIG9yIFlBTUwpOlxuICAvLyB7IHR0bCwgcHJ1bmUsIGNvbmN1cnJlbmN5LCByZWdpb25zLCByb2xlQXJucywgcHJvZmlsZSwgdGFyZ2V0czogW3sgdXNlcm5hbWUsIHBhc3N3b3JkUGFyYW1ldGVyLCByZWdpb25zLCByb2xlQXJucywgcHJvZmlsZSwgdHRsLCBzdGFja3MsIHBydW5lLCBjb25jdXJyZW5jeSB9XSB9XG4gIC8vIHJlZ2lvbiBhbmQgcm9sZUFybiBhcmUgYWNjZXB0ZWQgYXMgc2hvcnRoYW5kcyBmb3IgYSBzaW5nbGUgcmVnaW9uIG9yIHJvbGUuXG4gIGNvbnN0IGNvbmZpZ1RleHQgPSBmcy5yZWFkRmlsZVN5bmMoY29uZmlnRmlsZSwgJ3V0ZjgnKVxuICBjb25zdCBjb25maWcgPSBjb25maWdGaWxlLm1hdGNoKC9cXC55YT9tbCQvaSkgPyBZQU1MLnBhcnNlKGNvbmZpZ1RleHQpIDogSlNPTi5wYXJzZShjb25maWdUZXh0KVxuICBpZiAoIUFycmF5LmlzQXJyYXkoY29uZmlnPy50YXJnZXRzKSB8fCAhY29uZmlnLnRhcmdldHMubGVuZ3RoKSB7XG4gICAgdGhyb3cgbmV3IEVycm9yKCdDb25maWcgZmlsZSAnICsgY29uZmlnRmlsZSArICcgbXVzdCBjb250YWluIGEgbGlzdCBvZiB0YXJnZXRzJylcbiAgfVxuICByZXR1cm4gY29uZmlnLnRhcmdldHMubWFwKCh0YXJnZXRDb25maWc6IGFueSkgPT4gKHtcbiAgICB1c2VybmFtZTogdGFyZ2V0Q29uZmlnLnVzZXJuYW1lLFxuICAgIHBhc3N3b3JkUGFyYW1ldGVyOiB0YXJnZXRDb25maWcucGFzc3dvcmRQYXJhbWV0ZXIsXG4gICAgcmVnaW9uczogW10uY29uY2F0KHRhcmdldENvbmZpZy5yZWdpb25zIHx8IHRhcmdldENvbmZpZy5yZWdpb24gfHwgY29uZmlnLnJlZ2lvbnMgfHwgY29uZmlnLnJlZ2lvbiB8fCBkZWZhdWx0cy5yZWdpb25zKSxcbiAgICByb2xlQXJuczogW10uY29uY2F0KHRhcmdldENvbmZpZy5yb2xlQXJucyB8fCB0YXJnZXRDb25maWcucm9sZUFybiB8fCBjb25maWcucm9sZUFybnMgfHwgY29uZmlnLnJvbGVBcm4gfHwgZGVmYXVsdHMucm9sZUFybnMpLFxuICAgIHByb2ZpbGU6IHRhcmdldENvbmZpZy5wcm9maWxlIHx8IGNvbmZpZy5wcm9maWxlIHx8IGRlZmF1bHRzLnByb2ZpbGUsXG4gICAgdHRsOiBTdHJpbmcodGFyZ2V0Q29uZmlnLnR0bCB8fCBjb25maWcudHRsIHx8IGRlZmF1bHRzLnR0bCksXG4gICAgc3RhY2tOYW1lczogW10uY29uY2F0KHRhcmdldENvbmZpZy5zdGFja3MgfHwgY29uZmlnLnN0YWNrcyB8fCBkZWZhdWx0cy5zdGFja05hbWVzKSxcbiAgICBwcnVuZTogdGFyZ2V0Q29uZmlnLnBydW5lID8/IGNvbmZpZy5wcnVuZSA/PyBkZWZhdWx0cy5wcnVuZSxcbiAgICBjb25jdXJyZW5jeTogTnVtYmVyKHRhcmdldENvbmZpZy5jb25jdXJyZW5jeSB8fCBjb25maWcuY29uY3VycmVuY3kgfHwgZGVmYXVsdHMuY29uY3VycmVuY3kpLFxuICB9KSlcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,7 @@
+"use strict";
+/**
+ * DNS provider interface used by the sync logic. ClouDNS (cloudns-provider.ts) is the default provider,
+ * memory-provider.ts keeps the zones in memory or in a local JSON file for tests and offline use.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZG5zLXByb3ZpZGVyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vc3JjL2Rucy1wcm92aWRlci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiO0FBQUE7OztHQUdHIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBETlMgcHJvdmlkZXIgaW50ZXJmYWNlIHVzZWQgYnkgdGhlIHN5bmMgbG9naWMuIENsb3VETlMgKGNsb3VkbnMtcHJvdmlkZXIudHMpIGlzIHRoZSBkZWZhdWx0IHByb3ZpZGVyLFxuICogbWVtb3J5LXByb3ZpZGVyLnRzIGtlZXBzIHRoZSB6b25lcyBpbiBtZW1vcnkgb3IgaW4gYSBsb2NhbCBKU09OIGZpbGUgZm9yIHRlc3RzIGFuZCBvZmZsaW5lIHVzZS5cbiAqL1xuXG4vLyBSZWNvcmQgdmFsdWVzIHVzZSB0aGUgem9uZSBmaWxlIHN5bnRheCwgZS5nLiBcIjEwIG14MS5leGFtcGxlLm9yZ1wiIGZvciBNWCByZWNvcmRzIChzZWUgcmVjb3Jkcy50cylcbmV4cG9ydCBpbnRlcmZhY2UgRG5zUmVjb3JkIHtcbiAgaWQ/OiBzdHJpbmdcbiAgaG9zdDogc3RyaW5nXG4gIHR5cGU6IHN0cmluZ1xuICB2YWx1ZTogc3RyaW5nXG4gIHR0bDogc3RyaW5nXG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgRG5zUHJvdmlkZXIge1xuICBsaXN0Wm9uZXMoKTogUHJvbWlzZTxzdHJpbmdbXT5cbiAgbGlzdFJlY29yZHMoem9uZU5hbWU6IHN0cmluZyk6IFByb21pc2U8RG5zUmVjb3JkW10+XG4gIGFkZFJlY29yZCh6b25lTmFtZTogc3RyaW5nLCByZWNvcmQ6IERuc1JlY29yZCk6IFByb21pc2U8dm9pZD5cbiAgbW9kaWZ5UmVjb3JkKHpvbmVOYW1lOiBzdHJpbmcsIHJlY29yZElkOiBzdHJpbmcsIHJlY29yZDogRG5zUmVjb3JkKTogUHJvbWlzZTx2b2lkPlxuICBkZWxldGVSZWNvcmQoem9uZU5hbWU6IHN0cmluZywgcmVjb3JkSWQ6IHN0cmluZyk6IFByb21pc2U8dm9pZD5cbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * AWS Lambda handler that runs the sync for a single CloudFormation stack.
+ *
+ * The handler accepts two kinds of events:
+ *
+ * - EventBridge "CloudFormation Stack Status Change" events: the stack's exports are synced when it reaches
+ *   CREATE_COMPLETE, UPDATE_COMPLETE, UPDATE_ROLLBACK_COMPLETE or IMPORT_COMPLETE. With pruning enabled,
+ *   DELETE_COMPLETE removes the records owned by the deleted stack. The stack is matched by its ARN, so stacks
+ *   with the same name in other regions and accounts are left alone.
+ * - Custom::ClouDNSSync custom resource requests: Create and Update sync the stack given in the required StackName
+ *   property and Delete does nothing. The SUCCESS or FAILED response is sent to the ResponseURL of the request.
+ *
+ * Settings are read from the custom resource properties (Username, PasswordParameter, Ttl, Regions, RoleArns,
+ * Prune, Concurrency) or from the environment (CLOUDNS_USERNAME, CLOUDNS_PASSWORD_PARAMETER, CLOUDNS_TTL,
+ * CLOUDNS_REGIONS, CLOUDNS_ROLE_ARNS, CLOUDNS_PRUNE, CLOUDNS_CONCURRENCY). Lists are comma-separated.
+ *
+ * The invocation fails (or the custom resource reports FAILED) when any record could not be synced.
+ */
+import { DnsProvider } from './dns-provider';
+import { SyncTarget } from './config';
+import { TargetExports } from './cloudns-cloudformation-sync';
+export interface LambdaDependencies {
+    createProvider: (target: SyncTarget) => Promise<DnsProvider>;
+    readExports: (target: SyncTarget) => Promise<TargetExports>;
+}
+export declare function createHandler(dependencies?: LambdaDependencies): (event: any, context?: any) => Promise<void | {
+    stackName: string;
+    status: any;
+    skipped: boolean;
+    summary?: undefined;
+} | {
+    stackName: string;
+    status: any;
+    skipped: boolean;
+    summary: {
+        create: number;
+        update: number;
+        noop: number;
+        delete: number;
+        failed: number;
+    };
+}>;
+export declare const handler: (event: any, context?: any) => Promise<void | {
+    stackName: string;
+    status: any;
+    skipped: boolean;
+    summary?: undefined;
+} | {
+    stackName: string;
+    status: any;
+    skipped: boolean;
+    summary: {
+        create: number;
+        update: number;
+        noop: number;
+        delete: number;
+        failed: number;
+    };
+}>;
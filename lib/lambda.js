@@ -0,0 +1,139 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.handler = void 0;
+exports.createHandler = createHandler;
+const records_1 = require("./records");
+const sync_1 = require("./sync");
+const cloudns_cloudformation_sync_1 = require("./cloudns-cloudformation-sync");
+const defaultLambdaDependencies = {
+    createProvider: cloudns_cloudformation_sync_1.createTargetProvider,
+    readExports: cloudns_cloudformation_sync_1.readTargetExports,
+};
+// Stack statuses after which the stack's exports are synced
+const syncStackStatuses = ['CREATE_COMPLETE', 'UPDATE_COMPLETE', 'UPDATE_ROLLBACK_COMPLETE', 'IMPORT_COMPLETE'];
+function parseList(value) {
+    return String(value || '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter((item) => item);
+}
+function getLambdaSyncTarget(properties, stackNames, defaultRegion) {
+    var _a, _b;
+    const env = process.env;
+    const target = {
+        username: properties.Username || env.CLOUDNS_USERNAME || '',
+        passwordParameter: properties.PasswordParameter || env.CLOUDNS_PASSWORD_PARAMETER || '',
+        // The password parameter is in the Lambda's own region, which may differ from the region of the event
+        passwordRegion: env.AWS_REGION,
+        regions: parseList(properties.Regions || env.CLOUDNS_REGIONS || defaultRegion),
+        roleArns: parseList(properties.RoleArns || env.CLOUDNS_ROLE_ARNS),
+        ttl: String(properties.Ttl || env.CLOUDNS_TTL || '300'),
+        stackNames: stackNames,
+        // Custom resource properties are always strings
+        prune: String((_b = (_a = properties.Prune) !== null && _a !== void 0 ? _a : env.CLOUDNS_PRUNE) !== null && _b !== void 0 ? _b : 'false') === 'true',
+        concurrency: Number(properties.Concurrency || env.CLOUDNS_CONCURRENCY || sync_1.defaultConcurrency),
+    };
+    if (!target.username || !target.passwordParameter) {
+        throw new Error('ClouDNS username and password parameter are required (Username and PasswordParameter or CLOUDNS_USERNAME and CLOUDNS_PASSWORD_PARAMETER)');
+    }
+    if (!records_1.allowedTtlValues.includes(target.ttl)) {
+        throw new Error('Invalid TTL ' + target.ttl + ', must be one of ' + records_1.allowedTtlValues.join(', '));
+    }
+    if (!Number.isInteger(target.concurrency) || target.concurrency < 1) {
+        throw new Error('Invalid concurrency ' + target.concurrency + ', must be a positive integer');
+    }
+    return target;
+}
+async function syncLambdaTarget(dependencies, target) {
+    const provider = await dependencies.createProvider(target);
+    const { desiredRecords, stackScopes, invalidExports, conflicts } = await dependencies.readExports(target);
+    const plan = await (0, sync_1.planSync)(provider, desiredRecords, target.stackNames, target.prune, {
+        concurrency: target.concurrency,
+        stackScopes,
+        invalidExports,
+        conflicts,
+    });
+    const result = await (0, sync_1.applyPlan)(provider, plan, { concurrency: target.concurrency });
+    if (result.failed) {
+        const failures = result.failures.map(({ planEntry, error }) => planEntry.name + ' ' + planEntry.type + ': ' + error.message);
+        throw new Error(result.failed + ' of ' + plan.length + ' records failed to sync:\n' + failures.join('\n'));
+    }
+    return (0, sync_1.summarizePlan)(plan);
+}
+async function sendCustomResourceResponse(event, context, status, reason, data) {
+    const responseBody = JSON.stringify({
+        Status: status,
+        Reason: reason || 'See CloudWatch log stream: ' + ((context === null || context === void 0 ? void 0 : context.logStreamName) || 'unknown'),
+        PhysicalResourceId: event.PhysicalResourceId || 'ClouDNSSync-' + event.LogicalResourceId,
+        StackId: event.StackId,
+        RequestId: event.RequestId,
+        LogicalResourceId: event.LogicalResourceId,
+        Data: data,
+    });
+    // The response URL is a pre-signed S3 URL, which requires an empty content type
+    const response = await fetch(event.ResponseURL, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': '',
+        },
+        body: responseBody,
+    });
+    if (!response.ok) {
+        throw new Error('Custom resource response failed: ' + response.status + ' ' + (await response.text()));
+    }
+}
+async function handleCustomResourceEvent(dependencies, event, context) {
+    const properties = event.ResourceProperties || {};
+    const stackName = properties.StackName || '';
+    console.log('CUSTOM RESOURCE', event.RequestType, event.LogicalResourceId, 'STACK', stackName);
+    try {
+        let data = {};
+        if (event.RequestType === 'Create' || event.RequestType === 'Update') {
+            if (!stackName) {
+                // The exports of the custom resource's own stack are not visible until that stack has finished deploying
+                throw new Error('The StackName property is required and must name another stack whose exports to sync');
+            }
+            const summary = await syncLambdaTarget(dependencies, getLambdaSyncTarget(properties, [stackName]));
+            data = {
+                Created: String(summary.create),
+                Updated: String(summary.update),
+                Deleted: String(summary.delete),
+                Unchanged: String(summary.noop),
+            };
+        }
+        await sendCustomResourceResponse(event, context, 'SUCCESS', '', data);
+    }
+    catch (err) {
+        console.error(err);
+        // The response body is limited to 4096 bytes
+        await sendCustomResourceResponse(event, context, 'FAILED', String(err.message || err).slice(0, 1000), {});
+    }
+}
+async function handleStackStatusChangeEvent(dependencies, event) {
+    var _a, _b, _c;
+    const stackId = ((_a = event.detail) === null || _a === void 0 ? void 0 : _a['stack-id']) || '';
+    const status = ((_c = (_b = event.detail) === null || _b === void 0 ? void 0 : _b['status-details']) === null || _c === void 0 ? void 0 : _c.status) || '';
+    const stackName = (0, records_1.getStackNameFromId)(stackId);
+    // Sync by ARN, so a stack with the same name in another region or account is not affected
+    const target = getLambdaSyncTarget({}, [stackId], event.region);
+    if (!syncStackStatuses.includes(status) && !(status === 'DELETE_COMPLETE' && target.prune)) {
+        console.log('SKIP', stackName, status);
+        return { stackName, status, skipped: true };
+    }
+    console.log('SYNC', stackName, status);
+    const summary = await syncLambdaTarget(dependencies, target);
+    return { stackName, status, skipped: false, summary };
+}
+function createHandler(dependencies = defaultLambdaDependencies) {
+    return async (event, context) => {
+        if ((event === null || event === void 0 ? void 0 : event.RequestType) && (event === null || event === void 0 ? void 0 : event.ResponseURL)) {
+            return handleCustomResourceEvent(dependencies, event, context);
+        }
+        if ((event === null || event === void 0 ? void 0 : event['detail-type']) === 'CloudFormation Stack Status Change') {
+            return handleStackStatusChangeEvent(dependencies, event);
+        }
+        throw new Error('Unsupported event: expected a CloudFormation custom resource request or a CloudFormation Stack Status Change event');
+    };
+}
+exports.handler = createHandler();
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibGFtYmRhLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vc3JjL2xhbWJkYS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7QUF5SkEsc0NBVUM7QUFoSkQsdUNBQWdFO0FBQ2hFLGlDQUErRTtBQUUvRSwrRUFBc0c7QUFPdEcsTUFBTSx5QkFBeUIsR0FBdUI7SUFDcEQsY0FBYyxFQUFFLGtEQUFvQjtJQUNwQyxXQUFXLEVBQUUsK0NBQWlCO0NBQy9CLENBQUE7QUFFRCw0REFBNEQ7QUFDNUQsTUFBTSxpQkFBaUIsR0FBRyxDQUFDLGlCQUFpQixFQUFFLGlCQUFpQixFQUFFLDBCQUEwQixFQUFFLGlCQUFpQixDQUFDLENBQUE7QUFFL0csU0FBUyxTQUFTLENBQUMsS0FBVTtJQUMzQixPQUFPLE1BQU0sQ0FBQyxLQUFLLElBQUksRUFBRSxDQUFDO1NBQ3ZCLEtBQUssQ0FBQyxHQUFHLENBQUM7U0FDVixHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztTQUMxQixNQUFNLENBQUMsQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFBO0FBQzNCLENBQUM7QUFFRCxTQUFTLG1CQUFtQixDQUFDLFVBQWUsRUFBRSxVQUFvQixFQUFFLGFBQXNCOztJQUN4RixNQUFNLEdBQUcsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFBO0lBQ3ZCLE1BQU0sTUFBTSxHQUFlO1FBQ3pCLFFBQVEsRUFBRSxVQUFVLENBQUMsUUFBUSxJQUFJLEdBQUcsQ0FBQyxnQkFBZ0IsSUFBSSxFQUFFO1FBQzNELGlCQUFpQixFQUFFLFVBQVUsQ0FBQyxpQkFBaUIsSUFBSSxHQUFHLENBQUMsMEJBQTBCLElBQUksRUFBRTtRQUN2RixzR0FBc0c7UUFDdEcsY0FBYyxFQUFFLEdBQUcsQ0FBQyxVQUFVO1FBQzlCLE9BQU8sRUFBRSxTQUFTLENBQUMsVUFBVSxDQUFDLE9BQU8sSUFBSSxHQUFHLENBQUMsZUFBZSxJQUFJLGFBQWEsQ0FBQztRQUM5RSxRQUFRLEVBQUUsU0FBUyxDQUFDLFVBQVUsQ0FBQyxRQUFRLElBQUksR0FBRyxDQUFDLGlCQUFpQixDQUFDO1FBQ2pFLEdBQUcsRUFBRSxNQUFNLENBQUMsVUFBVSxDQUFDLEdBQUcsSUFBSSxHQUFHLENBQUMsV0FBVyxJQUFJLEtBQUssQ0FBQztRQUN2RCxVQUFVLEVBQUUsVUFBVTtRQUN0QixnREFBZ0Q7UUFDaEQsS0FBSyxFQUFFLE1BQU0sQ0FBQyxNQUFBLE1BQUEsVUFBVSxDQUFDLEtBQUssbUNBQUksR0FBRyxDQUFDLGFBQWEsbUNBQUksT0FBTyxDQUFDLEtBQUssTUFBTTtRQUMxRSxXQUFXLEVBQUUsTUFBTSxDQUFDLFVBQVUsQ0FBQyxXQUFXLElBQUksR0FBRyxDQUFDLG1CQUFtQixJQUFJLHlCQUFrQixDQUFDO0tBQzdGLENBQUE7SUFDRCxJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsSUFBSSxDQUFDLE1BQU0sQ0FBQyxpQkFBaUIsRUFBRSxDQUFDO1FBQ2xELE1BQU0sSUFBSSxLQUFLLENBQUMsMElBQTBJLENBQUMsQ0FBQTtJQUM3SixDQUFDO0lBQ0QsSUFBSSxDQUFDLDBCQUFnQixDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQztRQUMzQyxNQUFNLElBQUksS0FBSyxDQUFDLGNBQWMsR0FBRyxNQUFNLENBQUMsR0FBRyxHQUFHLG1CQUFtQixHQUFHLDBCQUFnQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFBO0lBQ2xHLENBQUM7SUFDRCxJQUFJLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLElBQUksTUFBTSxDQUFDLFdBQVcsR0FBRyxDQUFDLEVBQUUsQ0FBQztRQUNwRSxNQUFNLElBQUksS0FBSyxDQUFDLHNCQUFzQixHQUFHLE1BQU0sQ0FBQyxXQUFXLEdBQUcsOEJBQThCLENBQUMsQ0FBQTtJQUMvRixDQUFDO0lBQ0QsT0FBTyxNQUFNLENBQUE7QUFDZixDQUFDO0FBRUQsS0FBSyxVQUFVLGdCQUFnQixDQUFDLFlBQWdDLEVBQUUsTUFBa0I7SUFDbEYsTUFBTSxRQUFRLEdBQUcsTUFBTSxZQUFZLENBQUMsY0FBYyxDQUFDLE1BQU0sQ0FBQyxDQUFBO0lBQzFELE1BQU0sRUFBRSxjQUFjLEVBQUUsV0FBVyxFQUFFLGNBQWMsRUFBRSxTQUFTLEVBQUUsR0FBRyxNQUFNLFlBQVksQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUE7SUFDekcsTUFBTSxJQUFJLEdBQUcsTUFBTSxJQUFBLGVBQVEsRUFBQyxRQUFRLEVBQUUsY0FBYyxFQUFFLE1BQU0sQ0FBQyxVQUFVLEVBQUUsTUFBTSxDQUFDLEtBQUssRUFBRTtRQUNyRixXQUFXLEVBQUUsTUFBTSxDQUFDLFdBQVc7UUFDL0IsV0FBVztRQUNYLGNBQWM7UUFDZCxTQUFTO0tBQ1YsQ0FBQyxDQUFBO0lBQ0YsTUFBTSxNQUFNLEdBQUcsTUFBTSxJQUFBLGdCQUFTLEVBQUMsUUFBUSxFQUFFLElBQUksRUFBRSxFQUFFLFdBQVcsRUFBRSxNQUFNLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQTtJQUNuRixJQUFJLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQztRQUNsQixNQUFNLFFBQVEsR0FBRyxNQUFNLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUUsQ0FBQyxTQUFTLENBQUMsSUFBSSxHQUFHLEdBQUcsR0FBRyxTQUFTLENBQUMsSUFBSSxHQUFHLElBQUksR0FBRyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUE7UUFDNUgsTUFBTSxJQUFJLEtBQUssQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLE1BQU0sR0FBRyxJQUFJLENBQUMsTUFBTSxHQUFHLDRCQUE0QixHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQTtJQUM1RyxDQUFDO0lBQ0QsT0FBTyxJQUFBLG9CQUFhLEVBQUMsSUFBSSxDQUFDLENBQUE7QUFDNUIsQ0FBQztBQUVELEtBQUssVUFBVSwwQkFBMEIsQ0FBQyxLQUFVLEVBQUUsT0FBWSxFQUFFLE1BQTRCLEVBQUUsTUFBYyxFQUFFLElBQVM7SUFDekgsTUFBTSxZQUFZLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQztRQUNsQyxNQUFNLEVBQUUsTUFBTTtRQUNkLE1BQU0sRUFBRSxNQUFNLElBQUksNkJBQTZCLEdBQUcsQ0FBQyxDQUFBLE9BQU8sYUFBUCxPQUFPLHVCQUFQLE9BQU8sQ0FBRSxhQUFhLEtBQUksU0FBUyxDQUFDO1FBQ3ZGLGtCQUFrQixFQUFFLEtBQUssQ0FBQyxrQkFBa0IsSUFBSSxjQUFjLEdBQUcsS0FBSyxDQUFDLGlCQUFpQjtRQUN4RixPQUFPLEVBQUUsS0FBSyxDQUFDLE9BQU87UUFDdEIsU0FBUyxFQUFFLEtBQUssQ0FBQyxTQUFTO1FBQzFCLGlCQUFpQixFQUFFLEtBQUssQ0FBQyxpQkFBaUI7UUFDMUMsSUFBSSxFQUFFLElBQUk7S0FDWCxDQUFDLENBQUE7SUFDRixnRkFBZ0Y7SUFDaEYsTUFBTSxRQUFRLEdBQUcsTUFBTSxLQUFLLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRTtRQUM5QyxNQUFNLEVBQUUsS0FBSztRQUNiLE9BQU8sRUFBRTtZQUNQLGNBQWMsRUFBRSxFQUFFO1NBQ25CO1FBQ0QsSUFBSSxFQUFFLFlBQVk7S0FDbkIsQ0FBQyxDQUFBO0lBQ0YsSUFBSSxDQUFDLFFBQVEsQ0FBQyxFQUFFLEVBQUUsQ0FBQztRQUNqQixNQUFNLElBQUksS0FBSyxDQUFDLG1DQUFtQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLEdBQUcsR0FBRyxHQUFHLENBQUMsTUFBTSxRQUFRLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFBO0lBQ3hHLENBQUM7QUFDSCxDQUFDO0FBRUQsS0FBSyxVQUFVLHlCQUF5QixDQUFDLFlBQWdDLEVBQUUsS0FBVSxFQUFFLE9BQVk7SUFDakcsTUFBTSxVQUFVLEdBQUcsS0FBSyxDQUFDLGtCQUFrQixJQUFJLEVBQUUsQ0FBQTtJQUNqRCxNQUFNLFNBQVMsR0FBRyxVQUFVLENBQUMsU0FBUyxJQUFJLEVBQUUsQ0FBQTtJQUM1QyxPQUFPLENBQUMsR0FBRyxDQUFDLGlCQUFpQixFQUFFLEtBQUssQ0FBQyxXQUFXLEVBQUUsS0FBSyxDQUFDLGlCQUFpQixFQUFFLE9BQU8sRUFBRSxTQUFTLENBQUMsQ0FBQTtJQUM5RixJQUFJLENBQUM7UUFDSCxJQUFJLElBQUksR0FBRyxFQUFFLENBQUE7UUFDYixJQUFJLEtBQUssQ0FBQyxXQUFXLEtBQUssUUFBUSxJQUFJLEtBQUssQ0FBQyxXQUFXLEtBQUssUUFBUSxFQUFFLENBQUM7WUFDckUsSUFBSSxDQUFDLFNBQVMsRUFBRSxDQUFDO2dCQUNmLHlHQUF5RztnQkFDekcsTUFBTSxJQUFJLEtBQUssQ0FBQyxzRkFBc0YsQ0FBQyxDQUFBO1lBQ3pHLENBQUM7WUFDRCxNQUFNLE9BQU8sR0FBRyxNQUFNLGdCQUFnQixDQUFDLFlBQVksRUFBRSxtQkFBbUIsQ0FBQyxVQUFVLEVBQUUsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUE7WUFDbEcsSUFBSSxHQUFHO2dCQUNMLE9BQU8sRUFBRSxNQUFNLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQztnQkFDL0IsT0FBTyxFQUFFLE1BQU0sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDO2dCQUMvQixPQUFPLEVBQUUsTUFBTSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUM7Z0JBQy9CLFNBQVMsRUFBRSxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQzthQUNoQyxDQUFBO1FBQ0gsQ0FBQztRQUNELE1BQU0sMEJBQTBCLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsRUFBRSxFQUFFLElBQUksQ0FBQyxDQUFBO0lBQ3ZFLENBQUM7SUFBQyxPQUFPLEdBQVEsRUFBRSxDQUFDO1FBQ2xCLE9BQU8sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUE7UUFDbEIsNkNBQTZDO1FBQzdDLE1BQU0sMEJBQTBCLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsTUFBTSxDQUFDLEdBQUcsQ0FBQyxPQUFPLElBQUksR0FBRyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQTtJQUMzRyxDQUFDO0FBQ0gsQ0FBQztBQUVELEtBQUssVUFBVSw0QkFBNEIsQ0FBQyxZQUFnQyxFQUFFLEtBQVU7O0lBQ3RGLE1BQU0sT0FBTyxHQUFHLENBQUEsTUFBQSxLQUFLLENBQUMsTUFBTSwwQ0FBRyxVQUFVLENBQUMsS0FBSSxFQUFFLENBQUE7SUFDaEQsTUFBTSxNQUFNLEdBQUcsQ0FBQSxNQUFBLE1BQUEsS0FBSyxDQUFDLE1BQU0sMENBQUcsZ0JBQWdCLENBQUMsMENBQUUsTUFBTSxLQUFJLEVBQUUsQ0FBQTtJQUM3RCxNQUFNLFNBQVMsR0FBRyxJQUFBLDRCQUFrQixFQUFDLE9BQU8sQ0FBQyxDQUFBO0lBQzdDLDBGQUEwRjtJQUMxRixNQUFNLE1BQU0sR0FBRyxtQkFBbUIsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxPQUFPLENBQUMsRUFBRSxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUE7SUFDL0QsSUFBSSxDQUFDLGlCQUFpQixDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxLQUFLLGlCQUFpQixJQUFJLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDO1FBQzNGLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxFQUFFLFNBQVMsRUFBRSxNQUFNLENBQUMsQ0FBQTtRQUN0QyxPQUFPLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLENBQUE7SUFDN0MsQ0FBQztJQUNELE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxFQUFFLFNBQVMsRUFBRSxNQUFNLENBQUMsQ0FBQTtJQUN0QyxNQUFNLE9BQU8sR0FBRyxNQUFNLGdCQUFnQixDQUFDLFlBQVksRUFBRSxNQUFNLENBQUMsQ0FBQTtJQUM1RCxPQUFPLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxDQUFBO0FBQ3ZELENBQUM7QUFFRCxTQUFnQixhQUFhLENBQUMsZUFBbUMseUJBQXlCO0lBQ3hGLE9BQU8sS0FBSyxFQUFFLEtBQVUsRUFBRSxPQUFhLEVBQUUsRUFBRTtRQUN6QyxJQUFJLENBQUEsS0FBSyxhQUFMLEtBQUssdUJBQUwsS0FBSyxDQUFFLFdBQVcsTUFBSSxLQUFLLGFBQUwsS0FBSyx1QkFBTCxLQUFLLENBQUUsV0FBVyxDQUFBLEVBQUUsQ0FBQztZQUM3QyxPQUFPLHlCQUF5QixDQUFDLFlBQVksRUFBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLENBQUE7UUFDaEUsQ0FBQztRQUNELElBQUksQ0FBQSxLQUFLLGFBQUwsS0FBSyx1QkFBTCxLQUFLLENBQUcsYUFBYSxDQUFDLE1BQUssb0NBQW9DLEVBQUUsQ0FBQztZQUNwRSxPQUFPLDRCQUE0QixDQUFDLFlBQVksRUFBRSxLQUFLLENBQUMsQ0FBQTtRQUMxRCxDQUFDO1FBQ0QsTUFBTSxJQUFJLEtBQUssQ0FBQyxvSEFBb0gsQ0FBQyxDQUFBO0lBQ3ZJLENBQUMsQ0FBQTtBQUNILENBQUM7QUFFWSxRQUFBLE9BQU8sR0FBRyxhQUFhLEVBQUUsQ0FBQSIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQVdTIExhbWJkYSBoYW5kbGVyIHRoYXQgcnVucyB0aGUgc3luYyBmb3IgYSBzaW5nbGUgQ2xvdWRGb3JtYXRpb24gc3RhY2suXG4gKlxuICogVGhlIGhhbmRsZXIgYWNjZXB0cyB0d28ga2luZHMgb2YgZXZlbnRzOlxuICpcbiAqIC0gRXZlbnRCcmlkZ2UgXCJDbG91ZEZvcm1hdGlvbiBTdGFjayBTdGF0dXMgQ2hhbmdlXCIgZXZlbnRzOiB0aGUgc3RhY2sncyBleHBvcnRzIGFyZSBzeW5jZWQgd2hlbiBpdCByZWFjaGVzXG4gKiAgIENSRUFURV9DT01QTEVURSwgVVBEQVRFX0NPTVBMRVRFLCBVUERBVEVfUk9MTEJBQ0tfQ09NUExFVEUgb3IgSU1QT1JUX0NPTVBMRVRFLiBXaXRoIHBydW5pbmcgZW5hYmxlZCxcbiAqICAgREVMRVRFX0NPTVBMRVRFIHJlbW92ZXMgdGhlIHJlY29yZHMgb3duZWQgYnkgdGhlIGRlbGV0ZWQgc3RhY2suIFRoZSBzdGFjayBpcyBtYXRjaGVkIGJ5IGl0cyBBUk4sIHNvIHN0YWNrc1xuICogICB3aXRoIHRoZSBzYW1lIG5hbWUgaW4gb3RoZXIgcmVnaW9ucyBhbmQgYWNjb3VudHMgYXJlIGxlZnQgYWxvbmUuXG4gKiAtIEN1c3RvbTo6Q2xvdUROU1N5bmMgY3VzdG9tIHJlc291cmNlIHJlcXVlc3RzOiBDcmVhdGUgYW5kIFVwZGF0ZSBzeW5jIHRoZSBzdGFjayBnaXZlbiBpbiB0aGUgcmVxdWlyZWQgU3RhY2tOYW1lXG4gKiAgIHByb3BlcnR5IGFuZCBEZWxldGUgZG9lcyBub3RoaW5nLiBUaGUgU1VDQ0VTUyBvciBGQUlMRUQgcmVzcG9uc2UgaXMgc2VudCB0byB0aGUgUmVzcG9uc2VVUkwgb2YgdGhlIHJlcXVlc3QuXG4gKlxuICogU2V0dGluZ3MgYXJlIHJlYWQgZnJvbSB0aGUgY3VzdG9tIHJlc291cmNlIHByb3BlcnRpZXMgKFVzZXJuYW1lLCBQYXNzd29yZFBhcmFtZXRlciwgVHRsLCBSZWdpb25zLCBSb2xlQXJucyxcbiAqIFBydW5lLCBDb25jdXJyZW5jeSkgb3IgZnJvbSB0aGUgZW52aXJvbm1lbnQgKENMT1VETlNfVVNFUk5BTUUsIENMT1VETlNfUEFTU1dPUkRfUEFSQU1FVEVSLCBDTE9VRE5TX1RUTCxcbiAqIENMT1VETlNfUkVHSU9OUywgQ0xPVUROU19ST0xFX0FSTlMsIENMT1VETlNfUFJVTkUsIENMT1VETlNfQ09OQ1VSUkVOQ1kpLiBMaXN0cyBhcmUgY29tbWEtc2VwYXJhdGVkLlxuICpcbiAqIFRoZSBpbnZvY2F0aW9uIGZhaWxzIChvciB0aGUgY3VzdG9tIHJlc291cmNlIHJlcG9ydHMgRkFJTEVEKSB3aGVuIGFueSByZWNvcmQgY291bGQgbm90IGJlIHN5bmNlZC5cbiAqL1xuaW1wb3J0IHsgRG5zUHJvdmlkZXIgfSBmcm9tICcuL2Rucy1wcm92aWRlcidcbmltcG9ydCB7IGFsbG93ZWRUdGxWYWx1ZXMsIGdldFN0YWNrTmFtZUZyb21JZCB9IGZyb20gJy4vcmVjb3JkcydcbmltcG9ydCB7IGFwcGx5UGxhbiwgZGVmYXVsdENvbmN1cnJlbmN5LCBwbGFuU3luYywgc3VtbWFyaXplUGxhbiB9IGZyb20gJy4vc3luYydcbmltcG9ydCB7IFN5bmNUYXJnZXQgfSBmcm9tICcuL2NvbmZpZydcbmltcG9ydCB7IFRhcmdldEV4cG9ydHMsIGNyZWF0ZVRhcmdldFByb3ZpZGVyLCByZWFkVGFyZ2V0RXhwb3J0cyB9IGZyb20gJy4vY2xvdWRucy1jbG91ZGZvcm1hdGlvbi1zeW5jJ1xuXG5leHBvcnQgaW50ZXJmYWNlIExhbWJkYURlcGVuZGVuY2llcyB7XG4gIGNyZWF0ZVByb3ZpZGVyOiAodGFyZ2V0OiBTeW5jVGFyZ2V0KSA9PiBQcm9taXNlPERuc1Byb3ZpZGVyPlxuICByZWFkRXhwb3J0czogKHRhcmdldDogU3luY1RhcmdldCkgPT4gUHJvbWlzZTxUYXJnZXRFeHBvcnRzPlxufVxuXG5jb25zdCBkZWZhdWx0TGFtYmRhRGVwZW5kZW5jaWVzOiBMYW1iZGFEZXBlbmRlbmNpZXMgPSB7XG4gIGNyZWF0ZVByb3ZpZGVyOiBjcmVhdGVUYXJnZXRQcm92aWRlcixcbiAgcmVhZEV4cG9ydHM6IHJlYWRUYXJnZXRFeHBvcnRzLFxufVxuXG4vLyBTdGFjayBzdGF0dXNlcyBhZnRlciB3aGljaCB0aGUgc3RhY2sncyBleHBvcnRzIGFyZSBzeW5jZWRcbmNvbnN0IHN5bmNTdGFja1N0YXR1c2VzID0gWydDUkVBVEVfQ09NUExFVEUnLCAnVVBEQVRFX0NPTVBMRVRFJywgJ1VQREFURV9ST0xMQkFDS19DT01QTEVURScsICdJTVBPUlRfQ09NUExFVEUnXVxuXG5mdW5jdGlvbiBwYXJzZUxpc3QodmFsdWU6IGFueSk6IHN0cmluZ1tdIHtcbiAgcmV0dXJuIFN0cmluZyh2YWx1ZSB8fCAnJylcbiAgICAuc3BsaXQoJywnKVxuICAgIC5tYXAoKGl0ZW0pID0+IGl0ZW0udHJpbSgpKVxuICAgIC5maWx0ZXIoKGl0ZW0pID0+IGl0ZW0pXG59XG5cbmZ1bmN0aW9uIGdldExhbWJkYVN5bmNUYXJnZXQocHJvcGVydGllczogYW55LCBzdGFja05hbWVzOiBzdHJpbmdbXSwgZGVmYXVsdFJlZ2lvbj86IHN0cmluZyk6IFN5bmNUYXJnZXQge1xuICBjb25zdCBlbnYgPSBwcm9jZXNzLmVudlxuICBjb25zdCB0YXJnZXQ6IFN5bmNUYXJnZXQgPSB7XG4gICAgdXNlcm5hbWU6IHByb3BlcnRpZXMuVXNlcm5hbWUgfHwgZW52LkNMT1VETlNfVVNFUk5BTUUgfHwgJycsXG4gICAgcGFzc3dvcmRQYXJhbWV0ZXI6IHByb3BlcnRpZXMuUGFzc3dvcmRQYXJhbWV0ZXIgfHwgZW52LkNMT1VETlNfUEFTU1dPUkRfUEFSQU1FVEVSIHx8ICcnLFxuICAgIC8vIFRoZSBwYXNzd29yZCBwYXJhbWV0ZXIgaXMgaW4gdGhlIExhbWJkYSdzIG93biByZWdpb24sIHdoaWNoIG1heSBkaWZmZXIgZnJvbSB0aGUgcmVnaW9uIG9mIHRoZSBldmVudFxuICAgIHBhc3N3b3JkUmVnaW9uOiBlbnYuQVdTX1JFR0lPTixcbiAgICByZWdpb25zOiBwYXJzZUxpc3QocHJvcGVydGllcy5SZWdpb25zIHx8IGVudi5DTE9VRE5TX1JFR0lPTlMgfHwgZGVmYXVsdFJlZ2lvbiksXG4gICAgcm9sZUFybnM6IHBhcnNlTGlzdChwcm9wZXJ0aWVzLlJvbGVBcm5zIHx8IGVudi5DTE9VRE5TX1JPTEVfQVJOUyksXG4gICAgdHRsOiBTdHJpbmcocHJvcGVydGllcy5UdGwgfHwgZW52LkNMT1VETlNfVFRMIHx8ICczMDAnKSxcbiAgICBzdGFja05hbWVzOiBzdGFja05hbWVzLFxuICAgIC8vIEN1c3RvbSByZXNvdXJjZSBwcm9wZXJ0aWVzIGFyZSBhbHdheXMgc3RyaW5nc1xuICAgIHBydW5lOiBTdHJpbmcocHJvcGVydGllcy5QcnVuZSA/PyBlbnYuQ0xPVUROU19QUlVORSA/PyAnZmFsc2UnKSA9PT0gJ3RydWUnLFxuICAgIGNvbmN1cnJlbmN5OiBOdW1iZXIocHJvcGVydGllcy5Db25jdXJyZW5jeSB8fCBlbnYuQ0xPVUROU19DT05DVVJSRU5DWSB8fCBkZWZhdWx0Q29uY3VycmVuY3kpLFxuICB9XG4gIGlmICghdGFyZ2V0LnVzZXJuYW1lIHx8ICF0YXJnZXQucGFzc3dvcmRQYXJhbWV0ZXIpIHtcbiAgICB0aHJvdyBuZXcgRXJyb3IoJ0Nsb3VETlMgdXNlcm5hbWUgYW5kIHBhc3N3b3JkIHBhcmFtZXRlciBhcmUgcmVxdWlyZWQgKFVzZXJuYW1lIGFuZCBQYXNzd29yZFBhcmFtZXRlciBvciBDTE9VRE5TX1VTRVJOQU1FIGFuZCBDTE9VRE5TX1BBU1NXT1JEX1BBUkFNRVRFUiknKVxuICB9XG4gIGlmICghYWxsb3dlZFR0bFZhbHVlcy5pbmNsdWRlcyh0YXJnZXQudHRsKSkge1xuICAgIHRocm93IG5ldyBFcnJvcignSW52YWxpZCBUVEwgJyArIHRhcmdldC50dGwgKyAnLCBtdXN0IGJlIG9uZSBvZiAnICsgYWxsb3dlZFR0bFZhbHVlcy5qb2luKCcsICcpKVxuICB9XG4gIGlmICghTnVtYmVyLmlzSW50ZWdlcih0YXJnZXQuY29uY3VycmVuY3kpIHx8IHRhcmdldC5jb25jdXJyZW5jeSA8IDEpIHtcbiAgICB0aHJvdyBuZXcgRXJyb3IoJ0ludmFsaWQgY29uY3VycmVuY3kgJyArIHRhcmdldC5jb25jdXJyZW5jeSArICcsIG11c3QgYmUgYSBwb3NpdGl2ZSBpbnRlZ2VyJylcbiAgfVxuICByZXR1cm4gdGFyZ2V0XG59XG5cbmFzeW5jIGZ1bmN0aW9uIHN5bmNMYW1iZGFUYXJnZXQoZGVwZW5kZW5jaWVzOiBMYW1iZGFEZXBlbmRlbmNpZXMsIHRhcmdldDogU3luY1RhcmdldCkge1xuICBjb25zdCBwcm92aWRlciA9IGF3YWl0IGRlcGVuZGVuY2llcy5jcmVhdGVQcm92aWRlcih0YXJnZXQpXG4gIGNvbnN0IHsgZGVzaXJlZFJlY29yZHMsIHN0YWNrU2NvcGVzLCBpbnZhbGlkRXhwb3J0cywgY29uZmxpY3RzIH0gPSBhd2FpdCBkZXBlbmRlbmNpZXMucmVhZEV4cG9ydHModGFyZ2V0KVxuICBjb25zdCBwbGFuID0gYXdhaXQgcGxhblN5bmMocHJvdmlkZXIsIGRlc2lyZWRSZWNvcmRzLCB0YXJnZXQuc3RhY2tOYW1lcywgdGFyZ2V0LnBydW5lLCB7XG4gICAgY29uY3VycmVuY3k6IHRhcmdldC5jb25jdXJyZW5jeSxcbiAgICBzdGFja1Njb3BlcyxcbiAgICBpbnZhbGlkRXhwb3J0cyxcbiAgICBjb25mbGljdHMsXG4gIH0pXG4gIGNvbnN0IHJlc3VsdCA9IGF3YWl0IGFwcGx5UGxhbihwcm92aWRlciwgcGxhbiwgeyBjb25jdXJyZW5jeTogdGFyZ2V0LmNvbmN1cnJlbmN5IH0pXG4gIGlmIChyZXN1bHQuZmFpbGVkKSB7XG4gICAgY29uc3QgZmFpbHVyZXMgPSByZXN1bHQuZmFpbHVyZXMubWFwKCh7IHBsYW5FbnRyeSwgZXJyb3IgfSkgPT4gcGxhbkVudHJ5Lm5hbWUgKyAnICcgKyBwbGFuRW50cnkudHlwZSArICc6ICcgKyBlcnJvci5tZXNzYWdlKVxuICAgIHRocm93IG5ldyBFcnJvcihyZXN1bHQuZmFpbGVkICsgJyBvZiAnICsgcGxhbi5sZW5ndGggKyAnIHJlY29yZHMgZmFpbGVkIHRvIHN5bmM6XFxuJyArIGZhaWx1cmVzLmpvaW4oJ1xcbicpKVxuICB9XG4gIHJldHVybiBzdW1tYXJpemVQbGFuKHBsYW4pXG59XG5cbmFzeW5jIGZ1bmN0aW9uIHNlbmRDdXN0b21SZXNvdXJjZVJlc3BvbnNlKGV2ZW50OiBhbnksIGNvbnRleHQ6IGFueSwgc3RhdHVzOiAnU1VDQ0VTUycgfCAnRkFJTEVEJywgcmVhc29uOiBzdHJpbmcsIGRhdGE6IGFueSkge1xuICBjb25zdCByZXNwb25zZUJvZHkgPSBKU09OLnN0cmluZ2lmeSh7XG4gICAgU3RhdHVzOiBzdGF0dXMsXG4gICAgUmVhc29uOiByZWFzb24gfHwgJ1NlZSBDbG91ZFdhdGNoIGxvZyBzdHJlYW06ICcgKyAoY29udGV4dD8ubG9nU3RyZWFtTmFtZSB8fCAndW5rbm93bicpLFxuICAgIFBoeXNpY2FsUmVzb3VyY2VJZDogZXZlbnQuUGh5c2ljYWxSZXNvdXJjZUlkIHx8ICdDbG91RE5TU3luYy0nICsgZXZlbnQuTG9naWNhbFJlc291cmNlSWQsXG4gICAgU3RhY2tJZDogZXZlbnQuU3RhY2tJZCxcbiAgICBSZXF1ZXN0SWQ6IGV2ZW50LlJlcXVlc3RJZCxcbiAgICBMb2dpY2FsUmVzb3VyY2VJZDogZXZlbnQuTG9naWNhbFJlc291cmNlSWQsXG4gICAgRGF0YTogZGF0YSxcbiAgfSlcbiAgLy8gVGhlIHJlc3BvbnNlIFVSTCBpcyBhIHByZS1zaWduZWQgUzMgVVJMLCB3aGljaCByZXF1aXJlcyBhbiBlbXB0eSBjb250ZW50IHR5cGVcbiAgY29uc3QgcmVzcG9uc2UgPSBhd2FpdCBmZXRjaChldmVudC5SZXNwb25zZVVSTCwge1xuICAgIG1ldGhvZDogJ1BVVCcsXG4gICAgaGVhZGVyczoge1xuICAgICAgJ0NvbnRlbnQtVHlwZSc6ICcnLFxuICAgIH0sXG4gICAgYm9keTogcmVzcG9uc2VCb2R5LFxuICB9KVxuICBpZiAoIXJlc3BvbnNlLm9rKSB7XG4gICAgdGhyb3cgbmV3IEVycm9yKCdDdXN0b20gcmVzb3VyY2UgcmVzcG9uc2UgZmFpbGVkOiAnICsgcmVzcG9uc2Uuc3RhdHVzICsgJyAnICsgKGF3YWl0IHJlc3BvbnNlLnRleHQoKSkpXG4gIH1cbn1cblxuYXN5bmMgZnVuY3Rpb24gaGFuZGxlQ3VzdG9tUmVzb3VyY2VFdmVudChkZXBlbmRlbmNpZXM6IExhbWJkYURlcGVuZGVuY2llcywgZXZlbnQ6IGFueSwgY29udGV4dDogYW55KSB7XG4gIGNvbnN0IHByb3BlcnRpZXMgPSBldmVudC5SZXNvdXJjZVByb3BlcnRpZXMgfHwge31cbiAgY29uc3Qgc3RhY2tOYW1lID0gcHJvcGVydGllcy5TdGFja05hbWUgfHwgJydcbiAgY29uc29sZS5sb2coJ0NVU1RPTSBSRVNPVVJDRScsIGV2ZW50LlJlcXVlc3RUeXBlLCBldmVudC5Mb2dpY2FsUmVzb3VyY2VJZCwgJ1NUQUNLJywgc3RhY2tOYW1lKVxuICB0cnkge1xuICAgIGxldCBkYXRhID0ge31cbiAgICBpZiAoZXZlbnQuUmVxdWVzdFR5cGUgPT09ICdDcmVhdGUnIHx8IGV2ZW50LlJlcXVlc3RUeXBlID09PSAnVXBkYXRlJykge1xuICAgICAgaWYgKCFzdGFja05hbWUpIHtcbiAgICAgICAgLy8gVGhlIGV4cG9ydHMgb2YgdGhlIGN1c3RvbSByZXNvdXJjZSdzIG93biBzdGFjayBhcmUgbm90IHZpc2libGUgdW50aWwgdGhhdCBzdGFjayBoYXMgZmluaXNoZWQgZGVwbG95aW5nXG4gICAgICAgIHRocm93IG5ldyBFcnJvcignVGhlIFN0YWNrTmFtZSBwcm9wZXJ0eSBpcyByZXF1aXJlZCBhbmQgbXVzdCBuYW1lIGFub3RoZXIgc3RhY2sgd2hvc2UgZXhwb3J0cyB0byBzeW5jJylcbiAgICAgIH1cbiAgICAgIGNvbnN0IHN1bW1hcnkgPSBhd2FpdCBzeW5jTGFtYmRhVGFyZ2V0KGRlcGVuZGVuY2llcywgZ2V0TGFtYmRhU3luY1RhcmdldChwcm9wZXJ0aWVzLCBbc3RhY2tOYW1lXSkpXG4gICAgICBkYXRhID0ge1xuICAgICAgICBDcmVhdGVkOiBTdHJpbmcoc3VtbWFyeS5jcmVhdGUpLFxuICAgICAgICBVcGRhdGVkOiBTdHJpbmcoc3VtbWFyeS51cGRhdGUpLFxuICAgICAgICBEZWxldGVkOiBTdHJpbmcoc3VtbWFyeS5kZWxldGUpLFxuICAgICAgICBVbmNoYW5nZWQ6IFN0cmluZyhzdW1tYXJ5Lm5vb3ApLFxuICAgICAgfVxuICAgIH1cbiAgICBhd2FpdCBzZW5kQ3VzdG9tUmVzb3VyY2VSZXNwb25zZShldmVudCwgY29udGV4dCwgJ1NVQ0NFU1MnLCAnJywgZGF0YSlcbiAgfSBjYXRjaCAoZXJyOiBhbnkpIHtcbiAgICBjb25zb2xlLmVycm9yKGVycilcbiAgICAvLyBUaGUgcmVzcG9uc2UgYm9keSBpcyBsaW1pdGVkIHRvIDQwOTYgYnl0ZXNcbiAgICBhd2FpdCBzZW5kQ3VzdG9tUmVzb3VyY2VSZXNwb25zZShldmVudCwgY29udGV4dCwgJ0ZBSUxFRCcsIFN0cmluZyhlcnIubWVzc2FnZSB8fCBlcnIpLnNsaWNlKDAsIDEwMDApLCB7fSlcbiAgfVxufVxuXG5hc3luYyBmdW5jdGlvbiBoYW5kbGVTdGFja1N0YXR1c0NoYW5nZUV2ZW50KGRlcGVuZGVuY2llczogTGFtYmRhRGVwZW5kZW5jaWVzLCBldmVudDogYW55KSB7XG4gIGNvbnN0IHN0YWNrSWQgPSBldmVudC5kZXRhaWw/Llsnc3RhY2staWQnXSB8fCAnJ1xuICBjb25zdCBzdGF0dXMgPSBldmVudC5kZXRhaWw/Llsnc3RhdHVzLWRldGFpbHMnXT8uc3RhdHVzIHx8ICcnXG4gIGNvbnN0IHN0YWNrTmFtZSA9IGdldFN0YWNrTmFtZUZyb21JZChzdGFja0lkKVxuICAvLyBTeW5jIGJ5IEFSTiwgc28gYSBzdGFjayB3aXRoIHRoZSBzYW1lIG5hbWUgaW4gYW5vdGhlciByZWdpb24gb3IgYWNjb3VudCBpcyBub3QgYWZmZWN0ZWRcbiAgY29uc3QgdGFyZ2V0ID0gZ2V0TGFtYmRhU3luY1RhcmdldCh7fSwgW3N0YWNrSWRdLCBldmVudC5yZWdpb24pXG4gIGlmICghc3luY1N0YWNrU3RhdHVzZXMuaW5jbHVkZXMoc3RhdHVzKSAmJiAhKHN0YXR1cyA9PT0gJ0RFTEVURV9DT01QTEVURScgJiYgdGFyZ2V0LnBydW5lKSkge1xuICAgIGNvbnNvbGUubG9nKCdTS0lQJywgc3RhY2tOYW1lLCBzdGF0dXMpXG4gICAgcmV0dXJuIHsgc3RhY2tOYW1lLCBzdGF0dXMsIHNraXBwZWQ6IHRydWUgfVxuICB9XG4gIGNvbnNvbGUubG9nKCdTWU5DJywgc3RhY2tOYW1lLCBzdGF0dXMpXG4gIGNvbnN0IHN1bW1hcnkgPSBhd2FpdCBzeW5jTGFtYmRhVGFyZ2V0KGRlcGVuZGVuY2llcywgdGFyZ2V0KVxuICByZXR1cm4geyBzdGFja05hbWUsIHN0YXR1cywgc2tpcHBlZDogZmFsc2UsIHN1bW1hcnkgfVxufVxuXG5leHBvcnQgZnVuY3Rpb24gY3JlYXRlSGFuZGxlcihkZXBlbmRlbmNpZXM6IExhbWJkYURlcGVuZGVuY2llcyA9IGRlZmF1bHRMYW1iZGFEZXBlbmRlbmNpZXMpIHtcbiAgcmV0dXJuIGFzeW5jIChldmVudDogYW55LCBjb250ZXh0PzogYW55KSA9PiB7XG4gICAgaWYgKGV2ZW50Py5SZXF1ZXN0VHlwZSAmJiBldmVudD8uUmVzcG9uc2VVUkwpIHtcbiAgICAgIHJldHVybiBoYW5kbGVDdXN0b21SZXNvdXJjZUV2ZW50KGRlcGVuZGVuY2llcywgZXZlbnQsIGNvbnRleHQpXG4gICAgfVxuICAgIGlmIChldmVudD8uWydkZXRhaWwtdHlwZSddID09PSAnQ2xvdWRGb3JtYXRpb24gU3RhY2sgU3RhdHVzIENoYW5nZScpIHtcbiAgICAgIHJldHVybiBoYW5kbGVTdGFja1N0YXR1c0NoYW5nZUV2ZW50KGRlcGVuZGVuY2llcywgZXZlbnQpXG4gICAgfVxuICAgIHRocm93IG5ldyBFcnJvcignVW5zdXBwb3J0ZWQgZXZlbnQ6IGV4cGVjdGVkIGEgQ2xvdWRGb3JtYXRpb24gY3VzdG9tIHJlc291cmNlIHJlcXVlc3Qgb3IgYSBDbG91ZEZvcm1hdGlvbiBTdGFjayBTdGF0dXMgQ2hhbmdlIGV2ZW50JylcbiAgfVxufVxuXG5leHBvcnQgY29uc3QgaGFuZGxlciA9IGNyZWF0ZUhhbmRsZXIoKVxuIl19
\ No newline at end of file
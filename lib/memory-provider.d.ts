@@ -0,0 +1,11 @@
+import { DnsProvider, DnsRecord } from './dns-provider';
+export interface MemoryZones {
+    [zoneName: string]: DnsRecord[];
+}
+export interface MemoryProviderOptions {
+    stateFile?: string;
+}
+export interface MemoryProvider extends DnsProvider {
+    zones: MemoryZones;
+}
+export declare function createMemoryProvider(initialZones?: MemoryZones, options?: MemoryProviderOptions): MemoryProvider;
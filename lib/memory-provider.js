@@ -0,0 +1,88 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || (function () {
+    var ownKeys = function(o) {
+        ownKeys = Object.getOwnPropertyNames || function (o) {
+            var ar = [];
+            for (var k in o) if (Object.prototype.hasOwnProperty.call(o, k)) ar[ar.length] = k;
+            return ar;
+        };
+        return ownKeys(o);
+    };
+    return function (mod) {
+        if (mod && mod.__esModule) return mod;
+        var result = {};
+        if (mod != null) for (var k = ownKeys(mod), i = 0; i < k.length; i++) if (k[i] !== "default") __createBinding(result, mod, k[i]);
+        __setModuleDefault(result, mod);
+        return result;
+    };
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createMemoryProvider = createMemoryProvider;
+/**
+ * In-memory DNS provider for tests and offline dry runs. With a state file, the zones are loaded from
+ * and saved to a local JSON file of the form { "example.org": [{ "id", "host", "type", "value", "ttl" }] }.
+ */
+const fs = __importStar(require("fs"));
+function createMemoryProvider(initialZones = {}, options = {}) {
+    const { stateFile } = options;
+    const zones = stateFile && fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : initialZones;
+    let nextId = 1 + Math.max(0, ...Object.values(zones).map((records) => Math.max(0, ...records.map((record) => Number(record.id) || 0))));
+    const getZoneRecords = (zoneName) => {
+        if (!zones[zoneName]) {
+            throw new Error('Zone Not Found: ' + zoneName);
+        }
+        return zones[zoneName];
+    };
+    const getRecordIndex = (zoneName, recordId) => {
+        const index = getZoneRecords(zoneName).findIndex((record) => record.id === recordId);
+        if (index < 0) {
+            throw new Error('Record Not Found: ' + recordId + ' in zone ' + zoneName);
+        }
+        return index;
+    };
+    const save = () => {
+        if (stateFile) {
+            fs.writeFileSync(stateFile, JSON.stringify(zones, null, 2) + '\n');
+        }
+    };
+    return {
+        zones: zones,
+        async listZones() {
+            return Object.keys(zones);
+        },
+        async listRecords(zoneName) {
+            return getZoneRecords(zoneName).map((record) => ({ ...record }));
+        },
+        async addRecord(zoneName, record) {
+            getZoneRecords(zoneName).push({ ...record, id: String(nextId++) });
+            save();
+        },
+        async modifyRecord(zoneName, recordId, record) {
+            const index = getRecordIndex(zoneName, recordId);
+            zones[zoneName][index] = { ...record, id: recordId };
+            save();
+        },
+        async deleteRecord(zoneName, recordId) {
+            const index = getRecordIndex(zoneName, recordId);
+            zones[zoneName].splice(index, 1);
+            save();
+        },
+    };
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWVtb3J5LXByb3ZpZGVyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vc3JjL21lbW9yeS1wcm92aWRlci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOzs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7OztBQW1CQSxvREFvREM7QUF2RUQ7OztHQUdHO0FBQ0gsdUNBQXdCO0FBZXhCLFNBQWdCLG9CQUFvQixDQUFDLGVBQTRCLEVBQUUsRUFBRSxVQUFpQyxFQUFFO0lBQ3RHLE1BQU0sRUFBRSxTQUFTLEVBQUUsR0FBRyxPQUFPLENBQUE7SUFDN0IsTUFBTSxLQUFLLEdBQWdCLFNBQVMsSUFBSSxFQUFFLENBQUMsVUFBVSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsU0FBUyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQTtJQUNoSSxJQUFJLE1BQU0sR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFBO0lBRXZJLE1BQU0sY0FBYyxHQUFHLENBQUMsUUFBZ0IsRUFBRSxFQUFFO1FBQzFDLElBQUksQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQztZQUNyQixNQUFNLElBQUksS0FBSyxDQUFDLGtCQUFrQixHQUFHLFFBQVEsQ0FBQyxDQUFBO1FBQ2hELENBQUM7UUFDRCxPQUFPLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQTtJQUN4QixDQUFDLENBQUE7SUFDRCxNQUFNLGNBQWMsR0FBRyxDQUFDLFFBQWdCLEVBQUUsUUFBZ0IsRUFBRSxFQUFFO1FBQzVELE1BQU0sS0FBSyxHQUFHLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxFQUFFLEtBQUssUUFBUSxDQUFDLENBQUE7UUFDcEYsSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLENBQUM7WUFDZCxNQUFNLElBQUksS0FBSyxDQUFDLG9CQUFvQixHQUFHLFFBQVEsR0FBRyxXQUFXLEdBQUcsUUFBUSxDQUFDLENBQUE7UUFDM0UsQ0FBQztRQUNELE9BQU8sS0FBSyxDQUFBO0lBQ2QsQ0FBQyxDQUFBO0lBQ0QsTUFBTSxJQUFJLEdBQUcsR0FBRyxFQUFFO1FBQ2hCLElBQUksU0FBUyxFQUFFLENBQUM7WUFDZCxFQUFFLENBQUMsYUFBYSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEtBQUssRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUE7UUFDcEUsQ0FBQztJQUNILENBQUMsQ0FBQTtJQUVELE9BQU87UUFDTCxLQUFLLEVBQUUsS0FBSztRQUVaLEtBQUssQ0FBQyxTQUFTO1lBQ2IsT0FBTyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFBO1FBQzNCLENBQUM7UUFFRCxLQUFLLENBQUMsV0FBVyxDQUFDLFFBQWdCO1lBQ2hDLE9BQU8sY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sRUFBRSxFQUFFLENBQUMsQ0FBQyxFQUFFLEdBQUcsTUFBTSxFQUFFLENBQUMsQ0FBQyxDQUFBO1FBQ2xFLENBQUM7UUFFRCxLQUFLLENBQUMsU0FBUyxDQUFDLFFBQWdCLEVBQUUsTUFBaUI7WUFDakQsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLEdBQUcsTUFBTSxFQUFFLEVBQUUsRUFBRSxNQUFNLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUE7WUFDbEUsSUFBSSxFQUFFLENBQUE7UUFDUixDQUFDO1FBRUQsS0FBSyxDQUFDLFlBQVksQ0FBQyxRQUFnQixFQUFFLFFBQWdCLEVBQUUsTUFBaUI7WUFDdEUsTUFBTSxLQUFLLEdBQUcsY0FBYyxDQUFDLFFBQVEsRUFBRSxRQUFRLENBQUMsQ0FBQTtZQUNoRCxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxHQUFHLE1BQU0sRUFBRSxFQUFFLEVBQUUsUUFBUSxFQUFFLENBQUE7WUFDcEQsSUFBSSxFQUFFLENBQUE7UUFDUixDQUFDO1FBRUQsS0FBSyxDQUFDLFlBQVksQ0FBQyxRQUFnQixFQUFFLFFBQWdCO1lBQ25ELE1BQU0sS0FBSyxHQUFHLGNBQWMsQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDLENBQUE7WUFDaEQsS0FBSyxDQUFDLFFBQVEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUE7WUFDaEMsSUFBSSxFQUFFLENBQUE7UUFDUixDQUFDO0tBQ0YsQ0FBQTtBQUNILENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEluLW1lbW9yeSBETlMgcHJvdmlkZXIgZm9yIHRlc3RzIGFuZCBvZmZsaW5lIGRyeSBydW5zLiBXaXRoIGEgc3RhdGUgZmlsZSwgdGhlIHpvbmVzIGFyZSBsb2FkZWQgZnJvbVxuICogYW5kIHNhdmVkIHRvIGEgbG9jYWwgSlNPTiBmaWxlIG9mIHRoZSBmb3JtIHsgXCJleGFtcGxlLm9yZ1wiOiBbeyBcImlkXCIsIFwiaG9zdFwiLCBcInR5cGVcIiwgXCJ2YWx1ZVwiLCBcInR0bFwiIH1dIH0uXG4gKi9cbmltcG9ydCAqIGFzIGZzIGZyb20gJ2ZzJ1xuaW1wb3J0IHsgRG5zUHJvdmlkZXIsIERuc1JlY29yZCB9IGZyb20gJy4vZG5zLXByb3ZpZGVyJ1xuXG5leHBvcnQgaW50ZXJmYWNlIE1lbW9yeVpvbmVzIHtcbiAgW3pvbmVOYW1lOiBzdHJpbmddOiBEbnNSZWNvcmRbXVxufVxuXG5leHBvcnQgaW50ZXJmYWNlIE1lbW9yeVByb3ZpZGVyT3B0aW9ucyB7XG4gIHN0YXRlRmlsZT86IHN0cmluZ1xufVxuXG5leHBvcnQgaW50ZXJmYWNlIE1lbW9yeVByb3ZpZGVyIGV4dGVuZHMgRG5zUHJvdmlkZXIge1xuICB6b25lczogTWVtb3J5Wm9uZXNcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIGNyZWF0ZU1lbW9yeVByb3ZpZGVyKGluaXRpYWxab25lczogTWVtb3J5Wm9uZXMgPSB7fSwgb3B0aW9uczogTWVtb3J5UHJvdmlkZXJPcHRpb25zID0ge30pOiBNZW1vcnlQcm92aWRlciB7XG4gIGNvbnN0IHsgc3RhdGVGaWxlIH0gPSBvcHRpb25zXG4gIGNvbnN0IHpvbmVzOiBNZW1vcnlab25lcyA9IHN0YXRlRmlsZSAmJiBmcy5leGlzdHNTeW5jKHN0YXRlRmlsZSkgPyBKU09OLnBhcnNlKGZzLnJlYWRGaWxlU3luYyhzdGF0ZUZpbGUsICd1dGY4JykpIDogaW5pdGlhbFpvbmVzXG4gIGxldCBuZXh0SWQgPSAxICsgTWF0aC5tYXgoMCwgLi4uT2JqZWN0LnZhbHVlcyh6b25lcykubWFwKChyZWNvcmRzKSA9PiBNYXRoLm1heCgwLCAuLi5yZWNvcmRzLm1hcCgocmVjb3JkKSA9PiBOdW1iZXIocmVjb3JkLmlkKSB8fCAwKSkpKVxuXG4gIGNvbnN0IGdldFpvbmVSZWNvcmRzID0gKHpvbmVOYW1lOiBzdHJpbmcpID0+IHtcbiAgICBpZiAoIXpvbmVzW3pvbmVOYW1lXSkge1xuICAgICAgdGhyb3cgbmV3IEVycm9yKCdab25lIE5vdCBGb3VuZDogJyArIHpvbmVOYW1lKVxuICAgIH1cbiAgICByZXR1cm4gem9uZXNbem9uZU5hbWVdXG4gIH1cbiAgY29uc3QgZ2V0UmVjb3JkSW5kZXggPSAoem9uZU5hbWU6IHN0cmluZywgcmVjb3JkSWQ6IHN0cmluZykgPT4ge1xuICAgIGNvbnN0IGluZGV4ID0gZ2V0Wm9uZVJlY29yZHMoem9uZU5hbWUpLmZpbmRJbmRleCgocmVjb3JkKSA9PiByZWNvcmQuaWQgPT09IHJlY29yZElkKVxuICAgIGlmIChpbmRleCA8IDApIHtcbiAgICAgIHRocm93IG5ldyBFcnJvcignUmVjb3JkIE5vdCBGb3VuZDogJyArIHJlY29yZElkICsgJyBpbiB6b25lICcgKyB6b25lTmFtZSlcbiAgICB9XG4gICAgcmV0dXJuIGluZGV4XG4gIH1cbiAgY29uc3Qgc2F2ZSA9ICgpID0+IHtcbiAgICBpZiAoc3RhdGVGaWxlKSB7XG4gICAgICBmcy53cml0ZUZpbGVTeW5jKHN0YXRlRmlsZSwgSlNPTi5zdHJpbmdpZnkoem9uZXMsIG51bGwsIDIpICsgJ1xcbicpXG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIHtcbiAgICB6b25lczogem9uZXMsXG5cbiAgICBhc3luYyBsaXN0Wm9uZXMoKSB7XG4gICAgICByZXR1cm4gT2JqZWN0LmtleXMoem9uZXMpXG4gICAgfSxcblxuICAgIGFzeW5jIGxpc3RSZWNvcmRzKHpvbmVOYW1lOiBzdHJpbmcpIHtcbiAgICAgIHJldHVybiBnZXRab25lUmVjb3Jkcyh6b25lTmFtZSkubWFwKChyZWNvcmQpID0+ICh7IC4uLnJlY29yZCB9KSlcbiAgICB9LFxuXG4gICAgYXN5bmMgYWRkUmVjb3JkKHpvbmVOYW1lOiBzdHJpbmcsIHJlY29yZDogRG5zUmVjb3JkKSB7XG4gICAgICBnZXRab25lUmVjb3Jkcyh6b25lTmFtZSkucHVzaCh7IC4uLnJlY29yZCwgaWQ6IFN0cmluZyhuZXh0SWQrKykgfSlcbiAgICAgIHNhdmUoKVxuICAgIH0sXG5cbiAgICBhc3luYyBtb2RpZnlSZWNvcmQoem9uZU5hbWU6IHN0cmluZywgcmVjb3JkSWQ6IHN0cmluZywgcmVjb3JkOiBEbnNSZWNvcmQpIHtcbiAgICAgIGNvbnN0IGluZGV4ID0gZ2V0UmVjb3JkSW5kZXgoem9uZU5hbWUsIHJlY29yZElkKVxuICAgICAgem9uZXNbem9uZU5hbWVdW2luZGV4XSA9IHsgLi4ucmVjb3JkLCBpZDogcmVjb3JkSWQgfVxuICAgICAgc2F2ZSgpXG4gICAgfSxcblxuICAgIGFzeW5jIGRlbGV0ZVJlY29yZCh6b25lTmFtZTogc3RyaW5nLCByZWNvcmRJZDogc3RyaW5nKSB7XG4gICAgICBjb25zdCBpbmRleCA9IGdldFJlY29yZEluZGV4KHpvbmVOYW1lLCByZWNvcmRJZClcbiAgICAgIHpvbmVzW3pvbmVOYW1lXS5zcGxpY2UoaW5kZXgsIDEpXG4gICAgICBzYXZlKClcbiAgICB9LFxuICB9XG59XG4iXX0=
\ No newline at end of file
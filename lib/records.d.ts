@@ -0,0 +1,41 @@
+/**
+ * Parsing of ClouDNS:<TYPE>:<host parts> export names and their values into desired records.
+ */
+export interface DesiredRecord {
+    name: string;
+    type: string;
+    value: string;
+    ttl: string;
+    stackId: string;
+    source: string;
+}
+export interface InvalidExport {
+    exportName: string;
+    stackId: string;
+    source: string;
+    error: string;
+}
+export declare const allowedTtlValues: string[];
+export declare const recordValueFields: {
+    [type: string]: string[];
+};
+export declare function parseStackId(stackId: string): {
+    region?: string;
+    accountId?: string;
+    stackName: string;
+};
+export declare function getStackNameFromId(stackId: string): string;
+export declare function parseExportValues(exportValue: string): string[];
+export declare function parseExportName(exportName: string, ttlValue: string): {
+    type: string;
+    name: string;
+    ttl: string;
+    list: boolean;
+};
+export declare function parseRecordValue(type: string, value: string): {
+    value: string;
+    fields: {
+        [fieldName: string]: string;
+    };
+};
+export declare function parseExport(exportName: string, exportValue: string, ttlValue: string, stackId: string, source: string): DesiredRecord[];
@@ -0,0 +1,142 @@
+"use strict";
+/**
+ * Parsing of ClouDNS:<TYPE>:<host parts> export names and their values into desired records.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.recordValueFields = exports.allowedTtlValues = void 0;
+exports.parseStackId = parseStackId;
+exports.getStackNameFromId = getStackNameFromId;
+exports.parseExportValues = parseExportValues;
+exports.parseExportName = parseExportName;
+exports.parseRecordValue = parseRecordValue;
+exports.parseExport = parseExport;
+// TTL values accepted by ClouDNS
+exports.allowedTtlValues = ['60', '300', '900', '1800', '3600', '21600', '43200', '86400', '172800', '259200', '604800', '1209600', '2592000'];
+// Fields of record types that need more than a plain value, in zone file order
+exports.recordValueFields = {
+    MX: ['priority', 'target'],
+    SRV: ['priority', 'weight', 'port', 'target'],
+    CAA: ['flag', 'tag', 'value'],
+};
+function parseStackId(stackId) {
+    // Split arn:aws:cloudformation:<region>:<account>:stack/<name>/<xxx>, plain stack names have no region or account
+    const m = stackId.match(/^arn:[^:]+:cloudformation:([^:]+):([^:]+):stack\/([^\/]+)\//);
+    return m ? { region: m[1], accountId: m[2], stackName: m[3] } : { stackName: stackId };
+}
+function getStackNameFromId(stackId) {
+    return parseStackId(stackId).stackName;
+}
+function parseExportValues(exportValue) {
+    // Comma-separated list of values, double quotes protect commas inside a value: "v=spf1 a,b",token2
+    // A backslash keeps the next character as-is, so \" is a literal quote and \, a literal comma
+    const values = [];
+    let value = '';
+    let quoted = false;
+    let escaped = false;
+    for (const c of exportValue + ',') {
+        if (escaped) {
+            value += c;
+            escaped = false;
+        }
+        else if (c === '\\') {
+            escaped = true;
+        }
+        else if (c === '"') {
+            quoted = !quoted;
+        }
+        else if (c === ',' && !quoted) {
+            if (value.trim()) {
+                values.push(value.trim());
+            }
+            value = '';
+        }
+        else {
+            value += c;
+        }
+    }
+    return values;
+}
+function parseExportName(exportName, ttlValue) {
+    // ClouDNS:<TYPE>[-<option>...]:<host parts>, where option is ttl<N>, list or a free-form suffix
+    const nameParts = exportName.split(':');
+    const [type, ...typeOptions] = (nameParts[1] || '').split('-');
+    // Export names cannot contain underscores, so a leading hyphen in a host part means an underscore (-sip:-tcp = _sip._tcp)
+    const name = nameParts
+        .slice(2)
+        .map((namePart) => namePart.replace(/^-/, '_'))
+        .join('.');
+    let ttl = ttlValue;
+    let list = false;
+    if (!type.match(/^[A-Z][A-Z0-9]*$/)) {
+        throw new Error('Invalid export ' + exportName + ': record type must be given in upper case, for example ClouDNS:CNAME:myhost:example:org');
+    }
+    if (!name) {
+        throw new Error('Invalid export ' + exportName + ': missing record hostname, for example ClouDNS:CNAME:myhost:example:org');
+    }
+    for (const typeOption of typeOptions) {
+        const m = typeOption.match(/^ttl(.*)$/);
+        if (m) {
+            if (!exports.allowedTtlValues.includes(m[1])) {
+                throw new Error('Invalid export ' + exportName + ': invalid TTL ' + m[1] + ', must be one of ' + exports.allowedTtlValues.join(', '));
+            }
+            ttl = m[1];
+        }
+        if (typeOption === 'list') {
+            list = true;
+        }
+    }
+    return { type, name, ttl, list };
+}
+function parseRecordValue(type, value) {
+    const fieldNames = exports.recordValueFields[type];
+    if (!fieldNames) {
+        return { value: value, fields: {} };
+    }
+    // The last field gets the rest of the value, CAA values may contain spaces
+    const valueParts = value.trim().split(/\s+/);
+    if (valueParts.length < fieldNames.length) {
+        throw new Error('invalid ' + type + ' value "' + value + '", expected ' + fieldNames.join(' '));
+    }
+    const fieldValues = valueParts.slice(0, fieldNames.length - 1);
+    fieldValues.push(valueParts.slice(fieldNames.length - 1).join(' '));
+    const fields = {};
+    fieldNames.forEach((fieldName, index) => {
+        fields[fieldName] = fieldValues[index];
+    });
+    for (const fieldName of ['priority', 'weight', 'port']) {
+        if (fields[fieldName] !== undefined && !(fields[fieldName].match(/^\d+$/) && Number(fields[fieldName]) <= 65535)) {
+            throw new Error('invalid ' + type + ' value "' + value + '", ' + fieldName + ' must be a number between 0 and 65535');
+        }
+    }
+    if (type === 'CAA' && !(fields.flag.match(/^\d+$/) && Number(fields.flag) <= 255)) {
+        throw new Error('invalid ' + type + ' value "' + value + '", flag must be a number between 0 and 255');
+    }
+    if (type === 'CAA' && !['issue', 'issuewild', 'iodef'].includes(fields.tag)) {
+        throw new Error('invalid ' + type + ' value "' + value + '", tag must be issue, issuewild or iodef');
+    }
+    return { value: fieldValues.join(' '), fields: fields };
+}
+function parseExport(exportName, exportValue, ttlValue, stackId, source) {
+    // An optional -suffix in the type allows several exports for the same host and type (e.g. TXT-google)
+    const { type, name, ttl, list } = parseExportName(exportName, ttlValue);
+    // Values are only split with the -list option, so values containing commas and quotes (SPF, DMARC) are kept as-is
+    const resourceValues = list ? parseExportValues(exportValue) : [exportValue];
+    return resourceValues.map((resourceValue) => {
+        let value;
+        try {
+            value = parseRecordValue(type, resourceValue).value;
+        }
+        catch (err) {
+            throw new Error('Invalid export ' + exportName + ': ' + err.message);
+        }
+        return {
+            type: type,
+            name: name,
+            value: value,
+            ttl: ttl,
+            stackId: stackId,
+            source: source,
+        };
+    });
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVjb3Jkcy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uL3NyYy9yZWNvcmRzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7QUFBQTs7R0FFRzs7O0FBOEJILG9DQUlDO0FBRUQsZ0RBRUM7QUFFRCw4Q0F5QkM7QUFFRCwwQ0E4QkM7QUFFRCw0Q0E0QkM7QUFFRCxrQ0FxQkM7QUFsSUQsaUNBQWlDO0FBQ3BCLFFBQUEsZ0JBQWdCLEdBQUcsQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFNBQVMsRUFBRSxTQUFTLENBQUMsQ0FBQTtBQUVuSiwrRUFBK0U7QUFDbEUsUUFBQSxpQkFBaUIsR0FBaUM7SUFDN0QsRUFBRSxFQUFFLENBQUMsVUFBVSxFQUFFLFFBQVEsQ0FBQztJQUMxQixHQUFHLEVBQUUsQ0FBQyxVQUFVLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUM7SUFDN0MsR0FBRyxFQUFFLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUM7Q0FDOUIsQ0FBQTtBQUVELFNBQWdCLFlBQVksQ0FBQyxPQUFlO0lBQzFDLGtIQUFrSDtJQUNsSCxNQUFNLENBQUMsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLDZEQUE2RCxDQUFDLENBQUE7SUFDdEYsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxTQUFTLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLFNBQVMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxTQUFTLEVBQUUsT0FBTyxFQUFFLENBQUE7QUFDeEYsQ0FBQztBQUVELFNBQWdCLGtCQUFrQixDQUFDLE9BQWU7SUFDaEQsT0FBTyxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUMsU0FBUyxDQUFBO0FBQ3hDLENBQUM7QUFFRCxTQUFnQixpQkFBaUIsQ0FBQyxXQUFtQjtJQUNuRCxtR0FBbUc7SUFDbkcsOEZBQThGO0lBQzlGLE1BQU0sTUFBTSxHQUFhLEVBQUUsQ0FBQTtJQUMzQixJQUFJLEtBQUssR0FBRyxFQUFFLENBQUE7SUFDZCxJQUFJLE1BQU0sR0FBRyxLQUFLLENBQUE7SUFDbEIsSUFBSSxPQUFPLEdBQUcsS0FBSyxDQUFBO0lBQ25CLEtBQUssTUFBTSxDQUFDLElBQUksV0FBVyxHQUFHLEdBQUcsRUFBRSxDQUFDO1FBQ2xDLElBQUksT0FBTyxFQUFFLENBQUM7WUFDWixLQUFLLElBQUksQ0FBQyxDQUFBO1lBQ1YsT0FBTyxHQUFHLEtBQUssQ0FBQTtRQUNqQixDQUFDO2FBQU0sSUFBSSxDQUFDLEtBQUssSUFBSSxFQUFFLENBQUM7WUFDdEIsT0FBTyxHQUFHLElBQUksQ0FBQTtRQUNoQixDQUFDO2FBQU0sSUFBSSxDQUFDLEtBQUssR0FBRyxFQUFFLENBQUM7WUFDckIsTUFBTSxHQUFHLENBQUMsTUFBTSxDQUFBO1FBQ2xCLENBQUM7YUFBTSxJQUFJLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQztZQUNoQyxJQUFJLEtBQUssQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDO2dCQUNqQixNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFBO1lBQzNCLENBQUM7WUFDRCxLQUFLLEdBQUcsRUFBRSxDQUFBO1FBQ1osQ0FBQzthQUFNLENBQUM7WUFDTixLQUFLLElBQUksQ0FBQyxDQUFBO1FBQ1osQ0FBQztJQUNILENBQUM7SUFDRCxPQUFPLE1BQU0sQ0FBQTtBQUNmLENBQUM7QUFFRCxTQUFnQixlQUFlLENBQUMsVUFBa0IsRUFBRSxRQUFnQjtJQUNsRSxnR0FBZ0c7SUFDaEcsTUFBTSxTQUFTLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQTtJQUN2QyxNQUFNLENBQUMsSUFBSSxFQUFFLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFBO0lBQzlELDBIQUEwSDtJQUMxSCxNQUFNLElBQUksR0FBRyxTQUFTO1NBQ25CLEtBQUssQ0FBQyxDQUFDLENBQUM7U0FDUixHQUFHLENBQUMsQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1NBQzlDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQTtJQUNaLElBQUksR0FBRyxHQUFHLFFBQVEsQ0FBQTtJQUNsQixJQUFJLElBQUksR0FBRyxLQUFLLENBQUE7SUFDaEIsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsa0JBQWtCLENBQUMsRUFBRSxDQUFDO1FBQ3BDLE1BQU0sSUFBSSxLQUFLLENBQUMsaUJBQWlCLEdBQUcsVUFBVSxHQUFHLHlGQUF5RixDQUFDLENBQUE7SUFDN0ksQ0FBQztJQUNELElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUNWLE1BQU0sSUFBSSxLQUFLLENBQUMsaUJBQWlCLEdBQUcsVUFBVSxHQUFHLHlFQUF5RSxDQUFDLENBQUE7SUFDN0gsQ0FBQztJQUNELEtBQUssTUFBTSxVQUFVLElBQUksV0FBVyxFQUFFLENBQUM7UUFDckMsTUFBTSxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsQ0FBQTtRQUN2QyxJQUFJLENBQUMsRUFBRSxDQUFDO1lBQ04sSUFBSSxDQUFDLHdCQUFnQixDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO2dCQUNyQyxNQUFNLElBQUksS0FBSyxDQUFDLGlCQUFpQixHQUFHLFVBQVUsR0FBRyxnQkFBZ0IsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsbUJBQW1CLEdBQUcsd0JBQWdCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUE7WUFDL0gsQ0FBQztZQUNELEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUE7UUFDWixDQUFDO1FBQ0QsSUFBSSxVQUFVLEtBQUssTUFBTSxFQUFFLENBQUM7WUFDMUIsSUFBSSxHQUFHLElBQUksQ0FBQTtRQUNiLENBQUM7SUFDSCxDQUFDO0lBQ0QsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxDQUFBO0FBQ2xDLENBQUM7QUFFRCxTQUFnQixnQkFBZ0IsQ0FBQyxJQUFZLEVBQUUsS0FBYTtJQUMxRCxNQUFNLFVBQVUsR0FBRyx5QkFBaUIsQ0FBQyxJQUFJLENBQUMsQ0FBQTtJQUMxQyxJQUFJLENBQUMsVUFBVSxFQUFFLENBQUM7UUFDaEIsT0FBTyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLEVBQXFDLEVBQUUsQ0FBQTtJQUN4RSxDQUFDO0lBQ0QsMkVBQTJFO0lBQzNFLE1BQU0sVUFBVSxHQUFHLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUE7SUFDNUMsSUFBSSxVQUFVLENBQUMsTUFBTSxHQUFHLFVBQVUsQ0FBQyxNQUFNLEVBQUUsQ0FBQztRQUMxQyxNQUFNLElBQUksS0FBSyxDQUFDLFVBQVUsR0FBRyxJQUFJLEdBQUcsVUFBVSxHQUFHLEtBQUssR0FBRyxjQUFjLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBO0lBQ2pHLENBQUM7SUFDRCxNQUFNLFdBQVcsR0FBRyxVQUFVLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFBO0lBQzlELFdBQVcsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBO0lBQ25FLE1BQU0sTUFBTSxHQUFvQyxFQUFFLENBQUE7SUFDbEQsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLFNBQVMsRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUN0QyxNQUFNLENBQUMsU0FBUyxDQUFDLEdBQUcsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFBO0lBQ3hDLENBQUMsQ0FBQyxDQUFBO0lBQ0YsS0FBSyxNQUFNLFNBQVMsSUFBSSxDQUFDLFVBQVUsRUFBRSxRQUFRLEVBQUUsTUFBTSxDQUFDLEVBQUUsQ0FBQztRQUN2RCxJQUFJLE1BQU0sQ0FBQyxTQUFTLENBQUMsS0FBSyxTQUFTLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLElBQUksTUFBTSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxJQUFJLEtBQUssQ0FBQyxFQUFFLENBQUM7WUFDakgsTUFBTSxJQUFJLEtBQUssQ0FBQyxVQUFVLEdBQUcsSUFBSSxHQUFHLFVBQVUsR0FBRyxLQUFLLEdBQUcsS0FBSyxHQUFHLFNBQVMsR0FBRyx1Q0FBdUMsQ0FBQyxDQUFBO1FBQ3ZILENBQUM7SUFDSCxDQUFDO0lBQ0QsSUFBSSxJQUFJLEtBQUssS0FBSyxJQUFJLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsSUFBSSxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxFQUFFLENBQUM7UUFDbEYsTUFBTSxJQUFJLEtBQUssQ0FBQyxVQUFVLEdBQUcsSUFBSSxHQUFHLFVBQVUsR0FBRyxLQUFLLEdBQUcsNENBQTRDLENBQUMsQ0FBQTtJQUN4RyxDQUFDO0lBQ0QsSUFBSSxJQUFJLEtBQUssS0FBSyxJQUFJLENBQUMsQ0FBQyxPQUFPLEVBQUUsV0FBVyxFQUFFLE9BQU8sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQztRQUM1RSxNQUFNLElBQUksS0FBSyxDQUFDLFVBQVUsR0FBRyxJQUFJLEdBQUcsVUFBVSxHQUFHLEtBQUssR0FBRywwQ0FBMEMsQ0FBQyxDQUFBO0lBQ3RHLENBQUM7SUFDRCxPQUFPLEVBQUUsS0FBSyxFQUFFLFdBQVcsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxDQUFBO0FBQ3pELENBQUM7QUFFRCxTQUFnQixXQUFXLENBQUMsVUFBa0IsRUFBRSxXQUFtQixFQUFFLFFBQWdCLEVBQUUsT0FBZSxFQUFFLE1BQWM7SUFDcEgsc0dBQXNHO0lBQ3RHLE1BQU0sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsR0FBRyxlQUFlLENBQUMsVUFBVSxFQUFFLFFBQVEsQ0FBQyxDQUFBO0lBQ3ZFLGtIQUFrSDtJQUNsSCxNQUFNLGNBQWMsR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxDQUFBO0lBQzVFLE9BQU8sY0FBYyxDQUFDLEdBQUcsQ0FBQyxDQUFDLGFBQWEsRUFBRSxFQUFFO1FBQzFDLElBQUksS0FBSyxDQUFBO1FBQ1QsSUFBSSxDQUFDO1lBQ0gsS0FBSyxHQUFHLGdCQUFnQixDQUFDLElBQUksRUFBRSxhQUFhLENBQUMsQ0FBQyxLQUFLLENBQUE7UUFDckQsQ0FBQztRQUFDLE9BQU8sR0FBUSxFQUFFLENBQUM7WUFDbEIsTUFBTSxJQUFJLEtBQUssQ0FBQyxpQkFBaUIsR0FBRyxVQUFVLEdBQUcsSUFBSSxHQUFHLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQTtRQUN0RSxDQUFDO1FBQ0QsT0FBTztZQUNMLElBQUksRUFBRSxJQUFJO1lBQ1YsSUFBSSxFQUFFLElBQUk7WUFDVixLQUFLLEVBQUUsS0FBSztZQUNaLEdBQUcsRUFBRSxHQUFHO1lBQ1IsT0FBTyxFQUFFLE9BQU87WUFDaEIsTUFBTSxFQUFFLE1BQU07U0FDZixDQUFBO0lBQ0gsQ0FBQyxDQUFDLENBQUE7QUFDSixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBQYXJzaW5nIG9mIENsb3VETlM6PFRZUEU+Ojxob3N0IHBhcnRzPiBleHBvcnQgbmFtZXMgYW5kIHRoZWlyIHZhbHVlcyBpbnRvIGRlc2lyZWQgcmVjb3Jkcy5cbiAqL1xuXG5leHBvcnQgaW50ZXJmYWNlIERlc2lyZWRSZWNvcmQge1xuICBuYW1lOiBzdHJpbmdcbiAgdHlwZTogc3RyaW5nXG4gIHZhbHVlOiBzdHJpbmdcbiAgdHRsOiBzdHJpbmdcbiAgLy8gQVJOIG9mIHRoZSBleHBvcnRpbmcgc3RhY2sgKG9yIGEgcGxhaW4gc3RhY2sgbmFtZSB3aGVuIHVzZWQgYXMgYSBsaWJyYXJ5KVxuICBzdGFja0lkOiBzdHJpbmdcbiAgc291cmNlOiBzdHJpbmdcbn1cblxuLy8gQW4gZXhwb3J0IHdob3NlIG5hbWUgb3IgdmFsdWUgY291bGQgbm90IGJlIHBhcnNlZCwgcmVwb3J0ZWQgYXMgYSBmYWlsdXJlIGluc3RlYWQgb2YgYWJvcnRpbmcgdGhlIHN5bmNcbmV4cG9ydCBpbnRlcmZhY2UgSW52YWxpZEV4cG9ydCB7XG4gIGV4cG9ydE5hbWU6IHN0cmluZ1xuICBzdGFja0lkOiBzdHJpbmdcbiAgc291cmNlOiBzdHJpbmdcbiAgZXJyb3I6IHN0cmluZ1xufVxuXG4vLyBUVEwgdmFsdWVzIGFjY2VwdGVkIGJ5IENsb3VETlNcbmV4cG9ydCBjb25zdCBhbGxvd2VkVHRsVmFsdWVzID0gWyc2MCcsICczMDAnLCAnOTAwJywgJzE4MDAnLCAnMzYwMCcsICcyMTYwMCcsICc0MzIwMCcsICc4NjQwMCcsICcxNzI4MDAnLCAnMjU5MjAwJywgJzYwNDgwMCcsICcxMjA5NjAwJywgJzI1OTIwMDAnXVxuXG4vLyBGaWVsZHMgb2YgcmVjb3JkIHR5cGVzIHRoYXQgbmVlZCBtb3JlIHRoYW4gYSBwbGFpbiB2YWx1ZSwgaW4gem9uZSBmaWxlIG9yZGVyXG5leHBvcnQgY29uc3QgcmVjb3JkVmFsdWVGaWVsZHM6IHsgW3R5cGU6IHN0cmluZ106IHN0cmluZ1tdIH0gPSB7XG4gIE1YOiBbJ3ByaW9yaXR5JywgJ3RhcmdldCddLFxuICBTUlY6IFsncHJpb3JpdHknLCAnd2VpZ2h0JywgJ3BvcnQnLCAndGFyZ2V0J10sXG4gIENBQTogWydmbGFnJywgJ3RhZycsICd2YWx1ZSddLFxufVxuXG5leHBvcnQgZnVuY3Rpb24gcGFyc2VTdGFja0lkKHN0YWNrSWQ6IHN0cmluZyk6IHsgcmVnaW9uPzogc3RyaW5nOyBhY2NvdW50SWQ/OiBzdHJpbmc7IHN0YWNrTmFtZTogc3RyaW5nIH0ge1xuICAvLyBTcGxpdCBhcm46YXdzOmNsb3VkZm9ybWF0aW9uOjxyZWdpb24+OjxhY2NvdW50PjpzdGFjay88bmFtZT4vPHh4eD4sIHBsYWluIHN0YWNrIG5hbWVzIGhhdmUgbm8gcmVnaW9uIG9yIGFjY291bnRcbiAgY29uc3QgbSA9IHN0YWNrSWQubWF0Y2goL15hcm46W146XSs6Y2xvdWRmb3JtYXRpb246KFteOl0rKTooW146XSspOnN0YWNrXFwvKFteXFwvXSspXFwvLylcbiAgcmV0dXJuIG0gPyB7IHJlZ2lvbjogbVsxXSwgYWNjb3VudElkOiBtWzJdLCBzdGFja05hbWU6IG1bM10gfSA6IHsgc3RhY2tOYW1lOiBzdGFja0lkIH1cbn1cblxuZXhwb3J0IGZ1bmN0aW9uIGdldFN0YWNrTmFtZUZyb21JZChzdGFja0lkOiBzdHJpbmcpIHtcbiAgcmV0dXJuIHBhcnNlU3RhY2tJZChzdGFja0lkKS5zdGFja05hbWVcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIHBhcnNlRXhwb3J0VmFsdWVzKGV4cG9ydFZhbHVlOiBzdHJpbmcpOiBzdHJpbmdbXSB7XG4gIC8vIENvbW1hLXNlcGFyYXRlZCBsaXN0IG9mIHZhbHVlcywgZG91YmxlIHF1b3RlcyBwcm90ZWN0IGNvbW1hcyBpbnNpZGUgYSB2YWx1ZTogXCJ2PXNwZjEgYSxiXCIsdG9rZW4yXG4gIC8vIEEgYmFja3NsYXNoIGtlZXBzIHRoZSBuZXh0IGNoYXJhY3RlciBhcy1pcywgc28gXFxcIiBpcyBhIGxpdGVyYWwgcXVvdGUgYW5kIFxcLCBhIGxpdGVyYWwgY29tbWFcbiAgY29uc3QgdmFsdWVzOiBzdHJpbmdbXSA9IFtdXG4gIGxldCB2YWx1ZSA9ICcnXG4gIGxldCBxdW90ZWQgPSBmYWxzZVxuICBsZXQgZXNjYXBlZCA9IGZhbHNlXG4gIGZvciAoY29uc3QgYyBvZiBleHBvcnRWYWx1ZSArICcsJykge1xuICAgIGlmIChlc2NhcGVkKSB7XG4gICAgICB2YWx1ZSArPSBjXG4gICAgICBlc2NhcGVkID0gZmFsc2VcbiAgICB9IGVsc2UgaWYgKGMgPT09ICdcXFxcJykge1xuICAgICAgZXNjYXBlZCA9IHRydWVcbiAgICB9IGVsc2UgaWYgKGMgPT09ICdcIicpIHtcbiAgICAgIHF1b3RlZCA9ICFxdW90ZWRcbiAgICB9IGVsc2UgaWYgKGMgPT09ICcsJyAmJiAhcXVvdGVkKSB7XG4gICAgICBpZiAodmFsdWUudHJpbSgpKSB7XG4gICAgICAgIHZhbHVlcy5wdXNoKHZhbHVlLnRyaW0oKSlcbiAgICAgIH1cbiAgICAgIHZhbHVlID0gJydcbiAgICB9IGVsc2Uge1xuICAgICAgdmFsdWUgKz0gY1xuICAgIH1cbiAgfVxuICByZXR1cm4gdmFsdWVzXG59XG5cbmV4cG9ydCBmdW5jdGlvbiBwYXJzZUV4cG9ydE5hbWUoZXhwb3J0TmFtZTogc3RyaW5nLCB0dGxWYWx1ZTogc3RyaW5nKSB7XG4gIC8vIENsb3VETlM6PFRZUEU+Wy08b3B0aW9uPi4uLl06PGhvc3QgcGFydHM+LCB3aGVyZSBvcHRpb24gaXMgdHRsPE4+LCBsaXN0IG9yIGEgZnJlZS1mb3JtIHN1ZmZpeFxuICBjb25zdCBuYW1lUGFydHMgPSBleHBvcnROYW1lLnNwbGl0KCc6JylcbiAgY29uc3QgW3R5cGUsIC4uLnR5cGVPcHRpb25zXSA9IChuYW1lUGFydHNbMV0gfHwgJycpLnNwbGl0KCctJylcbiAgLy8gRXhwb3J0IG5hbWVzIGNhbm5vdCBjb250YWluIHVuZGVyc2NvcmVzLCBzbyBhIGxlYWRpbmcgaHlwaGVuIGluIGEgaG9zdCBwYXJ0IG1lYW5zIGFuIHVuZGVyc2NvcmUgKC1zaXA6LXRjcCA9IF9zaXAuX3RjcClcbiAgY29uc3QgbmFtZSA9IG5hbWVQYXJ0c1xuICAgIC5zbGljZSgyKVxuICAgIC5tYXAoKG5hbWVQYXJ0KSA9PiBuYW1lUGFydC5yZXBsYWNlKC9eLS8sICdfJykpXG4gICAgLmpvaW4oJy4nKVxuICBsZXQgdHRsID0gdHRsVmFsdWVcbiAgbGV0IGxpc3QgPSBmYWxzZVxuICBpZiAoIXR5cGUubWF0Y2goL15bQS1aXVtBLVowLTldKiQvKSkge1xuICAgIHRocm93IG5ldyBFcnJvcignSW52YWxpZCBleHBvcnQgJyArIGV4cG9ydE5hbWUgKyAnOiByZWNvcmQgdHlwZSBtdXN0IGJlIGdpdmVuIGluIHVwcGVyIGNhc2UsIGZvciBleGFtcGxlIENsb3VETlM6Q05BTUU6bXlob3N0OmV4YW1wbGU6b3JnJylcbiAgfVxuICBpZiAoIW5hbWUpIHtcbiAgICB0aHJvdyBuZXcgRXJyb3IoJ0ludmFsaWQgZXhwb3J0ICcgKyBleHBvcnROYW1lICsgJzogbWlzc2luZyByZWNvcmQgaG9zdG5hbWUsIGZvciBleGFtcGxlIENsb3VETlM6Q05BTUU6bXlob3N0OmV4YW1wbGU6b3JnJylcbiAgfVxuICBmb3IgKGNvbnN0IHR5cGVPcHRpb24gb2YgdHlwZU9wdGlvbnMpIHtcbiAgICBjb25zdCBtID0gdHlwZU9wdGlvbi5tYXRjaCgvXnR0bCguKikkLylcbiAgICBpZiAobSkge1xuICAgICAgaWYgKCFhbGxvd2VkVHRsVmFsdWVzLmluY2x1ZGVzKG1bMV0pKSB7XG4gICAgICAgIHRocm93IG5ldyBFcnJvcignSW52YWxpZCBleHBvcnQgJyArIGV4cG9ydE5hbWUgKyAnOiBpbnZhbGlkIFRUTCAnICsgbVsxXSArICcsIG11c3QgYmUgb25lIG9mICcgKyBhbGxvd2VkVHRsVmFsdWVzLmpvaW4oJywgJykpXG4gICAgICB9XG4gICAgICB0dGwgPSBtWzFdXG4gICAgfVxuICAgIGlmICh0eXBlT3B0aW9uID09PSAnbGlzdCcpIHtcbiAgICAgIGxpc3QgPSB0cnVlXG4gICAgfVxuICB9XG4gIHJldHVybiB7IHR5cGUsIG5hbWUsIHR0bCwgbGlzdCB9XG59XG5cbmV4cG9ydCBmdW5jdGlvbiBwYXJzZVJlY29yZFZhbHVlKHR5cGU6IHN0cmluZywgdmFsdWU6IHN0cmluZykge1xuICBjb25zdCBmaWVsZE5hbWVzID0gcmVjb3JkVmFsdWVGaWVsZHNbdHlwZV1cbiAgaWYgKCFmaWVsZE5hbWVzKSB7XG4gICAgcmV0dXJuIHsgdmFsdWU6IHZhbHVlLCBmaWVsZHM6IHt9IGFzIHsgW2ZpZWxkTmFtZTogc3RyaW5nXTogc3RyaW5nIH0gfVxuICB9XG4gIC8vIFRoZSBsYXN0IGZpZWxkIGdldHMgdGhlIHJlc3Qgb2YgdGhlIHZhbHVlLCBDQUEgdmFsdWVzIG1heSBjb250YWluIHNwYWNlc1xuICBjb25zdCB2YWx1ZVBhcnRzID0gdmFsdWUudHJpbSgpLnNwbGl0KC9cXHMrLylcbiAgaWYgKHZhbHVlUGFydHMubGVuZ3RoIDwgZmllbGROYW1lcy5sZW5ndGgpIHtcbiAgICB0aHJvdyBuZXcgRXJyb3IoJ2ludmFsaWQgJyArIHR5cGUgKyAnIHZhbHVlIFwiJyArIHZhbHVlICsgJ1wiLCBleHBlY3RlZCAnICsgZmllbGROYW1lcy5qb2luKCcgJykpXG4gIH1cbiAgY29uc3QgZmllbGRWYWx1ZXMgPSB2YWx1ZVBhcnRzLnNsaWNlKDAsIGZpZWxkTmFtZXMubGVuZ3RoIC0gMSlcbiAgZmllbGRWYWx1ZXMucHVzaCh2YWx1ZVBhcnRzLnNsaWNlKGZpZWxkTmFtZXMubGVuZ3RoIC0gMSkuam9pbignICcpKVxuICBjb25zdCBmaWVsZHM6IHsgW2ZpZWxkTmFtZTogc3RyaW5nXTogc3RyaW5nIH0gPSB7fVxuICBmaWVsZE5hbWVzLmZvckVhY2goKGZpZWxkTmFtZSwgaW5kZXgpID0+IHtcbiAgICBmaWVsZHNbZmllbGROYW1lXSA9IGZpZWxkVmFsdWVzW2luZGV4XVxuICB9KVxuICBmb3IgKGNvbnN0IGZpZWxkTmFtZSBvZiBbJ3ByaW9yaXR5JywgJ3dlaWdodCcsICdwb3J0J10pIHtcbiAgICBpZiAoZmllbGRzW2ZpZWxkTmFtZV0gIT09IHVuZGVmaW5lZCAmJiAhKGZpZWxkc1tmaWVsZE5hbWVdLm1hdGNoKC9eXFxkKyQvKSAmJiBOdW1iZXIoZmllbGRzW2ZpZWxkTmFtZV0pIDw9IDY1NTM1KSkge1xuICAgICAgdGhyb3cgbmV3IEVycm9yKCdpbnZhbGlkICcgKyB0eXBlICsgJyB2YWx1ZSBcIicgKyB2YWx1ZSArICdcIiwgJyArIGZpZWxkTmFtZSArICcgbXVzdCBiZSBhIG51bWJlciBiZXR3ZWVuIDAgYW5kIDY1NTM1JylcbiAgICB9XG4gIH1cbiAgaWYgKHR5cGUgPT09ICdDQUEnICYmICEoZmllbGRzLmZsYWcubWF0Y2goL15cXGQrJC8pICYmIE51bWJlcihmaWVsZHMuZmxhZykgPD0gMjU1KSkge1xuICAgIHRocm93IG5ldyBFcnJvcignaW52YWxpZCAnICsgdHlwZSArICcgdmFsdWUgXCInICsgdmFsdWUgKyAnXCIsIGZsYWcgbXVzdCBiZSBhIG51bWJlciBiZXR3ZWVuIDAgYW5kIDI1NScpXG4gIH1cbiAgaWYgKHR5cGUgPT09ICdDQUEnICYmICFbJ2lzc3VlJywgJ2lzc3Vld2lsZCcsICdpb2RlZiddLmluY2x1ZGVzKGZpZWxkcy50YWcpKSB7XG4gICAgdGhyb3cgbmV3IEVycm9yKCdpbnZhbGlkICcgKyB0eXBlICsgJyB2YWx1ZSBcIicgKyB2YWx1ZSArICdcIiwgdGFnIG11c3QgYmUgaXNzdWUsIGlzc3Vld2lsZCBvciBpb2RlZicpXG4gIH1cbiAgcmV0dXJuIHsgdmFsdWU6IGZpZWxkVmFsdWVzLmpvaW4oJyAnKSwgZmllbGRzOiBmaWVsZHMgfVxufVxuXG5leHBvcnQgZnVuY3Rpb24gcGFyc2VFeHBvcnQoZXhwb3J0TmFtZTogc3RyaW5nLCBleHBvcnRWYWx1ZTogc3RyaW5nLCB0dGxWYWx1ZTogc3RyaW5nLCBzdGFja0lkOiBzdHJpbmcsIHNvdXJjZTogc3RyaW5nKTogRGVzaXJlZFJlY29yZFtdIHtcbiAgLy8gQW4gb3B0aW9uYWwgLXN1ZmZpeCBpbiB0aGUgdHlwZSBhbGxvd3Mgc2V2ZXJhbCBleHBvcnRzIGZvciB0aGUgc2FtZSBob3N0IGFuZCB0eXBlIChlLmcuIFRYVC1nb29nbGUpXG4gIGNvbnN0IHsgdHlwZSwgbmFtZSwgdHRsLCBsaXN0IH0gPSBwYXJzZUV4cG9ydE5hbWUoZXhwb3J0TmFtZSwgdHRsVmFsdWUpXG4gIC8vIFZhbHVlcyBhcmUgb25seSBzcGxpdCB3aXRoIHRoZSAtbGlzdCBvcHRpb24sIHNvIHZhbHVlcyBjb250YWluaW5nIGNvbW1hcyBhbmQgcXVvdGVzIChTUEYsIERNQVJDKSBhcmUga2VwdCBhcy1pc1xuICBjb25zdCByZXNvdXJjZVZhbHVlcyA9IGxpc3QgPyBwYXJzZUV4cG9ydFZhbHVlcyhleHBvcnRWYWx1ZSkgOiBbZXhwb3J0VmFsdWVdXG4gIHJldHVybiByZXNvdXJjZVZhbHVlcy5tYXAoKHJlc291cmNlVmFsdWUpID0+IHtcbiAgICBsZXQgdmFsdWVcbiAgICB0cnkge1xuICAgICAgdmFsdWUgPSBwYXJzZVJlY29yZFZhbHVlKHR5cGUsIHJlc291cmNlVmFsdWUpLnZhbHVlXG4gICAgfSBjYXRjaCAoZXJyOiBhbnkpIHtcbiAgICAgIHRocm93IG5ldyBFcnJvcignSW52YWxpZCBleHBvcnQgJyArIGV4cG9ydE5hbWUgKyAnOiAnICsgZXJyLm1lc3NhZ2UpXG4gICAgfVxuICAgIHJldHVybiB7XG4gICAgICB0eXBlOiB0eXBlLFxuICAgICAgbmFtZTogbmFtZSxcbiAgICAgIHZhbHVlOiB2YWx1ZSxcbiAgICAgIHR0bDogdHRsLFxuICAgICAgc3RhY2tJZDogc3RhY2tJZCxcbiAgICAgIHNvdXJjZTogc291cmNlLFxuICAgIH1cbiAgfSlcbn1cbiJdfQ==
\ No newline at end of file
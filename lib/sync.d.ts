@@ -0,0 +1,67 @@
+/**
+ * Sync logic: compares the desired records against a DNS provider, plans the changes and applies them.
+ */
+import { DnsProvider } from './dns-provider';
+import { DesiredRecord, InvalidExport } from './records';
+export type PlanAction = 'create' | 'update' | 'noop' | 'delete' | 'error';
+export interface PlanEntry {
+    action: PlanAction;
+    name: string;
+    type: string;
+    zoneName: string;
+    hostName: string;
+    recordId?: string;
+    oldTtl?: string;
+    oldValue?: string;
+    newTtl?: string;
+    newValue?: string;
+    error?: string;
+}
+export interface StackScope {
+    region: string;
+    accountId: string;
+}
+export interface SyncOptions {
+    concurrency?: number;
+    stackScopes?: StackScope[];
+    invalidExports?: InvalidExport[];
+    conflicts?: DesiredRecordConflict[];
+}
+export interface DesiredRecordConflict {
+    name: string;
+    type: string;
+    stackIds: string[];
+    error: string;
+}
+export interface PlanEntryFailure {
+    planEntry: PlanEntry;
+    error: Error;
+}
+export interface ApplyResult {
+    create: number;
+    update: number;
+    noop: number;
+    delete: number;
+    failed: number;
+    failures: PlanEntryFailure[];
+}
+export declare function createErrorPlanEntry(name: string, type: string, err: Error, zoneName?: string): PlanEntry;
+export declare const defaultConcurrency = 4;
+export declare function mapConcurrently<T, R>(items: T[], concurrency: number, mapper: (item: T) => Promise<R>): Promise<R[]>;
+export declare function groupDesiredRecordSets(desiredRecords: DesiredRecord[]): DesiredRecord[][];
+export declare function mergeDesiredRecords(sourceDesiredRecords: DesiredRecord[][]): {
+    desiredRecords: DesiredRecord[];
+    conflicts: DesiredRecordConflict[];
+};
+export declare function planSync(provider: DnsProvider, desiredRecords: DesiredRecord[], stackNames: string[], prune: boolean, options?: SyncOptions): Promise<PlanEntry[]>;
+export declare function applyPlanEntry(provider: DnsProvider, planEntry: PlanEntry): Promise<void>;
+export declare function applyPlan(provider: DnsProvider, plan: PlanEntry[], options?: SyncOptions): Promise<ApplyResult>;
+export declare function summarizePlan(plan: PlanEntry[]): {
+    create: number;
+    update: number;
+    noop: number;
+    delete: number;
+    failed: number;
+};
+export declare function printApplyResult(result: ApplyResult): void;
+export declare function printPlan(plan: PlanEntry[]): void;
@@ -0,0 +1,479 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.defaultConcurrency = void 0;
+exports.createErrorPlanEntry = createErrorPlanEntry;
+exports.mapConcurrently = mapConcurrently;
+exports.groupDesiredRecordSets = groupDesiredRecordSets;
+exports.mergeDesiredRecords = mergeDesiredRecords;
+exports.planSync = planSync;
+exports.applyPlanEntry = applyPlanEntry;
+exports.applyPlan = applyPlan;
+exports.summarizePlan = summarizePlan;
+exports.printApplyResult = printApplyResult;
+exports.printPlan = printPlan;
+const records_1 = require("./records");
+const zone_resolver_1 = require("./zone-resolver");
+function createErrorPlanEntry(name, type, err, zoneName = '') {
+    return { action: 'error', name, type, zoneName, hostName: '', error: err.message };
+}
+exports.defaultConcurrency = 4;
+// Ownership markers are TXT records named _cloudns-sync.<host> (or _cloudns-sync at the zone apex),
+// one per record type and owning stack ARN, which tell the prune mode which records were created by this tool.
+const ownershipMarkerPrefix = '_cloudns-sync';
+const ownershipMarkerTtl = '3600';
+// A * label is only a wildcard as the leftmost label, so markers of wildcard hosts use this label in its place
+const wildcardMarkerLabel = '_wildcard';
+function getOwnershipMarkerHost(hostName) {
+    if (!hostName) {
+        return ownershipMarkerPrefix;
+    }
+    const markerLabels = hostName.split('.').map((label) => (label === '*' ? wildcardMarkerLabel : label));
+    return ownershipMarkerPrefix + '.' + markerLabels.join('.');
+}
+function getMarkedHost(markerHost) {
+    if (markerHost === ownershipMarkerPrefix) {
+        return '';
+    }
+    const labels = markerHost.slice(ownershipMarkerPrefix.length + 1).split('.');
+    return labels.map((label) => (label === wildcardMarkerLabel ? '*' : label)).join('.');
+}
+function getOwnershipMarkerValue(stackId, type) {
+    return 'cloudns-cloudformation-sync stack=' + stackId + ' type=' + type;
+}
+function isOwnershipMarkerHost(hostName) {
+    return hostName === ownershipMarkerPrefix || hostName.startsWith(ownershipMarkerPrefix + '.');
+}
+function isOwnershipMarkerEntry(planEntry) {
+    return planEntry.type === 'TXT' && isOwnershipMarkerHost(planEntry.hostName);
+}
+function parseOwnershipMarker(record) {
+    if (record.type !== 'TXT') {
+        return undefined;
+    }
+    if (!isOwnershipMarkerHost(record.host)) {
+        return undefined;
+    }
+    const m = record.value.match(/^cloudns-cloudformation-sync stack=(\S+) type=(\S+)$/);
+    if (!m) {
+        return undefined;
+    }
+    return {
+        hostName: getMarkedHost(record.host),
+        stackId: m[1],
+        type: m[2],
+    };
+}
+function matchesStackNames(stackId, stackNames) {
+    // Stack names match stacks of that name in any region and account, stack ARNs only that stack
+    return !stackNames.length || stackNames.includes(stackId) || stackNames.includes((0, records_1.getStackNameFromId)(stackId));
+}
+function isStackInScope(stackId, stackNames, stackScopes) {
+    const { region, accountId } = (0, records_1.parseStackId)(stackId);
+    if (stackScopes && !stackScopes.some((stackScope) => stackScope.region === region && stackScope.accountId === accountId)) {
+        // The exports of this stack were not read, so there is no way to tell if they still exist
+        return false;
+    }
+    return matchesStackNames(stackId, stackNames);
+}
+async function getZoneNames(provider, cache) {
+    if (!cache.zoneNames) {
+        // Load the zone list once per sync
+        cache.zoneNames = provider.listZones();
+    }
+    return cache.zoneNames;
+}
+async function getZoneRecords(provider, zoneName, cache) {
+    if (!cache.records[zoneName]) {
+        // Fetch all records of the zone once and reuse them for every export in the same zone
+        cache.records[zoneName] = provider.listRecords(zoneName);
+    }
+    return cache.records[zoneName];
+}
+async function autoDetectHostAndZone(provider, name, cache) {
+    return (0, zone_resolver_1.resolveHostAndZone)(name, await getZoneNames(provider, cache));
+}
+async function mapConcurrently(items, concurrency, mapper) {
+    // Run at most concurrency mappers at a time, keeping the results in the order of the items
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+    return results;
+}
+function groupDesiredRecordSets(desiredRecords) {
+    // Records with the same name and type form one record set, duplicate values are merged
+    const recordSets = new Map();
+    for (const desiredRecord of desiredRecords) {
+        const key = getRecordSetKey(desiredRecord);
+        const recordSet = recordSets.get(key) || [];
+        if (!recordSet.some((record) => record.value === desiredRecord.value)) {
+            recordSet.push(desiredRecord);
+        }
+        recordSets.set(key, recordSet);
+    }
+    return Array.from(recordSets.values());
+}
+function getRecordSetKey(desiredRecord) {
+    return (0, zone_resolver_1.normalizeRecordName)(desiredRecord.name) + ' ' + desiredRecord.type;
+}
+function mergeDesiredRecords(sourceDesiredRecords) {
+    // Each source must agree on the values and TTLs of the records it shares with other sources
+    const recordSetSources = new Map();
+    for (const desiredRecords of sourceDesiredRecords) {
+        for (const desiredRecordSet of groupDesiredRecordSets(desiredRecords)) {
+            const key = getRecordSetKey(desiredRecordSet[0]);
+            const values = desiredRecordSet
+                .map((desiredRecord) => desiredRecord.ttl + ' ' + desiredRecord.value)
+                .sort()
+                .join(', ');
+            recordSetSources.set(key, [...(recordSetSources.get(key) || []), { source: desiredRecordSet[0].source, values, desiredRecordSet }]);
+        }
+    }
+    // Conflicting record sets are left out, the other record sets are still synced
+    const conflicts = [];
+    const conflictKeys = new Set();
+    recordSetSources.forEach((sources, key) => {
+        if (sources.some((source) => source.values !== sources[0].values)) {
+            const { name, type } = sources[0].desiredRecordSet[0];
+            const desiredRecordSets = sources.map((source) => source.desiredRecordSet);
+            conflicts.push({
+                name,
+                type,
+                stackIds: Array.from(new Set([].concat(...desiredRecordSets).map((desiredRecord) => desiredRecord.stackId))),
+                error: 'Conflicting exports (ttl value): ' + sources.map((source) => source.source + ' wants ' + source.values).join(' but '),
+            });
+            conflictKeys.add(key);
+        }
+    });
+    const desiredRecords = [].concat(...sourceDesiredRecords).filter((desiredRecord) => !conflictKeys.has(getRecordSetKey(desiredRecord)));
+    return { desiredRecords, conflicts };
+}
+async function planRecordSet(provider, desiredRecordSet, cache) {
+    const { name, type } = desiredRecordSet[0];
+    const { zoneName, hostName } = await autoDetectHostAndZone(provider, name, cache);
+    // Which records exist?
+    const zoneRecords = await getZoneRecords(provider, zoneName, cache);
+    const unmatchedRecords = zoneRecords.filter((record) => record.id && record.host === hostName && record.type === type);
+    const unmatchedDesiredRecords = [];
+    const plan = [];
+    const addPlanEntry = (action, desiredRecord, existingRecord) => {
+        plan.push({
+            action: action,
+            name: name,
+            type: type,
+            zoneName: zoneName,
+            hostName: hostName,
+            recordId: existingRecord === null || existingRecord === void 0 ? void 0 : existingRecord.id,
+            oldTtl: existingRecord === null || existingRecord === void 0 ? void 0 : existingRecord.ttl,
+            oldValue: existingRecord === null || existingRecord === void 0 ? void 0 : existingRecord.value,
+            newTtl: desiredRecord === null || desiredRecord === void 0 ? void 0 : desiredRecord.ttl,
+            newValue: desiredRecord === null || desiredRecord === void 0 ? void 0 : desiredRecord.value,
+        });
+    };
+    // Leave records with matching values alone, only updating their TTL if needed
+    for (const desiredRecord of desiredRecordSet) {
+        const existingRecord = unmatchedRecords.find((record) => record.value === desiredRecord.value);
+        if (existingRecord) {
+            unmatchedRecords.splice(unmatchedRecords.indexOf(existingRecord), 1);
+            addPlanEntry(existingRecord.ttl === desiredRecord.ttl ? 'noop' : 'update', desiredRecord, existingRecord);
+        }
+        else {
+            unmatchedDesiredRecords.push(desiredRecord);
+        }
+    }
+    // Reuse extra records for missing values, then create or delete the rest
+    for (const desiredRecord of unmatchedDesiredRecords) {
+        const existingRecord = unmatchedRecords.shift();
+        addPlanEntry(existingRecord ? 'update' : 'create', desiredRecord, existingRecord);
+    }
+    for (const existingRecord of unmatchedRecords) {
+        addPlanEntry('delete', undefined, existingRecord);
+    }
+    return plan;
+}
+async function planOwnershipMarkers(provider, desiredRecordSet, stackNames, cache) {
+    const { name, type } = desiredRecordSet[0];
+    const { zoneName, hostName } = await autoDetectHostAndZone(provider, name, cache);
+    const zoneRecords = await getZoneRecords(provider, zoneName, cache);
+    const markerHost = getOwnershipMarkerHost(hostName);
+    // Each stack that exports values for the record set has its own marker, written by the syncs of that stack
+    const stackIds = Array.from(new Set(desiredRecordSet.map((desiredRecord) => desiredRecord.stackId))).filter((stackId) => matchesStackNames(stackId, stackNames));
+    return stackIds.map((stackId) => {
+        const existingMarker = zoneRecords.find((record) => {
+            const marker = parseOwnershipMarker(record);
+            return (marker === null || marker === void 0 ? void 0 : marker.hostName) === hostName && (marker === null || marker === void 0 ? void 0 : marker.type) === type && (marker === null || marker === void 0 ? void 0 : marker.stackId) === stackId;
+        });
+        const markerValue = getOwnershipMarkerValue(stackId, type);
+        return {
+            action: existingMarker ? 'noop' : 'create',
+            name: markerHost + '.' + zoneName,
+            type: 'TXT',
+            zoneName: zoneName,
+            hostName: markerHost,
+            recordId: existingMarker === null || existingMarker === void 0 ? void 0 : existingMarker.id,
+            oldTtl: existingMarker === null || existingMarker === void 0 ? void 0 : existingMarker.ttl,
+            oldValue: existingMarker === null || existingMarker === void 0 ? void 0 : existingMarker.value,
+            newTtl: (existingMarker === null || existingMarker === void 0 ? void 0 : existingMarker.ttl) || ownershipMarkerTtl,
+            newValue: markerValue,
+        };
+    });
+}
+async function planPrune(provider, desiredRecords, unplannedRecordSets, stackNames, stackScopes, invalidExports, conflicts, cache) {
+    const plan = [];
+    let zoneNames;
+    try {
+        zoneNames = await getZoneNames(provider, cache);
+    }
+    catch (err) {
+        return [createErrorPlanEntry('prune', '', err)];
+    }
+    // Zone, host and type of every record that still has an export, and the stacks that export them
+    const desiredKeys = new Set();
+    const desiredMarkerKeys = new Set();
+    for (const desiredRecord of desiredRecords) {
+        let hostAndZone;
+        try {
+            hostAndZone = (0, zone_resolver_1.resolveHostAndZone)(desiredRecord.name, zoneNames);
+        }
+        catch (err) {
+            // Records without a zone are reported by their record set and cannot own anything in the zones
+            continue;
+        }
+        const { zoneName, hostName } = hostAndZone;
+        desiredKeys.add([zoneName, hostName, desiredRecord.type].join(' '));
+        desiredMarkerKeys.add([zoneName, hostName, desiredRecord.type, desiredRecord.stackId].join(' '));
+    }
+    // Record sets that only other stacks export, reconciled when a stack in the filter has dropped its values from them
+    const unplannedRecordSetsByKey = new Map();
+    for (const desiredRecordSet of unplannedRecordSets) {
+        try {
+            const { zoneName, hostName } = (0, zone_resolver_1.resolveHostAndZone)(desiredRecordSet[0].name, zoneNames);
+            unplannedRecordSetsByKey.set([zoneName, hostName, desiredRecordSet[0].type].join(' '), desiredRecordSet);
+        }
+        catch (err) {
+            continue;
+        }
+    }
+    // The records of stacks with invalid exports might still be wanted, and conflicting record sets are still exported
+    const invalidStackIds = new Set(invalidExports.map((invalidExport) => invalidExport.stackId));
+    const conflictKeys = new Set();
+    for (const conflict of conflicts) {
+        try {
+            const { zoneName, hostName } = (0, zone_resolver_1.resolveHostAndZone)(conflict.name, zoneNames);
+            conflictKeys.add([zoneName, hostName, conflict.type].join(' '));
+        }
+        catch (err) {
+            continue;
+        }
+    }
+    for (const zoneName of zoneNames) {
+        let zoneRecords;
+        try {
+            zoneRecords = await getZoneRecords(provider, zoneName, cache);
+        }
+        catch (err) {
+            plan.push(createErrorPlanEntry(zoneName, '', err, zoneName));
+            continue;
+        }
+        const markers = zoneRecords
+            .map((record) => ({ record, marker: parseOwnershipMarker(record) }))
+            .filter(({ marker }) => marker)
+            .map(({ record, marker }) => {
+            const key = [zoneName, marker.hostName, marker.type].join(' ');
+            // A stale marker belongs to a stack in scope that no longer exports the host and type
+            const stale = !desiredMarkerKeys.has(key + ' ' + marker.stackId) &&
+                !invalidStackIds.has(marker.stackId) &&
+                !conflictKeys.has(key) &&
+                isStackInScope(marker.stackId, stackNames, stackScopes);
+            return { record, marker, key, stale };
+        });
+        const deletedKeys = new Set();
+        for (const { record: markerRecord, marker, key, stale } of markers) {
+            if (!stale) {
+                continue;
+            }
+            // Delete the owned records too, unless an export or another stack's marker still claims them
+            const claimed = desiredKeys.has(key) || markers.some((other) => other.key === key && !other.stale);
+            const unplannedRecordSet = unplannedRecordSetsByKey.get(key);
+            if (unplannedRecordSet && !deletedKeys.has(key)) {
+                // Other stacks still export the host and type, so only the values this stack no longer exports are deleted
+                deletedKeys.add(key);
+                try {
+                    plan.push(...(await planRecordSet(provider, unplannedRecordSet, cache)));
+                }
+                catch (err) {
+                    plan.push(createErrorPlanEntry(unplannedRecordSet[0].name, unplannedRecordSet[0].type, err));
+                }
+            }
+            else if (!claimed && !deletedKeys.has(key)) {
+                deletedKeys.add(key);
+                const name = marker.hostName ? marker.hostName + '.' + zoneName : zoneName;
+                for (const record of zoneRecords) {
+                    if (record.host === marker.hostName && record.type === marker.type) {
+                        plan.push({
+                            action: 'delete',
+                            name: name,
+                            type: marker.type,
+                            zoneName: zoneName,
+                            hostName: marker.hostName,
+                            recordId: record.id,
+                            oldTtl: record.ttl,
+                            oldValue: record.value,
+                        });
+                    }
+                }
+            }
+            plan.push({
+                action: 'delete',
+                name: markerRecord.host + '.' + zoneName,
+                type: 'TXT',
+                zoneName: zoneName,
+                hostName: markerRecord.host,
+                recordId: markerRecord.id,
+                oldTtl: markerRecord.ttl,
+                oldValue: markerRecord.value,
+            });
+        }
+    }
+    return plan;
+}
+async function planSync(provider, desiredRecords, stackNames, prune, options = {}) {
+    const cache = { records: {} };
+    // Only record sets with values from the given stacks are written, but they are reconciled against the values of all stacks
+    const allDesiredRecordSets = groupDesiredRecordSets(desiredRecords);
+    const desiredRecordSets = allDesiredRecordSets.filter((desiredRecordSet) => desiredRecordSet.some((desiredRecord) => matchesStackNames(desiredRecord.stackId, stackNames)));
+    const recordSetPlans = await mapConcurrently(desiredRecordSets, options.concurrency || exports.defaultConcurrency, async (desiredRecordSet) => {
+        try {
+            const recordSetPlan = await planRecordSet(provider, desiredRecordSet, cache);
+            if (prune) {
+                recordSetPlan.push(...(await planOwnershipMarkers(provider, desiredRecordSet, stackNames, cache)));
+            }
+            return recordSetPlan;
+        }
+        catch (err) {
+            // A missing zone or a failed lookup only fails this record set
+            return [createErrorPlanEntry(desiredRecordSet[0].name, desiredRecordSet[0].type, err)];
+        }
+    });
+    const invalidExports = (options.invalidExports || []).filter((invalidExport) => matchesStackNames(invalidExport.stackId, stackNames));
+    const conflicts = (options.conflicts || []).filter((conflict) => conflict.stackIds.some((stackId) => matchesStackNames(stackId, stackNames)));
+    const plan = [].concat(invalidExports.map((invalidExport) => createErrorPlanEntry(invalidExport.exportName, '', new Error(invalidExport.error))), conflicts.map((conflict) => createErrorPlanEntry(conflict.name, conflict.type, new Error(conflict.error))), ...recordSetPlans);
+    if (prune) {
+        const unplannedRecordSets = allDesiredRecordSets.filter((desiredRecordSet) => !desiredRecordSets.includes(desiredRecordSet));
+        plan.push(...(await planPrune(provider, desiredRecords, unplannedRecordSets, stackNames, options.stackScopes, options.invalidExports || [], options.conflicts || [], cache)));
+    }
+    return plan;
+}
+async function applyPlanEntry(provider, planEntry) {
+    const { action, name, type, zoneName, hostName, recordId, oldTtl, oldValue, newTtl, newValue } = planEntry;
+    if (action === 'error') {
+        // The record set could not be planned
+        throw new Error(planEntry.error);
+    }
+    else if (action === 'noop') {
+        // Record exists already - no change
+        console.log('OK', name, type, newTtl, newValue, 'ZONE', zoneName, 'HOST', hostName);
+    }
+    else if (action === 'update') {
+        // Update record
+        console.log('UPDATE', name, type, newTtl, newValue, 'ZONE', zoneName, 'HOST', hostName);
+        await provider.modifyRecord(zoneName, recordId, { host: hostName, type: type, value: newValue, ttl: newTtl });
+    }
+    else if (action === 'delete') {
+        // Delete record
+        console.log('DELETE', name, type, oldTtl, oldValue, 'ZONE', zoneName, 'HOST', hostName);
+        await provider.deleteRecord(zoneName, recordId);
+    }
+    else {
+        // Create record
+        console.log('CREATE', name, type, newTtl, newValue, 'ZONE', zoneName, 'HOST', hostName);
+        await provider.addRecord(zoneName, { host: hostName, type: type, value: newValue, ttl: newTtl });
+    }
+}
+function getPlanEntryRecordSetKey(planEntry) {
+    // Ownership markers belong to the record set they mark, so they are applied after the records of that set
+    const { zoneName, hostName, type, oldValue, newValue } = planEntry;
+    const marker = parseOwnershipMarker({ host: hostName, type: type, value: newValue || oldValue || '', ttl: '' });
+    return marker ? [zoneName, marker.hostName, marker.type].join(' ') : [zoneName, hostName, type].join(' ');
+}
+async function applyPlan(provider, plan, options = {}) {
+    const result = { create: 0, update: 0, noop: 0, delete: 0, failed: 0, failures: [] };
+    for (const planEntry of plan.filter((planEntry) => planEntry.action === 'error')) {
+        console.error('FAILED', planEntry.name, planEntry.type, planEntry.error);
+        result.failed++;
+        result.failures.push({ planEntry, error: new Error(planEntry.error) });
+    }
+    // The changes of one record set are applied in plan order, different record sets concurrently
+    const recordSetPlans = new Map();
+    for (const planEntry of plan.filter((planEntry) => planEntry.action !== 'error')) {
+        const key = getPlanEntryRecordSetKey(planEntry);
+        recordSetPlans.set(key, [...(recordSetPlans.get(key) || []), planEntry]);
+    }
+    await mapConcurrently(Array.from(recordSetPlans.values()), options.concurrency || exports.defaultConcurrency, async (recordSetPlan) => {
+        let recordSetError;
+        for (const planEntry of recordSetPlan) {
+            try {
+                if (recordSetError) {
+                    // Keep the ownership marker and the remaining records so the next run can retry them
+                    throw new Error('Skipped after an earlier failure in the same record set: ' + recordSetError.message);
+                }
+                await applyPlanEntry(provider, planEntry);
+                if (!isOwnershipMarkerEntry(planEntry)) {
+                    // Ownership markers are bookkeeping, only their failures are counted
+                    result[planEntry.action]++;
+                }
+            }
+            catch (err) {
+                recordSetError = recordSetError || err;
+                console.error('FAILED', planEntry.name, planEntry.type, 'ZONE', planEntry.zoneName, 'HOST', planEntry.hostName, err.message);
+                result.failed++;
+                result.failures.push({ planEntry, error: err });
+            }
+        }
+    });
+    return result;
+}
+function summarizePlan(plan) {
+    // Counts DNS records only, ownership markers are left out
+    const recordPlan = plan.filter((planEntry) => !isOwnershipMarkerEntry(planEntry));
+    return {
+        create: recordPlan.filter((planEntry) => planEntry.action === 'create').length,
+        update: recordPlan.filter((planEntry) => planEntry.action === 'update').length,
+        noop: recordPlan.filter((planEntry) => planEntry.action === 'noop').length,
+        delete: recordPlan.filter((planEntry) => planEntry.action === 'delete').length,
+        failed: plan.filter((planEntry) => planEntry.action === 'error').length,
+    };
+}
+function printApplyResult(result) {
+    console.log('Summary:', result.create, 'created,', result.update, 'updated,', result.delete, 'deleted,', result.noop, 'unchanged,', result.failed, 'failed.');
+}
+function printPlan(plan) {
+    for (const planEntry of plan) {
+        const { action, name, type, zoneName, hostName, oldTtl, oldValue, newTtl, newValue } = planEntry;
+        if (action === 'noop') {
+            console.log('  OK    ', name, type, newTtl, newValue, 'ZONE', zoneName, 'HOST', hostName);
+        }
+        else if (action === 'update') {
+            console.log('~ UPDATE', name, type, 'ZONE', zoneName, 'HOST', hostName);
+            console.log('    ttl  ', oldTtl, '->', newTtl);
+            console.log('    value', oldValue, '->', newValue);
+        }
+        else if (action === 'delete') {
+            console.log('- DELETE', name, type, oldTtl, oldValue, 'ZONE', zoneName, 'HOST', hostName);
+        }
+        else if (action === 'error') {
+            console.log('! ERROR ', name, type, planEntry.error);
+        }
+        else {
+            console.log('+ CREATE', name, type, newTtl, newValue, 'ZONE', zoneName, 'HOST', hostName);
+        }
+    }
+    const summary = summarizePlan(plan);
+    console.log('Plan:', summary.create, 'to create,', summary.update, 'to update,', summary.delete, 'to delete,', summary.noop, 'unchanged,', summary.failed, 'failed.');
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3luYy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uL3NyYy9zeW5jLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7OztBQStEQSxvREFFQztBQWlHRCwwQ0FZQztBQUVELHdEQVlDO0FBTUQsa0RBK0JDO0FBc01ELDRCQWdEQztBQUVELHdDQXFCQztBQVNELDhCQW1DQztBQUVELHNDQVVDO0FBRUQsNENBRUM7QUFFRCw4QkErQkM7QUF2a0JELHVDQUEwRjtBQUMxRixtREFBeUU7QUEwRHpFLFNBQWdCLG9CQUFvQixDQUFDLElBQVksRUFBRSxJQUFZLEVBQUUsR0FBVSxFQUFFLFFBQVEsR0FBRyxFQUFFO0lBQ3hGLE9BQU8sRUFBRSxNQUFNLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQTtBQUNwRixDQUFDO0FBUVksUUFBQSxrQkFBa0IsR0FBRyxDQUFDLENBQUE7QUFFbkMsb0dBQW9HO0FBQ3BHLCtHQUErRztBQUMvRyxNQUFNLHFCQUFxQixHQUFHLGVBQWUsQ0FBQTtBQUM3QyxNQUFNLGtCQUFrQixHQUFHLE1BQU0sQ0FBQTtBQUNqQywrR0FBK0c7QUFDL0csTUFBTSxtQkFBbUIsR0FBRyxXQUFXLENBQUE7QUFFdkMsU0FBUyxzQkFBc0IsQ0FBQyxRQUFnQjtJQUM5QyxJQUFJLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDZCxPQUFPLHFCQUFxQixDQUFBO0lBQzlCLENBQUM7SUFDRCxNQUFNLFlBQVksR0FBRyxRQUFRLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxLQUFLLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQTtJQUN0RyxPQUFPLHFCQUFxQixHQUFHLEdBQUcsR0FBRyxZQUFZLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFBO0FBQzdELENBQUM7QUFFRCxTQUFTLGFBQWEsQ0FBQyxVQUFrQjtJQUN2QyxJQUFJLFVBQVUsS0FBSyxxQkFBcUIsRUFBRSxDQUFDO1FBQ3pDLE9BQU8sRUFBRSxDQUFBO0lBQ1gsQ0FBQztJQUNELE1BQU0sTUFBTSxHQUFHLFVBQVUsQ0FBQyxLQUFLLENBQUMscUJBQXFCLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQTtJQUM1RSxPQUFPLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsS0FBSyxLQUFLLG1CQUFtQixDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFBO0FBQ3ZGLENBQUM7QUFFRCxTQUFTLHVCQUF1QixDQUFDLE9BQWUsRUFBRSxJQUFZO0lBQzVELE9BQU8sb0NBQW9DLEdBQUcsT0FBTyxHQUFHLFFBQVEsR0FBRyxJQUFJLENBQUE7QUFDekUsQ0FBQztBQUVELFNBQVMscUJBQXFCLENBQUMsUUFBZ0I7SUFDN0MsT0FBTyxRQUFRLEtBQUsscUJBQXFCLElBQUksUUFBUSxDQUFDLFVBQVUsQ0FBQyxxQkFBcUIsR0FBRyxHQUFHLENBQUMsQ0FBQTtBQUMvRixDQUFDO0FBRUQsU0FBUyxzQkFBc0IsQ0FBQyxTQUFvQjtJQUNsRCxPQUFPLFNBQVMsQ0FBQyxJQUFJLEtBQUssS0FBSyxJQUFJLHFCQUFxQixDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsQ0FBQTtBQUM5RSxDQUFDO0FBRUQsU0FBUyxvQkFBb0IsQ0FBQyxNQUFpQjtJQUM3QyxJQUFJLE1BQU0sQ0FBQyxJQUFJLEtBQUssS0FBSyxFQUFFLENBQUM7UUFDMUIsT0FBTyxTQUFTLENBQUE7SUFDbEIsQ0FBQztJQUNELElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQztRQUN4QyxPQUFPLFNBQVMsQ0FBQTtJQUNsQixDQUFDO0lBQ0QsTUFBTSxDQUFDLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsc0RBQXNELENBQUMsQ0FBQTtJQUNwRixJQUFJLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFDUCxPQUFPLFNBQVMsQ0FBQTtJQUNsQixDQUFDO0lBQ0QsT0FBTztRQUNMLFFBQVEsRUFBRSxhQUFhLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQztRQUNwQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNiLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQ1gsQ0FBQTtBQUNILENBQUM7QUFFRCxTQUFTLGlCQUFpQixDQUFDLE9BQWUsRUFBRSxVQUFvQjtJQUM5RCw4RkFBOEY7SUFDOUYsT0FBTyxDQUFDLFVBQVUsQ0FBQyxNQUFNLElBQUksVUFBVSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSSxVQUFVLENBQUMsUUFBUSxDQUFDLElBQUEsNEJBQWtCLEVBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQTtBQUMvRyxDQUFDO0FBRUQsU0FBUyxjQUFjLENBQUMsT0FBZSxFQUFFLFVBQW9CLEVBQUUsV0FBMEI7SUFDdkYsTUFBTSxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsR0FBRyxJQUFBLHNCQUFZLEVBQUMsT0FBTyxDQUFDLENBQUE7SUFDbkQsSUFBSSxXQUFXLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLENBQUMsVUFBVSxFQUFFLEVBQUUsQ0FBQyxVQUFVLENBQUMsTUFBTSxLQUFLLE1BQU0sSUFBSSxVQUFVLENBQUMsU0FBUyxLQUFLLFNBQVMsQ0FBQyxFQUFFLENBQUM7UUFDekgsMEZBQTBGO1FBQzFGLE9BQU8sS0FBSyxDQUFBO0lBQ2QsQ0FBQztJQUNELE9BQU8saUJBQWlCLENBQUMsT0FBTyxFQUFFLFVBQVUsQ0FBQyxDQUFBO0FBQy9DLENBQUM7QUFFRCxLQUFLLFVBQVUsWUFBWSxDQUFDLFFBQXFCLEVBQUUsS0FBZ0I7SUFDakUsSUFBSSxDQUFDLEtBQUssQ0FBQyxTQUFTLEVBQUUsQ0FBQztRQUNyQixtQ0FBbUM7UUFDbkMsS0FBSyxDQUFDLFNBQVMsR0FBRyxRQUFRLENBQUMsU0FBUyxFQUFFLENBQUE7SUFDeEMsQ0FBQztJQUNELE9BQU8sS0FBSyxDQUFDLFNBQVMsQ0FBQTtBQUN4QixDQUFDO0FBRUQsS0FBSyxVQUFVLGNBQWMsQ0FBQyxRQUFxQixFQUFFLFFBQWdCLEVBQUUsS0FBZ0I7SUFDckYsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQztRQUM3QixzRkFBc0Y7UUFDdEYsS0FBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsR0FBRyxRQUFRLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxDQUFBO0lBQzFELENBQUM7SUFDRCxPQUFPLEtBQUssQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUE7QUFDaEMsQ0FBQztBQUVELEtBQUssVUFBVSxxQkFBcUIsQ0FBQyxRQUFxQixFQUFFLElBQVksRUFBRSxLQUFnQjtJQUN4RixPQUFPLElBQUEsa0NBQWtCLEVBQUMsSUFBSSxFQUFFLE1BQU0sWUFBWSxDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFBO0FBQ3RFLENBQUM7QUFFTSxLQUFLLFVBQVUsZUFBZSxDQUFPLEtBQVUsRUFBRSxXQUFtQixFQUFFLE1BQStCO0lBQzFHLDJGQUEyRjtJQUMzRixNQUFNLE9BQU8sR0FBUSxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUE7SUFDNUMsSUFBSSxTQUFTLEdBQUcsQ0FBQyxDQUFBO0lBQ2pCLE1BQU0sTUFBTSxHQUFHLEtBQUssSUFBSSxFQUFFO1FBQ3hCLE9BQU8sU0FBUyxHQUFHLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQztZQUNoQyxNQUFNLEtBQUssR0FBRyxTQUFTLEVBQUUsQ0FBQTtZQUN6QixPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsTUFBTSxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUE7UUFDN0MsQ0FBQztJQUNILENBQUMsQ0FBQTtJQUNELE1BQU0sT0FBTyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsTUFBTSxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsV0FBVyxFQUFFLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxFQUFFLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQTtJQUNuRyxPQUFPLE9BQU8sQ0FBQTtBQUNoQixDQUFDO0FBRUQsU0FBZ0Isc0JBQXNCLENBQUMsY0FBK0I7SUFDcEUsdUZBQXVGO0lBQ3ZGLE1BQU0sVUFBVSxHQUFHLElBQUksR0FBRyxFQUEyQixDQUFBO0lBQ3JELEtBQUssTUFBTSxhQUFhLElBQUksY0FBYyxFQUFFLENBQUM7UUFDM0MsTUFBTSxHQUFHLEdBQUcsZUFBZSxDQUFDLGFBQWEsQ0FBQyxDQUFBO1FBQzFDLE1BQU0sU0FBUyxHQUFHLFVBQVUsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLElBQUksRUFBRSxDQUFBO1FBQzNDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsS0FBSyxLQUFLLGFBQWEsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDO1lBQ3RFLFNBQVMsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUE7UUFDL0IsQ0FBQztRQUNELFVBQVUsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLFNBQVMsQ0FBQyxDQUFBO0lBQ2hDLENBQUM7SUFDRCxPQUFPLEtBQUssQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUE7QUFDeEMsQ0FBQztBQUVELFNBQVMsZUFBZSxDQUFDLGFBQTRCO0lBQ25ELE9BQU8sSUFBQSxtQ0FBbUIsRUFBQyxhQUFhLENBQUMsSUFBSSxDQUFDLEdBQUcsR0FBRyxHQUFHLGFBQWEsQ0FBQyxJQUFJLENBQUE7QUFDM0UsQ0FBQztBQUVELFNBQWdCLG1CQUFtQixDQUFDLG9CQUF1QztJQUN6RSw0RkFBNEY7SUFDNUYsTUFBTSxnQkFBZ0IsR0FBRyxJQUFJLEdBQUcsRUFBbUYsQ0FBQTtJQUNuSCxLQUFLLE1BQU0sY0FBYyxJQUFJLG9CQUFvQixFQUFFLENBQUM7UUFDbEQsS0FBSyxNQUFNLGdCQUFnQixJQUFJLHNCQUFzQixDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUM7WUFDdEUsTUFBTSxHQUFHLEdBQUcsZUFBZSxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUE7WUFDaEQsTUFBTSxNQUFNLEdBQUcsZ0JBQWdCO2lCQUM1QixHQUFHLENBQUMsQ0FBQyxhQUFhLEVBQUUsRUFBRSxDQUFDLGFBQWEsQ0FBQyxHQUFHLEdBQUcsR0FBRyxHQUFHLGFBQWEsQ0FBQyxLQUFLLENBQUM7aUJBQ3JFLElBQUksRUFBRTtpQkFDTixJQUFJLENBQUMsSUFBSSxDQUFDLENBQUE7WUFDYixnQkFBZ0IsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLGdCQUFnQixDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxFQUFFLE1BQU0sRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUUsTUFBTSxFQUFFLGdCQUFnQixFQUFFLENBQUMsQ0FBQyxDQUFBO1FBQ3JJLENBQUM7SUFDSCxDQUFDO0lBQ0QsK0VBQStFO0lBQy9FLE1BQU0sU0FBUyxHQUE0QixFQUFFLENBQUE7SUFDN0MsTUFBTSxZQUFZLEdBQUcsSUFBSSxHQUFHLEVBQVUsQ0FBQTtJQUN0QyxnQkFBZ0IsQ0FBQyxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsR0FBRyxFQUFFLEVBQUU7UUFDeEMsSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxLQUFLLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDO1lBQ2xFLE1BQU0sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEdBQUcsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxDQUFBO1lBQ3JELE1BQU0saUJBQWlCLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLGdCQUFnQixDQUFDLENBQUE7WUFDMUUsU0FBUyxDQUFDLElBQUksQ0FBQztnQkFDYixJQUFJO2dCQUNKLElBQUk7Z0JBQ0osUUFBUSxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxHQUFHLENBQUUsRUFBc0IsQ0FBQyxNQUFNLENBQUMsR0FBRyxpQkFBaUIsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLGFBQWEsRUFBRSxFQUFFLENBQUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7Z0JBQ2pJLEtBQUssRUFBRSxtQ0FBbUMsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLFNBQVMsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQzthQUM5SCxDQUFDLENBQUE7WUFDRixZQUFZLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFBO1FBQ3ZCLENBQUM7SUFDSCxDQUFDLENBQUMsQ0FBQTtJQUNGLE1BQU0sY0FBYyxHQUFJLEVBQXNCLENBQUMsTUFBTSxDQUFDLEdBQUcsb0JBQW9CLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxhQUFhLEVBQUUsRUFBRSxDQUFDLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQyxlQUFlLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFBO0lBQzNKLE9BQU8sRUFBRSxjQUFjLEVBQUUsU0FBUyxFQUFFLENBQUE7QUFDdEMsQ0FBQztBQUVELEtBQUssVUFBVSxhQUFhLENBQUMsUUFBcUIsRUFBRSxnQkFBaUMsRUFBRSxLQUFnQjtJQUNyRyxNQUFNLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxHQUFHLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxDQUFBO0lBQzFDLE1BQU0sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLEdBQUcsTUFBTSxxQkFBcUIsQ0FBQyxRQUFRLEVBQUUsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFBO0lBQ2pGLHVCQUF1QjtJQUN2QixNQUFNLFdBQVcsR0FBRyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLEtBQUssQ0FBQyxDQUFBO0lBQ25FLE1BQU0sZ0JBQWdCLEdBQUcsV0FBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU0sRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLEVBQUUsSUFBSSxNQUFNLENBQUMsSUFBSSxLQUFLLFFBQVEsSUFBSSxNQUFNLENBQUMsSUFBSSxLQUFLLElBQUksQ0FBQyxDQUFBO0lBQ3RILE1BQU0sdUJBQXVCLEdBQW9CLEVBQUUsQ0FBQTtJQUNuRCxNQUFNLElBQUksR0FBZ0IsRUFBRSxDQUFBO0lBQzVCLE1BQU0sWUFBWSxHQUFHLENBQUMsTUFBa0IsRUFBRSxhQUE2QixFQUFFLGNBQTBCLEVBQUUsRUFBRTtRQUNyRyxJQUFJLENBQUMsSUFBSSxDQUFDO1lBQ1IsTUFBTSxFQUFFLE1BQU07WUFDZCxJQUFJLEVBQUUsSUFBSTtZQUNWLElBQUksRUFBRSxJQUFJO1lBQ1YsUUFBUSxFQUFFLFFBQVE7WUFDbEIsUUFBUSxFQUFFLFFBQVE7WUFDbEIsUUFBUSxFQUFFLGNBQWMsYUFBZCxjQUFjLHVCQUFkLGNBQWMsQ0FBRSxFQUFFO1lBQzVCLE1BQU0sRUFBRSxjQUFjLGFBQWQsY0FBYyx1QkFBZCxjQUFjLENBQUUsR0FBRztZQUMzQixRQUFRLEVBQUUsY0FBYyxhQUFkLGNBQWMsdUJBQWQsY0FBYyxDQUFFLEtBQUs7WUFDL0IsTUFBTSxFQUFFLGFBQWEsYUFBYixhQUFhLHVCQUFiLGFBQWEsQ0FBRSxHQUFHO1lBQzFCLFFBQVEsRUFBRSxhQUFhLGFBQWIsYUFBYSx1QkFBYixhQUFhLENBQUUsS0FBSztTQUMvQixDQUFDLENBQUE7SUFDSixDQUFDLENBQUE7SUFDRCw4RUFBOEU7SUFDOUUsS0FBSyxNQUFNLGFBQWEsSUFBSSxnQkFBZ0IsRUFBRSxDQUFDO1FBQzdDLE1BQU0sY0FBYyxHQUFHLGdCQUFnQixDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLEtBQUssS0FBSyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUE7UUFDOUYsSUFBSSxjQUFjLEVBQUUsQ0FBQztZQUNuQixnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFBO1lBQ3BFLFlBQVksQ0FBQyxjQUFjLENBQUMsR0FBRyxLQUFLLGFBQWEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLGFBQWEsRUFBRSxjQUFjLENBQUMsQ0FBQTtRQUMzRyxDQUFDO2FBQU0sQ0FBQztZQUNOLHVCQUF1QixDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQTtRQUM3QyxDQUFDO0lBQ0gsQ0FBQztJQUNELHlFQUF5RTtJQUN6RSxLQUFLLE1BQU0sYUFBYSxJQUFJLHVCQUF1QixFQUFFLENBQUM7UUFDcEQsTUFBTSxjQUFjLEdBQUcsZ0JBQWdCLENBQUMsS0FBSyxFQUFFLENBQUE7UUFDL0MsWUFBWSxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsYUFBYSxFQUFFLGNBQWMsQ0FBQyxDQUFBO0lBQ25GLENBQUM7SUFDRCxLQUFLLE1BQU0sY0FBYyxJQUFJLGdCQUFnQixFQUFFLENBQUM7UUFDOUMsWUFBWSxDQUFDLFFBQVEsRUFBRSxTQUFTLEVBQUUsY0FBYyxDQUFDLENBQUE7SUFDbkQsQ0FBQztJQUNELE9BQU8sSUFBSSxDQUFBO0FBQ2IsQ0FBQztBQUVELEtBQUssVUFBVSxvQkFBb0IsQ0FBQyxRQUFxQixFQUFFLGdCQUFpQyxFQUFFLFVBQW9CLEVBQUUsS0FBZ0I7SUFDbEksTUFBTSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQTtJQUMxQyxNQUFNLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxHQUFHLE1BQU0scUJBQXFCLENBQUMsUUFBUSxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQTtJQUNqRixNQUFNLFdBQVcsR0FBRyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLEtBQUssQ0FBQyxDQUFBO0lBQ25FLE1BQU0sVUFBVSxHQUFHLHNCQUFzQixDQUFDLFFBQVEsQ0FBQyxDQUFBO0lBQ25ELDJHQUEyRztJQUMzRyxNQUFNLFFBQVEsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksR0FBRyxDQUFDLGdCQUFnQixDQUFDLEdBQUcsQ0FBQyxDQUFDLGFBQWEsRUFBRSxFQUFFLENBQUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUN0SCxpQkFBaUIsQ0FBQyxPQUFPLEVBQUUsVUFBVSxDQUFDLENBQ3ZDLENBQUE7SUFDRCxPQUFPLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxPQUFPLEVBQUUsRUFBRTtRQUM5QixNQUFNLGNBQWMsR0FBRyxXQUFXLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxFQUFFLEVBQUU7WUFDakQsTUFBTSxNQUFNLEdBQUcsb0JBQW9CLENBQUMsTUFBTSxDQUFDLENBQUE7WUFDM0MsT0FBTyxDQUFBLE1BQU0sYUFBTixNQUFNLHVCQUFOLE1BQU0sQ0FBRSxRQUFRLE1BQUssUUFBUSxJQUFJLENBQUEsTUFBTSxhQUFOLE1BQU0sdUJBQU4sTUFBTSxDQUFFLElBQUksTUFBSyxJQUFJLElBQUksQ0FBQSxNQUFNLGFBQU4sTUFBTSx1QkFBTixNQUFNLENBQUUsT0FBTyxNQUFLLE9BQU8sQ0FBQTtRQUM5RixDQUFDLENBQUMsQ0FBQTtRQUNGLE1BQU0sV0FBVyxHQUFHLHVCQUF1QixDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsQ0FBQTtRQUMxRCxPQUFPO1lBQ0wsTUFBTSxFQUFFLGNBQWMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxRQUFRO1lBQzFDLElBQUksRUFBRSxVQUFVLEdBQUcsR0FBRyxHQUFHLFFBQVE7WUFDakMsSUFBSSxFQUFFLEtBQUs7WUFDWCxRQUFRLEVBQUUsUUFBUTtZQUNsQixRQUFRLEVBQUUsVUFBVTtZQUNwQixRQUFRLEVBQUUsY0FBYyxhQUFkLGNBQWMsdUJBQWQsY0FBYyxDQUFFLEVBQUU7WUFDNUIsTUFBTSxFQUFFLGNBQWMsYUFBZCxjQUFjLHVCQUFkLGNBQWMsQ0FBRSxHQUFHO1lBQzNCLFFBQVEsRUFBRSxjQUFjLGFBQWQsY0FBYyx1QkFBZCxjQUFjLENBQUUsS0FBSztZQUMvQixNQUFNLEVBQUUsQ0FBQSxjQUFjLGFBQWQsY0FBYyx1QkFBZCxjQUFjLENBQUUsR0FBRyxLQUFJLGtCQUFrQjtZQUNqRCxRQUFRLEVBQUUsV0FBVztTQUN0QixDQUFBO0lBQ0gsQ0FBQyxDQUFDLENBQUE7QUFDSixDQUFDO0FBRUQsS0FBSyxVQUFVLFNBQVMsQ0FDdEIsUUFBcUIsRUFDckIsY0FBK0IsRUFDL0IsbUJBQXNDLEVBQ3RDLFVBQW9CLEVBQ3BCLFdBQXFDLEVBQ3JDLGNBQStCLEVBQy9CLFNBQWtDLEVBQ2xDLEtBQWdCO0lBRWhCLE1BQU0sSUFBSSxHQUFnQixFQUFFLENBQUE7SUFDNUIsSUFBSSxTQUFtQixDQUFBO0lBQ3ZCLElBQUksQ0FBQztRQUNILFNBQVMsR0FBRyxNQUFNLFlBQVksQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLENBQUE7SUFDakQsQ0FBQztJQUFDLE9BQU8sR0FBUSxFQUFFLENBQUM7UUFDbEIsT0FBTyxDQUFDLG9CQUFvQixDQUFDLE9BQU8sRUFBRSxFQUFFLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQTtJQUNqRCxDQUFDO0lBQ0QsZ0dBQWdHO0lBQ2hHLE1BQU0sV0FBVyxHQUFHLElBQUksR0FBRyxFQUFVLENBQUE7SUFDckMsTUFBTSxpQkFBaUIsR0FBRyxJQUFJLEdBQUcsRUFBVSxDQUFBO0lBQzNDLEtBQUssTUFBTSxhQUFhLElBQUksY0FBYyxFQUFFLENBQUM7UUFDM0MsSUFBSSxXQUFXLENBQUE7UUFDZixJQUFJLENBQUM7WUFDSCxXQUFXLEdBQUcsSUFBQSxrQ0FBa0IsRUFBQyxhQUFhLENBQUMsSUFBSSxFQUFFLFNBQVMsQ0FBQyxDQUFBO1FBQ2pFLENBQUM7UUFBQyxPQUFPLEdBQVEsRUFBRSxDQUFDO1lBQ2xCLCtGQUErRjtZQUMvRixTQUFRO1FBQ1YsQ0FBQztRQUNELE1BQU0sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLEdBQUcsV0FBVyxDQUFBO1FBQzFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLGFBQWEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQTtRQUNuRSxpQkFBaUIsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLGFBQWEsQ0FBQyxJQUFJLEVBQUUsYUFBYSxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFBO0lBQ2xHLENBQUM7SUFDRCxvSEFBb0g7SUFDcEgsTUFBTSx3QkFBd0IsR0FBRyxJQUFJLEdBQUcsRUFBMkIsQ0FBQTtJQUNuRSxLQUFLLE1BQU0sZ0JBQWdCLElBQUksbUJBQW1CLEVBQUUsQ0FBQztRQUNuRCxJQUFJLENBQUM7WUFDSCxNQUFNLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxHQUFHLElBQUEsa0NBQWtCLEVBQUMsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLFNBQVMsQ0FBQyxDQUFBO1lBQ3RGLHdCQUF3QixDQUFDLEdBQUcsQ0FBQyxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLGdCQUFnQixDQUFDLENBQUE7UUFDMUcsQ0FBQztRQUFDLE9BQU8sR0FBUSxFQUFFLENBQUM7WUFDbEIsU0FBUTtRQUNWLENBQUM7SUFDSCxDQUFDO0lBQ0QsbUhBQW1IO0lBQ25ILE1BQU0sZUFBZSxHQUFHLElBQUksR0FBRyxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxhQUFhLEVBQUUsRUFBRSxDQUFDLGFBQWEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFBO0lBQzdGLE1BQU0sWUFBWSxHQUFHLElBQUksR0FBRyxFQUFVLENBQUE7SUFDdEMsS0FBSyxNQUFNLFFBQVEsSUFBSSxTQUFTLEVBQUUsQ0FBQztRQUNqQyxJQUFJLENBQUM7WUFDSCxNQUFNLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxHQUFHLElBQUEsa0NBQWtCLEVBQUMsUUFBUSxDQUFDLElBQUksRUFBRSxTQUFTLENBQUMsQ0FBQTtZQUMzRSxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUE7UUFDakUsQ0FBQztRQUFDLE9BQU8sR0FBUSxFQUFFLENBQUM7WUFDbEIsU0FBUTtRQUNWLENBQUM7SUFDSCxDQUFDO0lBQ0QsS0FBSyxNQUFNLFFBQVEsSUFBSSxTQUFTLEVBQUUsQ0FBQztRQUNqQyxJQUFJLFdBQXdCLENBQUE7UUFDNUIsSUFBSSxDQUFDO1lBQ0gsV0FBVyxHQUFHLE1BQU0sY0FBYyxDQUFDLFFBQVEsRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLENBQUE7UUFDL0QsQ0FBQztRQUFDLE9BQU8sR0FBUSxFQUFFLENBQUM7WUFDbEIsSUFBSSxDQUFDLElBQUksQ0FBQyxvQkFBb0IsQ0FBQyxRQUFRLEVBQUUsRUFBRSxFQUFFLEdBQUcsRUFBRSxRQUFRLENBQUMsQ0FBQyxDQUFBO1lBQzVELFNBQVE7UUFDVixDQUFDO1FBQ0QsTUFBTSxPQUFPLEdBQUcsV0FBVzthQUN4QixHQUFHLENBQUMsQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLG9CQUFvQixDQUFDLE1BQU0sQ0FBRSxFQUFFLENBQUMsQ0FBQzthQUNwRSxNQUFNLENBQUMsQ0FBQyxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUM7YUFDOUIsR0FBRyxDQUFDLENBQUMsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLEVBQUUsRUFBRTtZQUMxQixNQUFNLEdBQUcsR0FBRyxDQUFDLFFBQVEsRUFBRSxNQUFNLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUE7WUFDOUQsc0ZBQXNGO1lBQ3RGLE1BQU0sS0FBSyxHQUNULENBQUMsaUJBQWlCLENBQUMsR0FBRyxDQUFDLEdBQUcsR0FBRyxHQUFHLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQztnQkFDbEQsQ0FBQyxlQUFlLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUM7Z0JBQ3BDLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUM7Z0JBQ3RCLGNBQWMsQ0FBQyxNQUFNLENBQUMsT0FBTyxFQUFFLFVBQVUsRUFBRSxXQUFXLENBQUMsQ0FBQTtZQUN6RCxPQUFPLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsS0FBSyxFQUFFLENBQUE7UUFDdkMsQ0FBQyxDQUFDLENBQUE7UUFDSixNQUFNLFdBQVcsR0FBRyxJQUFJLEdBQUcsRUFBVSxDQUFBO1FBQ3JDLEtBQUssTUFBTSxFQUFFLE1BQU0sRUFBRSxZQUFZLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUUsSUFBSSxPQUFPLEVBQUUsQ0FBQztZQUNuRSxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7Z0JBQ1gsU0FBUTtZQUNWLENBQUM7WUFDRCw2RkFBNkY7WUFDN0YsTUFBTSxPQUFPLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsR0FBRyxLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQTtZQUNsRyxNQUFNLGtCQUFrQixHQUFHLHdCQUF3QixDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQTtZQUM1RCxJQUFJLGtCQUFrQixJQUFJLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO2dCQUNoRCwyR0FBMkc7Z0JBQzNHLFdBQVcsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUE7Z0JBQ3BCLElBQUksQ0FBQztvQkFDSCxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxNQUFNLGFBQWEsQ0FBQyxRQUFRLEVBQUUsa0JBQWtCLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFBO2dCQUMxRSxDQUFDO2dCQUFDLE9BQU8sR0FBUSxFQUFFLENBQUM7b0JBQ2xCLElBQUksQ0FBQyxJQUFJLENBQUMsb0JBQW9CLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFBO2dCQUM5RixDQUFDO1lBQ0gsQ0FBQztpQkFBTSxJQUFJLENBQUMsT0FBTyxJQUFJLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDO2dCQUM3QyxXQUFXLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFBO2dCQUNwQixNQUFNLElBQUksR0FBRyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsUUFBUSxHQUFHLEdBQUcsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQTtnQkFDMUUsS0FBSyxNQUFNLE1BQU0sSUFBSSxXQUFXLEVBQUUsQ0FBQztvQkFDakMsSUFBSSxNQUFNLENBQUMsSUFBSSxLQUFLLE1BQU0sQ0FBQyxRQUFRLElBQUksTUFBTSxDQUFDLElBQUksS0FBSyxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUM7d0JBQ25FLElBQUksQ0FBQyxJQUFJLENBQUM7NEJBQ1IsTUFBTSxFQUFFLFFBQVE7NEJBQ2hCLElBQUksRUFBRSxJQUFJOzRCQUNWLElBQUksRUFBRSxNQUFNLENBQUMsSUFBSTs0QkFDakIsUUFBUSxFQUFFLFFBQVE7NEJBQ2xCLFFBQVEsRUFBRSxNQUFNLENBQUMsUUFBUTs0QkFDekIsUUFBUSxFQUFFLE1BQU0sQ0FBQyxFQUFFOzRCQUNuQixNQUFNLEVBQUUsTUFBTSxDQUFDLEdBQUc7NEJBQ2xCLFFBQVEsRUFBRSxNQUFNLENBQUMsS0FBSzt5QkFDdkIsQ0FBQyxDQUFBO29CQUNKLENBQUM7Z0JBQ0gsQ0FBQztZQUNILENBQUM7WUFDRCxJQUFJLENBQUMsSUFBSSxDQUFDO2dCQUNSLE1BQU0sRUFBRSxRQUFRO2dCQUNoQixJQUFJLEVBQUUsWUFBWSxDQUFDLElBQUksR0FBRyxHQUFHLEdBQUcsUUFBUTtnQkFDeEMsSUFBSSxFQUFFLEtBQUs7Z0JBQ1gsUUFBUSxFQUFFLFFBQVE7Z0JBQ2xCLFFBQVEsRUFBRSxZQUFZLENBQUMsSUFBSTtnQkFDM0IsUUFBUSxFQUFFLFlBQVksQ0FBQyxFQUFFO2dCQUN6QixNQUFNLEVBQUUsWUFBWSxDQUFDLEdBQUc7Z0JBQ3hCLFFBQVEsRUFBRSxZQUFZLENBQUMsS0FBSzthQUM3QixDQUFDLENBQUE7UUFDSixDQUFDO0lBQ0gsQ0FBQztJQUNELE9BQU8sSUFBSSxDQUFBO0FBQ2IsQ0FBQztBQUVNLEtBQUssVUFBVSxRQUFRLENBQzVCLFFBQXFCLEVBQ3JCLGNBQStCLEVBQy9CLFVBQW9CLEVBQ3BCLEtBQWMsRUFDZCxVQUF1QixFQUFFO0lBRXpCLE1BQU0sS0FBSyxHQUFjLEVBQUUsT0FBTyxFQUFFLEVBQUUsRUFBRSxDQUFBO0lBQ3hDLDJIQUEySDtJQUMzSCxNQUFNLG9CQUFvQixHQUFHLHNCQUFzQixDQUFDLGNBQWMsQ0FBQyxDQUFBO0lBQ25FLE1BQU0saUJBQWlCLEdBQUcsb0JBQW9CLENBQUMsTUFBTSxDQUFDLENBQUMsZ0JBQWdCLEVBQUUsRUFBRSxDQUN6RSxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsQ0FBQyxhQUFhLEVBQUUsRUFBRSxDQUFDLGlCQUFpQixDQUFDLGFBQWEsQ0FBQyxPQUFPLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FDL0YsQ0FBQTtJQUNELE1BQU0sY0FBYyxHQUFHLE1BQU0sZUFBZSxDQUFDLGlCQUFpQixFQUFFLE9BQU8sQ0FBQyxXQUFXLElBQUksMEJBQWtCLEVBQUUsS0FBSyxFQUFFLGdCQUFnQixFQUFFLEVBQUU7UUFDcEksSUFBSSxDQUFDO1lBQ0gsTUFBTSxhQUFhLEdBQUcsTUFBTSxhQUFhLENBQUMsUUFBUSxFQUFFLGdCQUFnQixFQUFFLEtBQUssQ0FBQyxDQUFBO1lBQzVFLElBQUksS0FBSyxFQUFFLENBQUM7Z0JBQ1YsYUFBYSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxvQkFBb0IsQ0FBQyxRQUFRLEVBQUUsZ0JBQWdCLEVBQUUsVUFBVSxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQTtZQUNwRyxDQUFDO1lBQ0QsT0FBTyxhQUFhLENBQUE7UUFDdEIsQ0FBQztRQUFDLE9BQU8sR0FBUSxFQUFFLENBQUM7WUFDbEIsK0RBQStEO1lBQy9ELE9BQU8sQ0FBQyxvQkFBb0IsQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUE7UUFDeEYsQ0FBQztJQUNILENBQUMsQ0FBQyxDQUFBO0lBQ0YsTUFBTSxjQUFjLEdBQUcsQ0FBQyxPQUFPLENBQUMsY0FBYyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLGFBQWEsRUFBRSxFQUFFLENBQUMsaUJBQWlCLENBQUMsYUFBYSxDQUFDLE9BQU8sRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFBO0lBQ3JJLE1BQU0sU0FBUyxHQUFHLENBQUMsT0FBTyxDQUFDLFNBQVMsSUFBSSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsT0FBTyxFQUFFLEVBQUUsQ0FBQyxpQkFBaUIsQ0FBQyxPQUFPLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFBO0lBQzdJLE1BQU0sSUFBSSxHQUFJLEVBQWtCLENBQUMsTUFBTSxDQUNyQyxjQUFjLENBQUMsR0FBRyxDQUFDLENBQUMsYUFBYSxFQUFFLEVBQUUsQ0FBQyxvQkFBb0IsQ0FBQyxhQUFhLENBQUMsVUFBVSxFQUFFLEVBQUUsRUFBRSxJQUFJLEtBQUssQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUN6SCxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxFQUFFLEVBQUUsQ0FBQyxvQkFBb0IsQ0FBQyxRQUFRLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxJQUFJLEVBQUUsSUFBSSxLQUFLLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFDMUcsR0FBRyxjQUFjLENBQ2xCLENBQUE7SUFDRCxJQUFJLEtBQUssRUFBRSxDQUFDO1FBQ1YsTUFBTSxtQkFBbUIsR0FBRyxvQkFBb0IsQ0FBQyxNQUFNLENBQUMsQ0FBQyxnQkFBZ0IsRUFBRSxFQUFFLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxDQUFBO1FBQzVILElBQUksQ0FBQyxJQUFJLENBQ1AsR0FBRyxDQUFDLE1BQU0sU0FBUyxDQUNqQixRQUFRLEVBQ1IsY0FBYyxFQUNkLG1CQUFtQixFQUNuQixVQUFVLEVBQ1YsT0FBTyxDQUFDLFdBQVcsRUFDbkIsT0FBTyxDQUFDLGNBQWMsSUFBSSxFQUFFLEVBQzVCLE9BQU8sQ0FBQyxTQUFTLElBQUksRUFBRSxFQUN2QixLQUFLLENBQ04sQ0FBQyxDQUNILENBQUE7SUFDSCxDQUFDO0lBQ0QsT0FBTyxJQUFJLENBQUE7QUFDYixDQUFDO0FBRU0sS0FBSyxVQUFVLGNBQWMsQ0FBQyxRQUFxQixFQUFFLFNBQW9CO0lBQzlFLE1BQU0sRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsR0FBRyxTQUFTLENBQUE7SUFDMUcsSUFBSSxNQUFNLEtBQUssT0FBTyxFQUFFLENBQUM7UUFDdkIsc0NBQXNDO1FBQ3RDLE1BQU0sSUFBSSxLQUFLLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFBO0lBQ2xDLENBQUM7U0FBTSxJQUFJLE1BQU0sS0FBSyxNQUFNLEVBQUUsQ0FBQztRQUM3QixvQ0FBb0M7UUFDcEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFBO0lBQ3JGLENBQUM7U0FBTSxJQUFJLE1BQU0sS0FBSyxRQUFRLEVBQUUsQ0FBQztRQUMvQixnQkFBZ0I7UUFDaEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFBO1FBQ3ZGLE1BQU0sUUFBUSxDQUFDLFlBQVksQ0FBQyxRQUFRLEVBQUUsUUFBUyxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxRQUFTLEVBQUUsR0FBRyxFQUFFLE1BQU8sRUFBRSxDQUFDLENBQUE7SUFDbEgsQ0FBQztTQUFNLElBQUksTUFBTSxLQUFLLFFBQVEsRUFBRSxDQUFDO1FBQy9CLGdCQUFnQjtRQUNoQixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDLENBQUE7UUFDdkYsTUFBTSxRQUFRLENBQUMsWUFBWSxDQUFDLFFBQVEsRUFBRSxRQUFTLENBQUMsQ0FBQTtJQUNsRCxDQUFDO1NBQU0sQ0FBQztRQUNOLGdCQUFnQjtRQUNoQixPQUFPLENBQUMsR0FBRyxDQUFDLFFBQVEsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDLENBQUE7UUFDdkYsTUFBTSxRQUFRLENBQUMsU0FBUyxDQUFDLFFBQVEsRUFBRSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsUUFBUyxFQUFFLEdBQUcsRUFBRSxNQUFPLEVBQUUsQ0FBQyxDQUFBO0lBQ3BHLENBQUM7QUFDSCxDQUFDO0FBRUQsU0FBUyx3QkFBd0IsQ0FBQyxTQUFvQjtJQUNwRCwwR0FBMEc7SUFDMUcsTUFBTSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsR0FBRyxTQUFTLENBQUE7SUFDbEUsTUFBTSxNQUFNLEdBQUcsb0JBQW9CLENBQUMsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLFFBQVEsSUFBSSxRQUFRLElBQUksRUFBRSxFQUFFLEdBQUcsRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFBO0lBQy9HLE9BQU8sTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxNQUFNLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUE7QUFDM0csQ0FBQztBQUVNLEtBQUssVUFBVSxTQUFTLENBQUMsUUFBcUIsRUFBRSxJQUFpQixFQUFFLFVBQXVCLEVBQUU7SUFDakcsTUFBTSxNQUFNLEdBQWdCLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxNQUFNLEVBQUUsQ0FBQyxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUUsQ0FBQTtJQUNqRyxLQUFLLE1BQU0sU0FBUyxJQUFJLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLFNBQVMsQ0FBQyxNQUFNLEtBQUssT0FBTyxDQUFDLEVBQUUsQ0FBQztRQUNqRixPQUFPLENBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxTQUFTLENBQUMsSUFBSSxFQUFFLFNBQVMsQ0FBQyxJQUFJLEVBQUUsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFBO1FBQ3hFLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQTtRQUNmLE1BQU0sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxJQUFJLEtBQUssQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFBO0lBQ3hFLENBQUM7SUFDRCw4RkFBOEY7SUFDOUYsTUFBTSxjQUFjLEdBQUcsSUFBSSxHQUFHLEVBQXVCLENBQUE7SUFDckQsS0FBSyxNQUFNLFNBQVMsSUFBSSxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxTQUFTLENBQUMsTUFBTSxLQUFLLE9BQU8sQ0FBQyxFQUFFLENBQUM7UUFDakYsTUFBTSxHQUFHLEdBQUcsd0JBQXdCLENBQUMsU0FBUyxDQUFDLENBQUE7UUFDL0MsY0FBYyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFBO0lBQzFFLENBQUM7SUFDRCxNQUFNLGVBQWUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxXQUFXLElBQUksMEJBQWtCLEVBQUUsS0FBSyxFQUFFLGFBQWEsRUFBRSxFQUFFO1FBQzVILElBQUksY0FBaUMsQ0FBQTtRQUNyQyxLQUFLLE1BQU0sU0FBUyxJQUFJLGFBQWEsRUFBRSxDQUFDO1lBQ3RDLElBQUksQ0FBQztnQkFDSCxJQUFJLGNBQWMsRUFBRSxDQUFDO29CQUNuQixxRkFBcUY7b0JBQ3JGLE1BQU0sSUFBSSxLQUFLLENBQUMsMkRBQTJELEdBQUcsY0FBYyxDQUFDLE9BQU8sQ0FBQyxDQUFBO2dCQUN2RyxDQUFDO2dCQUNELE1BQU0sY0FBYyxDQUFDLFFBQVEsRUFBRSxTQUFTLENBQUMsQ0FBQTtnQkFDekMsSUFBSSxDQUFDLHNCQUFzQixDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUM7b0JBQ3ZDLHFFQUFxRTtvQkFDckUsTUFBTSxDQUFDLFNBQVMsQ0FBQyxNQUFzQyxDQUFDLEVBQUUsQ0FBQTtnQkFDNUQsQ0FBQztZQUNILENBQUM7WUFBQyxPQUFPLEdBQVEsRUFBRSxDQUFDO2dCQUNsQixjQUFjLEdBQUcsY0FBYyxJQUFJLEdBQUcsQ0FBQTtnQkFDdEMsT0FBTyxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsU0FBUyxDQUFDLElBQUksRUFBRSxTQUFTLENBQUMsSUFBSSxFQUFFLE1BQU0sRUFBRSxTQUFTLENBQUMsUUFBUSxFQUFFLE1BQU0sRUFBRSxTQUFTLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQTtnQkFDNUgsTUFBTSxDQUFDLE1BQU0sRUFBRSxDQUFBO2dCQUNmLE1BQU0sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxHQUFHLEVBQUUsQ0FBQyxDQUFBO1lBQ2pELENBQUM7UUFDSCxDQUFDO0lBQ0gsQ0FBQyxDQUFDLENBQUE7SUFDRixPQUFPLE1BQU0sQ0FBQTtBQUNmLENBQUM7QUFFRCxTQUFnQixhQUFhLENBQUMsSUFBaUI7SUFDN0MsMERBQTBEO0lBQzFELE1BQU0sVUFBVSxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLENBQUMsc0JBQXNCLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQTtJQUNqRixPQUFPO1FBQ0wsTUFBTSxFQUFFLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLFNBQVMsQ0FBQyxNQUFNLEtBQUssUUFBUSxDQUFDLENBQUMsTUFBTTtRQUM5RSxNQUFNLEVBQUUsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsU0FBUyxDQUFDLE1BQU0sS0FBSyxRQUFRLENBQUMsQ0FBQyxNQUFNO1FBQzlFLElBQUksRUFBRSxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxTQUFTLENBQUMsTUFBTSxLQUFLLE1BQU0sQ0FBQyxDQUFDLE1BQU07UUFDMUUsTUFBTSxFQUFFLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLFNBQVMsQ0FBQyxNQUFNLEtBQUssUUFBUSxDQUFDLENBQUMsTUFBTTtRQUM5RSxNQUFNLEVBQUUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsU0FBUyxDQUFDLE1BQU0sS0FBSyxPQUFPLENBQUMsQ0FBQyxNQUFNO0tBQ3hFLENBQUE7QUFDSCxDQUFDO0FBRUQsU0FBZ0IsZ0JBQWdCLENBQUMsTUFBbUI7SUFDbEQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLEVBQUUsTUFBTSxDQUFDLE1BQU0sRUFBRSxVQUFVLEVBQUUsTUFBTSxDQUFDLE1BQU0sRUFBRSxVQUFVLEVBQUUsTUFBTSxDQUFDLE1BQU0sRUFBRSxVQUFVLEVBQUUsTUFBTSxDQUFDLElBQUksRUFBRSxZQUFZLEVBQUUsTUFBTSxDQUFDLE1BQU0sRUFBRSxTQUFTLENBQUMsQ0FBQTtBQUMvSixDQUFDO0FBRUQsU0FBZ0IsU0FBUyxDQUFDLElBQWlCO0lBQ3pDLEtBQUssTUFBTSxTQUFTLElBQUksSUFBSSxFQUFFLENBQUM7UUFDN0IsTUFBTSxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLEdBQUcsU0FBUyxDQUFBO1FBQ2hHLElBQUksTUFBTSxLQUFLLE1BQU0sRUFBRSxDQUFDO1lBQ3RCLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQTtRQUMzRixDQUFDO2FBQU0sSUFBSSxNQUFNLEtBQUssUUFBUSxFQUFFLENBQUM7WUFDL0IsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQTtZQUN2RSxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxDQUFBO1lBQzlDLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsUUFBUSxDQUFDLENBQUE7UUFDcEQsQ0FBQzthQUFNLElBQUksTUFBTSxLQUFLLFFBQVEsRUFBRSxDQUFDO1lBQy9CLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQTtRQUMzRixDQUFDO2FBQU0sSUFBSSxNQUFNLEtBQUssT0FBTyxFQUFFLENBQUM7WUFDOUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUE7UUFDdEQsQ0FBQzthQUFNLENBQUM7WUFDTixPQUFPLENBQUMsR0FBRyxDQUFDLFVBQVUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDLENBQUE7UUFDM0YsQ0FBQztJQUNILENBQUM7SUFDRCxNQUFNLE9BQU8sR0FBRyxhQUFhLENBQUMsSUFBSSxDQUFDLENBQUE7SUFDbkMsT0FBTyxDQUFDLEdBQUcsQ0FDVCxPQUFPLEVBQ1AsT0FBTyxDQUFDLE1BQU0sRUFDZCxZQUFZLEVBQ1osT0FBTyxDQUFDLE1BQU0sRUFDZCxZQUFZLEVBQ1osT0FBTyxDQUFDLE1BQU0sRUFDZCxZQUFZLEVBQ1osT0FBTyxDQUFDLElBQUksRUFDWixZQUFZLEVBQ1osT0FBTyxDQUFDLE1BQU0sRUFDZCxTQUFTLENBQ1YsQ0FBQTtBQUNILENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIFN5bmMgbG9naWM6IGNvbXBhcmVzIHRoZSBkZXNpcmVkIHJlY29yZHMgYWdhaW5zdCBhIEROUyBwcm92aWRlciwgcGxhbnMgdGhlIGNoYW5nZXMgYW5kIGFwcGxpZXMgdGhlbS5cbiAqL1xuaW1wb3J0IHsgRG5zUHJvdmlkZXIsIERuc1JlY29yZCB9IGZyb20gJy4vZG5zLXByb3ZpZGVyJ1xuaW1wb3J0IHsgRGVzaXJlZFJlY29yZCwgSW52YWxpZEV4cG9ydCwgZ2V0U3RhY2tOYW1lRnJvbUlkLCBwYXJzZVN0YWNrSWQgfSBmcm9tICcuL3JlY29yZHMnXG5pbXBvcnQgeyBub3JtYWxpemVSZWNvcmROYW1lLCByZXNvbHZlSG9zdEFuZFpvbmUgfSBmcm9tICcuL3pvbmUtcmVzb2x2ZXInXG5cbi8vIFJlY29yZCBzZXRzIHRoYXQgY291bGQgbm90IGJlIHBsYW5uZWQgZ2V0IGFuIGVycm9yIGVudHJ5LCB3aGljaCBpcyByZXBvcnRlZCBhcyBmYWlsZWQgaW5zdGVhZCBvZiBhcHBsaWVkXG5leHBvcnQgdHlwZSBQbGFuQWN0aW9uID0gJ2NyZWF0ZScgfCAndXBkYXRlJyB8ICdub29wJyB8ICdkZWxldGUnIHwgJ2Vycm9yJ1xuXG5leHBvcnQgaW50ZXJmYWNlIFBsYW5FbnRyeSB7XG4gIGFjdGlvbjogUGxhbkFjdGlvblxuICBuYW1lOiBzdHJpbmdcbiAgdHlwZTogc3RyaW5nXG4gIHpvbmVOYW1lOiBzdHJpbmdcbiAgaG9zdE5hbWU6IHN0cmluZ1xuICByZWNvcmRJZD86IHN0cmluZ1xuICBvbGRUdGw/OiBzdHJpbmdcbiAgb2xkVmFsdWU/OiBzdHJpbmdcbiAgbmV3VHRsPzogc3RyaW5nXG4gIG5ld1ZhbHVlPzogc3RyaW5nXG4gIGVycm9yPzogc3RyaW5nXG59XG5cbi8vIEFXUyByZWdpb24gYW5kIGFjY291bnQgd2hvc2UgZXhwb3J0cyB3ZXJlIHJlYWRcbmV4cG9ydCBpbnRlcmZhY2UgU3RhY2tTY29wZSB7XG4gIHJlZ2lvbjogc3RyaW5nXG4gIGFjY291bnRJZDogc3RyaW5nXG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgU3luY09wdGlvbnMge1xuICAvLyBNYXhpbXVtIG51bWJlciBvZiByZWNvcmQgc2V0cyBwbGFubmVkIG9yIGFwcGxpZWQgYXQgdGhlIHNhbWUgdGltZVxuICBjb25jdXJyZW5jeT86IG51bWJlclxuICAvLyBXaGVuIGdpdmVuLCBwcnVuZSBvbmx5IGRlbGV0ZXMgcmVjb3JkcyBvd25lZCBieSBzdGFja3MgaW4gdGhlc2UgcmVnaW9ucyBhbmQgYWNjb3VudHNcbiAgc3RhY2tTY29wZXM/OiBTdGFja1Njb3BlW11cbiAgLy8gRXhwb3J0cyB0aGF0IGNvdWxkIG5vdCBiZSBwYXJzZWQsIHBydW5lIGxlYXZlcyB0aGUgcmVjb3JkcyBvZiB0aGVpciBzdGFja3MgYWxvbmVcbiAgaW52YWxpZEV4cG9ydHM/OiBJbnZhbGlkRXhwb3J0W11cbiAgLy8gUmVjb3JkIHNldHMgdGhhdCBzb3VyY2VzIGRpc2FncmVlIG9uLCBwcnVuZSBsZWF2ZXMgdGhlbSBhbG9uZVxuICBjb25mbGljdHM/OiBEZXNpcmVkUmVjb3JkQ29uZmxpY3RbXVxufVxuXG4vLyBBIHJlY29yZCBzZXQgdGhhdCBzZXZlcmFsIHNvdXJjZXMgZGVmaW5lIHdpdGggZGlmZmVyZW50IHZhbHVlcyBvciBUVExzLCB3aGljaCBpcyByZXBvcnRlZCBpbnN0ZWFkIG9mIGxldHRpbmcgb25lIG9mIHRoZW0gd2luXG5leHBvcnQgaW50ZXJmYWNlIERlc2lyZWRSZWNvcmRDb25mbGljdCB7XG4gIG5hbWU6IHN0cmluZ1xuICB0eXBlOiBzdHJpbmdcbiAgc3RhY2tJZHM6IHN0cmluZ1tdXG4gIGVycm9yOiBzdHJpbmdcbn1cblxuZXhwb3J0IGludGVyZmFjZSBQbGFuRW50cnlGYWlsdXJlIHtcbiAgcGxhbkVudHJ5OiBQbGFuRW50cnlcbiAgZXJyb3I6IEVycm9yXG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgQXBwbHlSZXN1bHQge1xuICBjcmVhdGU6IG51bWJlclxuICB1cGRhdGU6IG51bWJlclxuICBub29wOiBudW1iZXJcbiAgZGVsZXRlOiBudW1iZXJcbiAgZmFpbGVkOiBudW1iZXJcbiAgZmFpbHVyZXM6IFBsYW5FbnRyeUZhaWx1cmVbXVxufVxuXG5leHBvcnQgZnVuY3Rpb24gY3JlYXRlRXJyb3JQbGFuRW50cnkobmFtZTogc3RyaW5nLCB0eXBlOiBzdHJpbmcsIGVycjogRXJyb3IsIHpvbmVOYW1lID0gJycpOiBQbGFuRW50cnkge1xuICByZXR1cm4geyBhY3Rpb246ICdlcnJvcicsIG5hbWUsIHR5cGUsIHpvbmVOYW1lLCBob3N0TmFtZTogJycsIGVycm9yOiBlcnIubWVzc2FnZSB9XG59XG5cbi8vIFJlY29yZCBzZXRzIGFyZSBwbGFubmVkIGFuZCBhcHBsaWVkIGNvbmN1cnJlbnRseSwgdGhlIGNhY2hlIGhvbGRzIHByb21pc2VzIHNvIGNvbmN1cnJlbnQgbG9va3VwcyBzaGFyZSBvbmUgcmVxdWVzdFxuaW50ZXJmYWNlIFN5bmNDYWNoZSB7XG4gIHpvbmVOYW1lcz86IFByb21pc2U8c3RyaW5nW10+XG4gIHJlY29yZHM6IHsgW3pvbmVOYW1lOiBzdHJpbmddOiBQcm9taXNlPERuc1JlY29yZFtdPiB9XG59XG5cbmV4cG9ydCBjb25zdCBkZWZhdWx0Q29uY3VycmVuY3kgPSA0XG5cbi8vIE93bmVyc2hpcCBtYXJrZXJzIGFyZSBUWFQgcmVjb3JkcyBuYW1lZCBfY2xvdWRucy1zeW5jLjxob3N0PiAob3IgX2Nsb3VkbnMtc3luYyBhdCB0aGUgem9uZSBhcGV4KSxcbi8vIG9uZSBwZXIgcmVjb3JkIHR5cGUgYW5kIG93bmluZyBzdGFjayBBUk4sIHdoaWNoIHRlbGwgdGhlIHBydW5lIG1vZGUgd2hpY2ggcmVjb3JkcyB3ZXJlIGNyZWF0ZWQgYnkgdGhpcyB0b29sLlxuY29uc3Qgb3duZXJzaGlwTWFya2VyUHJlZml4ID0gJ19jbG91ZG5zLXN5bmMnXG5jb25zdCBvd25lcnNoaXBNYXJrZXJUdGwgPSAnMzYwMCdcbi8vIEEgKiBsYWJlbCBpcyBvbmx5IGEgd2lsZGNhcmQgYXMgdGhlIGxlZnRtb3N0IGxhYmVsLCBzbyBtYXJrZXJzIG9mIHdpbGRjYXJkIGhvc3RzIHVzZSB0aGlzIGxhYmVsIGluIGl0cyBwbGFjZVxuY29uc3Qgd2lsZGNhcmRNYXJrZXJMYWJlbCA9ICdfd2lsZGNhcmQnXG5cbmZ1bmN0aW9uIGdldE93bmVyc2hpcE1hcmtlckhvc3QoaG9zdE5hbWU6IHN0cmluZykge1xuICBpZiAoIWhvc3ROYW1lKSB7XG4gICAgcmV0dXJuIG93bmVyc2hpcE1hcmtlclByZWZpeFxuICB9XG4gIGNvbnN0IG1hcmtlckxhYmVscyA9IGhvc3ROYW1lLnNwbGl0KCcuJykubWFwKChsYWJlbCkgPT4gKGxhYmVsID09PSAnKicgPyB3aWxkY2FyZE1hcmtlckxhYmVsIDogbGFiZWwpKVxuICByZXR1cm4gb3duZXJzaGlwTWFya2VyUHJlZml4ICsgJy4nICsgbWFya2VyTGFiZWxzLmpvaW4oJy4nKVxufVxuXG5mdW5jdGlvbiBnZXRNYXJrZWRIb3N0KG1hcmtlckhvc3Q6IHN0cmluZykge1xuICBpZiAobWFya2VySG9zdCA9PT0gb3duZXJzaGlwTWFya2VyUHJlZml4KSB7XG4gICAgcmV0dXJuICcnXG4gIH1cbiAgY29uc3QgbGFiZWxzID0gbWFya2VySG9zdC5zbGljZShvd25lcnNoaXBNYXJrZXJQcmVmaXgubGVuZ3RoICsgMSkuc3BsaXQoJy4nKVxuICByZXR1cm4gbGFiZWxzLm1hcCgobGFiZWwpID0+IChsYWJlbCA9PT0gd2lsZGNhcmRNYXJrZXJMYWJlbCA/ICcqJyA6IGxhYmVsKSkuam9pbignLicpXG59XG5cbmZ1bmN0aW9uIGdldE93bmVyc2hpcE1hcmtlclZhbHVlKHN0YWNrSWQ6IHN0cmluZywgdHlwZTogc3RyaW5nKSB7XG4gIHJldHVybiAnY2xvdWRucy1jbG91ZGZvcm1hdGlvbi1zeW5jIHN0YWNrPScgKyBzdGFja0lkICsgJyB0eXBlPScgKyB0eXBlXG59XG5cbmZ1bmN0aW9uIGlzT3duZXJzaGlwTWFya2VySG9zdChob3N0TmFtZTogc3RyaW5nKSB7XG4gIHJldHVybiBob3N0TmFtZSA9PT0gb3duZXJzaGlwTWFya2VyUHJlZml4IHx8IGhvc3ROYW1lLnN0YXJ0c1dpdGgob3duZXJzaGlwTWFya2VyUHJlZml4ICsgJy4nKVxufVxuXG5mdW5jdGlvbiBpc093bmVyc2hpcE1hcmtlckVudHJ5KHBsYW5FbnRyeTogUGxhbkVudHJ5KSB7XG4gIHJldHVybiBwbGFuRW50cnkudHlwZSA9PT0gJ1RYVCcgJiYgaXNPd25lcnNoaXBNYXJrZXJIb3N0KHBsYW5FbnRyeS5ob3N0TmFtZSlcbn1cblxuZnVuY3Rpb24gcGFyc2VPd25lcnNoaXBNYXJrZXIocmVjb3JkOiBEbnNSZWNvcmQpIHtcbiAgaWYgKHJlY29yZC50eXBlICE9PSAnVFhUJykge1xuICAgIHJldHVybiB1bmRlZmluZWRcbiAgfVxuICBpZiAoIWlzT3duZXJzaGlwTWFya2VySG9zdChyZWNvcmQuaG9zdCkpIHtcbiAgICByZXR1cm4gdW5kZWZpbmVkXG4gIH1cbiAgY29uc3QgbSA9IHJlY29yZC52YWx1ZS5tYXRjaCgvXmNsb3VkbnMtY2xvdWRmb3JtYXRpb24tc3luYyBzdGFjaz0oXFxTKykgdHlwZT0oXFxTKykkLylcbiAgaWYgKCFtKSB7XG4gICAgcmV0dXJuIHVuZGVmaW5lZFxuICB9XG4gIHJldHVybiB7XG4gICAgaG9zdE5hbWU6IGdldE1hcmtlZEhvc3QocmVjb3JkLmhvc3QpLFxuICAgIHN0YWNrSWQ6IG1bMV0sXG4gICAgdHlwZTogbVsyXSxcbiAgfVxufVxuXG5mdW5jdGlvbiBtYXRjaGVzU3RhY2tOYW1lcyhzdGFja0lkOiBzdHJpbmcsIHN0YWNrTmFtZXM6IHN0cmluZ1tdKSB7XG4gIC8vIFN0YWNrIG5hbWVzIG1hdGNoIHN0YWNrcyBvZiB0aGF0IG5hbWUgaW4gYW55IHJlZ2lvbiBhbmQgYWNjb3VudCwgc3RhY2sgQVJOcyBvbmx5IHRoYXQgc3RhY2tcbiAgcmV0dXJuICFzdGFja05hbWVzLmxlbmd0aCB8fCBzdGFja05hbWVzLmluY2x1ZGVzKHN0YWNrSWQpIHx8IHN0YWNrTmFtZXMuaW5jbHVkZXMoZ2V0U3RhY2tOYW1lRnJvbUlkKHN0YWNrSWQpKVxufVxuXG5mdW5jdGlvbiBpc1N0YWNrSW5TY29wZShzdGFja0lkOiBzdHJpbmcsIHN0YWNrTmFtZXM6IHN0cmluZ1tdLCBzdGFja1Njb3Blcz86IFN0YWNrU2NvcGVbXSkge1xuICBjb25zdCB7IHJlZ2lvbiwgYWNjb3VudElkIH0gPSBwYXJzZVN0YWNrSWQoc3RhY2tJZClcbiAgaWYgKHN0YWNrU2NvcGVzICYmICFzdGFja1Njb3Blcy5zb21lKChzdGFja1Njb3BlKSA9PiBzdGFja1Njb3BlLnJlZ2lvbiA9PT0gcmVnaW9uICYmIHN0YWNrU2NvcGUuYWNjb3VudElkID09PSBhY2NvdW50SWQpKSB7XG4gICAgLy8gVGhlIGV4cG9ydHMgb2YgdGhpcyBzdGFjayB3ZXJlIG5vdCByZWFkLCBzbyB0aGVyZSBpcyBubyB3YXkgdG8gdGVsbCBpZiB0aGV5IHN0aWxsIGV4aXN0XG4gICAgcmV0dXJuIGZhbHNlXG4gIH1cbiAgcmV0dXJuIG1hdGNoZXNTdGFja05hbWVzKHN0YWNrSWQsIHN0YWNrTmFtZXMpXG59XG5cbmFzeW5jIGZ1bmN0aW9uIGdldFpvbmVOYW1lcyhwcm92aWRlcjogRG5zUHJvdmlkZXIsIGNhY2hlOiBTeW5jQ2FjaGUpIHtcbiAgaWYgKCFjYWNoZS56b25lTmFtZXMpIHtcbiAgICAvLyBMb2FkIHRoZSB6b25lIGxpc3Qgb25jZSBwZXIgc3luY1xuICAgIGNhY2hlLnpvbmVOYW1lcyA9IHByb3ZpZGVyLmxpc3Rab25lcygpXG4gIH1cbiAgcmV0dXJuIGNhY2hlLnpvbmVOYW1lc1xufVxuXG5hc3luYyBmdW5jdGlvbiBnZXRab25lUmVjb3Jkcyhwcm92aWRlcjogRG5zUHJvdmlkZXIsIHpvbmVOYW1lOiBzdHJpbmcsIGNhY2hlOiBTeW5jQ2FjaGUpOiBQcm9taXNlPERuc1JlY29yZFtdPiB7XG4gIGlmICghY2FjaGUucmVjb3Jkc1t6b25lTmFtZV0pIHtcbiAgICAvLyBGZXRjaCBhbGwgcmVjb3JkcyBvZiB0aGUgem9uZSBvbmNlIGFuZCByZXVzZSB0aGVtIGZvciBldmVyeSBleHBvcnQgaW4gdGhlIHNhbWUgem9uZVxuICAgIGNhY2hlLnJlY29yZHNbem9uZU5hbWVdID0gcHJvdmlkZXIubGlzdFJlY29yZHMoem9uZU5hbWUpXG4gIH1cbiAgcmV0dXJuIGNhY2hlLnJlY29yZHNbem9uZU5hbWVdXG59XG5cbmFzeW5jIGZ1bmN0aW9uIGF1dG9EZXRlY3RIb3N0QW5kWm9uZShwcm92aWRlcjogRG5zUHJvdmlkZXIsIG5hbWU6IHN0cmluZywgY2FjaGU6IFN5bmNDYWNoZSkge1xuICByZXR1cm4gcmVzb2x2ZUhvc3RBbmRab25lKG5hbWUsIGF3YWl0IGdldFpvbmVOYW1lcyhwcm92aWRlciwgY2FjaGUpKVxufVxuXG5leHBvcnQgYXN5bmMgZnVuY3Rpb24gbWFwQ29uY3VycmVudGx5PFQsIFI+KGl0ZW1zOiBUW10sIGNvbmN1cnJlbmN5OiBudW1iZXIsIG1hcHBlcjogKGl0ZW06IFQpID0+IFByb21pc2U8Uj4pOiBQcm9taXNlPFJbXT4ge1xuICAvLyBSdW4gYXQgbW9zdCBjb25jdXJyZW5jeSBtYXBwZXJzIGF0IGEgdGltZSwga2VlcGluZyB0aGUgcmVzdWx0cyBpbiB0aGUgb3JkZXIgb2YgdGhlIGl0ZW1zXG4gIGNvbnN0IHJlc3VsdHM6IFJbXSA9IG5ldyBBcnJheShpdGVtcy5sZW5ndGgpXG4gIGxldCBuZXh0SW5kZXggPSAwXG4gIGNvbnN0IHdvcmtlciA9IGFzeW5jICgpID0+IHtcbiAgICB3aGlsZSAobmV4dEluZGV4IDwgaXRlbXMubGVuZ3RoKSB7XG4gICAgICBjb25zdCBpbmRleCA9IG5leHRJbmRleCsrXG4gICAgICByZXN1bHRzW2luZGV4XSA9IGF3YWl0IG1hcHBlcihpdGVtc1tpbmRleF0pXG4gICAgfVxuICB9XG4gIGF3YWl0IFByb21pc2UuYWxsKEFycmF5LmZyb20oeyBsZW5ndGg6IE1hdGgubWF4KDEsIE1hdGgubWluKGNvbmN1cnJlbmN5LCBpdGVtcy5sZW5ndGgpKSB9LCB3b3JrZXIpKVxuICByZXR1cm4gcmVzdWx0c1xufVxuXG5leHBvcnQgZnVuY3Rpb24gZ3JvdXBEZXNpcmVkUmVjb3JkU2V0cyhkZXNpcmVkUmVjb3JkczogRGVzaXJlZFJlY29yZFtdKTogRGVzaXJlZFJlY29yZFtdW10ge1xuICAvLyBSZWNvcmRzIHdpdGggdGhlIHNhbWUgbmFtZSBhbmQgdHlwZSBmb3JtIG9uZSByZWNvcmQgc2V0LCBkdXBsaWNhdGUgdmFsdWVzIGFyZSBtZXJnZWRcbiAgY29uc3QgcmVjb3JkU2V0cyA9IG5ldyBNYXA8c3RyaW5nLCBEZXNpcmVkUmVjb3JkW10+KClcbiAgZm9yIChjb25zdCBkZXNpcmVkUmVjb3JkIG9mIGRlc2lyZWRSZWNvcmRzKSB7XG4gICAgY29uc3Qga2V5ID0gZ2V0UmVjb3JkU2V0S2V5KGRlc2lyZWRSZWNvcmQpXG4gICAgY29uc3QgcmVjb3JkU2V0ID0gcmVjb3JkU2V0cy5nZXQoa2V5KSB8fCBbXVxuICAgIGlmICghcmVjb3JkU2V0LnNvbWUoKHJlY29yZCkgPT4gcmVjb3JkLnZhbHVlID09PSBkZXNpcmVkUmVjb3JkLnZhbHVlKSkge1xuICAgICAgcmVjb3JkU2V0LnB1c2goZGVzaXJlZFJlY29yZClcbiAgICB9XG4gICAgcmVjb3JkU2V0cy5zZXQoa2V5LCByZWNvcmRTZXQpXG4gIH1cbiAgcmV0dXJuIEFycmF5LmZyb20ocmVjb3JkU2V0cy52YWx1ZXMoKSlcbn1cblxuZnVuY3Rpb24gZ2V0UmVjb3JkU2V0S2V5KGRlc2lyZWRSZWNvcmQ6IERlc2lyZWRSZWNvcmQpIHtcbiAgcmV0dXJuIG5vcm1hbGl6ZVJlY29yZE5hbWUoZGVzaXJlZFJlY29yZC5uYW1lKSArICcgJyArIGRlc2lyZWRSZWNvcmQudHlwZVxufVxuXG5leHBvcnQgZnVuY3Rpb24gbWVyZ2VEZXNpcmVkUmVjb3Jkcyhzb3VyY2VEZXNpcmVkUmVjb3JkczogRGVzaXJlZFJlY29yZFtdW10pOiB7IGRlc2lyZWRSZWNvcmRzOiBEZXNpcmVkUmVjb3JkW107IGNvbmZsaWN0czogRGVzaXJlZFJlY29yZENvbmZsaWN0W10gfSB7XG4gIC8vIEVhY2ggc291cmNlIG11c3QgYWdyZWUgb24gdGhlIHZhbHVlcyBhbmQgVFRMcyBvZiB0aGUgcmVjb3JkcyBpdCBzaGFyZXMgd2l0aCBvdGhlciBzb3VyY2VzXG4gIGNvbnN0IHJlY29yZFNldFNvdXJjZXMgPSBuZXcgTWFwPHN0cmluZywgeyBzb3VyY2U6IHN0cmluZzsgdmFsdWVzOiBzdHJpbmc7IGRlc2lyZWRSZWNvcmRTZXQ6IERlc2lyZWRSZWNvcmRbXSB9W10+KClcbiAgZm9yIChjb25zdCBkZXNpcmVkUmVjb3JkcyBvZiBzb3VyY2VEZXNpcmVkUmVjb3Jkcykge1xuICAgIGZvciAoY29uc3QgZGVzaXJlZFJlY29yZFNldCBvZiBncm91cERlc2lyZWRSZWNvcmRTZXRzKGRlc2lyZWRSZWNvcmRzKSkge1xuICAgICAgY29uc3Qga2V5ID0gZ2V0UmVjb3JkU2V0S2V5KGRlc2lyZWRSZWNvcmRTZXRbMF0pXG4gICAgICBjb25zdCB2YWx1ZXMgPSBkZXNpcmVkUmVjb3JkU2V0XG4gICAgICAgIC5tYXAoKGRlc2lyZWRSZWNvcmQpID0+IGRlc2lyZWRSZWNvcmQudHRsICsgJyAnICsgZGVzaXJlZFJlY29yZC52YWx1ZSlcbiAgICAgICAgLnNvcnQoKVxuICAgICAgICAuam9pbignLCAnKVxuICAgICAgcmVjb3JkU2V0U291cmNlcy5zZXQoa2V5LCBbLi4uKHJlY29yZFNldFNvdXJjZXMuZ2V0KGtleSkgfHwgW10pLCB7IHNvdXJjZTogZGVzaXJlZFJlY29yZFNldFswXS5zb3VyY2UsIHZhbHVlcywgZGVzaXJlZFJlY29yZFNldCB9XSlcbiAgICB9XG4gIH1cbiAgLy8gQ29uZmxpY3RpbmcgcmVjb3JkIHNldHMgYXJlIGxlZnQgb3V0LCB0aGUgb3RoZXIgcmVjb3JkIHNldHMgYXJlIHN0aWxsIHN5bmNlZFxuICBjb25zdCBjb25mbGljdHM6IERlc2lyZWRSZWNvcmRDb25mbGljdFtdID0gW11cbiAgY29uc3QgY29uZmxpY3RLZXlzID0gbmV3IFNldDxzdHJpbmc+KClcbiAgcmVjb3JkU2V0U291cmNlcy5mb3JFYWNoKChzb3VyY2VzLCBrZXkpID0+IHtcbiAgICBpZiAoc291cmNlcy5zb21lKChzb3VyY2UpID0+IHNvdXJjZS52YWx1ZXMgIT09IHNvdXJjZXNbMF0udmFsdWVzKSkge1xuICAgICAgY29uc3QgeyBuYW1lLCB0eXBlIH0gPSBzb3VyY2VzWzBdLmRlc2lyZWRSZWNvcmRTZXRbMF1cbiAgICAgIGNvbnN0IGRlc2lyZWRSZWNvcmRTZXRzID0gc291cmNlcy5tYXAoKHNvdXJjZSkgPT4gc291cmNlLmRlc2lyZWRSZWNvcmRTZXQpXG4gICAgICBjb25mbGljdHMucHVzaCh7XG4gICAgICAgIG5hbWUsXG4gICAgICAgIHR5cGUsXG4gICAgICAgIHN0YWNrSWRzOiBBcnJheS5mcm9tKG5ldyBTZXQoKFtdIGFzIERlc2lyZWRSZWNvcmRbXSkuY29uY2F0KC4uLmRlc2lyZWRSZWNvcmRTZXRzKS5tYXAoKGRlc2lyZWRSZWNvcmQpID0+IGRlc2lyZWRSZWNvcmQuc3RhY2tJZCkpKSxcbiAgICAgICAgZXJyb3I6ICdDb25mbGljdGluZyBleHBvcnRzICh0dGwgdmFsdWUpOiAnICsgc291cmNlcy5tYXAoKHNvdXJjZSkgPT4gc291cmNlLnNvdXJjZSArICcgd2FudHMgJyArIHNvdXJjZS52YWx1ZXMpLmpvaW4oJyBidXQgJyksXG4gICAgICB9KVxuICAgICAgY29uZmxpY3RLZXlzLmFkZChrZXkpXG4gICAgfVxuICB9KVxuICBjb25zdCBkZXNpcmVkUmVjb3JkcyA9IChbXSBhcyBEZXNpcmVkUmVjb3JkW10pLmNvbmNhdCguLi5zb3VyY2VEZXNpcmVkUmVjb3JkcykuZmlsdGVyKChkZXNpcmVkUmVjb3JkKSA9PiAhY29uZmxpY3RLZXlzLmhhcyhnZXRSZWNvcmRTZXRLZXkoZGVzaXJlZFJlY29yZCkpKVxuICByZXR1cm4geyBkZXNpcmVkUmVjb3JkcywgY29uZmxpY3RzIH1cbn1cblxuYXN5bmMgZnVuY3Rpb24gcGxhblJlY29yZFNldChwcm92aWRlcjogRG5zUHJvdmlkZXIsIGRlc2lyZWRSZWNvcmRTZXQ6IERlc2lyZWRSZWNvcmRbXSwgY2FjaGU6IFN5bmNDYWNoZSk6IFByb21pc2U8UGxhbkVudHJ5W10+IHtcbiAgY29uc3QgeyBuYW1lLCB0eXBlIH0gPSBkZXNpcmVkUmVjb3JkU2V0WzBdXG4gIGNvbnN0IHsgem9uZU5hbWUsIGhvc3ROYW1lIH0gPSBhd2FpdCBhdXRvRGV0ZWN0SG9zdEFuZFpvbmUocHJvdmlkZXIsIG5hbWUsIGNhY2hlKVxuICAvLyBXaGljaCByZWNvcmRzIGV4aXN0P1xuICBjb25zdCB6b25lUmVjb3JkcyA9IGF3YWl0IGdldFpvbmVSZWNvcmRzKHByb3ZpZGVyLCB6b25lTmFtZSwgY2FjaGUpXG4gIGNvbnN0IHVubWF0Y2hlZFJlY29yZHMgPSB6b25lUmVjb3Jkcy5maWx0ZXIoKHJlY29yZCkgPT4gcmVjb3JkLmlkICYmIHJlY29yZC5ob3N0ID09PSBob3N0TmFtZSAmJiByZWNvcmQudHlwZSA9PT0gdHlwZSlcbiAgY29uc3QgdW5tYXRjaGVkRGVzaXJlZFJlY29yZHM6IERlc2lyZWRSZWNvcmRbXSA9IFtdXG4gIGNvbnN0IHBsYW46IFBsYW5FbnRyeVtdID0gW11cbiAgY29uc3QgYWRkUGxhbkVudHJ5ID0gKGFjdGlvbjogUGxhbkFjdGlvbiwgZGVzaXJlZFJlY29yZD86IERlc2lyZWRSZWNvcmQsIGV4aXN0aW5nUmVjb3JkPzogRG5zUmVjb3JkKSA9PiB7XG4gICAgcGxhbi5wdXNoKHtcbiAgICAgIGFjdGlvbjogYWN0aW9uLFxuICAgICAgbmFtZTogbmFtZSxcbiAgICAgIHR5cGU6IHR5cGUsXG4gICAgICB6b25lTmFtZTogem9uZU5hbWUsXG4gICAgICBob3N0TmFtZTogaG9zdE5hbWUsXG4gICAgICByZWNvcmRJZDogZXhpc3RpbmdSZWNvcmQ/LmlkLFxuICAgICAgb2xkVHRsOiBleGlzdGluZ1JlY29yZD8udHRsLFxuICAgICAgb2xkVmFsdWU6IGV4aXN0aW5nUmVjb3JkPy52YWx1ZSxcbiAgICAgIG5ld1R0bDogZGVzaXJlZFJlY29yZD8udHRsLFxuICAgICAgbmV3VmFsdWU6IGRlc2lyZWRSZWNvcmQ/LnZhbHVlLFxuICAgIH0pXG4gIH1cbiAgLy8gTGVhdmUgcmVjb3JkcyB3aXRoIG1hdGNoaW5nIHZhbHVlcyBhbG9uZSwgb25seSB1cGRhdGluZyB0aGVpciBUVEwgaWYgbmVlZGVkXG4gIGZvciAoY29uc3QgZGVzaXJlZFJlY29yZCBvZiBkZXNpcmVkUmVjb3JkU2V0KSB7XG4gICAgY29uc3QgZXhpc3RpbmdSZWNvcmQgPSB1bm1hdGNoZWRSZWNvcmRzLmZpbmQoKHJlY29yZCkgPT4gcmVjb3JkLnZhbHVlID09PSBkZXNpcmVkUmVjb3JkLnZhbHVlKVxuICAgIGlmIChleGlzdGluZ1JlY29yZCkge1xuICAgICAgdW5tYXRjaGVkUmVjb3Jkcy5zcGxpY2UodW5tYXRjaGVkUmVjb3Jkcy5pbmRleE9mKGV4aXN0aW5nUmVjb3JkKSwgMSlcbiAgICAgIGFkZFBsYW5FbnRyeShleGlzdGluZ1JlY29yZC50dGwgPT09IGRlc2lyZWRSZWNvcmQudHRsID8gJ25vb3AnIDogJ3VwZGF0ZScsIGRlc2lyZWRSZWNvcmQsIGV4aXN0aW5nUmVjb3JkKVxuICAgIH0gZWxzZSB7XG4gICAgICB1bm1hdGNoZWREZXNpcmVkUmVjb3Jkcy5wdXNoKGRlc2lyZWRSZWNvcmQpXG4gICAgfVxuICB9XG4gIC8vIFJldXNlIGV4dHJhIHJlY29yZHMgZm9yIG1pc3NpbmcgdmFsdWVzLCB0aGVuIGNyZWF0ZSBvciBkZWxldGUgdGhlIHJlc3RcbiAgZm9yIChjb25zdCBkZXNpcmVkUmVjb3JkIG9mIHVubWF0Y2hlZERlc2lyZWRSZWNvcmRzKSB7XG4gICAgY29uc3QgZXhpc3RpbmdSZWNvcmQgPSB1bm1hdGNoZWRSZWNvcmRzLnNoaWZ0KClcbiAgICBhZGRQbGFuRW50cnkoZXhpc3RpbmdSZWNvcmQgPyAndXBkYXRlJyA6ICdjcmVhdGUnLCBkZXNpcmVkUmVjb3JkLCBleGlzdGluZ1JlY29yZClcbiAgfVxuICBmb3IgKGNvbnN0IGV4aXN0aW5nUmVjb3JkIG9mIHVubWF0Y2hlZFJlY29yZHMpIHtcbiAgICBhZGRQbGFuRW50cnkoJ2RlbGV0ZScsIHVuZGVmaW5lZCwgZXhpc3RpbmdSZWNvcmQpXG4gIH1cbiAgcmV0dXJuIHBsYW5cbn1cblxuYXN5bmMgZnVuY3Rpb24gcGxhbk93bmVyc2hpcE1hcmtlcnMocHJvdmlkZXI6IERuc1Byb3ZpZGVyLCBkZXNpcmVkUmVjb3JkU2V0OiBEZXNpcmVkUmVjb3JkW10sIHN0YWNrTmFtZXM6IHN0cmluZ1tdLCBjYWNoZTogU3luY0NhY2hlKTogUHJvbWlzZTxQbGFuRW50cnlbXT4ge1xuICBjb25zdCB7IG5hbWUsIHR5cGUgfSA9IGRlc2lyZWRSZWNvcmRTZXRbMF1cbiAgY29uc3QgeyB6b25lTmFtZSwgaG9zdE5hbWUgfSA9IGF3YWl0IGF1dG9EZXRlY3RIb3N0QW5kWm9uZShwcm92aWRlciwgbmFtZSwgY2FjaGUpXG4gIGNvbnN0IHpvbmVSZWNvcmRzID0gYXdhaXQgZ2V0Wm9uZVJlY29yZHMocHJvdmlkZXIsIHpvbmVOYW1lLCBjYWNoZSlcbiAgY29uc3QgbWFya2VySG9zdCA9IGdldE93bmVyc2hpcE1hcmtlckhvc3QoaG9zdE5hbWUpXG4gIC8vIEVhY2ggc3RhY2sgdGhhdCBleHBvcnRzIHZhbHVlcyBmb3IgdGhlIHJlY29yZCBzZXQgaGFzIGl0cyBvd24gbWFya2VyLCB3cml0dGVuIGJ5IHRoZSBzeW5jcyBvZiB0aGF0IHN0YWNrXG4gIGNvbnN0IHN0YWNrSWRzID0gQXJyYXkuZnJvbShuZXcgU2V0KGRlc2lyZWRSZWNvcmRTZXQubWFwKChkZXNpcmVkUmVjb3JkKSA9PiBkZXNpcmVkUmVjb3JkLnN0YWNrSWQpKSkuZmlsdGVyKChzdGFja0lkKSA9PlxuICAgIG1hdGNoZXNTdGFja05hbWVzKHN0YWNrSWQsIHN0YWNrTmFtZXMpXG4gIClcbiAgcmV0dXJuIHN0YWNrSWRzLm1hcCgoc3RhY2tJZCkgPT4ge1xuICAgIGNvbnN0IGV4aXN0aW5nTWFya2VyID0gem9uZVJlY29yZHMuZmluZCgocmVjb3JkKSA9PiB7XG4gICAgICBjb25zdCBtYXJrZXIgPSBwYXJzZU93bmVyc2hpcE1hcmtlcihyZWNvcmQpXG4gICAgICByZXR1cm4gbWFya2VyPy5ob3N0TmFtZSA9PT0gaG9zdE5hbWUgJiYgbWFya2VyPy50eXBlID09PSB0eXBlICYmIG1hcmtlcj8uc3RhY2tJZCA9PT0gc3RhY2tJZFxuICAgIH0pXG4gICAgY29uc3QgbWFya2VyVmFsdWUgPSBnZXRPd25lcnNoaXBNYXJrZXJWYWx1ZShzdGFja0lkLCB0eXBlKVxuICAgIHJldHVybiB7XG4gICAgICBhY3Rpb246IGV4aXN0aW5nTWFya2VyID8gJ25vb3AnIDogJ2NyZWF0ZScsXG4gICAgICBuYW1lOiBtYXJrZXJIb3N0ICsgJy4nICsgem9uZU5hbWUsXG4gICAgICB0eXBlOiAnVFhUJyxcbiAgICAgIHpvbmVOYW1lOiB6b25lTmFtZSxcbiAgICAgIGhvc3ROYW1lOiBtYXJrZXJIb3N0LFxuICAgICAgcmVjb3JkSWQ6IGV4aXN0aW5nTWFya2VyPy5pZCxcbiAgICAgIG9sZFR0bDogZXhpc3RpbmdNYXJrZXI/LnR0bCxcbiAgICAgIG9sZFZhbHVlOiBleGlzdGluZ01hcmtlcj8udmFsdWUsXG4gICAgICBuZXdUdGw6IGV4aXN0aW5nTWFya2VyPy50dGwgfHwgb3duZXJzaGlwTWFya2VyVHRsLFxuICAgICAgbmV3VmFsdWU6IG1hcmtlclZhbHVlLFxuICAgIH1cbiAgfSlcbn1cblxuYXN5bmMgZnVuY3Rpb24gcGxhblBydW5lKFxuICBwcm92aWRlcjogRG5zUHJvdmlkZXIsXG4gIGRlc2lyZWRSZWNvcmRzOiBEZXNpcmVkUmVjb3JkW10sXG4gIHVucGxhbm5lZFJlY29yZFNldHM6IERlc2lyZWRSZWNvcmRbXVtdLFxuICBzdGFja05hbWVzOiBzdHJpbmdbXSxcbiAgc3RhY2tTY29wZXM6IFN0YWNrU2NvcGVbXSB8IHVuZGVmaW5lZCxcbiAgaW52YWxpZEV4cG9ydHM6IEludmFsaWRFeHBvcnRbXSxcbiAgY29uZmxpY3RzOiBEZXNpcmVkUmVjb3JkQ29uZmxpY3RbXSxcbiAgY2FjaGU6IFN5bmNDYWNoZVxuKTogUHJvbWlzZTxQbGFuRW50cnlbXT4ge1xuICBjb25zdCBwbGFuOiBQbGFuRW50cnlbXSA9IFtdXG4gIGxldCB6b25lTmFtZXM6IHN0cmluZ1tdXG4gIHRyeSB7XG4gICAgem9uZU5hbWVzID0gYXdhaXQgZ2V0Wm9uZU5hbWVzKHByb3ZpZGVyLCBjYWNoZSlcbiAgfSBjYXRjaCAoZXJyOiBhbnkpIHtcbiAgICByZXR1cm4gW2NyZWF0ZUVycm9yUGxhbkVudHJ5KCdwcnVuZScsICcnLCBlcnIpXVxuICB9XG4gIC8vIFpvbmUsIGhvc3QgYW5kIHR5cGUgb2YgZXZlcnkgcmVjb3JkIHRoYXQgc3RpbGwgaGFzIGFuIGV4cG9ydCwgYW5kIHRoZSBzdGFja3MgdGhhdCBleHBvcnQgdGhlbVxuICBjb25zdCBkZXNpcmVkS2V5cyA9IG5ldyBTZXQ8c3RyaW5nPigpXG4gIGNvbnN0IGRlc2lyZWRNYXJrZXJLZXlzID0gbmV3IFNldDxzdHJpbmc+KClcbiAgZm9yIChjb25zdCBkZXNpcmVkUmVjb3JkIG9mIGRlc2lyZWRSZWNvcmRzKSB7XG4gICAgbGV0IGhvc3RBbmRab25lXG4gICAgdHJ5IHtcbiAgICAgIGhvc3RBbmRab25lID0gcmVzb2x2ZUhvc3RBbmRab25lKGRlc2lyZWRSZWNvcmQubmFtZSwgem9uZU5hbWVzKVxuICAgIH0gY2F0Y2ggKGVycjogYW55KSB7XG4gICAgICAvLyBSZWNvcmRzIHdpdGhvdXQgYSB6b25lIGFyZSByZXBvcnRlZCBieSB0aGVpciByZWNvcmQgc2V0IGFuZCBjYW5ub3Qgb3duIGFueXRoaW5nIGluIHRoZSB6b25lc1xuICAgICAgY29udGludWVcbiAgICB9XG4gICAgY29uc3QgeyB6b25lTmFtZSwgaG9zdE5hbWUgfSA9IGhvc3RBbmRab25lXG4gICAgZGVzaXJlZEtleXMuYWRkKFt6b25lTmFtZSwgaG9zdE5hbWUsIGRlc2lyZWRSZWNvcmQudHlwZV0uam9pbignICcpKVxuICAgIGRlc2lyZWRNYXJrZXJLZXlzLmFkZChbem9uZU5hbWUsIGhvc3ROYW1lLCBkZXNpcmVkUmVjb3JkLnR5cGUsIGRlc2lyZWRSZWNvcmQuc3RhY2tJZF0uam9pbignICcpKVxuICB9XG4gIC8vIFJlY29yZCBzZXRzIHRoYXQgb25seSBvdGhlciBzdGFja3MgZXhwb3J0LCByZWNvbmNpbGVkIHdoZW4gYSBzdGFjayBpbiB0aGUgZmlsdGVyIGhhcyBkcm9wcGVkIGl0cyB2YWx1ZXMgZnJvbSB0aGVtXG4gIGNvbnN0IHVucGxhbm5lZFJlY29yZFNldHNCeUtleSA9IG5ldyBNYXA8c3RyaW5nLCBEZXNpcmVkUmVjb3JkW10+KClcbiAgZm9yIChjb25zdCBkZXNpcmVkUmVjb3JkU2V0IG9mIHVucGxhbm5lZFJlY29yZFNldHMpIHtcbiAgICB0cnkge1xuICAgICAgY29uc3QgeyB6b25lTmFtZSwgaG9zdE5hbWUgfSA9IHJlc29sdmVIb3N0QW5kWm9uZShkZXNpcmVkUmVjb3JkU2V0WzBdLm5hbWUsIHpvbmVOYW1lcylcbiAgICAgIHVucGxhbm5lZFJlY29yZFNldHNCeUtleS5zZXQoW3pvbmVOYW1lLCBob3N0TmFtZSwgZGVzaXJlZFJlY29yZFNldFswXS50eXBlXS5qb2luKCcgJyksIGRlc2lyZWRSZWNvcmRTZXQpXG4gICAgfSBjYXRjaCAoZXJyOiBhbnkpIHtcbiAgICAgIGNvbnRpbnVlXG4gICAgfVxuICB9XG4gIC8vIFRoZSByZWNvcmRzIG9mIHN0YWNrcyB3aXRoIGludmFsaWQgZXhwb3J0cyBtaWdodCBzdGlsbCBiZSB3YW50ZWQsIGFuZCBjb25mbGljdGluZyByZWNvcmQgc2V0cyBhcmUgc3RpbGwgZXhwb3J0ZWRcbiAgY29uc3QgaW52YWxpZFN0YWNrSWRzID0gbmV3IFNldChpbnZhbGlkRXhwb3J0cy5tYXAoKGludmFsaWRFeHBvcnQpID0+IGludmFsaWRFeHBvcnQuc3RhY2tJZCkpXG4gIGNvbnN0IGNvbmZsaWN0S2V5cyA9IG5ldyBTZXQ8c3RyaW5nPigpXG4gIGZvciAoY29uc3QgY29uZmxpY3Qgb2YgY29uZmxpY3RzKSB7XG4gICAgdHJ5IHtcbiAgICAgIGNvbnN0IHsgem9uZU5hbWUsIGhvc3ROYW1lIH0gPSByZXNvbHZlSG9zdEFuZFpvbmUoY29uZmxpY3QubmFtZSwgem9uZU5hbWVzKVxuICAgICAgY29uZmxpY3RLZXlzLmFkZChbem9uZU5hbWUsIGhvc3ROYW1lLCBjb25mbGljdC50eXBlXS5qb2luKCcgJykpXG4gICAgfSBjYXRjaCAoZXJyOiBhbnkpIHtcbiAgICAgIGNvbnRpbnVlXG4gICAgfVxuICB9XG4gIGZvciAoY29uc3Qgem9uZU5hbWUgb2Ygem9uZU5hbWVzKSB7XG4gICAgbGV0IHpvbmVSZWNvcmRzOiBEbnNSZWNvcmRbXVxuICAgIHRyeSB7XG4gICAgICB6b25lUmVjb3JkcyA9IGF3YWl0IGdldFpvbmVSZWNvcmRzKHByb3ZpZGVyLCB6b25lTmFtZSwgY2FjaGUpXG4gICAgfSBjYXRjaCAoZXJyOiBhbnkpIHtcbiAgICAgIHBsYW4ucHVzaChjcmVhdGVFcnJvclBsYW5FbnRyeSh6b25lTmFtZSwgJycsIGVyciwgem9uZU5hbWUpKVxuICAgICAgY29udGludWVcbiAgICB9XG4gICAgY29uc3QgbWFya2VycyA9IHpvbmVSZWNvcmRzXG4gICAgICAubWFwKChyZWNvcmQpID0+ICh7IHJlY29yZCwgbWFya2VyOiBwYXJzZU93bmVyc2hpcE1hcmtlcihyZWNvcmQpISB9KSlcbiAgICAgIC5maWx0ZXIoKHsgbWFya2VyIH0pID0+IG1hcmtlcilcbiAgICAgIC5tYXAoKHsgcmVjb3JkLCBtYXJrZXIgfSkgPT4ge1xuICAgICAgICBjb25zdCBrZXkgPSBbem9uZU5hbWUsIG1hcmtlci5ob3N0TmFtZSwgbWFya2VyLnR5cGVdLmpvaW4oJyAnKVxuICAgICAgICAvLyBBIHN0YWxlIG1hcmtlciBiZWxvbmdzIHRvIGEgc3RhY2sgaW4gc2NvcGUgdGhhdCBubyBsb25nZXIgZXhwb3J0cyB0aGUgaG9zdCBhbmQgdHlwZVxuICAgICAgICBjb25zdCBzdGFsZSA9XG4gICAgICAgICAgIWRlc2lyZWRNYXJrZXJLZXlzLmhhcyhrZXkgKyAnICcgKyBtYXJrZXIuc3RhY2tJZCkgJiZcbiAgICAgICAgICAhaW52YWxpZFN0YWNrSWRzLmhhcyhtYXJrZXIuc3RhY2tJZCkgJiZcbiAgICAgICAgICAhY29uZmxpY3RLZXlzLmhhcyhrZXkpICYmXG4gICAgICAgICAgaXNTdGFja0luU2NvcGUobWFya2VyLnN0YWNrSWQsIHN0YWNrTmFtZXMsIHN0YWNrU2NvcGVzKVxuICAgICAgICByZXR1cm4geyByZWNvcmQsIG1hcmtlciwga2V5LCBzdGFsZSB9XG4gICAgICB9KVxuICAgIGNvbnN0IGRlbGV0ZWRLZXlzID0gbmV3IFNldDxzdHJpbmc+KClcbiAgICBmb3IgKGNvbnN0IHsgcmVjb3JkOiBtYXJrZXJSZWNvcmQsIG1hcmtlciwga2V5LCBzdGFsZSB9IG9mIG1hcmtlcnMpIHtcbiAgICAgIGlmICghc3RhbGUpIHtcbiAgICAgICAgY29udGludWVcbiAgICAgIH1cbiAgICAgIC8vIERlbGV0ZSB0aGUgb3duZWQgcmVjb3JkcyB0b28sIHVubGVzcyBhbiBleHBvcnQgb3IgYW5vdGhlciBzdGFjaydzIG1hcmtlciBzdGlsbCBjbGFpbXMgdGhlbVxuICAgICAgY29uc3QgY2xhaW1lZCA9IGRlc2lyZWRLZXlzLmhhcyhrZXkpIHx8IG1hcmtlcnMuc29tZSgob3RoZXIpID0+IG90aGVyLmtleSA9PT0ga2V5ICYmICFvdGhlci5zdGFsZSlcbiAgICAgIGNvbnN0IHVucGxhbm5lZFJlY29yZFNldCA9IHVucGxhbm5lZFJlY29yZFNldHNCeUtleS5nZXQoa2V5KVxuICAgICAgaWYgKHVucGxhbm5lZFJlY29yZFNldCAmJiAhZGVsZXRlZEtleXMuaGFzKGtleSkpIHtcbiAgICAgICAgLy8gT3RoZXIgc3RhY2tzIHN0aWxsIGV4cG9ydCB0aGUgaG9zdCBhbmQgdHlwZSwgc28gb25seSB0aGUgdmFsdWVzIHRoaXMgc3RhY2sgbm8gbG9uZ2VyIGV4cG9ydHMgYXJlIGRlbGV0ZWRcbiAgICAgICAgZGVsZXRlZEtleXMuYWRkKGtleSlcbiAgICAgICAgdHJ5IHtcbiAgICAgICAgICBwbGFuLnB1c2goLi4uKGF3YWl0IHBsYW5SZWNvcmRTZXQocHJvdmlkZXIsIHVucGxhbm5lZFJlY29yZFNldCwgY2FjaGUpKSlcbiAgICAgICAgfSBjYXRjaCAoZXJyOiBhbnkpIHtcbiAgICAgICAgICBwbGFuLnB1c2goY3JlYXRlRXJyb3JQbGFuRW50cnkodW5wbGFubmVkUmVjb3JkU2V0WzBdLm5hbWUsIHVucGxhbm5lZFJlY29yZFNldFswXS50eXBlLCBlcnIpKVxuICAgICAgICB9XG4gICAgICB9IGVsc2UgaWYgKCFjbGFpbWVkICYmICFkZWxldGVkS2V5cy5oYXMoa2V5KSkge1xuICAgICAgICBkZWxldGVkS2V5cy5hZGQoa2V5KVxuICAgICAgICBjb25zdCBuYW1lID0gbWFya2VyLmhvc3ROYW1lID8gbWFya2VyLmhvc3ROYW1lICsgJy4nICsgem9uZU5hbWUgOiB6b25lTmFtZVxuICAgICAgICBmb3IgKGNvbnN0IHJlY29yZCBvZiB6b25lUmVjb3Jkcykge1xuICAgICAgICAgIGlmIChyZWNvcmQuaG9zdCA9PT0gbWFya2VyLmhvc3ROYW1lICYmIHJlY29yZC50eXBlID09PSBtYXJrZXIudHlwZSkge1xuICAgICAgICAgICAgcGxhbi5wdXNoKHtcbiAgICAgICAgICAgICAgYWN0aW9uOiAnZGVsZXRlJyxcbiAgICAgICAgICAgICAgbmFtZTogbmFtZSxcbiAgICAgICAgICAgICAgdHlwZTogbWFya2VyLnR5cGUsXG4gICAgICAgICAgICAgIHpvbmVOYW1lOiB6b25lTmFtZSxcbiAgICAgICAgICAgICAgaG9zdE5hbWU6IG1hcmtlci5ob3N0TmFtZSxcbiAgICAgICAgICAgICAgcmVjb3JkSWQ6IHJlY29yZC5pZCxcbiAgICAgICAgICAgICAgb2xkVHRsOiByZWNvcmQudHRsLFxuICAgICAgICAgICAgICBvbGRWYWx1ZTogcmVjb3JkLnZhbHVlLFxuICAgICAgICAgICAgfSlcbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgIH1cbiAgICAgIHBsYW4ucHVzaCh7XG4gICAgICAgIGFjdGlvbjogJ2RlbGV0ZScsXG4gICAgICAgIG5hbWU6IG1hcmtlclJlY29yZC5ob3N0ICsgJy4nICsgem9uZU5hbWUsXG4gICAgICAgIHR5cGU6ICdUWFQnLFxuICAgICAgICB6b25lTmFtZTogem9uZU5hbWUsXG4gICAgICAgIGhvc3ROYW1lOiBtYXJrZXJSZWNvcmQuaG9zdCxcbiAgICAgICAgcmVjb3JkSWQ6IG1hcmtlclJlY29yZC5pZCxcbiAgICAgICAgb2xkVHRsOiBtYXJrZXJSZWNvcmQudHRsLFxuICAgICAgICBvbGRWYWx1ZTogbWFya2VyUmVjb3JkLnZhbHVlLFxuICAgICAgfSlcbiAgICB9XG4gIH1cbiAgcmV0dXJuIHBsYW5cbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIHBsYW5TeW5jKFxuICBwcm92aWRlcjogRG5zUHJvdmlkZXIsXG4gIGRlc2lyZWRSZWNvcmRzOiBEZXNpcmVkUmVjb3JkW10sXG4gIHN0YWNrTmFtZXM6IHN0cmluZ1tdLFxuICBwcnVuZTogYm9vbGVhbixcbiAgb3B0aW9uczogU3luY09wdGlvbnMgPSB7fVxuKTogUHJvbWlzZTxQbGFuRW50cnlbXT4ge1xuICBjb25zdCBjYWNoZTogU3luY0NhY2hlID0geyByZWNvcmRzOiB7fSB9XG4gIC8vIE9ubHkgcmVjb3JkIHNldHMgd2l0aCB2YWx1ZXMgZnJvbSB0aGUgZ2l2ZW4gc3RhY2tzIGFyZSB3cml0dGVuLCBidXQgdGhleSBhcmUgcmVjb25jaWxlZCBhZ2FpbnN0IHRoZSB2YWx1ZXMgb2YgYWxsIHN0YWNrc1xuICBjb25zdCBhbGxEZXNpcmVkUmVjb3JkU2V0cyA9IGdyb3VwRGVzaXJlZFJlY29yZFNldHMoZGVzaXJlZFJlY29yZHMpXG4gIGNvbnN0IGRlc2lyZWRSZWNvcmRTZXRzID0gYWxsRGVzaXJlZFJlY29yZFNldHMuZmlsdGVyKChkZXNpcmVkUmVjb3JkU2V0KSA9PlxuICAgIGRlc2lyZWRSZWNvcmRTZXQuc29tZSgoZGVzaXJlZFJlY29yZCkgPT4gbWF0Y2hlc1N0YWNrTmFtZXMoZGVzaXJlZFJlY29yZC5zdGFja0lkLCBzdGFja05hbWVzKSlcbiAgKVxuICBjb25zdCByZWNvcmRTZXRQbGFucyA9IGF3YWl0IG1hcENvbmN1cnJlbnRseShkZXNpcmVkUmVjb3JkU2V0cywgb3B0aW9ucy5jb25jdXJyZW5jeSB8fCBkZWZhdWx0Q29uY3VycmVuY3ksIGFzeW5jIChkZXNpcmVkUmVjb3JkU2V0KSA9PiB7XG4gICAgdHJ5IHtcbiAgICAgIGNvbnN0IHJlY29yZFNldFBsYW4gPSBhd2FpdCBwbGFuUmVjb3JkU2V0KHByb3ZpZGVyLCBkZXNpcmVkUmVjb3JkU2V0LCBjYWNoZSlcbiAgICAgIGlmIChwcnVuZSkge1xuICAgICAgICByZWNvcmRTZXRQbGFuLnB1c2goLi4uKGF3YWl0IHBsYW5Pd25lcnNoaXBNYXJrZXJzKHByb3ZpZGVyLCBkZXNpcmVkUmVjb3JkU2V0LCBzdGFja05hbWVzLCBjYWNoZSkpKVxuICAgICAgfVxuICAgICAgcmV0dXJuIHJlY29yZFNldFBsYW5cbiAgICB9IGNhdGNoIChlcnI6IGFueSkge1xuICAgICAgLy8gQSBtaXNzaW5nIHpvbmUgb3IgYSBmYWlsZWQgbG9va3VwIG9ubHkgZmFpbHMgdGhpcyByZWNvcmQgc2V0XG4gICAgICByZXR1cm4gW2NyZWF0ZUVycm9yUGxhbkVudHJ5KGRlc2lyZWRSZWNvcmRTZXRbMF0ubmFtZSwgZGVzaXJlZFJlY29yZFNldFswXS50eXBlLCBlcnIpXVxuICAgIH1cbiAgfSlcbiAgY29uc3QgaW52YWxpZEV4cG9ydHMgPSAob3B0aW9ucy5pbnZhbGlkRXhwb3J0cyB8fCBbXSkuZmlsdGVyKChpbnZhbGlkRXhwb3J0KSA9PiBtYXRjaGVzU3RhY2tOYW1lcyhpbnZhbGlkRXhwb3J0LnN0YWNrSWQsIHN0YWNrTmFtZXMpKVxuICBjb25zdCBjb25mbGljdHMgPSAob3B0aW9ucy5jb25mbGljdHMgfHwgW10pLmZpbHRlcigoY29uZmxpY3QpID0+IGNvbmZsaWN0LnN0YWNrSWRzLnNvbWUoKHN0YWNrSWQpID0+IG1hdGNoZXNTdGFja05hbWVzKHN0YWNrSWQsIHN0YWNrTmFtZXMpKSlcbiAgY29uc3QgcGxhbiA9IChbXSBhcyBQbGFuRW50cnlbXSkuY29uY2F0KFxuICAgIGludmFsaWRFeHBvcnRzLm1hcCgoaW52YWxpZEV4cG9ydCkgPT4gY3JlYXRlRXJyb3JQbGFuRW50cnkoaW52YWxpZEV4cG9ydC5leHBvcnROYW1lLCAnJywgbmV3IEVycm9yKGludmFsaWRFeHBvcnQuZXJyb3IpKSksXG4gICAgY29uZmxpY3RzLm1hcCgoY29uZmxpY3QpID0+IGNyZWF0ZUVycm9yUGxhbkVudHJ5KGNvbmZsaWN0Lm5hbWUsIGNvbmZsaWN0LnR5cGUsIG5ldyBFcnJvcihjb25mbGljdC5lcnJvcikpKSxcbiAgICAuLi5yZWNvcmRTZXRQbGFuc1xuICApXG4gIGlmIChwcnVuZSkge1xuICAgIGNvbnN0IHVucGxhbm5lZFJlY29yZFNldHMgPSBhbGxEZXNpcmVkUmVjb3JkU2V0cy5maWx0ZXIoKGRlc2lyZWRSZWNvcmRTZXQpID0+ICFkZXNpcmVkUmVjb3JkU2V0cy5pbmNsdWRlcyhkZXNpcmVkUmVjb3JkU2V0KSlcbiAgICBwbGFuLnB1c2goXG4gICAgICAuLi4oYXdhaXQgcGxhblBydW5lKFxuICAgICAgICBwcm92aWRlcixcbiAgICAgICAgZGVzaXJlZFJlY29yZHMsXG4gICAgICAgIHVucGxhbm5lZFJlY29yZFNldHMsXG4gICAgICAgIHN0YWNrTmFtZXMsXG4gICAgICAgIG9wdGlvbnMuc3RhY2tTY29wZXMsXG4gICAgICAgIG9wdGlvbnMuaW52YWxpZEV4cG9ydHMgfHwgW10sXG4gICAgICAgIG9wdGlvbnMuY29uZmxpY3RzIHx8IFtdLFxuICAgICAgICBjYWNoZVxuICAgICAgKSlcbiAgICApXG4gIH1cbiAgcmV0dXJuIHBsYW5cbn1cblxuZXhwb3J0IGFzeW5jIGZ1bmN0aW9uIGFwcGx5UGxhbkVudHJ5KHByb3ZpZGVyOiBEbnNQcm92aWRlciwgcGxhbkVudHJ5OiBQbGFuRW50cnkpIHtcbiAgY29uc3QgeyBhY3Rpb24sIG5hbWUsIHR5cGUsIHpvbmVOYW1lLCBob3N0TmFtZSwgcmVjb3JkSWQsIG9sZFR0bCwgb2xkVmFsdWUsIG5ld1R0bCwgbmV3VmFsdWUgfSA9IHBsYW5FbnRyeVxuICBpZiAoYWN0aW9uID09PSAnZXJyb3InKSB7XG4gICAgLy8gVGhlIHJlY29yZCBzZXQgY291bGQgbm90IGJlIHBsYW5uZWRcbiAgICB0aHJvdyBuZXcgRXJyb3IocGxhbkVudHJ5LmVycm9yKVxuICB9IGVsc2UgaWYgKGFjdGlvbiA9PT0gJ25vb3AnKSB7XG4gICAgLy8gUmVjb3JkIGV4aXN0cyBhbHJlYWR5IC0gbm8gY2hhbmdlXG4gICAgY29uc29sZS5sb2coJ09LJywgbmFtZSwgdHlwZSwgbmV3VHRsLCBuZXdWYWx1ZSwgJ1pPTkUnLCB6b25lTmFtZSwgJ0hPU1QnLCBob3N0TmFtZSlcbiAgfSBlbHNlIGlmIChhY3Rpb24gPT09ICd1cGRhdGUnKSB7XG4gICAgLy8gVXBkYXRlIHJlY29yZFxuICAgIGNvbnNvbGUubG9nKCdVUERBVEUnLCBuYW1lLCB0eXBlLCBuZXdUdGwsIG5ld1ZhbHVlLCAnWk9ORScsIHpvbmVOYW1lLCAnSE9TVCcsIGhvc3ROYW1lKVxuICAgIGF3YWl0IHByb3ZpZGVyLm1vZGlmeVJlY29yZCh6b25lTmFtZSwgcmVjb3JkSWQhLCB7IGhvc3Q6IGhvc3ROYW1lLCB0eXBlOiB0eXBlLCB2YWx1ZTogbmV3VmFsdWUhLCB0dGw6IG5ld1R0bCEgfSlcbiAgfSBlbHNlIGlmIChhY3Rpb24gPT09ICdkZWxldGUnKSB7XG4gICAgLy8gRGVsZXRlIHJlY29yZFxuICAgIGNvbnNvbGUubG9nKCdERUxFVEUnLCBuYW1lLCB0eXBlLCBvbGRUdGwsIG9sZFZhbHVlLCAnWk9ORScsIHpvbmVOYW1lLCAnSE9TVCcsIGhvc3ROYW1lKVxuICAgIGF3YWl0IHByb3ZpZGVyLmRlbGV0ZVJlY29yZCh6b25lTmFtZSwgcmVjb3JkSWQhKVxuICB9IGVsc2Uge1xuICAgIC8vIENyZWF0ZSByZWNvcmRcbiAgICBjb25zb2xlLmxvZygnQ1JFQVRFJywgbmFtZSwgdHlwZSwgbmV3VHRsLCBuZXdWYWx1ZSwgJ1pPTkUnLCB6b25lTmFtZSwgJ0hPU1QnLCBob3N0TmFtZSlcbiAgICBhd2FpdCBwcm92aWRlci5hZGRSZWNvcmQoem9uZU5hbWUsIHsgaG9zdDogaG9zdE5hbWUsIHR5cGU6IHR5cGUsIHZhbHVlOiBuZXdWYWx1ZSEsIHR0bDogbmV3VHRsISB9KVxuICB9XG59XG5cbmZ1bmN0aW9uIGdldFBsYW5FbnRyeVJlY29yZFNldEtleShwbGFuRW50cnk6IFBsYW5FbnRyeSkge1xuICAvLyBPd25lcnNoaXAgbWFya2VycyBiZWxvbmcgdG8gdGhlIHJlY29yZCBzZXQgdGhleSBtYXJrLCBzbyB0aGV5IGFyZSBhcHBsaWVkIGFmdGVyIHRoZSByZWNvcmRzIG9mIHRoYXQgc2V0XG4gIGNvbnN0IHsgem9uZU5hbWUsIGhvc3ROYW1lLCB0eXBlLCBvbGRWYWx1ZSwgbmV3VmFsdWUgfSA9IHBsYW5FbnRyeVxuICBjb25zdCBtYXJrZXIgPSBwYXJzZU93bmVyc2hpcE1hcmtlcih7IGhvc3Q6IGhvc3ROYW1lLCB0eXBlOiB0eXBlLCB2YWx1ZTogbmV3VmFsdWUgfHwgb2xkVmFsdWUgfHwgJycsIHR0bDogJycgfSlcbiAgcmV0dXJuIG1hcmtlciA/IFt6b25lTmFtZSwgbWFya2VyLmhvc3ROYW1lLCBtYXJrZXIudHlwZV0uam9pbignICcpIDogW3pvbmVOYW1lLCBob3N0TmFtZSwgdHlwZV0uam9pbignICcpXG59XG5cbmV4cG9ydCBhc3luYyBmdW5jdGlvbiBhcHBseVBsYW4ocHJvdmlkZXI6IERuc1Byb3ZpZGVyLCBwbGFuOiBQbGFuRW50cnlbXSwgb3B0aW9uczogU3luY09wdGlvbnMgPSB7fSk6IFByb21pc2U8QXBwbHlSZXN1bHQ+IHtcbiAgY29uc3QgcmVzdWx0OiBBcHBseVJlc3VsdCA9IHsgY3JlYXRlOiAwLCB1cGRhdGU6IDAsIG5vb3A6IDAsIGRlbGV0ZTogMCwgZmFpbGVkOiAwLCBmYWlsdXJlczogW10gfVxuICBmb3IgKGNvbnN0IHBsYW5FbnRyeSBvZiBwbGFuLmZpbHRlcigocGxhbkVudHJ5KSA9PiBwbGFuRW50cnkuYWN0aW9uID09PSAnZXJyb3InKSkge1xuICAgIGNvbnNvbGUuZXJyb3IoJ0ZBSUxFRCcsIHBsYW5FbnRyeS5uYW1lLCBwbGFuRW50cnkudHlwZSwgcGxhbkVudHJ5LmVycm9yKVxuICAgIHJlc3VsdC5mYWlsZWQrK1xuICAgIHJlc3VsdC5mYWlsdXJlcy5wdXNoKHsgcGxhbkVudHJ5LCBlcnJvcjogbmV3IEVycm9yKHBsYW5FbnRyeS5lcnJvcikgfSlcbiAgfVxuICAvLyBUaGUgY2hhbmdlcyBvZiBvbmUgcmVjb3JkIHNldCBhcmUgYXBwbGllZCBpbiBwbGFuIG9yZGVyLCBkaWZmZXJlbnQgcmVjb3JkIHNldHMgY29uY3VycmVudGx5XG4gIGNvbnN0IHJlY29yZFNldFBsYW5zID0gbmV3IE1hcDxzdHJpbmcsIFBsYW5FbnRyeVtdPigpXG4gIGZvciAoY29uc3QgcGxhbkVudHJ5IG9mIHBsYW4uZmlsdGVyKChwbGFuRW50cnkpID0+IHBsYW5FbnRyeS5hY3Rpb24gIT09ICdlcnJvcicpKSB7XG4gICAgY29uc3Qga2V5ID0gZ2V0UGxhbkVudHJ5UmVjb3JkU2V0S2V5KHBsYW5FbnRyeSlcbiAgICByZWNvcmRTZXRQbGFucy5zZXQoa2V5LCBbLi4uKHJlY29yZFNldFBsYW5zLmdldChrZXkpIHx8IFtdKSwgcGxhbkVudHJ5XSlcbiAgfVxuICBhd2FpdCBtYXBDb25jdXJyZW50bHkoQXJyYXkuZnJvbShyZWNvcmRTZXRQbGFucy52YWx1ZXMoKSksIG9wdGlvbnMuY29uY3VycmVuY3kgfHwgZGVmYXVsdENvbmN1cnJlbmN5LCBhc3luYyAocmVjb3JkU2V0UGxhbikgPT4ge1xuICAgIGxldCByZWNvcmRTZXRFcnJvcjogRXJyb3IgfCB1bmRlZmluZWRcbiAgICBmb3IgKGNvbnN0IHBsYW5FbnRyeSBvZiByZWNvcmRTZXRQbGFuKSB7XG4gICAgICB0cnkge1xuICAgICAgICBpZiAocmVjb3JkU2V0RXJyb3IpIHtcbiAgICAgICAgICAvLyBLZWVwIHRoZSBvd25lcnNoaXAgbWFya2VyIGFuZCB0aGUgcmVtYWluaW5nIHJlY29yZHMgc28gdGhlIG5leHQgcnVuIGNhbiByZXRyeSB0aGVtXG4gICAgICAgICAgdGhyb3cgbmV3IEVycm9yKCdTa2lwcGVkIGFmdGVyIGFuIGVhcmxpZXIgZmFpbHVyZSBpbiB0aGUgc2FtZSByZWNvcmQgc2V0OiAnICsgcmVjb3JkU2V0RXJyb3IubWVzc2FnZSlcbiAgICAgICAgfVxuICAgICAgICBhd2FpdCBhcHBseVBsYW5FbnRyeShwcm92aWRlciwgcGxhbkVudHJ5KVxuICAgICAgICBpZiAoIWlzT3duZXJzaGlwTWFya2VyRW50cnkocGxhbkVudHJ5KSkge1xuICAgICAgICAgIC8vIE93bmVyc2hpcCBtYXJrZXJzIGFyZSBib29ra2VlcGluZywgb25seSB0aGVpciBmYWlsdXJlcyBhcmUgY291bnRlZFxuICAgICAgICAgIHJlc3VsdFtwbGFuRW50cnkuYWN0aW9uIGFzIEV4Y2x1ZGU8UGxhbkFjdGlvbiwgJ2Vycm9yJz5dKytcbiAgICAgICAgfVxuICAgICAgfSBjYXRjaCAoZXJyOiBhbnkpIHtcbiAgICAgICAgcmVjb3JkU2V0RXJyb3IgPSByZWNvcmRTZXRFcnJvciB8fCBlcnJcbiAgICAgICAgY29uc29sZS5lcnJvcignRkFJTEVEJywgcGxhbkVudHJ5Lm5hbWUsIHBsYW5FbnRyeS50eXBlLCAnWk9ORScsIHBsYW5FbnRyeS56b25lTmFtZSwgJ0hPU1QnLCBwbGFuRW50cnkuaG9zdE5hbWUsIGVyci5tZXNzYWdlKVxuICAgICAgICByZXN1bHQuZmFpbGVkKytcbiAgICAgICAgcmVzdWx0LmZhaWx1cmVzLnB1c2goeyBwbGFuRW50cnksIGVycm9yOiBlcnIgfSlcbiAgICAgIH1cbiAgICB9XG4gIH0pXG4gIHJldHVybiByZXN1bHRcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIHN1bW1hcml6ZVBsYW4ocGxhbjogUGxhbkVudHJ5W10pIHtcbiAgLy8gQ291bnRzIEROUyByZWNvcmRzIG9ubHksIG93bmVyc2hpcCBtYXJrZXJzIGFyZSBsZWZ0IG91dFxuICBjb25zdCByZWNvcmRQbGFuID0gcGxhbi5maWx0ZXIoKHBsYW5FbnRyeSkgPT4gIWlzT3duZXJzaGlwTWFya2VyRW50cnkocGxhbkVudHJ5KSlcbiAgcmV0dXJuIHtcbiAgICBjcmVhdGU6IHJlY29yZFBsYW4uZmlsdGVyKChwbGFuRW50cnkpID0+IHBsYW5FbnRyeS5hY3Rpb24gPT09ICdjcmVhdGUnKS5sZW5ndGgsXG4gICAgdXBkYXRlOiByZWNvcmRQbGFuLmZpbHRlcigocGxhbkVudHJ5KSA9PiBwbGFuRW50cnkuYWN0aW9uID09PSAndXBkYXRlJykubGVuZ3RoLFxuICAgIG5vb3A6IHJlY29yZFBsYW4uZmlsdGVyKChwbGFuRW50cnkpID0+IHBsYW5FbnRyeS5hY3Rpb24gPT09ICdub29wJykubGVuZ3RoLFxuICAgIGRlbGV0ZTogcmVjb3JkUGxhbi5maWx0ZXIoKHBsYW5FbnRyeSkgPT4gcGxhbkVudHJ5LmFjdGlvbiA9PT0gJ2RlbGV0ZScpLmxlbmd0aCxcbiAgICBmYWlsZWQ6IHBsYW4uZmlsdGVyKChwbGFuRW50cnkpID0+IHBsYW5FbnRyeS5hY3Rpb24gPT09ICdlcnJvcicpLmxlbmd0aCxcbiAgfVxufVxuXG5leHBvcnQgZnVuY3Rpb24gcHJpbnRBcHBseVJlc3VsdChyZXN1bHQ6IEFwcGx5UmVzdWx0KSB7XG4gIGNvbnNvbGUubG9nKCdTdW1tYXJ5OicsIHJlc3VsdC5jcmVhdGUsICdjcmVhdGVkLCcsIHJlc3VsdC51cGRhdGUsICd1cGRhdGVkLCcsIHJlc3VsdC5kZWxldGUsICdkZWxldGVkLCcsIHJlc3VsdC5ub29wLCAndW5jaGFuZ2VkLCcsIHJlc3VsdC5mYWlsZWQsICdmYWlsZWQuJylcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIHByaW50UGxhbihwbGFuOiBQbGFuRW50cnlbXSkge1xuICBmb3IgKGNvbnN0IHBsYW5FbnRyeSBvZiBwbGFuKSB7XG4gICAgY29uc3QgeyBhY3Rpb24sIG5hbWUsIHR5cGUsIHpvbmVOYW1lLCBob3N0TmFtZSwgb2xkVHRsLCBvbGRWYWx1ZSwgbmV3VHRsLCBuZXdWYWx1ZSB9ID0gcGxhbkVudHJ5XG4gICAgaWYgKGFjdGlvbiA9PT0gJ25vb3AnKSB7XG4gICAgICBjb25zb2xlLmxvZygnICBPSyAgICAnLCBuYW1lLCB0eXBlLCBuZXdUdGwsIG5ld1ZhbHVlLCAnWk9ORScsIHpvbmVOYW1lLCAnSE9TVCcsIGhvc3ROYW1lKVxuICAgIH0gZWxzZSBpZiAoYWN0aW9uID09PSAndXBkYXRlJykge1xuICAgICAgY29uc29sZS5sb2coJ34gVVBEQVRFJywgbmFtZSwgdHlwZSwgJ1pPTkUnLCB6b25lTmFtZSwgJ0hPU1QnLCBob3N0TmFtZSlcbiAgICAgIGNvbnNvbGUubG9nKCcgICAgdHRsICAnLCBvbGRUdGwsICctPicsIG5ld1R0bClcbiAgICAgIGNvbnNvbGUubG9nKCcgICAgdmFsdWUnLCBvbGRWYWx1ZSwgJy0+JywgbmV3VmFsdWUpXG4gICAgfSBlbHNlIGlmIChhY3Rpb24gPT09ICdkZWxldGUnKSB7XG4gICAgICBjb25zb2xlLmxvZygnLSBERUxFVEUnLCBuYW1lLCB0eXBlLCBvbGRUdGwsIG9sZFZhbHVlLCAnWk9ORScsIHpvbmVOYW1lLCAnSE9TVCcsIGhvc3ROYW1lKVxuICAgIH0gZWxzZSBpZiAoYWN0aW9uID09PSAnZXJyb3InKSB7XG4gICAgICBjb25zb2xlLmxvZygnISBFUlJPUiAnLCBuYW1lLCB0eXBlLCBwbGFuRW50cnkuZXJyb3IpXG4gICAgfSBlbHNlIHtcbiAgICAgIGNvbnNvbGUubG9nKCcrIENSRUFURScsIG5hbWUsIHR5cGUsIG5ld1R0bCwgbmV3VmFsdWUsICdaT05FJywgem9uZU5hbWUsICdIT1NUJywgaG9zdE5hbWUpXG4gICAgfVxuICB9XG4gIGNvbnN0IHN1bW1hcnkgPSBzdW1tYXJpemVQbGFuKHBsYW4pXG4gIGNvbnNvbGUubG9nKFxuICAgICdQbGFuOicsXG4gICAgc3VtbWFyeS5jcmVhdGUsXG4gICAgJ3RvIGNyZWF0ZSwnLFxuICAgIHN1bW1hcnkudXBkYXRlLFxuICAgICd0byB1cGRhdGUsJyxcbiAgICBzdW1tYXJ5LmRlbGV0ZSxcbiAgICAndG8gZGVsZXRlLCcsXG4gICAgc3VtbWFyeS5ub29wLFxuICAgICd1bmNoYW5nZWQsJyxcbiAgICBzdW1tYXJ5LmZhaWxlZCxcbiAgICAnZmFpbGVkLidcbiAgKVxufVxuIl19
\ No newline at end of file
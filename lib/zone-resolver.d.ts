@@ -0,0 +1,8 @@
+/**
+ * Resolves record names to a zone and host name using the list of zones in the DNS account.
+ */
+export declare function normalizeRecordName(name: string): string;
+export declare function resolveHostAndZone(name: string, zoneNames: string[]): {
+    hostName: string;
+    zoneName: string;
+};
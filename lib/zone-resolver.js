@@ -0,0 +1,34 @@
+"use strict";
+/**
+ * Resolves record names to a zone and host name using the list of zones in the DNS account.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.normalizeRecordName = normalizeRecordName;
+exports.resolveHostAndZone = resolveHostAndZone;
+function normalizeRecordName(name) {
+    // Names are case-insensitive and may be given with a trailing dot or an @ label for the zone apex
+    return name
+        .toLowerCase()
+        .replace(/\.$/, '')
+        .split('.')
+        .filter((namePart, index) => !(index === 0 && namePart === '@'))
+        .join('.');
+}
+function resolveHostAndZone(name, zoneNames) {
+    const nameParts = normalizeRecordName(name).split('.');
+    const zoneNameSet = new Set(zoneNames.map((zoneName) => zoneName.toLowerCase().replace(/\.$/, '')));
+    // Try the longest suffix first, so a delegated child zone wins over its parent zone
+    const candidateZoneNames = [];
+    for (let i = 0; i < nameParts.length; i++) {
+        const zoneName = nameParts.slice(i).join('.');
+        if (zoneNameSet.has(zoneName)) {
+            return {
+                hostName: nameParts.slice(0, i).join('.'),
+                zoneName: zoneName,
+            };
+        }
+        candidateZoneNames.push(zoneName);
+    }
+    throw new Error('Zone Not Found: ' + name + ' (none of ' + candidateZoneNames.join(', ') + ' is a zone in the account)');
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiem9uZS1yZXNvbHZlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uL3NyYy96b25lLXJlc29sdmVyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7QUFBQTs7R0FFRzs7QUFFSCxrREFRQztBQUVELGdEQWlCQztBQTNCRCxTQUFnQixtQkFBbUIsQ0FBQyxJQUFZO0lBQzlDLGtHQUFrRztJQUNsRyxPQUFPLElBQUk7U0FDUixXQUFXLEVBQUU7U0FDYixPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQztTQUNsQixLQUFLLENBQUMsR0FBRyxDQUFDO1NBQ1YsTUFBTSxDQUFDLENBQUMsUUFBUSxFQUFFLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEtBQUssS0FBSyxDQUFDLElBQUksUUFBUSxLQUFLLEdBQUcsQ0FBQyxDQUFDO1NBQy9ELElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQTtBQUNkLENBQUM7QUFFRCxTQUFnQixrQkFBa0IsQ0FBQyxJQUFZLEVBQUUsU0FBbUI7SUFDbEUsTUFBTSxTQUFTLEdBQUcsbUJBQW1CLENBQUMsSUFBSSxDQUFDLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFBO0lBQ3RELE1BQU0sV0FBVyxHQUFHLElBQUksR0FBRyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQTtJQUVuRyxvRkFBb0Y7SUFDcEYsTUFBTSxrQkFBa0IsR0FBYSxFQUFFLENBQUE7SUFDdkMsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQztRQUMxQyxNQUFNLFFBQVEsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQTtRQUM3QyxJQUFJLFdBQVcsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQztZQUM5QixPQUFPO2dCQUNMLFFBQVEsRUFBRSxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDO2dCQUN6QyxRQUFRLEVBQUUsUUFBUTthQUNuQixDQUFBO1FBQ0gsQ0FBQztRQUNELGtCQUFrQixDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQTtJQUNuQyxDQUFDO0lBQ0QsTUFBTSxJQUFJLEtBQUssQ0FBQyxrQkFBa0IsR0FBRyxJQUFJLEdBQUcsWUFBWSxHQUFHLGtCQUFrQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyw0QkFBNEIsQ0FBQyxDQUFBO0FBQzFILENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIFJlc29sdmVzIHJlY29yZCBuYW1lcyB0byBhIHpvbmUgYW5kIGhvc3QgbmFtZSB1c2luZyB0aGUgbGlzdCBvZiB6b25lcyBpbiB0aGUgRE5TIGFjY291bnQuXG4gKi9cblxuZXhwb3J0IGZ1bmN0aW9uIG5vcm1hbGl6ZVJlY29yZE5hbWUobmFtZTogc3RyaW5nKSB7XG4gIC8vIE5hbWVzIGFyZSBjYXNlLWluc2Vuc2l0aXZlIGFuZCBtYXkgYmUgZ2l2ZW4gd2l0aCBhIHRyYWlsaW5nIGRvdCBvciBhbiBAIGxhYmVsIGZvciB0aGUgem9uZSBhcGV4XG4gIHJldHVybiBuYW1lXG4gICAgLnRvTG93ZXJDYXNlKClcbiAgICAucmVwbGFjZSgvXFwuJC8sICcnKVxuICAgIC5zcGxpdCgnLicpXG4gICAgLmZpbHRlcigobmFtZVBhcnQsIGluZGV4KSA9PiAhKGluZGV4ID09PSAwICYmIG5hbWVQYXJ0ID09PSAnQCcpKVxuICAgIC5qb2luKCcuJylcbn1cblxuZXhwb3J0IGZ1bmN0aW9uIHJlc29sdmVIb3N0QW5kWm9uZShuYW1lOiBzdHJpbmcsIHpvbmVOYW1lczogc3RyaW5nW10pIHtcbiAgY29uc3QgbmFtZVBhcnRzID0gbm9ybWFsaXplUmVjb3JkTmFtZShuYW1lKS5zcGxpdCgnLicpXG4gIGNvbnN0IHpvbmVOYW1lU2V0ID0gbmV3IFNldCh6b25lTmFtZXMubWFwKCh6b25lTmFtZSkgPT4gem9uZU5hbWUudG9Mb3dlckNhc2UoKS5yZXBsYWNlKC9cXC4kLywgJycpKSlcblxuICAvLyBUcnkgdGhlIGxvbmdlc3Qgc3VmZml4IGZpcnN0LCBzbyBhIGRlbGVnYXRlZCBjaGlsZCB6b25lIHdpbnMgb3ZlciBpdHMgcGFyZW50IHpvbmVcbiAgY29uc3QgY2FuZGlkYXRlWm9uZU5hbWVzOiBzdHJpbmdbXSA9IFtdXG4gIGZvciAobGV0IGkgPSAwOyBpIDwgbmFtZVBhcnRzLmxlbmd0aDsgaSsrKSB7XG4gICAgY29uc3Qgem9uZU5hbWUgPSBuYW1lUGFydHMuc2xpY2UoaSkuam9pbignLicpXG4gICAgaWYgKHpvbmVOYW1lU2V0Lmhhcyh6b25lTmFtZSkpIHtcbiAgICAgIHJldHVybiB7XG4gICAgICAgIGhvc3ROYW1lOiBuYW1lUGFydHMuc2xpY2UoMCwgaSkuam9pbignLicpLFxuICAgICAgICB6b25lTmFtZTogem9uZU5hbWUsXG4gICAgICB9XG4gICAgfVxuICAgIGNhbmRpZGF0ZVpvbmVOYW1lcy5wdXNoKHpvbmVOYW1lKVxuICB9XG4gIHRocm93IG5ldyBFcnJvcignWm9uZSBOb3QgRm91bmQ6ICcgKyBuYW1lICsgJyAobm9uZSBvZiAnICsgY2FuZGlkYXRlWm9uZU5hbWVzLmpvaW4oJywgJykgKyAnIGlzIGEgem9uZSBpbiB0aGUgYWNjb3VudCknKVxufVxuIl19
\ No newline at end of file
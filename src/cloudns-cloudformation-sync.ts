@@ -14,199 +14,279 @@
  * The above example will generate the following record in the ClouDNS zone example.org:
  * myhost.example.org CNAME xxxxxxxxxxxxxx.cloudfront.net
  *
+ * The zone is the longest zone name in the ClouDNS account that matches the end of the record name.
+ *
  * Other resource types are also allowed (A, AAAA, ALIAS, etc).
  *
- * Command line usage: AWS_PROFILE=xxx ts-node cloudns-cloudformation-sync.ts <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]
+ * Several values for the same host and type can be given as a comma-separated list in the export value by adding
+ * the -list option to the type (ClouDNS:A-list:www:example:org), with double quotes around values that contain commas.
+ * Without -list the export value is used as-is. Several exports can also target the same host and type
+ * by adding a suffix to the type (ClouDNS:TXT-google:example:org, ClouDNS:TXT-spf:example:org).
+ * All existing records of the host and type are reconciled against the full list of values.
+ *
+ * The type can also carry a per-record TTL (ClouDNS:MX-ttl3600:example:org). MX, SRV and CAA values use the
+ * zone file syntax: "<priority> <host>", "<priority> <weight> <port> <target>" and "<flag> <tag> <value>".
+ * A host part starting with a hyphen is an underscore, since export names cannot contain underscores
+ * (ClouDNS:SRV:-sip:-tcp:example:org = _sip._tcp.example.org).
+ *
+ * Command line usage: AWS_PROFILE=xxx ts-node cloudns-cloudformation-sync.ts [options] --username <cloudns-username> --password-parameter <cloudns-password-parameter-name>
+ *
+ * --username <username> - ClouDNS API sub-auth-user
+ * --password-parameter <name> - SSM Parameter with the encrypted ClouDNS API password
+ * --ttl <ttl> - Optional TTL for generated records (defaults to 300)
+ * --stack <stackName> - Optional CloudFormation stack name(s) to limit the records to sync (defaults to all stacks)
+ * --region <region> - Optional AWS region(s) to read the exports from (the first one is also used for SSM)
+ * --role-arn <arn> - Optional IAM role(s) to assume for reading exports in other accounts
+ * --profile <profile> - Optional AWS profile
+ * --config <file> - JSON or YAML config file describing one or more sync targets
+ * --dry-run - Only print the planned creates and updates (old vs new TTL and value) without changing ClouDNS
+ * --json - With --dry-run, print the plan as JSON to stdout (other output goes to stderr)
+ * --prune - Mark synced records as owned by this tool and delete owned records whose export has disappeared
+ * --concurrency <n> - Optional number of record sets to sync at the same time (defaults to 4)
+ *
+ * Failed ClouDNS calls are retried when the failure is transient. Records that still fail, and record sets or
+ * targets that could not be planned (for instance a missing zone or an invalid export), are reported in the
+ * summary at the end of the run while the rest is synced, and the exit code is non-zero.
  *
- * AWS_PROFILE=xxx - Specify your AWS profile in ~/.aws/credentials as an environment variable
- * <cloudns-username> - ClouDNS API sub-auth-user
- * <cloudns-password-parameter-name> - SSM Parameter with the encrypted ClouDNS API password
- * [ttl] - Optional TTL for generated records (defaults to 300)
- * [stackName...] - Optional CloudFormation stack name(s) to limit the exports to scan (defaults to all stacks)
+ * The old positional form <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]] is also supported.
  */
 import { SSMClient, GetParameterCommand } from '@aws-sdk/client-ssm'
 import { CloudFormationClient, ListExportsCommand, ListExportsOutput } from '@aws-sdk/client-cloudformation'
-import * as querystring from 'querystring'
+import { STSClient, GetCallerIdentityCommand } from '@aws-sdk/client-sts'
+import { fromTemporaryCredentials } from '@aws-sdk/credential-providers'
+import { createCloudnsProvider } from './cloudns-provider'
+import { SyncTarget, parseCommandLine, usage } from './config'
+import { DesiredRecord, InvalidExport, parseExport } from './records'
+import {
+  ApplyResult,
+  DesiredRecordConflict,
+  PlanEntry,
+  applyPlan,
+  StackScope,
+  mapConcurrently,
+  mergeDesiredRecords,
+  planSync,
+  printApplyResult,
+  printPlan,
+  summarizePlan,
+} from './sync'
+
+export * from './config'
+export * from './dns-provider'
+export * from './cloudns-provider'
+export * from './memory-provider'
+export * from './records'
+export * from './sync'
+export * from './zone-resolver'
 
 // Load ~/.aws/config
 process.env.AWS_SDK_LOAD_CONFIG = '1'
 
-type CloudnsRestCallResponse = any
-
-async function cloudnsRestCall(cloudnsUsername: string, cloudnsPassword: string, method: string, relativeUrl: string, queryOptions: any): Promise<CloudnsRestCallResponse> {
-  let fullUrl =
-    'https://api.cloudns.net' +
-    relativeUrl +
-    '?' +
-    querystring.stringify(
-      Object.assign(
-        {
-          'sub-auth-user': cloudnsUsername,
-          'auth-password': cloudnsPassword,
-        },
-        queryOptions || {}
-      )
-    )
+interface ExportSource {
+  region?: string
+  profile?: string
+  roleArn?: string
+}
 
-  // console.log('Note: Calling', fullUrl)
+function getExportSourceName(exportSource: ExportSource) {
+  return (exportSource.region || 'default region') + (exportSource.roleArn ? ' ' + exportSource.roleArn : '')
+}
 
-  const response = await fetch(fullUrl, {
-    method: method,
-    headers: {
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-  })
-  if (!response.ok) {
-    const errorText = await response.text()
-    console.error('HTTP Error', response.status, response.statusText, errorText)
-    throw new Error(errorText)
-  }
-  const parsedResponse: CloudnsRestCallResponse = await response.json()
-  return parsedResponse
+export interface TargetExports {
+  desiredRecords: DesiredRecord[]
+  // Regions and accounts that were read, so prune can leave the records of stacks elsewhere alone (only looked up for prune)
+  stackScopes: StackScope[]
+  invalidExports: InvalidExport[]
+  // Record sets that the sources define differently, reported as failed instead of synced
+  conflicts: DesiredRecordConflict[]
 }
 
-async function autoDetectCloudnsHostAndZone(cloudnsUsername: string, cloudnsPassword: string, name: string, zoneCache: any) {
-  const nameParts = name.split('.')
-
-  // Zone and host name for xxx.tld
-  const hostName1 = nameParts.slice(0, nameParts.length - 2).join('.')
-  const zoneName1 = nameParts.slice(nameParts.length - 2).join('.')
-
-  // Zone and host name for xxx.subtld.tld
-  const hostName2 = nameParts.slice(0, nameParts.length - 3).join('.')
-  const zoneName2 = nameParts.slice(nameParts.length - 3).join('.')
-
-  // Check which zone exists
-  const zoneResponse1 =
-    zoneCache[zoneName1] ||
-    (await cloudnsRestCall(cloudnsUsername, cloudnsPassword, 'GET', '/dns/get-zone-info.json', {
-      'domain-name': zoneName1,
-    }))
-  zoneCache[zoneName1] = zoneResponse1
-  const zoneResponse2 =
-    zoneCache[zoneName2] ||
-    (await cloudnsRestCall(cloudnsUsername, cloudnsPassword, 'GET', '/dns/get-zone-info.json', {
-      'domain-name': zoneName2,
-    }))
-  zoneCache[zoneName2] = zoneResponse2
-
-  // console.log('Note: Response for host', hostName1, 'in zone', zoneName1, ':', zoneResponse1)
-  // console.log('Note: Response for host', hostName2, 'in zone', zoneName2, ':', zoneResponse2)
-
-  const zoneName = zoneResponse1.status === '1' ? zoneName1 : zoneResponse2.status === '1' ? zoneName2 : ''
-  const hostName = zoneResponse1.status === '1' ? hostName1 : zoneResponse2.status === '1' ? hostName2 : ''
-  if (!zoneName) {
-    // Neither zone exists
-    throw new Error('Zone Not Found: ' + name)
-  }
-  return {
-    hostName: hostName,
-    zoneName: zoneName,
+async function getExportSourceScope(cloudFormation: CloudFormationClient, exportSource: ExportSource): Promise<StackScope> {
+  const { profile, roleArn } = exportSource
+  const region = await cloudFormation.config.region()
+  if (roleArn) {
+    // arn:aws:iam::<account>:role/<name>
+    return { region, accountId: roleArn.split(':')[4] }
   }
+  const sts = new STSClient({ region, profile })
+  const identity = await sts.send(new GetCallerIdentityCommand({}))
+  return { region, accountId: identity.Account || '' }
 }
 
-async function createOrUpdateCloudnsResource(
-  cloudnsUsername: string,
-  cloudnsPassword: string,
-  name: string,
-  type: string,
-  value: string,
-  ttlValue: string,
-  zoneCache: any
-) {
-  const { zoneName, hostName } = await autoDetectCloudnsHostAndZone(cloudnsUsername, cloudnsPassword, name, zoneCache)
-  // Does the record exist?
-  const recordsResponse = await cloudnsRestCall(cloudnsUsername, cloudnsPassword, 'GET', '/dns/records.json', {
-    'domain-name': zoneName,
-    host: hostName,
-    type: type,
+async function listDesiredRecords(ttlValue: string, exportSource: ExportSource, prune: boolean) {
+  const { region, profile, roleArn } = exportSource
+  const desiredRecords: DesiredRecord[] = []
+  const invalidExports: InvalidExport[] = []
+  const cloudFormation = new CloudFormationClient({
+    region: region,
+    profile: profile,
+    // Read exports from another account by assuming a role there
+    credentials: roleArn
+      ? fromTemporaryCredentials({
+          params: { RoleArn: roleArn, RoleSessionName: 'cloudns-cloudformation-sync' },
+          clientConfig: { region, profile },
+        })
+      : undefined,
   })
-  const existingRecord: any = Object.values(recordsResponse)[0]
-  if (existingRecord?.host === hostName && existingRecord?.type === type && existingRecord?.ttl === ttlValue && existingRecord?.record === value) {
-    // Record exists already - no change
-    console.log('OK', name, type, ttlValue, value, 'ZONE', zoneName, 'HOST', hostName)
-  } else if (existingRecord?.id) {
-    // Update record
-    console.log('UPDATE', name, type, ttlValue, value, 'ZONE', zoneName, 'HOST', hostName)
-    const result = await cloudnsRestCall(cloudnsUsername, cloudnsPassword, 'POST', '/dns/mod-record.json', {
-      'domain-name': zoneName,
-      'record-id': existingRecord?.id,
-      host: hostName,
-      'record-type': type,
-      record: value,
-      ttl: ttlValue,
-    })
-    if (result.status === 'Failed') {
-      throw new Error('Modify record failed: ' + (result.statusMessage || result.statusDescription))
+  let nextToken
+  do {
+    const response: ListExportsOutput = await cloudFormation.send(
+      new ListExportsCommand({
+        NextToken: nextToken,
+      })
+    )
+    for (const exportObj of response.Exports || []) {
+      // All stacks are read, so record sets shared with stacks outside the stack filter are reconciled against their values too
+      const stackId = exportObj.ExportingStackId || ''
+      if (exportObj.Name?.match(/^ClouDNS:/)) {
+        const source = getExportSourceName(exportSource)
+        try {
+          desiredRecords.push(...parseExport(exportObj.Name, exportObj.Value || '', ttlValue, stackId, source))
+        } catch (err: any) {
+          // One invalid export only fails its own records
+          invalidExports.push({ exportName: exportObj.Name, stackId, source, error: err.message })
+        }
+      }
     }
-  } else {
-    // Create record
-    console.log('CREATE', name, type, ttlValue, value, 'ZONE', zoneName, 'HOST', hostName)
-    const result = await cloudnsRestCall(cloudnsUsername, cloudnsPassword, 'POST', '/dns/add-record.json', {
-      'domain-name': zoneName,
-      host: hostName,
-      'record-type': type,
-      record: value,
-      ttl: ttlValue,
+    nextToken = response.NextToken
+  } while (nextToken)
+  // Only prune needs the account, so other runs skip the STS call
+  const stackScope = prune ? await getExportSourceScope(cloudFormation, exportSource) : undefined
+  return { desiredRecords, invalidExports, stackScope }
+}
+
+export async function createTargetProvider(target: SyncTarget) {
+  const { username, passwordParameter, passwordRegion, regions, profile } = target
+  const ssm = new SSMClient({ region: passwordRegion || regions[0], profile })
+
+  const response = await ssm.send(
+    new GetParameterCommand({
+      Name: passwordParameter,
+      WithDecryption: true,
     })
-    if (result.status === 'Failed') {
-      throw new Error('Add record failed: ' + (result.statusMessage || result.statusDescription))
+  )
+  return createCloudnsProvider(username, response.Parameter?.Value || '')
+}
+
+export async function readTargetExports(target: SyncTarget): Promise<TargetExports> {
+  const { regions, roleArns, profile, ttl, prune, concurrency } = target
+  // Read the exports of every region, both with the current credentials and each assumed role
+  const exportSources: ExportSource[] = []
+  for (const region of regions.length ? regions : [undefined]) {
+    for (const roleArn of [undefined, ...roleArns]) {
+      exportSources.push({ region, profile, roleArn })
     }
   }
+  const sourceExports = await mapConcurrently(exportSources, concurrency, (exportSource) => listDesiredRecords(ttl, exportSource, prune))
+  const { desiredRecords, conflicts } = mergeDesiredRecords(sourceExports.map((sourceExport) => sourceExport.desiredRecords))
+  return {
+    desiredRecords,
+    conflicts,
+    stackScopes: prune ? sourceExports.map((sourceExport) => sourceExport.stackScope!) : [],
+    invalidExports: ([] as InvalidExport[]).concat(...sourceExports.map((sourceExport) => sourceExport.invalidExports)),
+  }
+}
+
+async function planSyncTarget(target: SyncTarget) {
+  const provider = await createTargetProvider(target)
+  const { desiredRecords, stackScopes, invalidExports, conflicts } = await readTargetExports(target)
+  const plan = await planSync(provider, desiredRecords, target.stackNames, target.prune, {
+    concurrency: target.concurrency,
+    stackScopes,
+    invalidExports,
+    conflicts,
+  })
+  return { provider, plan }
+}
+
+export interface TargetPlan {
+  target: SyncTarget
+  plan: PlanEntry[]
+  // Set when the exports or the password of the target could not be read, so nothing was planned for it
+  error?: string
+}
+
+export function formatPlanJson(targetPlans: TargetPlan[]) {
+  // Targets are listed once, and each change refers to its target by index
+  const summary = summarizePlan(([] as PlanEntry[]).concat(...targetPlans.map((targetPlan) => targetPlan.plan)))
+  summary.failed += targetPlans.filter((targetPlan) => targetPlan.error).length
+  const targets = targetPlans.map(({ target, error }) => ({
+    username: target.username,
+    regions: target.regions,
+    roleArns: target.roleArns,
+    profile: target.profile,
+    error: error,
+  }))
+  const changes = ([] as any[]).concat(...targetPlans.map((targetPlan, index) => targetPlan.plan.map((planEntry) => ({ target: index, ...planEntry }))))
+  return JSON.stringify({ dryRun: true, summary, targets, changes }, null, 2)
 }
 
 export async function main() {
-  console.log('ClouDNS CloudFormation Sync by Kenneth Falck <kennu@clouden.net> (C) Clouden Oy 2020-2024')
-  const cloudnsUsername = process.argv[2]
-  const cloudnsPasswordParameter = process.argv[3]
-  const ttlValue = process.argv[4] || '300'
-  const stackNames = process.argv.slice(5)
-  if (!cloudnsUsername) {
-    console.error('Usage: cloudns-cloudformation-sync <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]')
+  let commandLine
+  try {
+    commandLine = parseCommandLine(process.argv.slice(2))
+  } catch (err: any) {
+    console.error(err.message)
+    console.error(usage)
     process.exit(1)
   }
-  if (!cloudnsPasswordParameter) {
-    console.error('Usage: cloudns-cloudformation-sync <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]')
+  const { help, dryRun, jsonOutput, targets } = commandLine
+  if (help) {
+    console.log(usage)
+    return
+  }
+  // With --json, stdout is reserved for the machine-readable plan
+  const log = jsonOutput ? console.error : console.log
+  log('ClouDNS CloudFormation Sync by Kenneth Falck <kennu@clouden.net> (C) Clouden Oy 2020-2024')
+  if (jsonOutput && !dryRun) {
+    console.error('The --json option can only be used with --dry-run')
+    console.error(usage)
     process.exit(1)
   }
 
-  const ssm = new SSMClient({})
-  const zoneCache = {}
-
-  const response = await ssm.send(
-    new GetParameterCommand({
-      Name: cloudnsPasswordParameter,
-      WithDecryption: true,
-    })
-  )
-  const cloudnsPassword = response.Parameter?.Value || ''
-
-  const cloudFormation = new CloudFormationClient({})
-  let nextToken
-  do {
-    const response: ListExportsOutput = await cloudFormation.send(
-      new ListExportsCommand({
-        NextToken: nextToken,
-      })
-    )
-    for (const exportObj of response.Exports || []) {
-      if (stackNames.length && !stackNames.includes(exportObj.ExportingStackId || '')) {
-        // Check if the name part of the ID matches arn:aws:cloudformation:eu-west-1:<xxx>:stack/<name>/<xxx>
-        const m = exportObj.ExportingStackId?.match(/^arn:[^:]+:cloudformation:[^:]+:[^:]+:stack\/([^\/]+)\//)
-        if (!m || !stackNames.includes(m[1])) {
-          // Stack ID name part didn't match given stackName, so skip it
-          continue
-        }
-      }
-      if (exportObj.Name?.match(/^ClouDNS:/)) {
-        const nameParts = exportObj.Name.split(':')
-        const resourceType = nameParts[1]
-        const resourceName = nameParts.slice(2).join('.')
-        const resourceValue = exportObj.Value!
-        await createOrUpdateCloudnsResource(cloudnsUsername, cloudnsPassword, resourceName, resourceType, resourceValue, ttlValue, zoneCache)
+  const targetPlans: TargetPlan[] = []
+  const result: ApplyResult = { create: 0, update: 0, noop: 0, delete: 0, failed: 0, failures: [] }
+  for (const target of targets) {
+    if (targets.length > 1) {
+      log('TARGET', target.username, 'REGION', target.regions.join(',') || '(default)', 'PROFILE', target.profile || '(default)')
+    }
+    let provider
+    let targetPlan: PlanEntry[]
+    try {
+      ;({ provider, plan: targetPlan } = await planSyncTarget(target))
+    } catch (err: any) {
+      // A target that cannot be read or planned fails on its own, the other targets are still synced
+      console.error('FAILED TARGET', target.username, 'REGION', target.regions.join(',') || '(default)', err.message)
+      targetPlans.push({ target, plan: [], error: err.message })
+      result.failed++
+      continue
+    }
+    targetPlans.push({ target, plan: targetPlan })
+    if (dryRun) {
+      // Only show the plan, don't make any changes to ClouDNS
+      if (!jsonOutput) {
+        printPlan(targetPlan)
       }
+      result.failed += summarizePlan(targetPlan).failed
+      continue
     }
-    nextToken = response.NextToken
-  } while (nextToken)
+    // Failed records don't stop the sync, they are counted in the summary instead
+    const targetResult = await applyPlan(provider, targetPlan, { concurrency: target.concurrency })
+    result.create += targetResult.create
+    result.update += targetResult.update
+    result.noop += targetResult.noop
+    result.delete += targetResult.delete
+    result.failed += targetResult.failed
+    result.failures.push(...targetResult.failures)
+  }
+
+  if (dryRun && jsonOutput) {
+    console.log(formatPlanJson(targetPlans))
+  }
+  if (!dryRun) {
+    printApplyResult(result)
+  }
+  if (result.failed) {
+    process.exit(1)
+  }
 }
@@ -0,0 +1,282 @@
+/**
+ * ClouDNS REST API provider.
+ *
+ * Every call has a timeout and is retried with exponential backoff when it fails for a transient reason
+ * (network errors, timeouts, HTTP 5xx and rate limiting). Adding a record is not idempotent, because a request
+ * that timed out may still have created the record, so it is only retried when rate limited. ClouDNS also reports many errors as HTTP 200 with
+ * status "Failed", so those responses are classified into the error classes below.
+ */
+import * as querystring from 'querystring'
+import { DnsProvider, DnsRecord } from './dns-provider'
+import { parseRecordValue, recordValueFields } from './records'
+
+type CloudnsRestCallResponse = any
+
+export interface CloudnsProviderOptions {
+  // Defaults to https://api.cloudns.net, tests point this to a local stand-in server
+  apiUrl?: string
+  // Request timeout in milliseconds (defaults to 30000)
+  timeout?: number
+  // Number of retries for transient failures (defaults to 3), Add record is only retried when rate limited
+  retries?: number
+  // Delay before the first retry in milliseconds, doubled for each further retry (defaults to 1000)
+  retryDelay?: number
+}
+
+interface CloudnsCallSettings {
+  apiUrl: string
+  username: string
+  password: string
+  timeout: number
+  retries: number
+  retryDelay: number
+}
+
+// ClouDNS API parameter names of the record value fields
+const cloudnsFieldParams: { [fieldName: string]: string } = {
+  priority: 'priority',
+  weight: 'weight',
+  port: 'port',
+  target: 'record',
+  flag: 'caa_flag',
+  tag: 'caa_type',
+  value: 'caa_value',
+}
+
+export class CloudnsApiError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = new.target.name
+  }
+}
+
+// Wrong sub-auth-user or password, or the API user is not allowed to use the zone
+export class CloudnsAuthError extends CloudnsApiError {}
+
+// The zone (domain-name) does not exist in the ClouDNS account
+export class CloudnsZoneNotFoundError extends CloudnsApiError {}
+
+// ClouDNS rejected the request parameters, for instance an invalid record value or record ID
+export class CloudnsValidationError extends CloudnsApiError {}
+
+// Network errors, timeouts and HTTP 5xx responses, which are retried
+export class CloudnsTransientError extends CloudnsApiError {}
+
+// Too many API requests, which are retried after the Retry-After delay when ClouDNS sends one
+export class CloudnsRateLimitError extends CloudnsTransientError {
+  constructor(
+    message: string,
+    public retryAfter?: number
+  ) {
+    super(message)
+  }
+}
+
+function classifyCloudnsFailure(operation: string, statusDescription: string) {
+  const message = operation + ' failed: ' + statusDescription
+  if (/too many requests|rate limit|request limit|limit exceeded/i.test(statusDescription)) {
+    return new CloudnsRateLimitError(message)
+  }
+  if (/auth-id|auth-password|sub-auth-user|authentication/i.test(statusDescription)) {
+    return new CloudnsAuthError(message)
+  }
+  if (/domain-name|domain name|domain not found|zone not found/i.test(statusDescription)) {
+    return new CloudnsZoneNotFoundError(message)
+  }
+  return new CloudnsValidationError(message)
+}
+
+function classifyHttpError(operation: string, response: Response, errorText: string) {
+  const message = operation + ' failed: HTTP ' + response.status + ' ' + (errorText || response.statusText)
+  if (response.status === 429) {
+    const retryAfterSeconds = Number(response.headers.get('retry-after'))
+    return new CloudnsRateLimitError(message, retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : undefined)
+  }
+  if (response.status === 401 || response.status === 403) {
+    return new CloudnsAuthError(message)
+  }
+  if (response.status >= 500) {
+    return new CloudnsTransientError(message)
+  }
+  return new CloudnsApiError(message)
+}
+
+async function cloudnsRestCall(
+  settings: CloudnsCallSettings,
+  operation: string,
+  method: string,
+  relativeUrl: string,
+  queryOptions: any
+): Promise<CloudnsRestCallResponse> {
+  let fullUrl =
+    settings.apiUrl +
+    relativeUrl +
+    '?' +
+    querystring.stringify(
+      Object.assign(
+        {
+          'sub-auth-user': settings.username,
+          'auth-password': settings.password,
+        },
+        queryOptions || {}
+      )
+    )
+
+  // console.log('Note: Calling', fullUrl)
+
+  let response: Response
+  let responseText: string
+  try {
+    response = await fetch(fullUrl, {
+      method: method,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      },
+      signal: AbortSignal.timeout(settings.timeout),
+    })
+    responseText = await response.text()
+  } catch (err: any) {
+    const reason = err.name === 'TimeoutError' ? 'timed out after ' + settings.timeout + ' ms' : err.cause?.message || err.message
+    throw new CloudnsTransientError(operation + ' failed: ' + reason)
+  }
+  if (!response.ok) {
+    console.error('HTTP Error', response.status, response.statusText, responseText)
+    throw classifyHttpError(operation, response, responseText)
+  }
+  let parsedResponse: CloudnsRestCallResponse
+  try {
+    parsedResponse = JSON.parse(responseText)
+  } catch (err: any) {
+    throw new CloudnsApiError(operation + ' failed: invalid JSON response ' + responseText.slice(0, 200))
+  }
+  if (parsedResponse?.status === 'Failed') {
+    throw classifyCloudnsFailure(operation, parsedResponse.statusMessage || parsedResponse.statusDescription)
+  }
+  return parsedResponse
+}
+
+async function cloudnsRestCallWithRetry(
+  settings: CloudnsCallSettings,
+  operation: string,
+  method: string,
+  relativeUrl: string,
+  queryOptions: any,
+  idempotent: boolean
+): Promise<CloudnsRestCallResponse> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await cloudnsRestCall(settings, operation, method, relativeUrl, queryOptions)
+    } catch (err: any) {
+      // Rate limited requests were rejected before ClouDNS made any change, so they are safe to repeat
+      const retryable = err instanceof CloudnsRateLimitError || (idempotent && err instanceof CloudnsTransientError)
+      if (!retryable || attempt >= settings.retries) {
+        throw err
+      }
+      const delay = (err instanceof CloudnsRateLimitError && err.retryAfter) || settings.retryDelay * 2 ** attempt
+      console.error('RETRY', operation, 'IN', delay, 'MS', err.message)
+      await new Promise((resolve) => setTimeout(resolve, delay))
+    }
+  }
+}
+
+function getCloudnsRecordParams(record: DnsRecord) {
+  if (!recordValueFields[record.type]) {
+    return { record: record.value }
+  }
+  const { fields } = parseRecordValue(record.type, record.value)
+  const params: any = {}
+  for (const fieldName of Object.keys(fields)) {
+    params[cloudnsFieldParams[fieldName]] = fields[fieldName]
+  }
+  return params
+}
+
+function formatCloudnsRecordValue(cloudnsRecord: any) {
+  // Format existing records like parseRecordValue() normalizes export values
+  const fieldNames = recordValueFields[cloudnsRecord.type]
+  if (!fieldNames) {
+    return cloudnsRecord.record
+  }
+  return fieldNames.map((fieldName) => cloudnsRecord[cloudnsFieldParams[fieldName]]).join(' ')
+}
+
+export function createCloudnsProvider(cloudnsUsername: string, cloudnsPassword: string, options: CloudnsProviderOptions = {}): DnsProvider {
+  const settings: CloudnsCallSettings = {
+    apiUrl: options.apiUrl || 'https://api.cloudns.net',
+    username: cloudnsUsername,
+    password: cloudnsPassword,
+    timeout: options.timeout ?? 30000,
+    retries: options.retries ?? 3,
+    retryDelay: options.retryDelay ?? 1000,
+  }
+  const call = (operation: string, method: string, relativeUrl: string, queryOptions: any, idempotent = true) =>
+    cloudnsRestCallWithRetry(settings, operation, method, relativeUrl, queryOptions, idempotent)
+
+  return {
+    async listZones() {
+      const rowsPerPage = 100
+      const zoneNames: string[] = []
+      let page = 1
+      while (true) {
+        const zonesResponse = await call('List zones', 'GET', '/dns/list-zones.json', {
+          page: page,
+          'rows-per-page': rowsPerPage,
+        })
+        const zones: any[] = Object.values(zonesResponse || {})
+        zoneNames.push(...zones.map((zone: any) => zone.name))
+        if (zones.length < rowsPerPage) {
+          return zoneNames
+        }
+        page++
+      }
+    },
+
+    async listRecords(zoneName: string) {
+      const recordsResponse = await call('List records of ' + zoneName, 'GET', '/dns/records.json', {
+        'domain-name': zoneName,
+      })
+      return Object.values(recordsResponse || {}).map((cloudnsRecord: any) => ({
+        id: cloudnsRecord.id,
+        host: cloudnsRecord.host,
+        type: cloudnsRecord.type,
+        value: formatCloudnsRecordValue(cloudnsRecord),
+        ttl: cloudnsRecord.ttl,
+      }))
+    },
+
+    async addRecord(zoneName: string, record: DnsRecord) {
+      await call(
+        'Add record',
+        'POST',
+        '/dns/add-record.json',
+        {
+          'domain-name': zoneName,
+          host: record.host,
+          'record-type': record.type,
+          ...getCloudnsRecordParams(record),
+          ttl: record.ttl,
+        },
+        false
+      )
+    },
+
+    async modifyRecord(zoneName: string, recordId: string, record: DnsRecord) {
+      await call('Modify record', 'POST', '/dns/mod-record.json', {
+        'domain-name': zoneName,
+        'record-id': recordId,
+        host: record.host,
+        'record-type': record.type,
+        ...getCloudnsRecordParams(record),
+        ttl: record.ttl,
+      })
+    },
+
+    async deleteRecord(zoneName: string, recordId: string) {
+      await call('Delete record', 'POST', '/dns/delete-record.json', {
+        'domain-name': zoneName,
+        'record-id': recordId,
+      })
+    },
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Command line options and config files, which both describe a list of sync targets.
+ */
+import * as fs from 'fs'
+import { parseArgs } from 'util'
+import * as YAML from 'yaml'
+import { allowedTtlValues } from './records'
+import { defaultConcurrency } from './sync'
+
+export interface SyncTarget {
+  username: string
+  passwordParameter: string
+  // Region of the SSM password parameter, defaults to the first export region
+  passwordRegion?: string
+  regions: string[]
+  roleArns: string[]
+  profile?: string
+  ttl: string
+  stackNames: string[]
+  prune: boolean
+  concurrency: number
+}
+
+export const usage = `Usage: cloudns-cloudformation-sync [options] --username <cloudns-username> --password-parameter <cloudns-password-parameter-name>
+       cloudns-cloudformation-sync [options] --config <config-file>
+       cloudns-cloudformation-sync [options] <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]
+
+Options:
+  --username <username>             ClouDNS API sub-auth-user
+  --password-parameter <name>       SSM Parameter with the encrypted ClouDNS API password
+  --ttl <ttl>                       TTL for generated records (defaults to 300)
+  --stack <stackName>               CloudFormation stack name to limit the records to sync (can be repeated, defaults to all stacks)
+  --region <region>                 AWS region to read the exports from (can be repeated, the first one is also used for SSM)
+  --role-arn <arn>                  IAM role to assume for reading exports in another account (can be repeated)
+  --profile <profile>               AWS profile to use
+  --config <file>                   JSON or YAML config file describing one or more sync targets
+  --dry-run                         Only print the planned changes without changing ClouDNS
+  --json                            With --dry-run, print the plan as JSON to stdout (other output goes to stderr)
+  --prune                           Mark synced records as owned by this tool and delete owned records whose export has disappeared
+  --concurrency <n>                 Number of record sets to sync at the same time (defaults to ${defaultConcurrency})
+  --help                            Show this help`
+
+export function parseCommandLine(args: string[]) {
+  const { values, positionals } = parseArgs({
+    args: args,
+    allowPositionals: true,
+    options: {
+      username: { type: 'string' },
+      'password-parameter': { type: 'string' },
+      ttl: { type: 'string' },
+      stack: { type: 'string', multiple: true },
+      region: { type: 'string', multiple: true },
+      'role-arn': { type: 'string', multiple: true },
+      profile: { type: 'string' },
+      config: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      json: { type: 'boolean' },
+      prune: { type: 'boolean' },
+      concurrency: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  })
+  if (values.help) {
+    return { help: true, dryRun: false, jsonOutput: false, targets: [] }
+  }
+  // Old positional form: <cloudns-username> <cloudns-password-parameter-name> [ttl [stackName...]]
+  const [positionalUsername, positionalPasswordParameter, positionalTtl, ...positionalStackNames] = positionals
+  const defaults = {
+    regions: values.region || [],
+    roleArns: values['role-arn'] || [],
+    profile: values.profile,
+    ttl: values.ttl || positionalTtl || '300',
+    stackNames: [...(values.stack || []), ...positionalStackNames],
+    prune: !!values.prune,
+    concurrency: Number(values.concurrency || defaultConcurrency),
+  }
+  let targets: SyncTarget[]
+  if (values.config) {
+    if (values.username || values['password-parameter'] || positionals.length) {
+      throw new Error('The --config option cannot be combined with --username, --password-parameter or positional arguments')
+    }
+    targets = readConfigFile(values.config, defaults)
+  } else {
+    targets = [
+      {
+        ...defaults,
+        username: values.username || positionalUsername,
+        passwordParameter: values['password-parameter'] || positionalPasswordParameter,
+      },
+    ]
+  }
+  for (const target of targets) {
+    if (!target.username || !target.passwordParameter) {
+      throw new Error('ClouDNS username and password parameter are required')
+    }
+    if (!allowedTtlValues.includes(target.ttl)) {
+      throw new Error('Invalid TTL ' + target.ttl + ', must be one of ' + allowedTtlValues.join(', '))
+    }
+    if (!Number.isInteger(target.concurrency) || target.concurrency < 1) {
+      throw new Error('Invalid concurrency ' + target.concurrency + ', must be a positive integer')
+    }
+  }
+  return {
+    help: false,
+    dryRun: !!values['dry-run'],
+    jsonOutput: !!values.json,
+    targets: targets,
+  }
+}
+
+export function readConfigFile(configFile: string, defaults: any): SyncTarget[] {
+  // Config file format (JSON or YAML):
+  // { ttl, prune, concurrency, regions, roleArns, profile, targets: [{ username, passwordParameter, regions, roleArns, profile, ttl, stacks, prune, concurrency }] }
+  // region and roleArn are accepted as shorthands for a single region or role.
+  const configText = fs.readFileSync(configFile, 'utf8')
+  const config = configFile.match(/\.ya?ml$/i) ? YAML.parse(configText) : JSON.parse(configText)
+  if (!Array.isArray(config?.targets) || !config.targets.length) {
+    throw new Error('Config file ' + configFile + ' must contain a list of targets')
+  }
+  return config.targets.map((targetConfig: any) => ({
+    username: targetConfig.username,
+    passwordParameter: targetConfig.passwordParameter,
+    regions: [].concat(targetConfig.regions || targetConfig.region || config.regions || config.region || defaults.regions),
+    roleArns: [].concat(targetConfig.roleArns || targetConfig.roleArn || config.roleArns || config.roleArn || defaults.roleArns),
+    profile: targetConfig.profile || config.profile || defaults.profile,
+    ttl: String(targetConfig.ttl || config.ttl || defaults.ttl),
+    stackNames: [].concat(targetConfig.stacks || config.stacks || defaults.stackNames),
+    prune: targetConfig.prune ?? config.prune ?? defaults.prune,
+    concurrency: Number(targetConfig.concurrency || config.concurrency || defaults.concurrency),
+  }))
+}
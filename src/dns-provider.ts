@@ -0,0 +1,21 @@
+/**
+ * DNS provider interface used by the sync logic. ClouDNS (cloudns-provider.ts) is the default provider,
+ * memory-provider.ts keeps the zones in memory or in a local JSON file for tests and offline use.
+ */
+
+// Record values use the zone file syntax, e.g. "10 mx1.example.org" for MX records (see records.ts)
+export interface DnsRecord {
+  id?: string
+  host: string
+  type: string
+  value: string
+  ttl: string
+}
+
+export interface DnsProvider {
+  listZones(): Promise<string[]>
+  listRecords(zoneName: string): Promise<DnsRecord[]>
+  addRecord(zoneName: string, record: DnsRecord): Promise<void>
+  modifyRecord(zoneName: string, recordId: string, record: DnsRecord): Promise<void>
+  deleteRecord(zoneName: string, recordId: string): Promise<void>
+}
@@ -0,0 +1,166 @@
+/**
+ * AWS Lambda handler that runs the sync for a single CloudFormation stack.
+ *
+ * The handler accepts two kinds of events:
+ *
+ * - EventBridge "CloudFormation Stack Status Change" events: the stack's exports are synced when it reaches
+ *   CREATE_COMPLETE, UPDATE_COMPLETE, UPDATE_ROLLBACK_COMPLETE or IMPORT_COMPLETE. With pruning enabled,
+ *   DELETE_COMPLETE removes the records owned by the deleted stack. The stack is matched by its ARN, so stacks
+ *   with the same name in other regions and accounts are left alone.
+ * - Custom::ClouDNSSync custom resource requests: Create and Update sync the stack given in the required StackName
+ *   property and Delete does nothing. The SUCCESS or FAILED response is sent to the ResponseURL of the request.
+ *
+ * Settings are read from the custom resource properties (Username, PasswordParameter, Ttl, Regions, RoleArns,
+ * Prune, Concurrency) or from the environment (CLOUDNS_USERNAME, CLOUDNS_PASSWORD_PARAMETER, CLOUDNS_TTL,
+ * CLOUDNS_REGIONS, CLOUDNS_ROLE_ARNS, CLOUDNS_PRUNE, CLOUDNS_CONCURRENCY). Lists are comma-separated.
+ *
+ * The invocation fails (or the custom resource reports FAILED) when any record could not be synced.
+ */
+import { DnsProvider } from './dns-provider'
+import { allowedTtlValues, getStackNameFromId } from './records'
+import { applyPlan, defaultConcurrency, planSync, summarizePlan } from './sync'
+import { SyncTarget } from './config'
+import { TargetExports, createTargetProvider, readTargetExports } from './cloudns-cloudformation-sync'
+
+export interface LambdaDependencies {
+  createProvider: (target: SyncTarget) => Promise<DnsProvider>
+  readExports: (target: SyncTarget) => Promise<TargetExports>
+}
+
+const defaultLambdaDependencies: LambdaDependencies = {
+  createProvider: createTargetProvider,
+  readExports: readTargetExports,
+}
+
+// Stack statuses after which the stack's exports are synced
+const syncStackStatuses = ['CREATE_COMPLETE', 'UPDATE_COMPLETE', 'UPDATE_ROLLBACK_COMPLETE', 'IMPORT_COMPLETE']
+
+function parseList(value: any): string[] {
+  return String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item)
+}
+
+function getLambdaSyncTarget(properties: any, stackNames: string[], defaultRegion?: string): SyncTarget {
+  const env = process.env
+  const target: SyncTarget = {
+    username: properties.Username || env.CLOUDNS_USERNAME || '',
+    passwordParameter: properties.PasswordParameter || env.CLOUDNS_PASSWORD_PARAMETER || '',
+    // The password parameter is in the Lambda's own region, which may differ from the region of the event
+    passwordRegion: env.AWS_REGION,
+    regions: parseList(properties.Regions || env.CLOUDNS_REGIONS || defaultRegion),
+    roleArns: parseList(properties.RoleArns || env.CLOUDNS_ROLE_ARNS),
+    ttl: String(properties.Ttl || env.CLOUDNS_TTL || '300'),
+    stackNames: stackNames,
+    // Custom resource properties are always strings
+    prune: String(properties.Prune ?? env.CLOUDNS_PRUNE ?? 'false') === 'true',
+    concurrency: Number(properties.Concurrency || env.CLOUDNS_CONCURRENCY || defaultConcurrency),
+  }
+  if (!target.username || !target.passwordParameter) {
+    throw new Error('ClouDNS username and password parameter are required (Username and PasswordParameter or CLOUDNS_USERNAME and CLOUDNS_PASSWORD_PARAMETER)')
+  }
+  if (!allowedTtlValues.includes(target.ttl)) {
+    throw new Error('Invalid TTL ' + target.ttl + ', must be one of ' + allowedTtlValues.join(', '))
+  }
+  if (!Number.isInteger(target.concurrency) || target.concurrency < 1) {
+    throw new Error('Invalid concurrency ' + target.concurrency + ', must be a positive integer')
+  }
+  return target
+}
+
+async function syncLambdaTarget(dependencies: LambdaDependencies, target: SyncTarget) {
+  const provider = await dependencies.createProvider(target)
+  const { desiredRecords, stackScopes, invalidExports, conflicts } = await dependencies.readExports(target)
+  const plan = await planSync(provider, desiredRecords, target.stackNames, target.prune, {
+    concurrency: target.concurrency,
+    stackScopes,
+    invalidExports,
+    conflicts,
+  })
+  const result = await applyPlan(provider, plan, { concurrency: target.concurrency })
+  if (result.failed) {
+    const failures = result.failures.map(({ planEntry, error }) => planEntry.name + ' ' + planEntry.type + ': ' + error.message)
+    throw new Error(result.failed + ' of ' + plan.length + ' records failed to sync:\n' + failures.join('\n'))
+  }
+  return summarizePlan(plan)
+}
+
+async function sendCustomResourceResponse(event: any, context: any, status: 'SUCCESS' | 'FAILED', reason: string, data: any) {
+  const responseBody = JSON.stringify({
+    Status: status,
+    Reason: reason || 'See CloudWatch log stream: ' + (context?.logStreamName || 'unknown'),
+    PhysicalResourceId: event.PhysicalResourceId || 'ClouDNSSync-' + event.LogicalResourceId,
+    StackId: event.StackId,
+    RequestId: event.RequestId,
+    LogicalResourceId: event.LogicalResourceId,
+    Data: data,
+  })
+  // The response URL is a pre-signed S3 URL, which requires an empty content type
+  const response = await fetch(event.ResponseURL, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': '',
+    },
+    body: responseBody,
+  })
+  if (!response.ok) {
+    throw new Error('Custom resource response failed: ' + response.status + ' ' + (await response.text()))
+  }
+}
+
+async function handleCustomResourceEvent(dependencies: LambdaDependencies, event: any, context: any) {
+  const properties = event.ResourceProperties || {}
+  const stackName = properties.StackName || ''
+  console.log('CUSTOM RESOURCE', event.RequestType, event.LogicalResourceId, 'STACK', stackName)
+  try {
+    let data = {}
+    if (event.RequestType === 'Create' || event.RequestType === 'Update') {
+      if (!stackName) {
+        // The exports of the custom resource's own stack are not visible until that stack has finished deploying
+        throw new Error('The StackName property is required and must name another stack whose exports to sync')
+      }
+      const summary = await syncLambdaTarget(dependencies, getLambdaSyncTarget(properties, [stackName]))
+      data = {
+        Created: String(summary.create),
+        Updated: String(summary.update),
+        Deleted: String(summary.delete),
+        Unchanged: String(summary.noop),
+      }
+    }
+    await sendCustomResourceResponse(event, context, 'SUCCESS', '', data)
+  } catch (err: any) {
+    console.error(err)
+    // The response body is limited to 4096 bytes
+    await sendCustomResourceResponse(event, context, 'FAILED', String(err.message || err).slice(0, 1000), {})
+  }
+}
+
+async function handleStackStatusChangeEvent(dependencies: LambdaDependencies, event: any) {
+  const stackId = event.detail?.['stack-id'] || ''
+  const status = event.detail?.['status-details']?.status || ''
+  const stackName = getStackNameFromId(stackId)
+  // Sync by ARN, so a stack with the same name in another region or account is not affected
+  const target = getLambdaSyncTarget({}, [stackId], event.region)
+  if (!syncStackStatuses.includes(status) && !(status === 'DELETE_COMPLETE' && target.prune)) {
+    console.log('SKIP', stackName, status)
+    return { stackName, status, skipped: true }
+  }
+  console.log('SYNC', stackName, status)
+  const summary = await syncLambdaTarget(dependencies, target)
+  return { stackName, status, skipped: false, summary }
+}
+
+export function createHandler(dependencies: LambdaDependencies = defaultLambdaDependencies) {
+  return async (event: any, context?: any) => {
+    if (event?.RequestType && event?.ResponseURL) {
+      return handleCustomResourceEvent(dependencies, event, context)
+    }
+    if (event?.['detail-type'] === 'CloudFormation Stack Status Change') {
+      return handleStackStatusChangeEvent(dependencies, event)
+    }
+    throw new Error('Unsupported event: expected a CloudFormation custom resource request or a CloudFormation Stack Status Change event')
+  }
+}
+
+export const handler = createHandler()
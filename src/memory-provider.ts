@@ -0,0 +1,72 @@
+/**
+ * In-memory DNS provider for tests and offline dry runs. With a state file, the zones are loaded from
+ * and saved to a local JSON file of the form { "example.org": [{ "id", "host", "type", "value", "ttl" }] }.
+ */
+import * as fs from 'fs'
+import { DnsProvider, DnsRecord } from './dns-provider'
+
+export interface MemoryZones {
+  [zoneName: string]: DnsRecord[]
+}
+
+export interface MemoryProviderOptions {
+  stateFile?: string
+}
+
+export interface MemoryProvider extends DnsProvider {
+  zones: MemoryZones
+}
+
+export function createMemoryProvider(initialZones: MemoryZones = {}, options: MemoryProviderOptions = {}): MemoryProvider {
+  const { stateFile } = options
+  const zones: MemoryZones = stateFile && fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : initialZones
+  let nextId = 1 + Math.max(0, ...Object.values(zones).map((records) => Math.max(0, ...records.map((record) => Number(record.id) || 0))))
+
+  const getZoneRecords = (zoneName: string) => {
+    if (!zones[zoneName]) {
+      throw new Error('Zone Not Found: ' + zoneName)
+    }
+    return zones[zoneName]
+  }
+  const getRecordIndex = (zoneName: string, recordId: string) => {
+    const index = getZoneRecords(zoneName).findIndex((record) => record.id === recordId)
+    if (index < 0) {
+      throw new Error('Record Not Found: ' + recordId + ' in zone ' + zoneName)
+    }
+    return index
+  }
+  const save = () => {
+    if (stateFile) {
+      fs.writeFileSync(stateFile, JSON.stringify(zones, null, 2) + '\n')
+    }
+  }
+
+  return {
+    zones: zones,
+
+    async listZones() {
+      return Object.keys(zones)
+    },
+
+    async listRecords(zoneName: string) {
+      return getZoneRecords(zoneName).map((record) => ({ ...record }))
+    },
+
+    async addRecord(zoneName: string, record: DnsRecord) {
+      getZoneRecords(zoneName).push({ ...record, id: String(nextId++) })
+      save()
+    },
+
+    async modifyRecord(zoneName: string, recordId: string, record: DnsRecord) {
+      const index = getRecordIndex(zoneName, recordId)
+      zones[zoneName][index] = { ...record, id: recordId }
+      save()
+    },
+
+    async deleteRecord(zoneName: string, recordId: string) {
+      const index = getRecordIndex(zoneName, recordId)
+      zones[zoneName].splice(index, 1)
+      save()
+    },
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Parsing of ClouDNS:<TYPE>:<host parts> export names and their values into desired records.
+ */
+
+export interface DesiredRecord {
+  name: string
+  type: string
+  value: string
+  ttl: string
+  // ARN of the exporting stack (or a plain stack name when used as a library)
+  stackId: string
+  source: string
+}
+
+// An export whose name or value could not be parsed, reported as a failure instead of aborting the sync
+export interface InvalidExport {
+  exportName: string
+  stackId: string
+  source: string
+  error: string
+}
+
+// TTL values accepted by ClouDNS
+export const allowedTtlValues = ['60', '300', '900', '1800', '3600', '21600', '43200', '86400', '172800', '259200', '604800', '1209600', '2592000']
+
+// Fields of record types that need more than a plain value, in zone file order
+export const recordValueFields: { [type: string]: string[] } = {
+  MX: ['priority', 'target'],
+  SRV: ['priority', 'weight', 'port', 'target'],
+  CAA: ['flag', 'tag', 'value'],
+}
+
+export function parseStackId(stackId: string): { region?: string; accountId?: string; stackName: string } {
+  // Split arn:aws:cloudformation:<region>:<account>:stack/<name>/<xxx>, plain stack names have no region or account
+  const m = stackId.match(/^arn:[^:]+:cloudformation:([^:]+):([^:]+):stack\/([^\/]+)\//)
+  return m ? { region: m[1], accountId: m[2], stackName: m[3] } : { stackName: stackId }
+}
+
+export function getStackNameFromId(stackId: string) {
+  return parseStackId(stackId).stackName
+}
+
+export function parseExportValues(exportValue: string): string[] {
+  // Comma-separated list of values, double quotes protect commas inside a value: "v=spf1 a,b",token2
+  // A backslash keeps the next character as-is, so \" is a literal quote and \, a literal comma
+  const values: string[] = []
+  let value = ''
+  let quoted = false
+  let escaped = false
+  for (const c of exportValue + ',') {
+    if (escaped) {
+      value += c
+      escaped = false
+    } else if (c === '\\') {
+      escaped = true
+    } else if (c === '"') {
+      quoted = !quoted
+    } else if (c === ',' && !quoted) {
+      if (value.trim()) {
+        values.push(value.trim())
+      }
+      value = ''
+    } else {
+      value += c
+    }
+  }
+  return values
+}
+
+export function parseExportName(exportName: string, ttlValue: string) {
+  // ClouDNS:<TYPE>[-<option>...]:<host parts>, where option is ttl<N>, list or a free-form suffix
+  const nameParts = exportName.split(':')
+  const [type, ...typeOptions] = (nameParts[1] || '').split('-')
+  // Export names cannot contain underscores, so a leading hyphen in a host part means an underscore (-sip:-tcp = _sip._tcp)
+  const name = nameParts
+    .slice(2)
+    .map((namePart) => namePart.replace(/^-/, '_'))
+    .join('.')
+  let ttl = ttlValue
+  let list = false
+  if (!type.match(/^[A-Z][A-Z0-9]*$/)) {
+    throw new Error('Invalid export ' + exportName + ': record type must be given in upper case, for example ClouDNS:CNAME:myhost:example:org')
+  }
+  if (!name) {
+    throw new Error('Invalid export ' + exportName + ': missing record hostname, for example ClouDNS:CNAME:myhost:example:org')
+  }
+  for (const typeOption of typeOptions) {
+    const m = typeOption.match(/^ttl(.*)$/)
+    if (m) {
+      if (!allowedTtlValues.includes(m[1])) {
+        throw new Error('Invalid export ' + exportName + ': invalid TTL ' + m[1] + ', must be one of ' + allowedTtlValues.join(', '))
+      }
+      ttl = m[1]
+    }
+    if (typeOption === 'list') {
+      list = true
+    }
+  }
+  return { type, name, ttl, list }
+}
+
+export function parseRecordValue(type: string, value: string) {
+  const fieldNames = recordValueFields[type]
+  if (!fieldNames) {
+    return { value: value, fields: {} as { [fieldName: string]: string } }
+  }
+  // The last field gets the rest of the value, CAA values may contain spaces
+  const valueParts = value.trim().split(/\s+/)
+  if (valueParts.length < fieldNames.length) {
+    throw new Error('invalid ' + type + ' value "' + value + '", expected ' + fieldNames.join(' '))
+  }
+  const fieldValues = valueParts.slice(0, fieldNames.length - 1)
+  fieldValues.push(valueParts.slice(fieldNames.length - 1).join(' '))
+  const fields: { [fieldName: string]: string } = {}
+  fieldNames.forEach((fieldName, index) => {
+    fields[fieldName] = fieldValues[index]
+  })
+  for (const fieldName of ['priority', 'weight', 'port']) {
+    if (fields[fieldName] !== undefined && !(fields[fieldName].match(/^\d+$/) && Number(fields[fieldName]) <= 65535)) {
+      throw new Error('invalid ' + type + ' value "' + value + '", ' + fieldName + ' must be a number between 0 and 65535')
+    }
+  }
+  if (type === 'CAA' && !(fields.flag.match(/^\d+$/) && Number(fields.flag) <= 255)) {
+    throw new Error('invalid ' + type + ' value "' + value + '", flag must be a number between 0 and 255')
+  }
+  if (type === 'CAA' && !['issue', 'issuewild', 'iodef'].includes(fields.tag)) {
+    throw new Error('invalid ' + type + ' value "' + value + '", tag must be issue, issuewild or iodef')
+  }
+  return { value: fieldValues.join(' '), fields: fields }
+}
+
+export function parseExport(exportName: string, exportValue: string, ttlValue: string, stackId: string, source: string): DesiredRecord[] {
+  // An optional -suffix in the type allows several exports for the same host and type (e.g. TXT-google)
+  const { type, name, ttl, list } = parseExportName(exportName, ttlValue)
+  // Values are only split with the -list option, so values containing commas and quotes (SPF, DMARC) are kept as-is
+  const resourceValues = list ? parseExportValues(exportValue) : [exportValue]
+  return resourceValues.map((resourceValue) => {
+    let value
+    try {
+      value = parseRecordValue(type, resourceValue).value
+    } catch (err: any) {
+      throw new Error('Invalid export ' + exportName + ': ' + err.message)
+    }
+    return {
+      type: type,
+      name: name,
+      value: value,
+      ttl: ttl,
+      stackId: stackId,
+      source: source,
+    }
+  })
+}
@@ -0,0 +1,588 @@
+/**
+ * Sync logic: compares the desired records against a DNS provider, plans the changes and applies them.
+ */
+import { DnsProvider, DnsRecord } from './dns-provider'
+import { DesiredRecord, InvalidExport, getStackNameFromId, parseStackId } from './records'
+import { normalizeRecordName, resolveHostAndZone } from './zone-resolver'
+
+// Record sets that could not be planned get an error entry, which is reported as failed instead of applied
+export type PlanAction = 'create' | 'update' | 'noop' | 'delete' | 'error'
+
+export interface PlanEntry {
+  action: PlanAction
+  name: string
+  type: string
+  zoneName: string
+  hostName: string
+  recordId?: string
+  oldTtl?: string
+  oldValue?: string
+  newTtl?: string
+  newValue?: string
+  error?: string
+}
+
+// AWS region and account whose exports were read
+export interface StackScope {
+  region: string
+  accountId: string
+}
+
+export interface SyncOptions {
+  // Maximum number of record sets planned or applied at the same time
+  concurrency?: number
+  // When given, prune only deletes records owned by stacks in these regions and accounts
+  stackScopes?: StackScope[]
+  // Exports that could not be parsed, prune leaves the records of their stacks alone
+  invalidExports?: InvalidExport[]
+  // Record sets that sources disagree on, prune leaves them alone
+  conflicts?: DesiredRecordConflict[]
+}
+
+// A record set that several sources define with different values or TTLs, which is reported instead of letting one of them win
+export interface DesiredRecordConflict {
+  name: string
+  type: string
+  stackIds: string[]
+  error: string
+}
+
+export interface PlanEntryFailure {
+  planEntry: PlanEntry
+  error: Error
+}
+
+export interface ApplyResult {
+  create: number
+  update: number
+  noop: number
+  delete: number
+  failed: number
+  failures: PlanEntryFailure[]
+}
+
+export function createErrorPlanEntry(name: string, type: string, err: Error, zoneName = ''): PlanEntry {
+  return { action: 'error', name, type, zoneName, hostName: '', error: err.message }
+}
+
+// Record sets are planned and applied concurrently, the cache holds promises so concurrent lookups share one request
+interface SyncCache {
+  zoneNames?: Promise<string[]>
+  records: { [zoneName: string]: Promise<DnsRecord[]> }
+}
+
+export const defaultConcurrency = 4
+
+// Ownership markers are TXT records named _cloudns-sync.<host> (or _cloudns-sync at the zone apex),
+// one per record type and owning stack ARN, which tell the prune mode which records were created by this tool.
+const ownershipMarkerPrefix = '_cloudns-sync'
+const ownershipMarkerTtl = '3600'
+// A * label is only a wildcard as the leftmost label, so markers of wildcard hosts use this label in its place
+const wildcardMarkerLabel = '_wildcard'
+
+function getOwnershipMarkerHost(hostName: string) {
+  if (!hostName) {
+    return ownershipMarkerPrefix
+  }
+  const markerLabels = hostName.split('.').map((label) => (label === '*' ? wildcardMarkerLabel : label))
+  return ownershipMarkerPrefix + '.' + markerLabels.join('.')
+}
+
+function getMarkedHost(markerHost: string) {
+  if (markerHost === ownershipMarkerPrefix) {
+    return ''
+  }
+  const labels = markerHost.slice(ownershipMarkerPrefix.length + 1).split('.')
+  return labels.map((label) => (label === wildcardMarkerLabel ? '*' : label)).join('.')
+}
+
+function getOwnershipMarkerValue(stackId: string, type: string) {
+  return 'cloudns-cloudformation-sync stack=' + stackId + ' type=' + type
+}
+
+function isOwnershipMarkerHost(hostName: string) {
+  return hostName === ownershipMarkerPrefix || hostName.startsWith(ownershipMarkerPrefix + '.')
+}
+
+function isOwnershipMarkerEntry(planEntry: PlanEntry) {
+  return planEntry.type === 'TXT' && isOwnershipMarkerHost(planEntry.hostName)
+}
+
+function parseOwnershipMarker(record: DnsRecord) {
+  if (record.type !== 'TXT') {
+    return undefined
+  }
+  if (!isOwnershipMarkerHost(record.host)) {
+    return undefined
+  }
+  const m = record.value.match(/^cloudns-cloudformation-sync stack=(\S+) type=(\S+)$/)
+  if (!m) {
+    return undefined
+  }
+  return {
+    hostName: getMarkedHost(record.host),
+    stackId: m[1],
+    type: m[2],
+  }
+}
+
+function matchesStackNames(stackId: string, stackNames: string[]) {
+  // Stack names match stacks of that name in any region and account, stack ARNs only that stack
+  return !stackNames.length || stackNames.includes(stackId) || stackNames.includes(getStackNameFromId(stackId))
+}
+
+function isStackInScope(stackId: string, stackNames: string[], stackScopes?: StackScope[]) {
+  const { region, accountId } = parseStackId(stackId)
+  if (stackScopes && !stackScopes.some((stackScope) => stackScope.region === region && stackScope.accountId === accountId)) {
+    // The exports of this stack were not read, so there is no way to tell if they still exist
+    return false
+  }
+  return matchesStackNames(stackId, stackNames)
+}
+
+async function getZoneNames(provider: DnsProvider, cache: SyncCache) {
+  if (!cache.zoneNames) {
+    // Load the zone list once per sync
+    cache.zoneNames = provider.listZones()
+  }
+  return cache.zoneNames
+}
+
+async function getZoneRecords(provider: DnsProvider, zoneName: string, cache: SyncCache): Promise<DnsRecord[]> {
+  if (!cache.records[zoneName]) {
+    // Fetch all records of the zone once and reuse them for every export in the same zone
+    cache.records[zoneName] = provider.listRecords(zoneName)
+  }
+  return cache.records[zoneName]
+}
+
+async function autoDetectHostAndZone(provider: DnsProvider, name: string, cache: SyncCache) {
+  return resolveHostAndZone(name, await getZoneNames(provider, cache))
+}
+
+export async function mapConcurrently<T, R>(items: T[], concurrency: number, mapper: (item: T) => Promise<R>): Promise<R[]> {
+  // Run at most concurrency mappers at a time, keeping the results in the order of the items
+  const results: R[] = new Array(items.length)
+  let nextIndex = 0
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++
+      results[index] = await mapper(items[index])
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker))
+  return results
+}
+
+export function groupDesiredRecordSets(desiredRecords: DesiredRecord[]): DesiredRecord[][] {
+  // Records with the same name and type form one record set, duplicate values are merged
+  const recordSets = new Map<string, DesiredRecord[]>()
+  for (const desiredRecord of desiredRecords) {
+    const key = getRecordSetKey(desiredRecord)
+    const recordSet = recordSets.get(key) || []
+    if (!recordSet.some((record) => record.value === desiredRecord.value)) {
+      recordSet.push(desiredRecord)
+    }
+    recordSets.set(key, recordSet)
+  }
+  return Array.from(recordSets.values())
+}
+
+function getRecordSetKey(desiredRecord: DesiredRecord) {
+  return normalizeRecordName(desiredRecord.name) + ' ' + desiredRecord.type
+}
+
+export function mergeDesiredRecords(sourceDesiredRecords: DesiredRecord[][]): { desiredRecords: DesiredRecord[]; conflicts: DesiredRecordConflict[] } {
+  // Each source must agree on the values and TTLs of the records it shares with other sources
+  const recordSetSources = new Map<string, { source: string; values: string; desiredRecordSet: DesiredRecord[] }[]>()
+  for (const desiredRecords of sourceDesiredRecords) {
+    for (const desiredRecordSet of groupDesiredRecordSets(desiredRecords)) {
+      const key = getRecordSetKey(desiredRecordSet[0])
+      const values = desiredRecordSet
+        .map((desiredRecord) => desiredRecord.ttl + ' ' + desiredRecord.value)
+        .sort()
+        .join(', ')
+      recordSetSources.set(key, [...(recordSetSources.get(key) || []), { source: desiredRecordSet[0].source, values, desiredRecordSet }])
+    }
+  }
+  // Conflicting record sets are left out, the other record sets are still synced
+  const conflicts: DesiredRecordConflict[] = []
+  const conflictKeys = new Set<string>()
+  recordSetSources.forEach((sources, key) => {
+    if (sources.some((source) => source.values !== sources[0].values)) {
+      const { name, type } = sources[0].desiredRecordSet[0]
+      const desiredRecordSets = sources.map((source) => source.desiredRecordSet)
+      conflicts.push({
+        name,
+        type,
+        stackIds: Array.from(new Set(([] as DesiredRecord[]).concat(...desiredRecordSets).map((desiredRecord) => desiredRecord.stackId))),
+        error: 'Conflicting exports (ttl value): ' + sources.map((source) => source.source + ' wants ' + source.values).join(' but '),
+      })
+      conflictKeys.add(key)
+    }
+  })
+  const desiredRecords = ([] as DesiredRecord[]).concat(...sourceDesiredRecords).filter((desiredRecord) => !conflictKeys.has(getRecordSetKey(desiredRecord)))
+  return { desiredRecords, conflicts }
+}
+
+async function planRecordSet(provider: DnsProvider, desiredRecordSet: DesiredRecord[], cache: SyncCache): Promise<PlanEntry[]> {
+  const { name, type } = desiredRecordSet[0]
+  const { zoneName, hostName } = await autoDetectHostAndZone(provider, name, cache)
+  // Which records exist?
+  const zoneRecords = await getZoneRecords(provider, zoneName, cache)
+  const unmatchedRecords = zoneRecords.filter((record) => record.id && record.host === hostName && record.type === type)
+  const unmatchedDesiredRecords: DesiredRecord[] = []
+  const plan: PlanEntry[] = []
+  const addPlanEntry = (action: PlanAction, desiredRecord?: DesiredRecord, existingRecord?: DnsRecord) => {
+    plan.push({
+      action: action,
+      name: name,
+      type: type,
+      zoneName: zoneName,
+      hostName: hostName,
+      recordId: existingRecord?.id,
+      oldTtl: existingRecord?.ttl,
+      oldValue: existingRecord?.value,
+      newTtl: desiredRecord?.ttl,
+      newValue: desiredRecord?.value,
+    })
+  }
+  // Leave records with matching values alone, only updating their TTL if needed
+  for (const desiredRecord of desiredRecordSet) {
+    const existingRecord = unmatchedRecords.find((record) => record.value === desiredRecord.value)
+    if (existingRecord) {
+      unmatchedRecords.splice(unmatchedRecords.indexOf(existingRecord), 1)
+      addPlanEntry(existingRecord.ttl === desiredRecord.ttl ? 'noop' : 'update', desiredRecord, existingRecord)
+    } else {
+      unmatchedDesiredRecords.push(desiredRecord)
+    }
+  }
+  // Reuse extra records for missing values, then create or delete the rest
+  for (const desiredRecord of unmatchedDesiredRecords) {
+    const existingRecord = unmatchedRecords.shift()
+    addPlanEntry(existingRecord ? 'update' : 'create', desiredRecord, existingRecord)
+  }
+  for (const existingRecord of unmatchedRecords) {
+    addPlanEntry('delete', undefined, existingRecord)
+  }
+  return plan
+}
+
+async function planOwnershipMarkers(provider: DnsProvider, desiredRecordSet: DesiredRecord[], stackNames: string[], cache: SyncCache): Promise<PlanEntry[]> {
+  const { name, type } = desiredRecordSet[0]
+  const { zoneName, hostName } = await autoDetectHostAndZone(provider, name, cache)
+  const zoneRecords = await getZoneRecords(provider, zoneName, cache)
+  const markerHost = getOwnershipMarkerHost(hostName)
+  // Each stack that exports values for the record set has its own marker, written by the syncs of that stack
+  const stackIds = Array.from(new Set(desiredRecordSet.map((desiredRecord) => desiredRecord.stackId))).filter((stackId) =>
+    matchesStackNames(stackId, stackNames)
+  )
+  return stackIds.map((stackId) => {
+    const existingMarker = zoneRecords.find((record) => {
+      const marker = parseOwnershipMarker(record)
+      return marker?.hostName === hostName && marker?.type === type && marker?.stackId === stackId
+    })
+    const markerValue = getOwnershipMarkerValue(stackId, type)
+    return {
+      action: existingMarker ? 'noop' : 'create',
+      name: markerHost + '.' + zoneName,
+      type: 'TXT',
+      zoneName: zoneName,
+      hostName: markerHost,
+      recordId: existingMarker?.id,
+      oldTtl: existingMarker?.ttl,
+      oldValue: existingMarker?.value,
+      newTtl: existingMarker?.ttl || ownershipMarkerTtl,
+      newValue: markerValue,
+    }
+  })
+}
+
+async function planPrune(
+  provider: DnsProvider,
+  desiredRecords: DesiredRecord[],
+  unplannedRecordSets: DesiredRecord[][],
+  stackNames: string[],
+  stackScopes: StackScope[] | undefined,
+  invalidExports: InvalidExport[],
+  conflicts: DesiredRecordConflict[],
+  cache: SyncCache
+): Promise<PlanEntry[]> {
+  const plan: PlanEntry[] = []
+  let zoneNames: string[]
+  try {
+    zoneNames = await getZoneNames(provider, cache)
+  } catch (err: any) {
+    return [createErrorPlanEntry('prune', '', err)]
+  }
+  // Zone, host and type of every record that still has an export, and the stacks that export them
+  const desiredKeys = new Set<string>()
+  const desiredMarkerKeys = new Set<string>()
+  for (const desiredRecord of desiredRecords) {
+    let hostAndZone
+    try {
+      hostAndZone = resolveHostAndZone(desiredRecord.name, zoneNames)
+    } catch (err: any) {
+      // Records without a zone are reported by their record set and cannot own anything in the zones
+      continue
+    }
+    const { zoneName, hostName } = hostAndZone
+    desiredKeys.add([zoneName, hostName, desiredRecord.type].join(' '))
+    desiredMarkerKeys.add([zoneName, hostName, desiredRecord.type, desiredRecord.stackId].join(' '))
+  }
+  // Record sets that only other stacks export, reconciled when a stack in the filter has dropped its values from them
+  const unplannedRecordSetsByKey = new Map<string, DesiredRecord[]>()
+  for (const desiredRecordSet of unplannedRecordSets) {
+    try {
+      const { zoneName, hostName } = resolveHostAndZone(desiredRecordSet[0].name, zoneNames)
+      unplannedRecordSetsByKey.set([zoneName, hostName, desiredRecordSet[0].type].join(' '), desiredRecordSet)
+    } catch (err: any) {
+      continue
+    }
+  }
+  // The records of stacks with invalid exports might still be wanted, and conflicting record sets are still exported
+  const invalidStackIds = new Set(invalidExports.map((invalidExport) => invalidExport.stackId))
+  const conflictKeys = new Set<string>()
+  for (const conflict of conflicts) {
+    try {
+      const { zoneName, hostName } = resolveHostAndZone(conflict.name, zoneNames)
+      conflictKeys.add([zoneName, hostName, conflict.type].join(' '))
+    } catch (err: any) {
+      continue
+    }
+  }
+  for (const zoneName of zoneNames) {
+    let zoneRecords: DnsRecord[]
+    try {
+      zoneRecords = await getZoneRecords(provider, zoneName, cache)
+    } catch (err: any) {
+      plan.push(createErrorPlanEntry(zoneName, '', err, zoneName))
+      continue
+    }
+    const markers = zoneRecords
+      .map((record) => ({ record, marker: parseOwnershipMarker(record)! }))
+      .filter(({ marker }) => marker)
+      .map(({ record, marker }) => {
+        const key = [zoneName, marker.hostName, marker.type].join(' ')
+        // A stale marker belongs to a stack in scope that no longer exports the host and type
+        const stale =
+          !desiredMarkerKeys.has(key + ' ' + marker.stackId) &&
+          !invalidStackIds.has(marker.stackId) &&
+          !conflictKeys.has(key) &&
+          isStackInScope(marker.stackId, stackNames, stackScopes)
+        return { record, marker, key, stale }
+      })
+    const deletedKeys = new Set<string>()
+    for (const { record: markerRecord, marker, key, stale } of markers) {
+      if (!stale) {
+        continue
+      }
+      // Delete the owned records too, unless an export or another stack's marker still claims them
+      const claimed = desiredKeys.has(key) || markers.some((other) => other.key === key && !other.stale)
+      const unplannedRecordSet = unplannedRecordSetsByKey.get(key)
+      if (unplannedRecordSet && !deletedKeys.has(key)) {
+        // Other stacks still export the host and type, so only the values this stack no longer exports are deleted
+        deletedKeys.add(key)
+        try {
+          plan.push(...(await planRecordSet(provider, unplannedRecordSet, cache)))
+        } catch (err: any) {
+          plan.push(createErrorPlanEntry(unplannedRecordSet[0].name, unplannedRecordSet[0].type, err))
+        }
+      } else if (!claimed && !deletedKeys.has(key)) {
+        deletedKeys.add(key)
+        const name = marker.hostName ? marker.hostName + '.' + zoneName : zoneName
+        for (const record of zoneRecords) {
+          if (record.host === marker.hostName && record.type === marker.type) {
+            plan.push({
+              action: 'delete',
+              name: name,
+              type: marker.type,
+              zoneName: zoneName,
+              hostName: marker.hostName,
+              recordId: record.id,
+              oldTtl: record.ttl,
+              oldValue: record.value,
+            })
+          }
+        }
+      }
+      plan.push({
+        action: 'delete',
+        name: markerRecord.host + '.' + zoneName,
+        type: 'TXT',
+        zoneName: zoneName,
+        hostName: markerRecord.host,
+        recordId: markerRecord.id,
+        oldTtl: markerRecord.ttl,
+        oldValue: markerRecord.value,
+      })
+    }
+  }
+  return plan
+}
+
+export async function planSync(
+  provider: DnsProvider,
+  desiredRecords: DesiredRecord[],
+  stackNames: string[],
+  prune: boolean,
+  options: SyncOptions = {}
+): Promise<PlanEntry[]> {
+  const cache: SyncCache = { records: {} }
+  // Only record sets with values from the given stacks are written, but they are reconciled against the values of all stacks
+  const allDesiredRecordSets = groupDesiredRecordSets(desiredRecords)
+  const desiredRecordSets = allDesiredRecordSets.filter((desiredRecordSet) =>
+    desiredRecordSet.some((desiredRecord) => matchesStackNames(desiredRecord.stackId, stackNames))
+  )
+  const recordSetPlans = await mapConcurrently(desiredRecordSets, options.concurrency || defaultConcurrency, async (desiredRecordSet) => {
+    try {
+      const recordSetPlan = await planRecordSet(provider, desiredRecordSet, cache)
+      if (prune) {
+        recordSetPlan.push(...(await planOwnershipMarkers(provider, desiredRecordSet, stackNames, cache)))
+      }
+      return recordSetPlan
+    } catch (err: any) {
+      // A missing zone or a failed lookup only fails this record set
+      return [createErrorPlanEntry(desiredRecordSet[0].name, desiredRecordSet[0].type, err)]
+    }
+  })
+  const invalidExports = (options.invalidExports || []).filter((invalidExport) => matchesStackNames(invalidExport.stackId, stackNames))
+  const conflicts = (options.conflicts || []).filter((conflict) => conflict.stackIds.some((stackId) => matchesStackNames(stackId, stackNames)))
+  const plan = ([] as PlanEntry[]).concat(
+    invalidExports.map((invalidExport) => createErrorPlanEntry(invalidExport.exportName, '', new Error(invalidExport.error))),
+    conflicts.map((conflict) => createErrorPlanEntry(conflict.name, conflict.type, new Error(conflict.error))),
+    ...recordSetPlans
+  )
+  if (prune) {
+    const unplannedRecordSets = allDesiredRecordSets.filter((desiredRecordSet) => !desiredRecordSets.includes(desiredRecordSet))
+    plan.push(
+      ...(await planPrune(
+        provider,
+        desiredRecords,
+        unplannedRecordSets,
+        stackNames,
+        options.stackScopes,
+        options.invalidExports || [],
+        options.conflicts || [],
+        cache
+      ))
+    )
+  }
+  return plan
+}
+
+export async function applyPlanEntry(provider: DnsProvider, planEntry: PlanEntry) {
+  const { action, name, type, zoneName, hostName, recordId, oldTtl, oldValue, newTtl, newValue } = planEntry
+  if (action === 'error') {
+    // The record set could not be planned
+    throw new Error(planEntry.error)
+  } else if (action === 'noop') {
+    // Record exists already - no change
+    console.log('OK', name, type, newTtl, newValue, 'ZONE', zoneName, 'HOST', hostName)
+  } else if (action === 'update') {
+    // Update record
+    console.log('UPDATE', name, type, newTtl, newValue, 'ZONE', zoneName, 'HOST', hostName)
+    await provider.modifyRecord(zoneName, recordId!, { host: hostName, type: type, value: newValue!, ttl: newTtl! })
+  } else if (action === 'delete') {
+    // Delete record
+    console.log('DELETE', name, type, oldTtl, oldValue, 'ZONE', zoneName, 'HOST', hostName)
+    await provider.deleteRecord(zoneName, recordId!)
+  } else {
+    // Create record
+    console.log('CREATE', name, type, newTtl, newValue, 'ZONE', zoneName, 'HOST', hostName)
+    await provider.addRecord(zoneName, { host: hostName, type: type, value: newValue!, ttl: newTtl! })
+  }
+}
+
+function getPlanEntryRecordSetKey(planEntry: PlanEntry) {
+  // Ownership markers belong to the record set they mark, so they are applied after the records of that set
+  const { zoneName, hostName, type, oldValue, newValue } = planEntry
+  const marker = parseOwnershipMarker({ host: hostName, type: type, value: newValue || oldValue || '', ttl: '' })
+  return marker ? [zoneName, marker.hostName, marker.type].join(' ') : [zoneName, hostName, type].join(' ')
+}
+
+export async function applyPlan(provider: DnsProvider, plan: PlanEntry[], options: SyncOptions = {}): Promise<ApplyResult> {
+  const result: ApplyResult = { create: 0, update: 0, noop: 0, delete: 0, failed: 0, failures: [] }
+  for (const planEntry of plan.filter((planEntry) => planEntry.action === 'error')) {
+    console.error('FAILED', planEntry.name, planEntry.type, planEntry.error)
+    result.failed++
+    result.failures.push({ planEntry, error: new Error(planEntry.error) })
+  }
+  // The changes of one record set are applied in plan order, different record sets concurrently
+  const recordSetPlans = new Map<string, PlanEntry[]>()
+  for (const planEntry of plan.filter((planEntry) => planEntry.action !== 'error')) {
+    const key = getPlanEntryRecordSetKey(planEntry)
+    recordSetPlans.set(key, [...(recordSetPlans.get(key) || []), planEntry])
+  }
+  await mapConcurrently(Array.from(recordSetPlans.values()), options.concurrency || defaultConcurrency, async (recordSetPlan) => {
+    let recordSetError: Error | undefined
+    for (const planEntry of recordSetPlan) {
+      try {
+        if (recordSetError) {
+          // Keep the ownership marker and the remaining records so the next run can retry them
+          throw new Error('Skipped after an earlier failure in the same record set: ' + recordSetError.message)
+        }
+        await applyPlanEntry(provider, planEntry)
+        if (!isOwnershipMarkerEntry(planEntry)) {
+          // Ownership markers are bookkeeping, only their failures are counted
+          result[planEntry.action as Exclude<PlanAction, 'error'>]++
+        }
+      } catch (err: any) {
+        recordSetError = recordSetError || err
+        console.error('FAILED', planEntry.name, planEntry.type, 'ZONE', planEntry.zoneName, 'HOST', planEntry.hostName, err.message)
+        result.failed++
+        result.failures.push({ planEntry, error: err })
+      }
+    }
+  })
+  return result
+}
+
+export function summarizePlan(plan: PlanEntry[]) {
+  // Counts DNS records only, ownership markers are left out
+  const recordPlan = plan.filter((planEntry) => !isOwnershipMarkerEntry(planEntry))
+  return {
+    create: recordPlan.filter((planEntry) => planEntry.action === 'create').length,
+    update: recordPlan.filter((planEntry) => planEntry.action === 'update').length,
+    noop: recordPlan.filter((planEntry) => planEntry.action === 'noop').length,
+    delete: recordPlan.filter((planEntry) => planEntry.action === 'delete').length,
+    failed: plan.filter((planEntry) => planEntry.action === 'error').length,
+  }
+}
+
+export function printApplyResult(result: ApplyResult) {
+  console.log('Summary:', result.create, 'created,', result.update, 'updated,', result.delete, 'deleted,', result.noop, 'unchanged,', result.failed, 'failed.')
+}
+
+export function printPlan(plan: PlanEntry[]) {
+  for (const planEntry of plan) {
+    const { action, name, type, zoneName, hostName, oldTtl, oldValue, newTtl, newValue } = planEntry
+    if (action === 'noop') {
+      console.log('  OK    ', name, type, newTtl, newValue, 'ZONE', zoneName, 'HOST', hostName)
+    } else if (action === 'update') {
+      console.log('~ UPDATE', name, type, 'ZONE', zoneName, 'HOST', hostName)
+      console.log('    ttl  ', oldTtl, '->', newTtl)
+      console.log('    value', oldValue, '->', newValue)
+    } else if (action === 'delete') {
+      console.log('- DELETE', name, type, oldTtl, oldValue, 'ZONE', zoneName, 'HOST', hostName)
+    } else if (action === 'error') {
+      console.log('! ERROR ', name, type, planEntry.error)
+    } else {
+      console.log('+ CREATE', name, type, newTtl, newValue, 'ZONE', zoneName, 'HOST', hostName)
+    }
+  }
+  const summary = summarizePlan(plan)
+  console.log(
+    'Plan:',
+    summary.create,
+    'to create,',
+    summary.update,
+    'to update,',
+    summary.delete,
+    'to delete,',
+    summary.noop,
+    'unchanged,',
+    summary.failed,
+    'failed.'
+  )
+}
@@ -0,0 +1,32 @@
+/**
+ * Resolves record names to a zone and host name using the list of zones in the DNS account.
+ */
+
+export function normalizeRecordName(name: string) {
+  // Names are case-insensitive and may be given with a trailing dot or an @ label for the zone apex
+  return name
+    .toLowerCase()
+    .replace(/\.$/, '')
+    .split('.')
+    .filter((namePart, index) => !(index === 0 && namePart === '@'))
+    .join('.')
+}
+
+export function resolveHostAndZone(name: string, zoneNames: string[]) {
+  const nameParts = normalizeRecordName(name).split('.')
+  const zoneNameSet = new Set(zoneNames.map((zoneName) => zoneName.toLowerCase().replace(/\.$/, '')))
+
+  // Try the longest suffix first, so a delegated child zone wins over its parent zone
+  const candidateZoneNames: string[] = []
+  for (let i = 0; i < nameParts.length; i++) {
+    const zoneName = nameParts.slice(i).join('.')
+    if (zoneNameSet.has(zoneName)) {
+      return {
+        hostName: nameParts.slice(0, i).join('.'),
+        zoneName: zoneName,
+      }
+    }
+    candidateZoneNames.push(zoneName)
+  }
+  throw new Error('Zone Not Found: ' + name + ' (none of ' + candidateZoneNames.join(', ') + ' is a zone in the account)')
+}
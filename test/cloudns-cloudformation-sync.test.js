@@ -0,0 +1,54 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createMemoryProvider, formatPlanJson, parseExport, planSync } = require('../lib/cloudns-cloudformation-sync')
+
+function syncTarget(username, regions) {
+  return { username, passwordParameter: '/cloudns/password', regions, roleArns: [], ttl: '300', stackNames: [], prune: false, concurrency: 4 }
+}
+
+test('formatPlanJson tells which target each change belongs to', async () => {
+  const provider = createMemoryProvider({ 'example.org': [{ id: '1', host: 'api', type: 'CNAME', value: 'old.example.com', ttl: '300' }] })
+  const desiredRecords = [
+    ...parseExport('ClouDNS:CNAME:api:example:org', 'new.example.com', '300', 'web', 'eu-west-1'),
+    ...parseExport('ClouDNS:CNAME:www:example:com', 'x', '300', 'web', 'eu-west-1'),
+  ]
+  const plan = await planSync(provider, desiredRecords, [], false)
+  const json = JSON.parse(
+    formatPlanJson([
+      { target: syncTarget('failing-user', ['us-east-1']), plan: [], error: 'ParameterNotFound' },
+      { target: syncTarget('user', ['eu-west-1']), plan },
+    ])
+  )
+  assert.deepStrictEqual(json, {
+    dryRun: true,
+    summary: { create: 0, update: 1, noop: 0, delete: 0, failed: 2 },
+    targets: [
+      { username: 'failing-user', regions: ['us-east-1'], roleArns: [], error: 'ParameterNotFound' },
+      { username: 'user', regions: ['eu-west-1'], roleArns: [] },
+    ],
+    changes: [
+      {
+        target: 1,
+        action: 'update',
+        name: 'api.example.org',
+        type: 'CNAME',
+        zoneName: 'example.org',
+        hostName: 'api',
+        recordId: '1',
+        oldTtl: '300',
+        oldValue: 'old.example.com',
+        newTtl: '300',
+        newValue: 'new.example.com',
+      },
+      {
+        target: 1,
+        action: 'error',
+        name: 'www.example.com',
+        type: 'CNAME',
+        zoneName: '',
+        hostName: '',
+        error: 'Zone Not Found: www.example.com (none of www.example.com, example.com, com is a zone in the account)',
+      },
+    ],
+  })
+})
@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const {
+  createCloudnsProvider,
+  CloudnsAuthError,
+  CloudnsRateLimitError,
+  CloudnsTransientError,
+  CloudnsValidationError,
+  CloudnsZoneNotFoundError,
+} = require('../lib/cloudns-cloudformation-sync')
+const { startCloudnsStandIn } = require('./cloudns-stand-in')
+
+let standIn
+let provider
+
+before(async () => {
+  const zones = { 'example.org': [{ id: '1', host: '', type: 'MX', record: 'mx1.example.org', priority: '10', ttl: '3600' }] }
+  for (let i = 0; i < 150; i++) {
+    zones['zone' + i + '.example.com'] = []
+  }
+  standIn = await startCloudnsStandIn({ zones })
+  provider = createCloudnsProvider(standIn.username, standIn.password, { apiUrl: standIn.apiUrl, timeout: 200, retryDelay: 1 })
+})
+
+after(async () => {
+  await standIn.close()
+})
+
+test('listZones reads every page', async () => {
+  const zoneNames = await provider.listZones()
+  assert.strictEqual(zoneNames.length, 151)
+  assert.strictEqual(standIn.requests.filter((request) => request.pathname === '/dns/list-zones.json').length, 2)
+})
+
+test('listRecords formats record fields like export values', async () => {
+  assert.deepStrictEqual(await provider.listRecords('example.org'), [{ id: '1', host: '', type: 'MX', value: '10 mx1.example.org', ttl: '3600' }])
+  assert.deepStrictEqual(await provider.listRecords('zone0.example.com'), [])
+})
+
+test('addRecord, modifyRecord and deleteRecord send ClouDNS parameters', async () => {
+  await provider.addRecord('example.org', { host: '', type: 'CAA', value: '0 issue letsencrypt.org', ttl: '3600' })
+  const caaRecord = standIn.zones['example.org'].find((record) => record.type === 'CAA')
+  assert.deepStrictEqual([caaRecord.caa_flag, caaRecord.caa_type, caaRecord.caa_value], ['0', 'issue', 'letsencrypt.org'])
+
+  await provider.modifyRecord('example.org', '1', { host: '', type: 'MX', value: '20 mx2.example.org', ttl: '3600' })
+  assert.deepStrictEqual(standIn.zones['example.org'][0], { id: '1', host: '', type: 'MX', record: 'mx2.example.org', priority: '20', ttl: '3600' })
+
+  await provider.deleteRecord('example.org', caaRecord.id)
+  assert.strictEqual(standIn.zones['example.org'].length, 1)
+})
+
+test('failed API calls are reported as errors', async () => {
+  await assert.rejects(provider.deleteRecord('example.org', '999'), /Delete record failed: Invalid record-id param./)
+  const badProvider = createCloudnsProvider(standIn.username, 'wrong-password', { apiUrl: standIn.apiUrl, retryDelay: 1 })
+  await assert.rejects(badProvider.listZones(), /List zones failed: Invalid authentication/)
+})
+
+test('failed API calls are classified', async () => {
+  const badProvider = createCloudnsProvider(standIn.username, 'wrong-password', { apiUrl: standIn.apiUrl, retryDelay: 1 })
+  const requestCount = standIn.requests.length
+  await assert.rejects(badProvider.listRecords('example.org'), CloudnsAuthError)
+  // Authentication failures are not retried
+  assert.strictEqual(standIn.requests.length, requestCount + 1)
+  await assert.rejects(provider.listRecords('missing.example.org'), CloudnsZoneNotFoundError)
+  await assert.rejects(provider.deleteRecord('example.org', '999'), CloudnsValidationError)
+})
+
+test('rate limited and transient failures are retried', async () => {
+  standIn.faults.push(
+    { pathname: '/dns/records.json', status: 429, headers: { 'Retry-After': '0' } },
+    { pathname: '/dns/records.json', body: { status: 'Failed', statusDescription: 'Too many requests. Please try again later.' } },
+    { pathname: '/dns/records.json', status: 503 }
+  )
+  const requestCount = standIn.requests.length
+  assert.strictEqual((await provider.listRecords('example.org')).length, 1)
+  assert.strictEqual(standIn.requests.length, requestCount + 4)
+})
+
+test('Add record is retried only when rate limited', async () => {
+  const record = { host: 'retry', type: 'A', value: '192.0.2.1', ttl: '3600' }
+  standIn.faults.push({ pathname: '/dns/add-record.json', status: 503 })
+  let requestCount = standIn.requests.length
+  await assert.rejects(provider.addRecord('example.org', record), CloudnsTransientError)
+  assert.strictEqual(standIn.requests.length, requestCount + 1)
+
+  standIn.faults.push({ pathname: '/dns/add-record.json', status: 429, headers: { 'Retry-After': '0' } })
+  requestCount = standIn.requests.length
+  await provider.addRecord('example.org', record)
+  assert.strictEqual(standIn.requests.length, requestCount + 2)
+  assert.strictEqual(standIn.zones['example.org'].filter((zoneRecord) => zoneRecord.host === 'retry').length, 1)
+})
+
+test('requests time out and give up after the configured retries', async () => {
+  const impatientProvider = createCloudnsProvider(standIn.username, standIn.password, { apiUrl: standIn.apiUrl, timeout: 50, retries: 1, retryDelay: 1 })
+  standIn.faults.push({ pathname: '/dns/list-zones.json', delay: 200 }, { pathname: '/dns/list-zones.json', delay: 200 })
+  await assert.rejects(impatientProvider.listZones(), (err) => {
+    assert.ok(err instanceof CloudnsTransientError)
+    assert.strictEqual(err.message, 'List zones failed: timed out after 50 ms')
+    return true
+  })
+  standIn.faults.push({ pathname: '/dns/list-zones.json', status: 429 }, { pathname: '/dns/list-zones.json', status: 429 })
+  await assert.rejects(impatientProvider.listZones(), CloudnsRateLimitError)
+})
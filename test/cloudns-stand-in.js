@@ -0,0 +1,93 @@
+// Local HTTP stand-in for the ClouDNS API, used to test the ClouDNS provider offline.
+// Zones are kept in ClouDNS format: { 'example.org': [{ id, host, type, record, ttl, priority, ... }] }
+// Faults are used once by the next matching request: { pathname, status, body, headers, delay }
+const http = require('http')
+
+const recordParams = ['record', 'priority', 'weight', 'port', 'caa_flag', 'caa_type', 'caa_value']
+
+function startCloudnsStandIn({ username = 'test-user', password = 'test-password', zones = {}, faults = [] } = {}) {
+  const requests = []
+  let nextId = 1000
+
+  const handleRequest = (pathname, query) => {
+    if (query['sub-auth-user'] !== username || query['auth-password'] !== password) {
+      return { status: 'Failed', statusDescription: 'Invalid authentication, incorrect auth-id or auth-password.' }
+    }
+    if (pathname === '/dns/list-zones.json') {
+      const rowsPerPage = Number(query['rows-per-page'])
+      const page = Number(query.page)
+      return Object.keys(zones)
+        .slice((page - 1) * rowsPerPage, page * rowsPerPage)
+        .map((name) => ({ name: name, type: 'master', zone: 'domain', status: '1' }))
+    }
+    const zoneRecords = zones[query['domain-name']]
+    if (!zoneRecords) {
+      return { status: 'Failed', statusDescription: 'Missing domain-name' }
+    }
+    if (pathname === '/dns/records.json') {
+      // ClouDNS returns an empty array for empty zones and an object keyed by record ID otherwise
+      return zoneRecords.length ? Object.fromEntries(zoneRecords.map((record) => [record.id, record])) : []
+    }
+    if (pathname === '/dns/add-record.json' || pathname === '/dns/mod-record.json') {
+      const record = { id: query['record-id'] || String(nextId++), host: query.host, type: query['record-type'], ttl: query.ttl }
+      for (const param of recordParams) {
+        if (query[param] !== undefined) {
+          record[param] = query[param]
+        }
+      }
+      const index = zoneRecords.findIndex((existingRecord) => existingRecord.id === record.id)
+      if (pathname === '/dns/mod-record.json' && index < 0) {
+        return { status: 'Failed', statusDescription: 'Invalid record-id param.' }
+      }
+      if (index < 0) {
+        zoneRecords.push(record)
+      } else {
+        zoneRecords[index] = record
+      }
+      return { status: 'Success', statusDescription: 'The record was ' + (index < 0 ? 'added' : 'modified') + ' successfully.' }
+    }
+    if (pathname === '/dns/delete-record.json') {
+      const index = zoneRecords.findIndex((existingRecord) => existingRecord.id === query['record-id'])
+      if (index < 0) {
+        return { status: 'Failed', statusDescription: 'Invalid record-id param.' }
+      }
+      zoneRecords.splice(index, 1)
+      return { status: 'Success', statusDescription: 'The record was deleted successfully.' }
+    }
+    return undefined
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    const query = Object.fromEntries(url.searchParams)
+    requests.push({ method: req.method, pathname: url.pathname, query: query })
+    const faultIndex = faults.findIndex((fault) => !fault.pathname || fault.pathname === url.pathname)
+    const fault = faultIndex >= 0 ? faults.splice(faultIndex, 1)[0] : undefined
+    const respond = () => {
+      const body = fault?.body || (fault?.status ? undefined : handleRequest(url.pathname, query))
+      res.writeHead(fault?.status || (body ? 200 : 404), { 'Content-Type': 'application/json', ...fault?.headers })
+      res.end(JSON.stringify(body || { status: 'Failed', statusDescription: 'Not Found' }))
+    }
+    if (fault?.delay) {
+      setTimeout(respond, fault.delay)
+    } else {
+      respond()
+    }
+  })
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        apiUrl: 'http://127.0.0.1:' + server.address().port,
+        username: username,
+        password: password,
+        zones: zones,
+        requests: requests,
+        faults: faults,
+        close: () => new Promise((resolveClose) => server.close(resolveClose)),
+      })
+    })
+  })
+}
+
+module.exports = { startCloudnsStandIn }
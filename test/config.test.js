@@ -0,0 +1,113 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { parseCommandLine, readConfigFile } = require('../lib/cloudns-cloudformation-sync')
+
+function writeConfigFile(fileName, text) {
+  const configFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cloudns-sync-')), fileName)
+  fs.writeFileSync(configFile, text)
+  return configFile
+}
+
+test('parseCommandLine reads named options', () => {
+  const commandLine = parseCommandLine([
+    '--username',
+    'user',
+    '--password-parameter',
+    '/cloudns/password',
+    '--stack',
+    'web',
+    '--stack',
+    'api',
+    '--region',
+    'eu-west-1',
+    '--dry-run',
+  ])
+  assert.deepStrictEqual(commandLine, {
+    help: false,
+    dryRun: true,
+    jsonOutput: false,
+    targets: [
+      {
+        username: 'user',
+        passwordParameter: '/cloudns/password',
+        regions: ['eu-west-1'],
+        roleArns: [],
+        profile: undefined,
+        ttl: '300',
+        stackNames: ['web', 'api'],
+        prune: false,
+        concurrency: 4,
+      },
+    ],
+  })
+})
+
+test('parseCommandLine keeps supporting the old positional form', () => {
+  const [target] = parseCommandLine(['user', '/cloudns/password', '3600', 'web', 'api']).targets
+  assert.deepStrictEqual([target.username, target.passwordParameter, target.ttl, target.stackNames], ['user', '/cloudns/password', '3600', ['web', 'api']])
+  assert.deepStrictEqual(parseCommandLine(['user', '/cloudns/password']).targets[0].ttl, '300')
+})
+
+test('parseCommandLine validates the options', () => {
+  assert.strictEqual(parseCommandLine(['--help']).help, true)
+  assert.throws(() => parseCommandLine(['--username', 'user']), /username and password parameter are required/)
+  assert.throws(() => parseCommandLine(['user', '/cloudns/password', '301']), /Invalid TTL 301/)
+  assert.throws(() => parseCommandLine(['user', '/cloudns/password', '--concurrency', '0']), /Invalid concurrency 0/)
+  assert.throws(() => parseCommandLine(['--config', 'sync.yaml', '--username', 'user']), /cannot be combined/)
+  assert.throws(() => parseCommandLine(['--config', 'sync.yaml', 'user', '/cloudns/password']), /cannot be combined/)
+})
+
+test('config file targets combine target, top-level and command line values', () => {
+  const configFile = writeConfigFile(
+    'sync.yaml',
+    [
+      'ttl: 3600',
+      'regions: [eu-west-1, eu-north-1]',
+      'targets:',
+      '  - username: user1',
+      '    passwordParameter: /cloudns/password1',
+      '    stacks: [web]',
+      '  - username: user2',
+      '    passwordParameter: /cloudns/password2',
+      '    region: us-east-1',
+      '    roleArn: arn:aws:iam::123456789012:role/read-exports',
+      '    ttl: 60',
+      '    prune: false',
+    ].join('\n')
+  )
+  const { targets } = parseCommandLine(['--config', configFile, '--prune', '--concurrency', '2', '--profile', 'production', '--stack', 'api'])
+  assert.deepStrictEqual(targets, [
+    {
+      username: 'user1',
+      passwordParameter: '/cloudns/password1',
+      regions: ['eu-west-1', 'eu-north-1'],
+      roleArns: [],
+      profile: 'production',
+      ttl: '3600',
+      stackNames: ['web'],
+      prune: true,
+      concurrency: 2,
+    },
+    {
+      username: 'user2',
+      passwordParameter: '/cloudns/password2',
+      regions: ['us-east-1'],
+      roleArns: ['arn:aws:iam::123456789012:role/read-exports'],
+      profile: 'production',
+      ttl: '60',
+      stackNames: ['api'],
+      prune: false,
+      concurrency: 2,
+    },
+  ])
+})
+
+test('readConfigFile reads JSON and requires a list of targets', () => {
+  const defaults = { regions: [], roleArns: [], ttl: '300', stackNames: [], prune: false, concurrency: 4 }
+  const configFile = writeConfigFile('sync.json', JSON.stringify({ targets: [{ username: 'user', passwordParameter: '/cloudns/password', stacks: 'web' }] }))
+  assert.deepStrictEqual(readConfigFile(configFile, defaults)[0].stackNames, ['web'])
+  assert.throws(() => readConfigFile(writeConfigFile('empty.yml', 'ttl: 300\n'), defaults), /must contain a list of targets/)
+})
@@ -0,0 +1,180 @@
+const { test, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { createHandler } = require('../lib/lambda')
+const { createMemoryProvider, parseExport } = require('../lib/cloudns-cloudformation-sync')
+const customResourceEvent = require('./events/custom-resource-create.json')
+const stackStatusChangeEvent = require('./events/stack-status-change.json')
+
+// Stand-in for the pre-signed S3 URL that receives custom resource responses
+let responseServer
+let responseUrl
+let responses = []
+
+before(async () => {
+  responseServer = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => {
+      responses.push({ method: req.method, url: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) })
+      res.end()
+    })
+  })
+  await new Promise((resolve) => responseServer.listen(0, '127.0.0.1', resolve))
+  responseUrl = 'http://127.0.0.1:' + responseServer.address().port + '/cloudformation-response'
+})
+
+after(async () => {
+  await new Promise((resolve) => responseServer.close(resolve))
+})
+
+beforeEach(() => {
+  responses = []
+})
+
+function createTestHandler(provider, targets = []) {
+  const exportsByStack = {
+    'my-web-stack': parseExport('ClouDNS:CNAME:www:example:org', 'www.cloudfront.net', '300', stackStatusChangeEvent.detail['stack-id'], 'eu-west-1'),
+  }
+  return createHandler({
+    createProvider: async () => provider,
+    readExports: async (target) => {
+      targets.push(target)
+      return {
+        desiredRecords: [].concat(...Object.values(exportsByStack)),
+        stackScopes: target.regions.map((region) => ({ region, accountId: '123456789012' })),
+      }
+    },
+  })
+}
+
+test('custom resource Create syncs the given stack and sends SUCCESS', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const targets = []
+  await createTestHandler(provider, targets)({ ...customResourceEvent, ResponseURL: responseUrl }, { logStreamName: 'log-stream' })
+  assert.deepStrictEqual(targets[0].stackNames, ['my-web-stack'])
+  assert.strictEqual(targets[0].username, 'my-cloudns-user')
+  assert.deepStrictEqual(
+    provider.zones['example.org'].map((record) => record.host + ' ' + record.value),
+    ['www www.cloudfront.net']
+  )
+  assert.strictEqual(responses.length, 1)
+  assert.strictEqual(responses[0].method, 'PUT')
+  assert.strictEqual(responses[0].url, '/cloudformation-response')
+  assert.strictEqual(responses[0].contentType, '')
+  assert.deepStrictEqual(responses[0].body, {
+    Status: 'SUCCESS',
+    Reason: 'See CloudWatch log stream: log-stream',
+    PhysicalResourceId: 'ClouDNSSync-ClouDNSSync',
+    StackId: customResourceEvent.StackId,
+    RequestId: customResourceEvent.RequestId,
+    LogicalResourceId: 'ClouDNSSync',
+    Data: { Created: '1', Updated: '0', Deleted: '0', Unchanged: '0' },
+  })
+})
+
+test('custom resource errors are sent as FAILED', async () => {
+  const provider = createMemoryProvider({ 'example.com': [] })
+  await createTestHandler(provider)({ ...customResourceEvent, ResponseURL: responseUrl })
+  assert.strictEqual(responses[0].body.Status, 'FAILED')
+  assert.match(responses[0].body.Reason, /^1 of 1 records failed to sync:\nwww.example.org CNAME: Zone Not Found: www.example.org/)
+})
+
+test('custom resource reports records that failed to sync', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  provider.addRecord = async () => {
+    throw new Error('Add record failed: Invalid record')
+  }
+  await createTestHandler(provider)({ ...customResourceEvent, ResponseURL: responseUrl })
+  assert.strictEqual(responses[0].body.Status, 'FAILED')
+  assert.strictEqual(responses[0].body.Reason, '1 of 1 records failed to sync:\nwww.example.org CNAME: Add record failed: Invalid record')
+})
+
+test('custom resource requires the StackName property', async () => {
+  const targets = []
+  const { StackName, ...properties } = customResourceEvent.ResourceProperties
+  await createTestHandler(createMemoryProvider(), targets)({ ...customResourceEvent, ResourceProperties: properties, ResponseURL: responseUrl })
+  assert.strictEqual(targets.length, 0)
+  assert.strictEqual(responses[0].body.Status, 'FAILED')
+  assert.match(responses[0].body.Reason, /StackName property is required/)
+})
+
+test('custom resource Delete leaves the records alone', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const targets = []
+  await createTestHandler(provider, targets)({ ...customResourceEvent, RequestType: 'Delete', PhysicalResourceId: 'existing-id', ResponseURL: responseUrl })
+  assert.strictEqual(targets.length, 0)
+  assert.strictEqual(responses[0].body.Status, 'SUCCESS')
+  assert.strictEqual(responses[0].body.PhysicalResourceId, 'existing-id')
+})
+
+test('stack status change syncs only the affected stack', async () => {
+  process.env.CLOUDNS_USERNAME = 'env-user'
+  process.env.CLOUDNS_PASSWORD_PARAMETER = '/cloudns/env-password'
+  const lambdaRegion = process.env.AWS_REGION
+  process.env.AWS_REGION = 'eu-north-1'
+  try {
+    const provider = createMemoryProvider({ 'example.org': [] })
+    const targets = []
+    const result = await createTestHandler(provider, targets)(stackStatusChangeEvent)
+    assert.deepStrictEqual(result, {
+      stackName: 'my-web-stack',
+      status: 'UPDATE_COMPLETE',
+      skipped: false,
+      summary: { create: 1, update: 0, noop: 0, delete: 0, failed: 0 },
+    })
+    // The exports are read in the stack's region, the password in the Lambda's region
+    assert.deepStrictEqual(
+      [targets[0].username, targets[0].regions, targets[0].passwordRegion, targets[0].stackNames],
+      ['env-user', ['eu-west-1'], 'eu-north-1', [stackStatusChangeEvent.detail['stack-id']]]
+    )
+
+    const inProgressEvent = { ...stackStatusChangeEvent, detail: { ...stackStatusChangeEvent.detail, 'status-details': { status: 'UPDATE_IN_PROGRESS' } } }
+    assert.strictEqual((await createTestHandler(provider)(inProgressEvent)).skipped, true)
+  } finally {
+    delete process.env.CLOUDNS_USERNAME
+    delete process.env.CLOUDNS_PASSWORD_PARAMETER
+    if (lambdaRegion === undefined) {
+      delete process.env.AWS_REGION
+    } else {
+      process.env.AWS_REGION = lambdaRegion
+    }
+  }
+})
+
+test('stack deletion prunes the stack records when pruning is enabled', async () => {
+  process.env.CLOUDNS_USERNAME = 'env-user'
+  process.env.CLOUDNS_PASSWORD_PARAMETER = '/cloudns/env-password'
+  process.env.CLOUDNS_PRUNE = 'true'
+  const stackId = 'arn:aws:cloudformation:eu-west-1:123456789012:stack/my-deleted-stack/11111111-2222-3333-4444-555555555555'
+  const otherRegionStackId = 'arn:aws:cloudformation:us-east-1:123456789012:stack/my-deleted-stack/22222222-2222-3333-4444-555555555555'
+  const otherAccountStackId = 'arn:aws:cloudformation:eu-west-1:210987654321:stack/my-deleted-stack/33333333-2222-3333-4444-555555555555'
+  try {
+    const provider = createMemoryProvider({
+      'example.org': [
+        { id: '1', host: 'old', type: 'CNAME', value: 'old.cloudfront.net', ttl: '300' },
+        { id: '2', host: '_cloudns-sync.old', type: 'TXT', value: 'cloudns-cloudformation-sync stack=' + stackId + ' type=CNAME', ttl: '3600' },
+        { id: '3', host: 'us', type: 'CNAME', value: 'us.cloudfront.net', ttl: '300' },
+        { id: '4', host: '_cloudns-sync.us', type: 'TXT', value: 'cloudns-cloudformation-sync stack=' + otherRegionStackId + ' type=CNAME', ttl: '3600' },
+        { id: '5', host: 'other', type: 'CNAME', value: 'other.cloudfront.net', ttl: '300' },
+        { id: '6', host: '_cloudns-sync.other', type: 'TXT', value: 'cloudns-cloudformation-sync stack=' + otherAccountStackId + ' type=CNAME', ttl: '3600' },
+      ],
+    })
+    const deleteEvent = { ...stackStatusChangeEvent, detail: { 'stack-id': stackId, 'status-details': { status: 'DELETE_COMPLETE' } } }
+    const result = await createTestHandler(provider)(deleteEvent)
+    assert.strictEqual(result.summary.delete, 1)
+    // Stacks with the same name in another region or account keep their records
+    assert.deepStrictEqual(
+      provider.zones['example.org'].map((record) => record.id),
+      ['3', '4', '5', '6']
+    )
+  } finally {
+    delete process.env.CLOUDNS_USERNAME
+    delete process.env.CLOUDNS_PASSWORD_PARAMETER
+    delete process.env.CLOUDNS_PRUNE
+  }
+})
+
+test('unsupported events are rejected', async () => {
+  await assert.rejects(createTestHandler(createMemoryProvider())({ hello: 'world' }), /Unsupported event/)
+})
@@ -0,0 +1,49 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { parseExport, parseExportName, parseExportValues, parseRecordValue } = require('../lib/cloudns-cloudformation-sync')
+
+test('parseExportName reads the type, host name and TTL option', () => {
+  assert.deepStrictEqual(parseExportName('ClouDNS:CNAME:myhost:example:org', '300'), { type: 'CNAME', name: 'myhost.example.org', ttl: '300', list: false })
+  assert.deepStrictEqual(parseExportName('ClouDNS:TXT-google-list-ttl3600:example:org', '300'), { type: 'TXT', name: 'example.org', ttl: '3600', list: true })
+  assert.deepStrictEqual(parseExportName('ClouDNS:SRV:-sip:-tcp:example:org', '300'), { type: 'SRV', name: '_sip._tcp.example.org', ttl: '300', list: false })
+})
+
+test('parseExportName rejects invalid names', () => {
+  assert.throws(() => parseExportName('ClouDNS:cname:myhost:example:org', '300'), /record type must be given in upper case/)
+  assert.throws(() => parseExportName('ClouDNS:CNAME', '300'), /missing record hostname/)
+  assert.throws(() => parseExportName('ClouDNS:CNAME-ttl5:myhost:example:org', '300'), /invalid TTL 5/)
+})
+
+test('parseExportValues splits comma-separated values and honors quotes', () => {
+  assert.deepStrictEqual(parseExportValues('192.0.2.1, 192.0.2.2,,'), ['192.0.2.1', '192.0.2.2'])
+  assert.deepStrictEqual(parseExportValues('"v=spf1 include:a,b ~all",token'), ['v=spf1 include:a,b ~all', 'token'])
+  assert.deepStrictEqual(parseExportValues('say \\"hi\\"\\, there,token'), ['say "hi", there', 'token'])
+})
+
+test('parseRecordValue normalizes and validates MX, SRV and CAA values', () => {
+  assert.deepStrictEqual(parseRecordValue('MX', '10   mx1.example.org'), { value: '10 mx1.example.org', fields: { priority: '10', target: 'mx1.example.org' } })
+  assert.strictEqual(parseRecordValue('SRV', '10 60 5060 sip.example.org').fields.port, '5060')
+  assert.strictEqual(parseRecordValue('CAA', '0 iodef mailto:security@example.org').fields.value, 'mailto:security@example.org')
+  assert.deepStrictEqual(parseRecordValue('CNAME', 'x.cloudfront.net'), { value: 'x.cloudfront.net', fields: {} })
+  assert.throws(() => parseRecordValue('MX', 'mx1.example.org'), /expected priority target/)
+  assert.throws(() => parseRecordValue('SRV', '10 x 5060 sip.example.org'), /weight must be a number/)
+  assert.throws(() => parseRecordValue('CAA', '0 issues letsencrypt.org'), /tag must be issue, issuewild or iodef/)
+})
+
+test('parseExport returns one desired record per value of a list', () => {
+  const desiredRecords = parseExport('ClouDNS:A-list:www:example:org', '192.0.2.1,192.0.2.2', '300', 'web', 'eu-west-1')
+  assert.deepStrictEqual(
+    desiredRecords.map((desiredRecord) => desiredRecord.value),
+    ['192.0.2.1', '192.0.2.2']
+  )
+  assert.throws(() => parseExport('ClouDNS:MX:example:org', 'mx1.example.org', '300', 'web', 'eu-west-1'), /^Error: Invalid export ClouDNS:MX:example:org/)
+})
+
+test('parseExport keeps values as-is without the list option', () => {
+  const dmarc = 'v=DMARC1; p=none; rua=mailto:a@example.org,mailto:b@example.org'
+  assert.deepStrictEqual(
+    parseExport('ClouDNS:TXT:-dmarc:example:org', dmarc, '300', 'web', 'eu-west-1').map((desiredRecord) => desiredRecord.value),
+    [dmarc]
+  )
+  assert.strictEqual(parseExport('ClouDNS:TXT:example:org', '"quoted"', '300', 'web', 'eu-west-1')[0].value, '"quoted"')
+})
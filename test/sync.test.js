@@ -0,0 +1,402 @@
+const { test, mock } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { applyPlan, createMemoryProvider, mergeDesiredRecords, parseExport, planSync, printPlan, summarizePlan } = require('../lib/cloudns-cloudformation-sync')
+
+function desired(exportName, exportValue, stackName = 'web', source = 'eu-west-1') {
+  return parseExport(exportName, exportValue, '300', stackName, source)
+}
+
+function actions(plan) {
+  return plan.map((planEntry) => [planEntry.action, planEntry.hostName, planEntry.type, planEntry.oldValue, planEntry.newValue].join(' ').trim())
+}
+
+test('planSync creates, updates and keeps records', async () => {
+  const provider = createMemoryProvider({
+    'example.org': [
+      { id: '1', host: 'api', type: 'CNAME', value: 'old.example.com', ttl: '300' },
+      { id: '2', host: 'www', type: 'CNAME', value: 'www.cloudfront.net', ttl: '300' },
+    ],
+  })
+  const desiredRecords = [
+    ...desired('ClouDNS:CNAME:api:example:org', 'new.example.com'),
+    ...desired('ClouDNS:CNAME:www:example:org', 'www.cloudfront.net'),
+    ...desired('ClouDNS:CNAME:cdn:example:org', 'cdn.cloudfront.net'),
+  ]
+  const plan = await planSync(provider, desiredRecords, [], false)
+  assert.deepStrictEqual(actions(plan), [
+    'update api CNAME old.example.com new.example.com',
+    'noop www CNAME www.cloudfront.net www.cloudfront.net',
+    'create cdn CNAME  cdn.cloudfront.net',
+  ])
+  await applyPlan(provider, plan)
+  assert.deepStrictEqual(summarizePlan(await planSync(provider, desiredRecords, [], false)), { create: 0, update: 0, noop: 3, delete: 0, failed: 0 })
+})
+
+test('planSync reconciles all values of a record set', async () => {
+  const provider = createMemoryProvider({
+    'example.org': [
+      { id: '1', host: 'www', type: 'A', value: '192.0.2.1', ttl: '300' },
+      { id: '2', host: 'www', type: 'A', value: '192.0.2.9', ttl: '300' },
+      { id: '3', host: 'www', type: 'A', value: '192.0.2.8', ttl: '300' },
+      { id: '4', host: 'mail', type: 'A', value: '192.0.2.25', ttl: '300' },
+    ],
+  })
+  const plan = await planSync(provider, desired('ClouDNS:A-list:www:example:org', '192.0.2.1,192.0.2.2'), [], false)
+  assert.deepStrictEqual(actions(plan), ['noop www A 192.0.2.1 192.0.2.1', 'update www A 192.0.2.9 192.0.2.2', 'delete www A 192.0.2.8'])
+  await applyPlan(provider, plan)
+  assert.deepStrictEqual(
+    provider.zones['example.org'].map((record) => record.host + ' ' + record.value),
+    ['www 192.0.2.1', 'www 192.0.2.2', 'mail 192.0.2.25']
+  )
+})
+
+test('planSync prunes only owned records of the given stacks', async () => {
+  const provider = createMemoryProvider({
+    'example.org': [
+      { id: '1', host: 'old', type: 'CNAME', value: 'old.cloudfront.net', ttl: '300' },
+      { id: '2', host: '_cloudns-sync.old', type: 'TXT', value: 'cloudns-cloudformation-sync stack=web type=CNAME', ttl: '3600' },
+      { id: '3', host: 'other', type: 'CNAME', value: 'other.cloudfront.net', ttl: '300' },
+      { id: '4', host: '_cloudns-sync.other', type: 'TXT', value: 'cloudns-cloudformation-sync stack=api type=CNAME', ttl: '3600' },
+      { id: '5', host: 'manual', type: 'CNAME', value: 'manual.example.com', ttl: '300' },
+    ],
+  })
+  const plan = await planSync(provider, desired('ClouDNS:CNAME:www:example:org', 'www.cloudfront.net'), ['web'], true)
+  assert.deepStrictEqual(actions(plan), [
+    'create www CNAME  www.cloudfront.net',
+    'create _cloudns-sync.www TXT  cloudns-cloudformation-sync stack=web type=CNAME',
+    'delete old CNAME old.cloudfront.net',
+    'delete _cloudns-sync.old TXT cloudns-cloudformation-sync stack=web type=CNAME',
+  ])
+  await applyPlan(provider, plan)
+  assert.deepStrictEqual(
+    provider.zones['example.org'].map((record) => record.host),
+    ['other', '_cloudns-sync.other', 'manual', 'www', '_cloudns-sync.www']
+  )
+})
+
+test('planSync prunes only stacks of the regions and accounts that were read', async () => {
+  const euWestWeb = 'arn:aws:cloudformation:eu-west-1:111111111111:stack/web/aaaa'
+  const usEastWeb = 'arn:aws:cloudformation:us-east-1:111111111111:stack/web/bbbb'
+  const provider = createMemoryProvider({
+    'example.org': [
+      { id: '1', host: 'old', type: 'CNAME', value: 'old.cloudfront.net', ttl: '300' },
+      { id: '2', host: '_cloudns-sync.old', type: 'TXT', value: 'cloudns-cloudformation-sync stack=' + euWestWeb + ' type=CNAME', ttl: '3600' },
+      { id: '3', host: 'cdn', type: 'CNAME', value: 'cdn.cloudfront.net', ttl: '300' },
+      { id: '4', host: '_cloudns-sync.cdn', type: 'TXT', value: 'cloudns-cloudformation-sync stack=' + usEastWeb + ' type=CNAME', ttl: '3600' },
+    ],
+  })
+  const stackScopes = [{ region: 'eu-west-1', accountId: '111111111111' }]
+  const plan = await planSync(provider, desired('ClouDNS:CNAME:www:example:org', 'www.cloudfront.net', euWestWeb), ['web'], true, { stackScopes })
+  assert.deepStrictEqual(actions(plan), [
+    'create www CNAME  www.cloudfront.net',
+    'create _cloudns-sync.www TXT  cloudns-cloudformation-sync stack=' + euWestWeb + ' type=CNAME',
+    'delete old CNAME old.cloudfront.net',
+    'delete _cloudns-sync.old TXT cloudns-cloudformation-sync stack=' + euWestWeb + ' type=CNAME',
+  ])
+})
+
+test('planSync prune of one target leaves the records of another account alone', async () => {
+  const targetAStack = 'arn:aws:cloudformation:eu-west-1:111111111111:stack/web/aaaa'
+  const targetBStack = 'arn:aws:cloudformation:eu-west-1:222222222222:stack/api/bbbb'
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const targetB = desired('ClouDNS:CNAME:api:example:org', 'api.example.com', targetBStack)
+  await applyPlan(provider, await planSync(provider, targetB, [], true, { stackScopes: [{ region: 'eu-west-1', accountId: '222222222222' }] }))
+  const targetA = desired('ClouDNS:CNAME:www:example:org', 'www.cloudfront.net', targetAStack)
+  const plan = await planSync(provider, targetA, [], true, { stackScopes: [{ region: 'eu-west-1', accountId: '111111111111' }] })
+  assert.deepStrictEqual(summarizePlan(plan).delete, 0)
+})
+
+test('planSync keeps records that another stack still owns', async () => {
+  const provider = createMemoryProvider({
+    'example.org': [
+      { id: '1', host: 'shared', type: 'CNAME', value: 'shared.cloudfront.net', ttl: '300' },
+      { id: '2', host: '_cloudns-sync.shared', type: 'TXT', value: 'cloudns-cloudformation-sync stack=web type=CNAME', ttl: '3600' },
+      { id: '3', host: '_cloudns-sync.shared', type: 'TXT', value: 'cloudns-cloudformation-sync stack=api type=CNAME', ttl: '3600' },
+    ],
+  })
+  const plan = await planSync(provider, [], ['web'], true)
+  assert.deepStrictEqual(actions(plan), ['delete _cloudns-sync.shared TXT cloudns-cloudformation-sync stack=web type=CNAME'])
+})
+
+test('planSync keeps values that other stacks export for the same host and type', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const desiredRecords = [
+    ...desired('ClouDNS:TXT-google:example:org', 'google-site-verification=x', 'web'),
+    ...desired('ClouDNS:TXT-ms:example:org', 'MS=ms1', 'api'),
+  ]
+  await applyPlan(provider, await planSync(provider, desiredRecords, [], true))
+  // Syncing either stack alone leaves the other stack's value and marker alone
+  assert.deepStrictEqual(actions(await planSync(provider, desiredRecords, ['api'], true)), [
+    'noop  TXT google-site-verification=x google-site-verification=x',
+    'noop  TXT MS=ms1 MS=ms1',
+    'noop _cloudns-sync TXT cloudns-cloudformation-sync stack=api type=TXT cloudns-cloudformation-sync stack=api type=TXT',
+  ])
+  const changedDesiredRecords = [...desiredRecords.slice(0, 1), ...desired('ClouDNS:TXT-ms:example:org', 'MS=ms2', 'api')]
+  assert.deepStrictEqual(actions(await planSync(provider, changedDesiredRecords, ['api'], true)), [
+    'noop  TXT google-site-verification=x google-site-verification=x',
+    'update  TXT MS=ms1 MS=ms2',
+    'noop _cloudns-sync TXT cloudns-cloudformation-sync stack=api type=TXT cloudns-cloudformation-sync stack=api type=TXT',
+  ])
+  assert.deepStrictEqual(actions(await planSync(provider, desiredRecords, ['other'], true)), [])
+})
+
+test('planSync deletes the values a stack drops from a record set it shares with another stack', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const webRecords = desired('ClouDNS:TXT-g:example:org', 'g=1', 'web')
+  const apiRecords = desired('ClouDNS:TXT-m:example:org', 'm=1', 'api')
+  await applyPlan(provider, await planSync(provider, [...webRecords, ...apiRecords], [], true))
+  // Syncing only the web stack after it stopped exporting its value
+  const plan = await planSync(provider, apiRecords, ['web'], true)
+  assert.deepStrictEqual(actions(plan), ['noop  TXT m=1 m=1', 'delete  TXT g=1', 'delete _cloudns-sync TXT cloudns-cloudformation-sync stack=web type=TXT'])
+  await applyPlan(provider, plan)
+  assert.deepStrictEqual(
+    provider.zones['example.org'].map((record) => record.value),
+    ['m=1', 'cloudns-cloudformation-sync stack=api type=TXT']
+  )
+})
+
+test('planSync marks wildcard hosts with a plain label', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const desiredRecords = desired('ClouDNS:CNAME:*:example:org', 'www.cloudfront.net')
+  assert.deepStrictEqual(actions(await planSync(provider, desiredRecords, [], true)), [
+    'create * CNAME  www.cloudfront.net',
+    'create _cloudns-sync._wildcard TXT  cloudns-cloudformation-sync stack=web type=CNAME',
+  ])
+  await applyPlan(provider, await planSync(provider, desiredRecords, [], true))
+  assert.deepStrictEqual(actions(await planSync(provider, [], [], true)), [
+    'delete * CNAME www.cloudfront.net',
+    'delete _cloudns-sync._wildcard TXT cloudns-cloudformation-sync stack=web type=CNAME',
+  ])
+})
+
+test('planSync treats different spellings of a name as one record set', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const desiredRecords = [...desired('ClouDNS:TXT-g:example:org', 'g=1'), ...desired('ClouDNS:TXT-m:@:example:org', 'm=1', 'api')]
+  await applyPlan(provider, await planSync(provider, desiredRecords, [], true))
+  assert.deepStrictEqual(actions(await planSync(provider, desiredRecords, [], true)), [
+    'noop  TXT g=1 g=1',
+    'noop  TXT m=1 m=1',
+    'noop _cloudns-sync TXT cloudns-cloudformation-sync stack=web type=TXT cloudns-cloudformation-sync stack=web type=TXT',
+    'noop _cloudns-sync TXT cloudns-cloudformation-sync stack=api type=TXT cloudns-cloudformation-sync stack=api type=TXT',
+  ])
+  const upperCaseRecords = [...desired('ClouDNS:TXT:Example:org', 'g=1', 'web', 'us-east-1')]
+  assert.deepStrictEqual(mergeDesiredRecords([desiredRecords.slice(0, 1), upperCaseRecords]).conflicts, [])
+})
+
+test('planSync reports record sets without a zone and plans the rest', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const desiredRecords = [...desired('ClouDNS:CNAME:www:example:com', 'x'), ...desired('ClouDNS:CNAME:www:example:org', 'www.cloudfront.net')]
+  const plan = await planSync(provider, desiredRecords, [], true)
+  assert.deepStrictEqual(
+    plan.map((planEntry) => [planEntry.action, planEntry.name, planEntry.type]),
+    [
+      ['error', 'www.example.com', 'CNAME'],
+      ['create', 'www.example.org', 'CNAME'],
+      ['create', '_cloudns-sync.www.example.org', 'TXT'],
+    ]
+  )
+  assert.match(plan[0].error, /^Zone Not Found: www.example.com/)
+  assert.deepStrictEqual(summarizePlan(plan), { create: 1, update: 0, noop: 0, delete: 0, failed: 1 })
+
+  const result = await applyPlan(provider, plan)
+  assert.deepStrictEqual([result.create, result.failed], [1, 1])
+  assert.match(result.failures[0].error.message, /^Zone Not Found: www.example.com/)
+  assert.deepStrictEqual(provider.zones['example.org'].map((record) => record.host).sort(), ['_cloudns-sync.www', 'www'])
+})
+
+test('planSync reports zones whose records cannot be listed', async () => {
+  const provider = createMemoryProvider({
+    'example.org': [{ id: '1', host: '_cloudns-sync.old', type: 'TXT', value: 'cloudns-cloudformation-sync stack=web type=CNAME', ttl: '3600' }],
+    'example.com': [],
+  })
+  provider.listRecords = async (zoneName) => {
+    throw new Error('List records of ' + zoneName + ' failed: HTTP 503')
+  }
+  const plan = await planSync(provider, desired('ClouDNS:CNAME:www:example:org', 'www.cloudfront.net'), [], true)
+  assert.deepStrictEqual(
+    plan.map((planEntry) => [planEntry.action, planEntry.name, planEntry.error]),
+    [
+      ['error', 'www.example.org', 'List records of example.org failed: HTTP 503'],
+      ['error', 'example.org', 'List records of example.org failed: HTTP 503'],
+      ['error', 'example.com', 'List records of example.com failed: HTTP 503'],
+    ]
+  )
+})
+
+test('planSync reports invalid exports and keeps the records of their stacks', async () => {
+  const provider = createMemoryProvider({
+    'example.org': [
+      { id: '1', host: 'mail', type: 'MX', value: '10 mx1.example.org', ttl: '300' },
+      { id: '2', host: '_cloudns-sync.mail', type: 'TXT', value: 'cloudns-cloudformation-sync stack=web type=MX', ttl: '3600' },
+    ],
+  })
+  const invalidExports = [
+    { exportName: 'ClouDNS:MX:mail:example:org', stackId: 'web', source: 'eu-west-1', error: 'Invalid export ClouDNS:MX:mail:example:org' },
+  ]
+  const plan = await planSync(provider, [], [], true, { invalidExports })
+  assert.deepStrictEqual(
+    plan.map((planEntry) => [planEntry.action, planEntry.name, planEntry.error]),
+    [['error', 'ClouDNS:MX:mail:example:org', 'Invalid export ClouDNS:MX:mail:example:org']]
+  )
+  // Exports of stacks outside the stack filter are not reported
+  assert.deepStrictEqual(await planSync(provider, [], ['api'], true, { invalidExports }), [])
+})
+
+test('applyPlan keeps going after failed records and reports them', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const addRecord = provider.addRecord
+  provider.addRecord = async (zoneName, record) => {
+    if (record.host === 'api') {
+      throw new Error('Add record failed: Invalid record')
+    }
+    return addRecord(zoneName, record)
+  }
+  const desiredRecords = [...desired('ClouDNS:CNAME:api:example:org', 'api.example.com'), ...desired('ClouDNS:CNAME:www:example:org', 'www.cloudfront.net')]
+  const result = await applyPlan(provider, await planSync(provider, desiredRecords, [], true))
+  // Ownership markers are left out of the counters, but their failures are reported
+  assert.deepStrictEqual([result.create, result.failed], [1, 2])
+  // The ownership marker of the failed host is skipped, so the next run creates both again
+  assert.deepStrictEqual(
+    result.failures.map(({ planEntry, error }) => [planEntry.hostName, error.message]),
+    [
+      ['api', 'Add record failed: Invalid record'],
+      ['_cloudns-sync.api', 'Skipped after an earlier failure in the same record set: Add record failed: Invalid record'],
+    ]
+  )
+  assert.deepStrictEqual(provider.zones['example.org'].map((record) => record.host).sort(), ['_cloudns-sync.www', 'www'])
+})
+
+test('applyPlan keeps syncing the other types of a host with a failed record', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const addRecord = provider.addRecord
+  provider.addRecord = async (zoneName, record) => {
+    if (record.type === 'A') {
+      throw new Error('Add record failed: Invalid record')
+    }
+    return addRecord(zoneName, record)
+  }
+  const desiredRecords = [
+    ...desired('ClouDNS:A:www:example:org', '192.0.2.1'),
+    ...desired('ClouDNS:AAAA:www:example:org', '2001:db8::1'),
+    ...desired('ClouDNS:MX:www:example:org', '10 mx1.example.org'),
+  ]
+  const result = await applyPlan(provider, await planSync(provider, desiredRecords, [], true))
+  assert.deepStrictEqual([result.create, result.failed], [2, 2])
+  assert.deepStrictEqual(provider.zones['example.org'].map((record) => record.host + ' ' + record.type + ' ' + record.value).sort(), [
+    '_cloudns-sync.www TXT cloudns-cloudformation-sync stack=web type=AAAA',
+    '_cloudns-sync.www TXT cloudns-cloudformation-sync stack=web type=MX',
+    'www AAAA 2001:db8::1',
+    'www MX 10 mx1.example.org',
+  ])
+})
+
+test('applyPlan limits the number of concurrent changes', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const addRecord = provider.addRecord
+  let running = 0
+  let maxRunning = 0
+  provider.addRecord = async (zoneName, record) => {
+    running++
+    maxRunning = Math.max(maxRunning, running)
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    running--
+    return addRecord(zoneName, record)
+  }
+  const desiredRecords = []
+  for (let i = 0; i < 10; i++) {
+    desiredRecords.push(...desired('ClouDNS:A:host' + i + ':example:org', '192.0.2.' + i))
+  }
+  const result = await applyPlan(provider, await planSync(provider, desiredRecords, [], false), { concurrency: 3 })
+  assert.strictEqual(result.create, 10)
+  assert.strictEqual(maxRunning, 3)
+})
+
+test('mergeDesiredRecords reports conflicts between sources', () => {
+  const usEast = desired('ClouDNS:CNAME:www:example:org', 'a.cloudfront.net', 'web', 'us-east-1')
+  const euWest = desired('ClouDNS:CNAME:www:example:org', 'a.cloudfront.net', 'api', 'eu-west-1')
+  const euNorth = desired('ClouDNS:CNAME:www:example:org', 'b.cloudfront.net', 'api', 'eu-north-1')
+  assert.deepStrictEqual(mergeDesiredRecords([usEast, euWest]), { desiredRecords: [...usEast, ...euWest], conflicts: [] })
+  const api = desired('ClouDNS:CNAME:api:example:org', 'api.example.com', 'api', 'eu-north-1')
+  assert.deepStrictEqual(mergeDesiredRecords([usEast, [...euNorth, ...api]]), {
+    desiredRecords: api,
+    conflicts: [
+      {
+        name: 'www.example.org',
+        type: 'CNAME',
+        stackIds: ['web', 'api'],
+        error: 'Conflicting exports (ttl value): us-east-1 wants 300 a.cloudfront.net but eu-north-1 wants 300 b.cloudfront.net',
+      },
+    ],
+  })
+})
+
+test('planSync reports conflicting record sets and leaves their records alone', async () => {
+  const provider = createMemoryProvider({ 'example.org': [] })
+  const usEast = desired('ClouDNS:CNAME:www:example:org', 'a.cloudfront.net', 'web', 'us-east-1')
+  await applyPlan(provider, await planSync(provider, usEast, [], true))
+  const euNorth = desired('ClouDNS:CNAME:www:example:org', 'b.cloudfront.net', 'api', 'eu-north-1')
+  const api = desired('ClouDNS:CNAME:api:example:org', 'api.example.com', 'api', 'eu-north-1')
+  const { desiredRecords, conflicts } = mergeDesiredRecords([usEast, [...euNorth, ...api]])
+  const plan = await planSync(provider, desiredRecords, [], true, { conflicts })
+  assert.deepStrictEqual(
+    plan.map((planEntry) => [planEntry.action, planEntry.name, planEntry.type]),
+    [
+      ['error', 'www.example.org', 'CNAME'],
+      ['create', 'api.example.org', 'CNAME'],
+      ['create', '_cloudns-sync.api.example.org', 'TXT'],
+    ]
+  )
+})
+
+test('printPlan shows every change and the totals', async () => {
+  const provider = createMemoryProvider({
+    'example.org': [
+      { id: '1', host: 'api', type: 'CNAME', value: 'old.example.com', ttl: '300' },
+      { id: '2', host: 'www', type: 'CNAME', value: 'www.cloudfront.net', ttl: '300' },
+      { id: '3', host: 'old', type: 'CNAME', value: 'old.cloudfront.net', ttl: '300' },
+      { id: '4', host: '_cloudns-sync.old', type: 'TXT', value: 'cloudns-cloudformation-sync stack=web type=CNAME', ttl: '3600' },
+    ],
+  })
+  const desiredRecords = [
+    ...desired('ClouDNS:CNAME:api:example:org', 'new.example.com'),
+    ...desired('ClouDNS:CNAME:www:example:org', 'www.cloudfront.net'),
+    ...desired('ClouDNS:CNAME:cdn:example:org', 'cdn.cloudfront.net'),
+    ...desired('ClouDNS:CNAME:www:example:com', 'x'),
+  ]
+  const plan = await planSync(provider, desiredRecords, [], true)
+  const log = mock.method(console, 'log', () => {})
+  try {
+    printPlan(plan)
+  } finally {
+    log.mock.restore()
+  }
+  assert.deepStrictEqual(
+    log.mock.calls.map((call) => call.arguments.join(' ')),
+    [
+      '~ UPDATE api.example.org CNAME ZONE example.org HOST api',
+      '    ttl   300 -> 300',
+      '    value old.example.com -> new.example.com',
+      '+ CREATE _cloudns-sync.api.example.org TXT 3600 cloudns-cloudformation-sync stack=web type=CNAME ZONE example.org HOST _cloudns-sync.api',
+      '  OK     www.example.org CNAME 300 www.cloudfront.net ZONE example.org HOST www',
+      '+ CREATE _cloudns-sync.www.example.org TXT 3600 cloudns-cloudformation-sync stack=web type=CNAME ZONE example.org HOST _cloudns-sync.www',
+      '+ CREATE cdn.example.org CNAME 300 cdn.cloudfront.net ZONE example.org HOST cdn',
+      '+ CREATE _cloudns-sync.cdn.example.org TXT 3600 cloudns-cloudformation-sync stack=web type=CNAME ZONE example.org HOST _cloudns-sync.cdn',
+      '! ERROR  www.example.com CNAME Zone Not Found: www.example.com (none of www.example.com, example.com, com is a zone in the account)',
+      '- DELETE old.example.org CNAME 300 old.cloudfront.net ZONE example.org HOST old',
+      '- DELETE _cloudns-sync.old.example.org TXT 3600 cloudns-cloudformation-sync stack=web type=CNAME ZONE example.org HOST _cloudns-sync.old',
+      'Plan: 1 to create, 1 to update, 1 to delete, 1 unchanged, 1 failed.',
+    ]
+  )
+})
+
+test('memory provider keeps its state in a file', async () => {
+  const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cloudns-sync-')), 'zones.json')
+  fs.writeFileSync(stateFile, JSON.stringify({ 'example.org': [] }))
+  const provider = createMemoryProvider({}, { stateFile })
+  await applyPlan(provider, await planSync(provider, desired('ClouDNS:CNAME:www:example:org', 'www.cloudfront.net'), [], false))
+  const reloadedProvider = createMemoryProvider({}, { stateFile })
+  assert.deepStrictEqual(await reloadedProvider.listRecords('example.org'), [{ id: '1', host: 'www', type: 'CNAME', value: 'www.cloudfront.net', ttl: '300' }])
+})
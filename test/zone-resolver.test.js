@@ -0,0 +1,36 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { normalizeRecordName, resolveHostAndZone } = require('../lib/cloudns-cloudformation-sync')
+
+const zoneNames = ['example.org', 'example.co.uk', 'dev.eu.example.co.uk', 'Sub.Example.Net']
+
+test('resolveHostAndZone picks the longest matching zone at any depth', () => {
+  assert.deepStrictEqual(resolveHostAndZone('www.example.org', zoneNames), { hostName: 'www', zoneName: 'example.org' })
+  assert.deepStrictEqual(resolveHostAndZone('a.b.c.example.org', zoneNames), { hostName: 'a.b.c', zoneName: 'example.org' })
+  assert.deepStrictEqual(resolveHostAndZone('api.dev.eu.example.co.uk', zoneNames), { hostName: 'api', zoneName: 'dev.eu.example.co.uk' })
+  assert.deepStrictEqual(resolveHostAndZone('api.prod.eu.example.co.uk', zoneNames), { hostName: 'api.prod.eu', zoneName: 'example.co.uk' })
+})
+
+test('resolveHostAndZone handles the zone apex, case and trailing dots', () => {
+  assert.deepStrictEqual(resolveHostAndZone('example.org', zoneNames), { hostName: '', zoneName: 'example.org' })
+  assert.deepStrictEqual(resolveHostAndZone('@.example.org', zoneNames), { hostName: '', zoneName: 'example.org' })
+  assert.deepStrictEqual(resolveHostAndZone('dev.eu.example.co.uk.', zoneNames), { hostName: '', zoneName: 'dev.eu.example.co.uk' })
+  assert.deepStrictEqual(resolveHostAndZone('WWW.sub.example.net', zoneNames), { hostName: 'www', zoneName: 'sub.example.net' })
+})
+
+test('normalizeRecordName gives every spelling of a name the same form', () => {
+  assert.deepStrictEqual(['example.org', '@.example.org', 'Example.org', 'example.org.'].map(normalizeRecordName), [
+    'example.org',
+    'example.org',
+    'example.org',
+    'example.org',
+  ])
+  assert.strictEqual(normalizeRecordName('WWW.Example.org.'), 'www.example.org')
+})
+
+test('resolveHostAndZone lists the candidate zones when nothing matches', () => {
+  assert.throws(
+    () => resolveHostAndZone('www.example.com', zoneNames),
+    /^Error: Zone Not Found: www.example.com \(none of www.example.com, example.com, com is a zone in the account\)$/
+  )
+})